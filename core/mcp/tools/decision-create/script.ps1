@@ -66,6 +66,7 @@ function Invoke-DecisionCreate {
         tags = @($tags)
         impact = $impact
         deprecation_reason = $null
+        supersession_reason = $null
     }
 
     $fileName = "$id-$slug.json"
@@ -43,6 +43,7 @@ function Invoke-DecisionGet {
         tags = $dec.tags
         impact = $dec.impact
         deprecation_reason = $dec.deprecation_reason
+        supersession_reason = $dec.supersession_reason
         file_path = $found.file.FullName
     }
 }
@@ -3,6 +3,7 @@ function Invoke-DecisionMarkSuperseded {
 
     $decId = $Arguments['decision_id']
     $supersededBy = $Arguments['superseded_by']
+    $reason = $Arguments['reason']
     if (-not $decId) { throw "decision_id is required" }
     if ($decId -notmatch '^dec-[a-f0-9]{8}$') { throw "Invalid decision_id format '$decId'. Expected: dec-XXXXXXXX" }
     if (-not $supersededBy) { throw "superseded_by is required" }
@@ -26,6 +27,7 @@ function Invoke-DecisionMarkSuperseded {
     $dec.status = 'superseded'
     $dec.date = (Get-Date).ToUniversalTime().ToString("yyyy-MM-dd")
     $dec.superseded_by = $supersededBy
+    if ($reason) { $dec | Add-Member -NotePropertyName 'supersession_reason' -NotePropertyValue $reason -Force }
 
     # Also update the superseding decision's 'supersedes' field if it exists
     $allDirs = @('proposed', 'accepted', 'deprecated', 'superseded')
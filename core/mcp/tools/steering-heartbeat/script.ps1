@@ -54,6 +54,7 @@ function Invoke-SteeringHeartbeat {
     $processesDir = Join-Path $controlDir "processes"
     $processFile = Join-Path $processesDir "$processId.json"
     $whisperFile = Join-Path $processesDir "$processId.whisper.jsonl"
+    $ackFile = Join-Path $processesDir "$processId.whisper-acks.jsonl"
 
     if (-not (Test-Path $processFile)) {
         return @{
@@ -109,7 +110,35 @@ function Invoke-SteeringHeartbeat {
     $sanitizedStatus = ConvertTo-SanitizedConsoleText $status
     $sanitizedNextAction = ConvertTo-SanitizedConsoleText $nextAction
 
-    $processData.last_heartbeat = (Get-Date).ToUniversalTime().ToString("o")
+    $now = (Get-Date).ToUniversalTime().ToString("o")
+    $processData.last_heartbeat = $now
+
+    # Record which whispers this heartbeat picked up, so the dashboard can
+    # show when each one was acknowledged. Appended to its own file: the
+    # runner rewrites the process file from its in-memory copy.
+    if ($currentIndex -gt $lastWhisperIndex) {
+        $ackedThrough = 0
+        if (Test-Path $ackFile) {
+            foreach ($line in (Get-Content -Path $ackFile -Encoding utf8 -ErrorAction SilentlyContinue)) {
+                try {
+                    $ack = $line | ConvertFrom-Json -ErrorAction Stop
+                    if ([int]$ack.through_index -gt $ackedThrough) { $ackedThrough = [int]$ack.through_index }
+                } catch {
+                    # Skip malformed ack lines
+                }
+            }
+        }
+        # A runner rewrite resets last_whisper_index; keep the first delivery time
+        if ($currentIndex -gt $ackedThrough) {
+            try {
+                $ackLine = [ordered]@{ through_index = $currentIndex; acknowledged_at = $now } | ConvertTo-Json -Compress
+                Add-Content -Path $ackFile -Value $ackLine -Encoding utf8NoBOM
+            } catch {
+                # The dashboard then shows the whisper as pending; delivery is unaffected
+            }
+        }
+    }
+
     $processData.last_whisper_index = $currentIndex
     $processData.heartbeat_status = $sanitizedStatus
     $processData.heartbeat_next_action = $sanitizedNextAction
@@ -14,15 +14,19 @@ if (-not (Test-Path $processesDir)) {
 $testProcId = "proc-test01"
 $procFile = Join-Path $processesDir "$testProcId.json"
 $whisperFile = Join-Path $processesDir "$testProcId.whisper.jsonl"
+$ackFile = Join-Path $processesDir "$testProcId.whisper-acks.jsonl"
 
 $procBackup = $null
 $whisperBackup = $null
+$ackBackup = $null
 if (Test-Path $procFile) { $procBackup = Get-Content $procFile -Raw }
 if (Test-Path $whisperFile) { $whisperBackup = Get-Content $whisperFile -Raw }
+if (Test-Path $ackFile) { $ackBackup = Get-Content $ackFile -Raw }
 
 try {
     if (Test-Path $procFile) { Remove-Item $procFile -Force }
     if (Test-Path $whisperFile) { Remove-Item $whisperFile -Force }
+    if (Test-Path $ackFile) { Remove-Item $ackFile -Force }
 
     @{
         id = $testProcId
@@ -80,6 +84,16 @@ try {
         -Expected "Focus on error handling" `
         -Actual $result2.whispers[0].instruction
 
+    $acks = @(Get-Content $ackFile | ForEach-Object { $_ | ConvertFrom-Json })
+
+    Assert-Equal -Name "steering-heartbeat: records one acknowledgement" `
+        -Expected 1 `
+        -Actual $acks.Count
+
+    Assert-True -Name "steering-heartbeat: acknowledgement covers the whisper" `
+        -Condition ($acks[0].through_index -eq 1 -and $acks[0].acknowledged_at) `
+        -Message "Got: $($acks | ConvertTo-Json -Compress)"
+
     # Second call should not re-deliver
     $result3 = Invoke-SteeringHeartbeat -Arguments @{
         session_id = "test-session-123"
@@ -91,11 +105,32 @@ try {
         -Expected 0 `
         -Actual $result3.whisper_count
 
+    Assert-Equal -Name "steering-heartbeat: no acknowledgement without new whispers" `
+        -Expected 1 `
+        -Actual @(Get-Content $ackFile).Count
+
+    # The runner rewrites the process file from its own copy (last_whisper_index = 0);
+    # the whisper is delivered again but keeps its first acknowledgement
+    $procData4 = Get-Content $procFile -Raw | ConvertFrom-Json
+    $procData4.last_whisper_index = 0
+    $procData4 | ConvertTo-Json -Depth 10 | Set-Content -Path $procFile -Encoding utf8NoBOM -NoNewline
+    Invoke-SteeringHeartbeat -Arguments @{
+        session_id = "test-session-123"
+        process_id = $testProcId
+        status = "After runner rewrite"
+    } | Out-Null
+
+    Assert-Equal -Name "steering-heartbeat: acknowledgement survives a process file rewrite" `
+        -Expected 1 `
+        -Actual @(Get-Content $ackFile).Count
+
 } finally {
     if (Test-Path $procFile) { Remove-Item $procFile -Force }
     if (Test-Path $whisperFile) { Remove-Item $whisperFile -Force }
+    if (Test-Path $ackFile) { Remove-Item $ackFile -Force }
     if ($procBackup) { Set-Content -Path $procFile -Value $procBackup -NoNewline }
     if ($whisperBackup) { Set-Content -Path $whisperFile -Value $whisperBackup -NoNewline }
+    if ($ackBackup) { Set-Content -Path $ackFile -Value $ackBackup -NoNewline }
 }
 
 $allPassed = Write-TestSummary -LayerName "steering-heartbeat"
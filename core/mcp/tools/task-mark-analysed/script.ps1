@@ -18,7 +18,7 @@ function Get-AnalysisActivityLog {
     Get-Content $activityFile | ForEach-Object {
         try {
             $entry = $_ | ConvertFrom-Json
-            if ($entry.task_id -eq $TaskId -and $entry.phase -eq 'analysis') {
+            if ($entry.task_id -eq $TaskId -and $entry.phase -eq 'analysis' -and $entry.type -ne 'tool_result') {
                 $sanitizedMessage = Remove-AbsolutePaths -Text $entry.message -ProjectRoot $global:DotbotProjectRoot
                 $sanitizedEntry = $entry | Select-Object -Property type, timestamp
                 $sanitizedEntry | Add-Member -NotePropertyName 'message' -NotePropertyValue $sanitizedMessage -Force
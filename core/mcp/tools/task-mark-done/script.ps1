@@ -58,7 +58,8 @@ function Get-ExecutionActivityLog {
     Get-Content $activityFile | ForEach-Object {
         try {
             $entry = $_ | ConvertFrom-Json
-            if ($entry.task_id -eq $TaskId -and (-not $entry.phase -or $entry.phase -eq 'execution')) {
+            # A tool call's outcome belongs on the call; stored alone it is an extra row
+            if ($entry.task_id -eq $TaskId -and (-not $entry.phase -or $entry.phase -eq 'execution') -and $entry.type -ne 'tool_result') {
                 $sanitizedMessage = Remove-AbsolutePaths -Text $entry.message -ProjectRoot $ProjectRoot
                 $sanitizedEntry = $entry | Select-Object -Property type, timestamp
                 $sanitizedEntry | Add-Member -NotePropertyName 'message' -NotePropertyValue $sanitizedMessage -Force
@@ -70,6 +71,65 @@ function Get-ExecutionActivityLog {
     return $taskActivities
 }
 
+# Output kept per script in the task's verification report
+$script:VerificationOutputLimit = 4000
+
+# Helper: one script's entry in the verification report stored on the task.
+# Unlike the raw results returned to the caller, entries carry the timing,
+# the (path-sanitized, truncated) output and the files the script flagged.
+function New-VerificationReportEntry {
+    param(
+        [object]$ScriptConfig,
+        [string]$Status,
+        [object]$Result,
+        [object[]]$Output = @(),
+        [int]$DurationMs = 0,
+        [string]$ProjectRoot
+    )
+
+    if (-not $Status) {
+        $Status = if ($Result.success) { 'passed' } else { 'failed' }
+    }
+
+    $text = Remove-AbsolutePaths -Text (($Output | ForEach-Object { "$_" }) -join "`n") -ProjectRoot $ProjectRoot
+    $truncated = $text.Length -gt $script:VerificationOutputLimit
+    if ($truncated) { $text = $text.Substring(0, $script:VerificationOutputLimit) }
+
+    # Scripts report files in failures (file/line), privacy-scan violations, or
+    # git porcelain lines (01-git-clean's uncommitted_files)
+    $flagged = [ordered]@{}
+    $locations = @($Result.failures) + @($Result.details.violations) | Where-Object { $_ -and $_.file }
+    foreach ($location in $locations) {
+        $file = Remove-AbsolutePaths -Text "$($location.file)" -ProjectRoot $ProjectRoot
+        $key = "${file}:$($location.line)"
+        if (-not $flagged.Contains($key)) {
+            $flagged[$key] = @{ file = $file; line = $location.line }
+        }
+    }
+    foreach ($porcelain in @($Result.details.uncommitted_files | Where-Object { $_ })) {
+        $file = "$porcelain".Substring([Math]::Min(3, "$porcelain".Length)).Trim()
+        if ($file -and -not $flagged.Contains("${file}:")) { $flagged["${file}:"] = @{ file = $file; line = $null } }
+    }
+
+    return [ordered]@{
+        script           = $ScriptConfig.name
+        status           = $Status
+        required         = [bool]$ScriptConfig.required
+        duration_ms      = $DurationMs
+        message          = Remove-AbsolutePaths -Text "$($Result.message)" -ProjectRoot $ProjectRoot
+        failures         = @($Result.failures | Where-Object { $_ } | ForEach-Object {
+            @{
+                issue    = Remove-AbsolutePaths -Text "$($_.issue)" -ProjectRoot $ProjectRoot
+                severity = $_.severity
+                context  = $_.context
+            }
+        })
+        flagged_files    = @($flagged.Values)
+        output           = $text
+        output_truncated = $truncated
+    }
+}
+
 function Invoke-VerificationScripts {
     param(
         [string]$TaskId,
@@ -86,25 +146,34 @@ function Invoke-VerificationScripts {
 
     $config = Get-Content $configPath -Raw | ConvertFrom-Json
     $results = @()
+    $report = @()
 
     foreach ($scriptConfig in $config.scripts) {
         $scriptPath = Join-Path $scriptsDir $scriptConfig.name
 
         if (-not (Test-Path $scriptPath)) {
-            $results += @{ success = $false; script = $scriptConfig.name; message = "Script file not found" }
+            $result = @{ success = $false; script = $scriptConfig.name; message = "Script file not found" }
+            $results += $result
+            $report += New-VerificationReportEntry -ScriptConfig $scriptConfig -Status 'missing' -Result $result -ProjectRoot $ProjectRoot
             continue
         }
 
         if ($scriptConfig.skip_if_category -and $scriptConfig.skip_if_category -contains $Category) {
-            $results += @{ success = $true; script = $scriptConfig.name; message = "Skipped (category: $Category)"; skipped = $true }
+            $result = @{ success = $true; script = $scriptConfig.name; message = "Skipped (category: $Category)"; skipped = $true }
+            $results += $result
+            $report += New-VerificationReportEntry -ScriptConfig $scriptConfig -Status 'skipped' -Result $result -ProjectRoot $ProjectRoot
             continue
         }
 
         if ($scriptConfig.run_if_category -and $scriptConfig.run_if_category -notcontains $Category) {
-            $results += @{ success = $true; script = $scriptConfig.name; message = "Skipped (not applicable for category: $Category)"; skipped = $true }
+            $result = @{ success = $true; script = $scriptConfig.name; message = "Skipped (not applicable for category: $Category)"; skipped = $true }
+            $results += $result
+            $report += New-VerificationReportEntry -ScriptConfig $scriptConfig -Status 'skipped' -Result $result -ProjectRoot $ProjectRoot
             continue
         }
 
+        $timer = [System.Diagnostics.Stopwatch]::StartNew()
+        $output = @()
         try {
             if (-not $ProjectRoot) { throw "Project root parameter is required" }
             if (-not (Test-Path $ProjectRoot)) { throw "Project root directory does not exist: $ProjectRoot" }
@@ -118,21 +187,34 @@ function Invoke-VerificationScripts {
             } finally {
                 Pop-Location
             }
+            $report += New-VerificationReportEntry -ScriptConfig $scriptConfig -Result $result -Output $output -DurationMs $timer.ElapsedMilliseconds -ProjectRoot $ProjectRoot
 
             if ($scriptConfig.required -and -not $result.success) { break }
         } catch {
-            $results += @{
+            $result = @{
                 success = $false
                 script  = $scriptConfig.name
                 message = "Script execution failed: $($_.Exception.Message)"
                 details = @{ error = $_.Exception.Message }
             }
+            $results += $result
+            $report += New-VerificationReportEntry -ScriptConfig $scriptConfig -Status 'error' -Result $result -Output $output -DurationMs $timer.ElapsedMilliseconds -ProjectRoot $ProjectRoot
             if ($scriptConfig.required) { break }
         }
     }
 
     $failedScripts = $results | Where-Object { $_.success -eq $false -and -not $_.skipped }
-    return @{ AllPassed = ($failedScripts.Count -eq 0); Scripts = $results }
+    return @{ AllPassed = ($failedScripts.Count -eq 0); Scripts = $results; Report = $report }
+}
+
+# Helper: the verification report stored on the task (latest attempt only)
+function New-VerificationReport {
+    param([hashtable]$VerificationResults)
+    return [ordered]@{
+        ran_at  = (Get-Date).ToUniversalTime().ToString("yyyy-MM-dd'T'HH:mm:ss'Z'")
+        passed  = [bool]$VerificationResults.AllPassed
+        scripts = @($VerificationResults.Report)
+    }
 }
 
 function Invoke-TaskMarkDone {
@@ -163,8 +245,15 @@ function Invoke-TaskMarkDone {
     # Run verification scripts BEFORE transition
     $verificationResults = Invoke-VerificationScripts -TaskId $taskId -Category $taskContent.category -ProjectRoot $projectRoot
 
+    $verificationReport = New-VerificationReport -VerificationResults $verificationResults
+
     if (-not $verificationResults.AllPassed) {
         Write-TaskMarkDoneFailure -TaskId $taskId -Message "task_mark_done blocked: verification failed for '$($taskContent.name)'" -VerificationResults $verificationResults.Scripts
+        try {
+            Update-TaskRecord -TaskId $taskId -Updates @{ verification_report = $verificationReport } | Out-Null
+        } catch {
+            Write-BotLog -Level Warn -Message "Failed to store verification report" -Exception $_
+        }
         return @{
             success              = $false
             message              = "Task verification failed - task stays in '$($found.Status)'"
@@ -204,6 +293,7 @@ function Invoke-TaskMarkDone {
         completed_at = if (-not $taskContent.completed_at) { (Get-Date).ToUniversalTime().ToString("yyyy-MM-dd'T'HH:mm:ss'Z'") } else { $taskContent.completed_at }
     }
     foreach ($key in $commitUpdates.Keys) { $updates[$key] = $commitUpdates[$key] }
+    $updates['verification_report'] = $verificationReport
     if ($executionActivities.Count -gt 0) { $updates['execution_activity_log'] = $executionActivities }
 
     $result = Set-TaskState -TaskId $taskId `
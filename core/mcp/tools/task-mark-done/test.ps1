@@ -26,6 +26,15 @@ try {
     }
     $progress = Invoke-TaskMarkInProgress -Arguments @{ task_id = $created.task_id }
 
+    # Execution activity: a tool call and its tool_result
+    $activityFile = Join-Path $global:DotbotProjectRoot ".bot\.control\activity.jsonl"
+    $activityBackup = if (Test-Path $activityFile) { Get-Content $activityFile -Raw } else { $null }
+    New-Item -ItemType Directory -Path (Split-Path $activityFile) -Force | Out-Null
+    @(
+        @{ timestamp = (Get-Date).ToUniversalTime().ToString("o"); type = 'Bash'; message = 'npm test'; task_id = $created.task_id; phase = 'execution'; details = @{ kind = 'bash'; id = 'call-1'; command = 'npm test' } }
+        @{ timestamp = (Get-Date).ToUniversalTime().ToString("o"); type = 'tool_result'; message = 'Bash exit 0'; task_id = $created.task_id; phase = 'execution'; details = @{ kind = 'bash'; id = 'call-1'; exit_code = 0 } }
+    ) | ForEach-Object { $_ | ConvertTo-Json -Compress -Depth 5 } | Add-Content -Path $activityFile -Encoding UTF8
+
     Push-Location $global:DotbotProjectRoot
     & git add -A 2>&1 | Out-Null
     & git commit -m "test: add task for mark-done" --quiet 2>&1 | Out-Null
@@ -51,15 +60,73 @@ try {
 
     if ($doneFile) { $cleanupFiles += $doneFile.FullName }
 
+    if ($doneFile) {
+        $doneContent = Get-Content $doneFile.FullName -Raw | ConvertFrom-Json
+        Assert-True -Name "task-mark-done: stores a passing verification report" `
+            -Condition ($doneContent.verification_report -and $doneContent.verification_report.passed -eq $true) `
+            -Message "verification_report missing or not passed"
+        Assert-Equal -Name "task-mark-done: execution activity leaves out tool results" `
+            -Expected 'Bash' `
+            -Actual (@($doneContent.execution_activity_log).type -join ',')
+    }
+
     $duplicate = Invoke-TaskMarkDone -Arguments @{ task_id = $created.task_id }
 
     Assert-True -Name "task-mark-done: idempotent on duplicate" `
         -Condition ($duplicate.success -eq $true) `
         -Message "Second mark-done failed"
 
+    # A failing hook blocks the transition and leaves its report on the task
+    $failScript = Join-Path (Split-Path $verifyConfigPath) "99-test-fail.ps1"
+    @'
+@{
+    success = $false
+    script = "99-test-fail.ps1"
+    message = "1 problem found"
+    failures = @(@{ file = "src/app.js"; line = 3; issue = "Test problem"; severity = "error" })
+} | ConvertTo-Json -Depth 5
+'@ | Set-Content $failScript -Encoding UTF8
+    $cleanupFiles += $failScript
+    '{ "scripts": [ { "name": "99-test-fail.ps1", "required": true, "timeout_seconds": 30 } ] }' | Set-Content $verifyConfigPath -Encoding UTF8
+
+    $blocked = Invoke-TaskCreate -Arguments @{
+        name = 'Blocked Done Test Task'
+        description = 'Task whose verification fails'
+        category = 'feature'
+        priority = 26
+    }
+    Invoke-TaskMarkInProgress -Arguments @{ task_id = $blocked.task_id } | Out-Null
+    $blockedResult = Invoke-TaskMarkDone -Arguments @{ task_id = $blocked.task_id }
+
+    Assert-True -Name "task-mark-done: failing hook blocks done" `
+        -Condition ($blockedResult.success -eq $false -and $blockedResult.verification_passed -eq $false) `
+        -Message "Got: $($blockedResult.message)"
+
+    $blockedFound = Find-TaskFileById -TaskId $blocked.task_id -SearchStatuses @('in-progress')
+    if ($blockedFound) { $cleanupFiles += $blockedFound.File.FullName }
+    $blockedReport = $blockedFound.Content.verification_report
+    Assert-True -Name "task-mark-done: stores a failing verification report" `
+        -Condition ($blockedReport -and $blockedReport.passed -eq $false) `
+        -Message "verification_report missing on the in-progress task"
+    $entry = @($blockedReport.scripts)[0]
+    Assert-Equal -Name "task-mark-done: report entry status" -Expected 'failed' -Actual $entry.status
+    Assert-True -Name "task-mark-done: report entry keeps output" `
+        -Condition ("$($entry.output)" -match '1 problem found') `
+        -Message "Output: $($entry.output)"
+    Assert-True -Name "task-mark-done: report entry lists flagged files" `
+        -Condition (@($entry.flagged_files | Where-Object { $_.file -eq 'src/app.js' -and $_.line -eq 3 }).Count -eq 1) `
+        -Message "Flagged: $($entry.flagged_files | ConvertTo-Json -Compress)"
+
 } finally {
+    if ($null -ne $activityBackup) {
+        Set-Content $activityFile $activityBackup -NoNewline -Encoding UTF8
+    } elseif ($activityFile) {
+        Remove-Item $activityFile -Force -ErrorAction SilentlyContinue
+    }
     if ($verifyBackup) {
         Set-Content $verifyConfigPath $verifyBackup -Encoding UTF8
+    } else {
+        Remove-Item $verifyConfigPath -Force -ErrorAction SilentlyContinue
     }
     foreach ($file in $cleanupFiles) {
         Remove-Item $file -Force -ErrorAction SilentlyContinue
@@ -114,7 +114,9 @@ function Process-StreamLine {
                     elseif ($tu.input.prompt) { $detail = Get-PreviewText $tu.input.prompt 140 }
                 }
                 if (-not $detail) { $detail = "" }
-                Write-ClaudeLog $tu.name $detail ">"
+                $toolDetails = New-ToolCallDetails -Name $tu.name -ToolInput $tu.input -Id $tu.id
+                if ($toolDetails -and $tu.id) { $State.pendingToolCards[$tu.id] = $tu.name }
+                Write-ClaudeLog $tu.name $detail ">" -Details $toolDetails
             }
             return 'tool_use'
         }
@@ -146,6 +148,14 @@ function Process-StreamLine {
                 }
                 $msg = if ($meta.Count -gt 0) { $meta -join ", " } else { "" }
                 if ($msg) { Write-ClaudeLog "done" $msg $icon }
+
+                $id = $tr.tool_use_id
+                if ($id -and $State.pendingToolCards.ContainsKey($id)) {
+                    $cardTool = $State.pendingToolCards[$id]
+                    $State.pendingToolCards.Remove($id)
+                    $resultDetails = New-ToolResultDetails -Kind (Get-ToolCallKind $cardTool) -Id $id -Result $evt.tool_use_result -Content $tr.content -IsError $isErr
+                    Write-ActivityLog -Type "tool_result" -Message (Get-ToolResultSummary -Details $resultDetails -Name $cardTool) -Details $resultDetails
+                }
             }
             return 'tool_result'
         }
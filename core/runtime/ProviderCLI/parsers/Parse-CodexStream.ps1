@@ -97,6 +97,7 @@ function Process-StreamLine {
             # Tool/function call
             $name = $evt.name
             $detail = ""
+            $args_ = $null
             if ($evt.arguments) {
                 try {
                     $args_ = $evt.arguments | ConvertFrom-Json -ErrorAction SilentlyContinue
@@ -106,8 +107,10 @@ function Process-StreamLine {
                     $detail = Get-PreviewText $evt.arguments 140
                 }
             }
-            Write-ClaudeLog $name $detail ">"
-            Write-ActivityLog -Type $name -Message $detail
+            # Write-ClaudeLog also writes the activity event
+            $toolDetails = New-ToolCallDetails -Name $name -ToolInput $args_ -Id $evt.call_id
+            if ($toolDetails -and $evt.call_id) { $State.pendingToolCards[$evt.call_id] = $name }
+            Write-ClaudeLog $name $detail ">" -Details $toolDetails
             return 'tool_use'
         }
 
@@ -119,6 +122,24 @@ function Process-StreamLine {
                 $msg = "$($evt.duration_ms)ms"
             }
             if ($msg) { Write-ClaudeLog "done" $msg $icon }
+
+            $id = $evt.call_id
+            if ($id -and $State.pendingToolCards.ContainsKey($id)) {
+                $cardTool = $State.pendingToolCards[$id]
+                $State.pendingToolCards.Remove($id)
+                # Shell output may arrive as JSON: { output, metadata: { exit_code } }
+                $output = $evt.output
+                $exitCode = $evt.exit_code
+                if ($output -is [string] -and $output.TrimStart().StartsWith('{')) {
+                    try {
+                        $parsed = $output | ConvertFrom-Json -ErrorAction Stop
+                        if ($null -ne $parsed.output) { $output = $parsed.output }
+                        if ($null -eq $exitCode) { $exitCode = $parsed.metadata.exit_code }
+                    } catch { Write-BotLog -Level Debug -Message "Codex tool output is not JSON" -Exception $_ }
+                }
+                $resultDetails = New-ToolResultDetails -Kind (Get-ToolCallKind $cardTool) -Id $id -Content $output -IsError ([bool]$evt.is_error) -ExitCode $exitCode -DurationMs $evt.duration_ms
+                Write-ActivityLog -Type "tool_result" -Message (Get-ToolResultSummary -Details $resultDetails -Name $cardTool) -Details $resultDetails
+            }
             return 'tool_result'
         }
 
@@ -113,8 +113,10 @@ function Process-StreamLine {
                     elseif ($tu.input.description) { $detail = Get-PreviewText $tu.input.description 140 }
                 }
                 if (-not $detail) { $detail = "" }
-                Write-ClaudeLog $tu.name $detail ">"
-                Write-ActivityLog -Type $tu.name -Message $detail
+                # Write-ClaudeLog also writes the activity event
+                $toolDetails = New-ToolCallDetails -Name $tu.name -ToolInput $tu.input -Id $tu.id
+                if ($toolDetails -and $tu.id) { $State.pendingToolCards[$tu.id] = $tu.name }
+                Write-ClaudeLog $tu.name $detail ">" -Details $toolDetails
             }
             return 'tool_use'
         }
@@ -135,6 +137,14 @@ function Process-StreamLine {
                 $isErr = [bool]$tr.is_error
                 $icon = if ($isErr) { "x" } else { "+" }
                 Write-ClaudeLog "done" "" $icon
+
+                $id = $tr.tool_use_id
+                if ($id -and $State.pendingToolCards.ContainsKey($id)) {
+                    $cardTool = $State.pendingToolCards[$id]
+                    $State.pendingToolCards.Remove($id)
+                    $resultDetails = New-ToolResultDetails -Kind (Get-ToolCallKind $cardTool) -Id $id -Content $tr.content -IsError $isErr
+                    Write-ActivityLog -Type "tool_result" -Message (Get-ToolResultSummary -Details $resultDetails -Name $cardTool) -Details $resultDetails
+                }
             }
             return 'tool_result'
         }
@@ -0,0 +1,173 @@
+<#
+.SYNOPSIS
+Runs verification scripts on demand for the dashboard.
+
+.DESCRIPTION
+Started by VerificationAPI (Start-VerificationRun) as a detached pwsh process.
+The run record passed in -RunFile lists the scripts with their paths and
+timeouts. Each script runs in the project root the way task_mark_done runs it;
+stdout and stderr lines are appended to the run's .log file (JSONL) as they
+arrive, and the record is rewritten after every script with its status,
+duration and parsed result. Unlike task_mark_done, a failing required script
+does not stop the run: every selected script gets a result.
+
+.PARAMETER RunFile
+Path to the run record (<runs dir>/<run id>.json).
+
+.PARAMETER ProjectRoot
+Working directory for the scripts.
+#>
+
+param(
+    [Parameter(Mandatory)] [string]$RunFile,
+    [Parameter(Mandatory)] [string]$ProjectRoot
+)
+
+$ErrorActionPreference = 'Stop'
+
+$logFile = [System.IO.Path]::ChangeExtension($RunFile, '.log')
+$utf8 = [System.Text.UTF8Encoding]::new($false)
+
+# Replace the record atomically; the dashboard may be reading it at the same moment
+function Write-RunRecord {
+    param([object]$Run)
+    $tempFile = "$RunFile.tmp"
+    for ($attempt = 1; $attempt -le 3; $attempt++) {
+        try {
+            $Run | ConvertTo-Json -Depth 10 | Set-Content -Path $tempFile -Encoding utf8NoBOM -NoNewline
+            Move-Item -Path $tempFile -Destination $RunFile -Force
+            return
+        } catch {
+            if ($attempt -eq 3) { throw }
+            Start-Sleep -Milliseconds (50 * $attempt)
+        }
+    }
+}
+
+function Write-RunLine {
+    param([string]$Script, [string]$Stream, [string]$Text)
+    $line = @{
+        timestamp = (Get-Date).ToUniversalTime().ToString('o')
+        script = $Script
+        stream = $Stream
+        text = $Text
+    } | ConvertTo-Json -Compress
+    [System.IO.File]::AppendAllText($logFile, "$line`n", $utf8)
+}
+
+# Scripts print their JSON result last; anything before it is progress output
+function ConvertFrom-ScriptOutput {
+    param([string[]]$Lines)
+    $text = ($Lines -join "`n").Trim()
+    if (-not $text) { return $null }
+    try { return $text | ConvertFrom-Json } catch { }
+    for ($i = 0; $i -lt $Lines.Count; $i++) {
+        if ($Lines[$i] -match '^\s*\{') {
+            try { return (($Lines[$i..($Lines.Count - 1)]) -join "`n") | ConvertFrom-Json } catch { }
+        }
+    }
+    return $null
+}
+
+function Invoke-RunScript {
+    param([object]$Entry)
+
+    $psi = [System.Diagnostics.ProcessStartInfo]::new()
+    $psi.FileName = if ([System.Environment]::ProcessPath) { [System.Environment]::ProcessPath } else { 'pwsh' }
+    foreach ($arg in @('-NoProfile', '-NonInteractive', '-File', $Entry.path)) { $psi.ArgumentList.Add($arg) }
+    $psi.WorkingDirectory = $ProjectRoot
+    $psi.RedirectStandardOutput = $true
+    $psi.RedirectStandardError = $true
+    $psi.UseShellExecute = $false
+    $psi.CreateNoWindow = $true
+
+    $proc = [System.Diagnostics.Process]::Start($psi)
+    $stdout = [System.Collections.Generic.List[string]]::new()
+    $timer = [System.Diagnostics.Stopwatch]::StartNew()
+    $timeoutMs = [Math]::Max(1, [int]$Entry.timeout_seconds) * 1000
+    $timedOut = $false
+
+    # Read both pipes line by line so output reaches the log while the script runs
+    $readers = @(
+        @{ Stream = 'stdout'; Reader = $proc.StandardOutput; Pending = $proc.StandardOutput.ReadLineAsync(); Done = $false }
+        @{ Stream = 'stderr'; Reader = $proc.StandardError; Pending = $proc.StandardError.ReadLineAsync(); Done = $false }
+    )
+    while (@($readers | Where-Object { -not $_.Done }).Count -gt 0) {
+        $progressed = $false
+        foreach ($r in $readers) {
+            if ($r.Done -or -not $r.Pending.IsCompleted) { continue }
+            $progressed = $true
+            $line = $r.Pending.Result
+            if ($null -eq $line) { $r.Done = $true; continue }
+            if ($r.Stream -eq 'stdout') { $stdout.Add($line) }
+            Write-RunLine -Script $Entry.name -Stream $r.Stream -Text $line
+            $r.Pending = $r.Reader.ReadLineAsync()
+        }
+        if ($timer.ElapsedMilliseconds -gt $timeoutMs) {
+            $timedOut = $true
+            try { $proc.Kill($true) } catch { }
+            break
+        }
+        if (-not $progressed) { Start-Sleep -Milliseconds 50 }
+    }
+    if (-not $timedOut) { $proc.WaitForExit() }
+    $timer.Stop()
+
+    $Entry.duration_ms = [int]$timer.ElapsedMilliseconds
+    if ($timedOut) {
+        $Entry.status = 'timeout'
+        $Entry.message = "Timed out after $($Entry.timeout_seconds)s"
+        Write-RunLine -Script $Entry.name -Stream 'info' -Text $Entry.message
+        return
+    }
+
+    $Entry.exit_code = $proc.ExitCode
+    $result = ConvertFrom-ScriptOutput -Lines $stdout.ToArray()
+    if ($null -eq $result -or $null -eq $result.success) {
+        $Entry.status = 'error'
+        $Entry.message = "Script did not print a JSON result (exit code $($proc.ExitCode))"
+        return
+    }
+    $Entry.status = if ($result.success) { 'passed' } else { 'failed' }
+    $Entry.message = "$($result.message)"
+    $Entry.failures = @($result.failures | Where-Object { $_ })
+}
+
+$run = Get-Content -Path $RunFile -Raw | ConvertFrom-Json -AsHashtable
+$run.pid = $PID
+Write-RunRecord -Run $run
+
+$runTimer = [System.Diagnostics.Stopwatch]::StartNew()
+try {
+    foreach ($entry in $run.scripts) {
+        if (-not (Test-Path -LiteralPath $entry.path)) {
+            $entry.status = 'missing'
+            $entry.message = 'Script file not found'
+            Write-RunRecord -Run $run
+            continue
+        }
+
+        $entry.status = 'running'
+        $entry.started_at = (Get-Date).ToUniversalTime().ToString('o')
+        Write-RunRecord -Run $run
+        Write-RunLine -Script $entry.name -Stream 'info' -Text "Running $($entry.name)"
+
+        try {
+            Invoke-RunScript -Entry $entry
+        } catch {
+            $entry.status = 'error'
+            $entry.message = "Script execution failed: $($_.Exception.Message)"
+        }
+        Write-RunLine -Script $entry.name -Stream 'info' -Text "$($entry.status): $($entry.message)"
+        Write-RunRecord -Run $run
+    }
+    $failed = @($run.scripts | Where-Object { $_.status -ne 'passed' })
+    $run.status = if ($failed.Count -eq 0) { 'passed' } else { 'failed' }
+} catch {
+    $run.status = 'error'
+    $run.message = "Verification run failed: $($_.Exception.Message)"
+} finally {
+    $run.finished_at = (Get-Date).ToUniversalTime().ToString('o')
+    $run.duration_ms = [int]$runTimer.ElapsedMilliseconds
+    Write-RunRecord -Run $run
+}
@@ -142,7 +142,11 @@ Import-Module (Join-Path $PSScriptRoot "modules\ProcessAPI.psm1") -Force
 Import-Module (Join-Path $PSScriptRoot "modules\StateBuilder.psm1") -Force
 Import-Module (Join-Path $PSScriptRoot "modules\NotificationPoller.psm1") -Force
 Import-Module (Join-Path $PSScriptRoot "modules\DecisionAPI.psm1") -Force
+Import-Module (Join-Path $PSScriptRoot "modules\SearchAPI.psm1") -Force
+Import-Module (Join-Path $PSScriptRoot "modules\AnalyticsAPI.psm1") -Force
+Import-Module (Join-Path $PSScriptRoot "modules\VerificationAPI.psm1") -Force
 Import-Module (Join-Path $PSScriptRoot "modules\InboxWatcher.psm1") -Force
+Import-Module (Join-Path $PSScriptRoot "modules\EventStream.psm1") -Force
 
 # Import workflow manifest utilities (for installed workflows API)
 . (Join-Path $botRoot "core/runtime/modules/workflow-manifest.ps1")
@@ -160,7 +164,11 @@ Initialize-ProcessAPI -ProcessesDir $processesDir -BotRoot $botRoot -ControlDir
 Initialize-StateBuilder -BotRoot $botRoot -ControlDir $controlDir -ProcessesDir $processesDir
 Initialize-NotificationPoller -BotRoot $botRoot
 Initialize-DecisionAPI -BotRoot $botRoot
+Initialize-SearchAPI -BotRoot $botRoot
+Initialize-AnalyticsAPI -BotRoot $botRoot -ProcessesDir $processesDir
+Initialize-VerificationAPI -BotRoot $botRoot -ControlDir $controlDir -ProjectRoot $projectRoot
 Initialize-InboxWatcher -BotRoot $botRoot
+Initialize-EventStream -BotRoot $botRoot -ControlDir $controlDir -ProcessesDir $processesDir
 
 # Request counter for single-line logging
 $script:requestCount = 0
@@ -578,7 +586,13 @@ function Apply-DotbotBootstrapHtml {
 
 try {
     while ($listener.IsListening) {
-        $context = $listener.GetContext()
+        # Wait for the next request without blocking the loop outright, so open
+        # /api/events streams keep receiving pushes while the server is idle.
+        $contextTask = $listener.GetContextAsync()
+        while (-not $contextTask.Wait(250)) {
+            Invoke-EventStreamTick
+        }
+        $context = $contextTask.GetAwaiter().GetResult()
         $request = $context.Request
         $response = $context.Response
 
@@ -594,6 +608,8 @@ try {
         $contentType = "text/html; charset=utf-8"
         $content = ""
         $binaryContent = $null
+        # Set by routes that keep the response open (SSE); skips the normal send
+        $responseStreamed = $false
 
         # CSRF protection: require X-Dotbot-Request header on state-changing requests.
         # Browsers enforce CORS preflight for custom headers, blocking cross-origin attacks.
@@ -729,6 +745,19 @@ $docContext
                     break
                 }
 
+                "/api/events" {
+                    # Server-Sent Events: the response stays open and is owned by
+                    # EventStream.psm1, which pushes state/activity/process/git changes.
+                    if (Add-EventStreamClient -Response $response) {
+                        $responseStreamed = $true
+                    } else {
+                        $statusCode = 503
+                        $contentType = "application/json; charset=utf-8"
+                        $content = @{ success = $false; error = "Event stream unavailable" } | ConvertTo-Json -Compress
+                    }
+                    break
+                }
+
                 "/api/state/poll" {
                     $contentType = "application/json; charset=utf-8"
                     $timeout = if ($request.QueryString["timeout"]) { [int]$request.QueryString["timeout"] } else { 30000 }
@@ -740,6 +769,28 @@ $docContext
                     $pollInterval = 100
                     $state = $null
 
+                    # Delta mode: ?revision=N&epoch=E returns only the entries changed
+                    # since revision N (see Get-BotStateDelta). timeout=0 answers at once.
+                    if ($null -ne $request.QueryString["revision"]) {
+                        $sinceRevision = 0L
+                        [void][long]::TryParse($request.QueryString["revision"], [ref]$sinceRevision)
+                        $epoch = $request.QueryString["epoch"]
+                        $checkedAt = [DateTime]::MinValue
+
+                        $delta = Get-BotStateDelta -SinceRevision $sinceRevision -Epoch $epoch
+                        while (-not $delta.full -and $delta.revision -le $sinceRevision -and [DateTime]::UtcNow -lt $deadline) {
+                            Start-Sleep -Milliseconds $pollInterval
+                            if (Test-StateChanged -Since $checkedAt) {
+                                $checkedAt = [DateTime]::UtcNow
+                                $delta = Get-BotStateDelta -SinceRevision $sinceRevision -Epoch $epoch
+                            }
+                        }
+                        if (-not $delta.full -and $delta.revision -le $sinceRevision) { $delta.timeout = $true }
+                        $delta.polled_at = [DateTime]::UtcNow.ToString("o")
+                        $content = $delta | ConvertTo-Json -Depth 20 -Compress
+                        break
+                    }
+
                     while ([DateTime]::UtcNow -lt $deadline) {
                         if (Test-StateChanged -Since $lastSeen) {
                             $state = Get-BotState
@@ -1253,6 +1304,41 @@ $docContext
                     break
                 }
 
+                "/api/verification/runs" {
+                    $contentType = "application/json; charset=utf-8"
+                    if ($method -eq "GET") {
+                        $content = Get-VerificationRunList | ConvertTo-Json -Depth 10 -Compress
+                    }
+                    elseif ($method -eq "POST") {
+                        try {
+                            $reader = New-Object System.IO.StreamReader($request.InputStream)
+                            $rawBody = $reader.ReadToEnd()
+                            $reader.Close()
+                            $body = if ($rawBody.Trim()) { $rawBody | ConvertFrom-Json -AsHashtable } else { @{} }
+                            $result = Start-VerificationRun -Body $body
+                            if ($result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                            $content = $result | ConvertTo-Json -Compress
+                        } catch {
+                            $statusCode = 500
+                            $content = @{ success = $false; error = "Failed to start verification run: $($_.Exception.Message)" } | ConvertTo-Json -Compress
+                        }
+                    }
+                    else {
+                        $statusCode = 405
+                        $content = @{ success = $false; error = "Method not allowed" } | ConvertTo-Json -Compress
+                    }
+                    break
+                }
+
+                { $_ -like "/api/verification/runs/*" } {
+                    $contentType = "application/json; charset=utf-8"
+                    $runId = $url -replace "^/api/verification/runs/", ""
+                    $result = Get-VerificationRun -RunId $runId -Position ([int]($request.QueryString["position"]))
+                    if ($result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                    $content = $result | ConvertTo-Json -Depth 10 -Compress
+                    break
+                }
+
                 # --- Control & Whisper ---
 
                 "/api/control" {
@@ -1289,6 +1375,50 @@ $docContext
                     break
                 }
 
+                "/api/whisper/broadcast" {
+                    if ($method -eq "POST") {
+                        $contentType = "application/json; charset=utf-8"
+                        try {
+                            $reader = New-Object System.IO.StreamReader($request.InputStream)
+                            $body = $reader.ReadToEnd() | ConvertFrom-Json
+                            $reader.Close()
+                            $result = Send-WhisperBroadcast -Message $body.message -Priority $(if ($body.priority) { $body.priority } else { "normal" })
+                            if ($result -is [hashtable] -and $result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                            $content = $result | ConvertTo-Json -Compress
+                        } catch {
+                            $statusCode = 500
+                            $content = @{ success = $false; error = "Failed to broadcast whisper: $($_.Exception.Message)" } | ConvertTo-Json -Compress
+                        }
+                    } else {
+                        $statusCode = 405
+                        $content = @{ success = $false; error = "Method not allowed" } | ConvertTo-Json -Compress
+                    }
+                    break
+                }
+
+                "/api/whisper/templates" {
+                    $contentType = "application/json; charset=utf-8"
+                    if ($method -eq "GET") {
+                        $content = Get-WhisperTemplates | ConvertTo-Json -Depth 5 -Compress
+                    } elseif ($method -eq "POST") {
+                        try {
+                            $reader = New-Object System.IO.StreamReader($request.InputStream)
+                            $body = $reader.ReadToEnd() | ConvertFrom-Json
+                            $reader.Close()
+                            $result = Set-WhisperTemplates -Templates @($body.templates | Where-Object { $_ })
+                            if ($result -is [hashtable] -and $result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                            $content = $result | ConvertTo-Json -Depth 5 -Compress
+                        } catch {
+                            $statusCode = 500
+                            $content = @{ success = $false; error = "Failed to save whisper templates: $($_.Exception.Message)" } | ConvertTo-Json -Compress
+                        }
+                    } else {
+                        $statusCode = 405
+                        $content = @{ success = $false; error = "Method not allowed" } | ConvertTo-Json -Compress
+                    }
+                    break
+                }
+
                 "/api/activity/tail" {
                     $contentType = "application/json; charset=utf-8"
                     $position = if ($request.QueryString["position"]) { [long]$request.QueryString["position"] } else { 0L }
@@ -1330,6 +1460,126 @@ $docContext
                     break
                 }
 
+                "/api/product/save" {
+                    $contentType = "application/json; charset=utf-8"
+                    if ($method -eq "POST") {
+                        try {
+                            $reader = New-Object System.IO.StreamReader($request.InputStream)
+                            $body = $reader.ReadToEnd() | ConvertFrom-Json
+                            $reader.Close()
+
+                            if (-not $body.name -or $null -eq $body.content) {
+                                $statusCode = 400
+                                $content = @{ success = $false; error = "Missing required 'name' or 'content' field" } | ConvertTo-Json -Compress
+                            } else {
+                                $result = Save-ProductDocument -Name $body.name -Content $body.content -Version $body.version
+                                if ($result -is [hashtable] -and $result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                                $content = $result | ConvertTo-Json -Depth 5 -Compress
+                            }
+                        } catch {
+                            $statusCode = 500
+                            $content = @{ success = $false; error = "Failed to save document: $($_.Exception.Message)" } | ConvertTo-Json -Compress
+                        }
+                    } else {
+                        $statusCode = 405
+                        $content = @{ success = $false; error = "Method not allowed" } | ConvertTo-Json -Compress
+                    }
+                    break
+                }
+
+                "/api/product/create" {
+                    $contentType = "application/json; charset=utf-8"
+                    if ($method -eq "POST") {
+                        try {
+                            $reader = New-Object System.IO.StreamReader($request.InputStream)
+                            $body = $reader.ReadToEnd() | ConvertFrom-Json
+                            $reader.Close()
+
+                            $kind = if ($body.kind) { "$($body.kind)" } else { 'document' }
+                            $docType = if ($body.type) { "$($body.type)" } else { 'md' }
+                            if (-not $body.name) {
+                                $statusCode = 400
+                                $content = @{ success = $false; error = "Missing required 'name' field" } | ConvertTo-Json -Compress
+                            } elseif ($kind -notin @('document', 'folder')) {
+                                $statusCode = 400
+                                $content = @{ success = $false; error = "Invalid kind '$kind'. Use 'document' or 'folder'" } | ConvertTo-Json -Compress
+                            } elseif ($kind -eq 'document' -and $docType -notin @('md', 'json', 'txt')) {
+                                $statusCode = 400
+                                $content = @{ success = $false; error = "Invalid type '$docType'. Use md, json or txt" } | ConvertTo-Json -Compress
+                            } else {
+                                $result = if ($kind -eq 'folder') {
+                                    New-ProductFolder -Name $body.name -Folder $body.folder
+                                } else {
+                                    New-ProductDocument -Name $body.name -Folder $body.folder -Type $docType
+                                }
+                                if ($result -is [hashtable] -and $result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                                $content = $result | ConvertTo-Json -Depth 5 -Compress
+                            }
+                        } catch {
+                            $statusCode = 500
+                            $content = @{ success = $false; error = "Failed to create: $($_.Exception.Message)" } | ConvertTo-Json -Compress
+                        }
+                    } else {
+                        $statusCode = 405
+                        $content = @{ success = $false; error = "Method not allowed" } | ConvertTo-Json -Compress
+                    }
+                    break
+                }
+
+                "/api/product/rename" {
+                    $contentType = "application/json; charset=utf-8"
+                    if ($method -eq "POST") {
+                        try {
+                            $reader = New-Object System.IO.StreamReader($request.InputStream)
+                            $body = $reader.ReadToEnd() | ConvertFrom-Json
+                            $reader.Close()
+
+                            if (-not $body.path -or -not $body.name) {
+                                $statusCode = 400
+                                $content = @{ success = $false; error = "Missing required 'path' or 'name' field" } | ConvertTo-Json -Compress
+                            } else {
+                                $result = Rename-ProductItem -Path $body.path -NewName $body.name
+                                if ($result -is [hashtable] -and $result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                                $content = $result | ConvertTo-Json -Depth 5 -Compress
+                            }
+                        } catch {
+                            $statusCode = 500
+                            $content = @{ success = $false; error = "Failed to rename: $($_.Exception.Message)" } | ConvertTo-Json -Compress
+                        }
+                    } else {
+                        $statusCode = 405
+                        $content = @{ success = $false; error = "Method not allowed" } | ConvertTo-Json -Compress
+                    }
+                    break
+                }
+
+                "/api/product/upload" {
+                    $contentType = "application/json; charset=utf-8"
+                    if ($method -eq "POST") {
+                        try {
+                            $reader = New-Object System.IO.StreamReader($request.InputStream)
+                            $body = $reader.ReadToEnd() | ConvertFrom-Json
+                            $reader.Close()
+
+                            if (-not $body.files -or @($body.files).Count -eq 0) {
+                                $statusCode = 400
+                                $content = @{ success = $false; error = "Missing required 'files' field" } | ConvertTo-Json -Compress
+                            } else {
+                                $result = Save-ProductUpload -Folder $body.folder -Files @($body.files) -Overwrite:([bool]$body.overwrite)
+                                if ($result -is [hashtable] -and $result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                                $content = $result | ConvertTo-Json -Depth 5 -Compress
+                            }
+                        } catch {
+                            $statusCode = 500
+                            $content = @{ success = $false; error = "Failed to upload: $($_.Exception.Message)" } | ConvertTo-Json -Compress
+                        }
+                    } else {
+                        $statusCode = 405
+                        $content = @{ success = $false; error = "Method not allowed" } | ConvertTo-Json -Compress
+                    }
+                    break
+                }
+
                 { $_ -like "/api/product/raw/*" } {
                     $docName = $url -replace "^/api/product/raw/", ""
                     $rawResult = Get-ProductDocumentRaw -Name $docName
@@ -1348,7 +1598,7 @@ $docContext
                     break
                 }
 
-                { $_ -like "/api/product/*" -and $_ -ne "/api/product/list" -and $_ -ne "/api/product/preflight" -and $_ -notlike "/api/product/raw/*" } {
+                { $_ -like "/api/product/*" -and $_ -notin @("/api/product/list", "/api/product/preflight", "/api/product/save", "/api/product/create", "/api/product/rename", "/api/product/upload") -and $_ -notlike "/api/product/raw/*" } {
                     $contentType = "application/json; charset=utf-8"
                     $docName = $url -replace "^/api/product/", ""
                     $result = Get-ProductDocument -Name $docName
@@ -1365,6 +1615,12 @@ $docContext
                     break
                 }
 
+                "/api/tasks/timeline" {
+                    $contentType = "application/json; charset=utf-8"
+                    $content = Get-TaskTimeline -Workflow $request.QueryString["workflow"] | ConvertTo-Json -Depth 10 -Compress
+                    break
+                }
+
                 "/api/task/answer" {
                     if ($method -eq "POST") {
                         $contentType = "application/json; charset=utf-8"
@@ -1443,7 +1699,7 @@ $docContext
                                 $statusCode = 400
                                 $content = @{ success = $false; error = "Missing required 'updates' field" } | ConvertTo-Json -Compress
                             } else {
-                                $content = Update-RoadmapTask -TaskId $body.task_id -Updates $body.updates -Actor $body.actor | ConvertTo-Json -Depth 10 -Compress
+                                $content = Update-RoadmapTask -TaskId $body.task_id -Updates $body.updates -Actor $body.actor -Reason $body.reason | ConvertTo-Json -Depth 10 -Compress
                             }
                         } catch {
                             $statusCode = 500
@@ -1766,7 +2022,12 @@ $docContext
                     $procId = ($url -replace "^/api/process/", "" -replace "/output$", "")
                     $position = [int]($request.QueryString["position"])
                     $tail = [int]($request.QueryString["tail"])
-                    $content = Get-ProcessOutput -ProcessId $procId -Position $position -Tail $tail | ConvertTo-Json -Depth 10 -Compress
+                    $before = [int]($request.QueryString["before"])
+                    $limit = [int]($request.QueryString["limit"])
+                    # Pages are bounded so one request never parses a whole long log
+                    if ($limit -le 0 -or $limit -gt 1000) { $limit = 1000 }
+                    if ($tail -gt $limit) { $tail = $limit }
+                    $content = Get-ProcessOutput -ProcessId $procId -Position $position -Tail $tail -Before $before -Limit $limit | ConvertTo-Json -Depth 10 -Compress
                     break
                 }
 
@@ -1811,7 +2072,16 @@ $docContext
                     break
                 }
 
-                { $_ -like "/api/process/*" -and $_ -notlike "/api/process/*/output" -and $_ -notlike "/api/process/*/stop" -and $_ -notlike "/api/process/*/kill" -and $_ -notlike "/api/process/*/whisper" -and $_ -ne "/api/process/launch" -and $_ -ne "/api/process/stop-by-type" -and $_ -ne "/api/process/kill-by-type" -and $_ -ne "/api/process/kill-all" } {
+                { $_ -like "/api/process/*/whispers" } {
+                    $contentType = "application/json; charset=utf-8"
+                    $procId = ($url -replace "^/api/process/", "" -replace "/whispers$", "")
+                    $result = Get-ProcessWhisperLog -ProcessId $procId
+                    if ($result -is [hashtable] -and $result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                    $content = $result | ConvertTo-Json -Depth 5 -Compress
+                    break
+                }
+
+                { $_ -like "/api/process/*" -and $_ -notlike "/api/process/*/output" -and $_ -notlike "/api/process/*/stop" -and $_ -notlike "/api/process/*/kill" -and $_ -notlike "/api/process/*/whisper" -and $_ -notlike "/api/process/*/whispers" -and $_ -ne "/api/process/launch" -and $_ -ne "/api/process/stop-by-type" -and $_ -ne "/api/process/kill-by-type" -and $_ -ne "/api/process/kill-all" } {
                     $contentType = "application/json; charset=utf-8"
                     $procId = $url -replace "^/api/process/", ""
                     $result = Get-ProcessDetail -ProcessId $procId
@@ -2230,6 +2500,52 @@ $docContext
                     break
                 }
 
+                # --- Search ---
+
+                "/api/search" {
+                    $contentType = "application/json; charset=utf-8"
+                    $filters = @{}
+                    foreach ($key in @('kind', 'status', 'workflow', 'category', 'decision_type', 'impact')) {
+                        if ($request.QueryString[$key]) { $filters[$key] = $request.QueryString[$key] }
+                    }
+                    $limit = if ($request.QueryString["limit"]) { [Math]::Min([int]$request.QueryString["limit"], 200) } else { 50 }
+                    $content = Search-Workspace -Query $request.QueryString["q"] -Filters $filters -Limit $limit | ConvertTo-Json -Depth 10 -Compress
+                    break
+                }
+
+                { $_ -like "/api/search/task/*" } {
+                    $contentType = "application/json; charset=utf-8"
+                    $taskId = [System.Web.HttpUtility]::UrlDecode(($url -replace "^/api/search/task/", ""))
+                    $result = Get-SearchTaskRecord -TaskId $taskId
+                    if ($result -is [hashtable] -and $result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                    $content = $result | ConvertTo-Json -Depth 30 -Compress
+                    break
+                }
+
+                # --- Analytics ---
+
+                "/api/analytics" {
+                    $contentType = "application/json; charset=utf-8"
+                    $result = Get-AnalyticsSummary -From $request.QueryString["from"] -To $request.QueryString["to"]
+                    if ($result -is [hashtable] -and $result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                    $content = $result | ConvertTo-Json -Depth 10 -Compress
+                    break
+                }
+
+                "/api/analytics/export" {
+                    $result = Export-AnalyticsCsv -From $request.QueryString["from"] -To $request.QueryString["to"]
+                    if ($result.ContainsKey('_statusCode')) {
+                        $statusCode = $result._statusCode
+                        $result.Remove('_statusCode')
+                        $contentType = "application/json; charset=utf-8"
+                        $content = $result | ConvertTo-Json -Compress
+                    } else {
+                        $contentType = "text/csv; charset=utf-8"
+                        $content = $result.csv
+                    }
+                    break
+                }
+
                 # --- Decision API ---
 
                 "/api/decisions" {
@@ -2258,6 +2574,15 @@ $docContext
                     break
                 }
 
+                { $_ -like "/api/decisions/*/tasks" } {
+                    $contentType = "application/json; charset=utf-8"
+                    $decisionId = ($url -replace "^/api/decisions/", "" -replace "/tasks$", "").Trim('/')
+                    $result = Get-DecisionTaskLinks -DecisionId $decisionId
+                    if ($result -is [hashtable] -and $result.ContainsKey('_statusCode')) { $statusCode = $result._statusCode; $result.Remove('_statusCode') }
+                    $content = $result | ConvertTo-Json -Depth 5 -Compress
+                    break
+                }
+
                 { $_ -like "/api/decisions/*" -and $_ -notlike "/api/decisions/*/status" } {
                     $contentType = "application/json; charset=utf-8"
                     $decisionId = ($url -replace "^/api/decisions/", "").Trim('/')
@@ -2378,6 +2703,7 @@ $docContext
                             ".html" { "text/html; charset=utf-8" }
                             ".css" { "text/css; charset=utf-8" }
                             ".js" { "application/javascript; charset=utf-8" }
+                            ".mjs" { "application/javascript; charset=utf-8" }
                             ".json" { "application/json; charset=utf-8" }
                             ".svg" { "image/svg+xml" }
                             ".ico" { "image/x-icon" }
@@ -2403,6 +2729,11 @@ $docContext
         }
         } # end CSRF-safe block
 
+        if ($responseStreamed) {
+            Invoke-EventStreamTick
+            continue
+        }
+
         # Send response (wrapped to handle client disconnects gracefully)
         try {
             if ($null -eq $content) {
@@ -2433,8 +2764,17 @@ $docContext
             }
             try { $response.Close() } catch { Write-BotLog -Level Debug -Message "Cleanup: failed to close response" -Exception $_ }
         }
+
+        Invoke-EventStreamTick
     }
 } finally {
+    # Close open event streams so browsers fall back to polling promptly
+    try {
+        Close-EventStreamClients
+    } catch {
+        Write-BotLog -Level Debug -Message "Cleanup: failed to close event streams" -Exception $_
+    }
+
     # Stop file watchers
     try {
         Stop-FileWatchers
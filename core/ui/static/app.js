@@ -39,8 +39,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     initSettingsToggles();
     initTaskClicks();
     initRoadmapTaskActions();
+    initTaskDiff();
+    initRoadmapBulkActions();
+    initRoadmapGraph();
+    initRoadmapTimeline();
+    initAnalytics();
+    initCommandPalette();
     initSidebarItemClicks();
     await initProductNav();
+    initProductEditor();
+    initProductFiles();
+    initCodeCopyButtons();
+    initMermaidViewer();
     initModalClose();
     initPipelineInfiniteScroll();
 
@@ -51,6 +61,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
     initActions();
     initNotifications();
+    initDecisionGraph();
+    initDecisionExport();
     await initDecisions();
 
     // Initialize Aether (ambient feedback)
@@ -67,6 +79,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 // ========== CLEANUP ==========
 window.addEventListener('beforeunload', () => {
+    if (typeof closeEventStream === 'function') closeEventStream();
     if (pollTimer) clearInterval(pollTimer);
     if (runtimeTimer) clearInterval(runtimeTimer);
     if (activityTimer) clearInterval(activityTimer);
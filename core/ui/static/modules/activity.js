@@ -72,6 +72,16 @@ function updateCommandDisplay(event) {
     }
 }
 
+/**
+ * Outcome of an earlier tool call (exit code, result count), logged so the
+ * process output can complete that call's card; not activity of its own
+ * @param {Object} event - Raw event
+ * @returns {boolean}
+ */
+function isToolResultEvent(event) {
+    return (event.type || '').toLowerCase() === 'tool_result';
+}
+
 /**
  * Map raw event type to oscilloscope visualization
  * @param {Object} event - Raw event
@@ -0,0 +1,310 @@
+/**
+ * DOTBOT Control Panel - Analytics
+ * Tokens and cost per task, workflow, model and day (/api/analytics) with a
+ * date-range filter, CSV export and an estimate of human-hours saved from the
+ * cost settings (Settings → Costs).
+ */
+
+const ANALYTICS_TOP_ROWS = 15;     // Bars shown per breakdown; the rest are summed into "Other"
+const ANALYTICS_COST_DEFAULTS = { hourly_rate: 50, ai_cost_per_task: 0.50, ai_speedup_factor: 10, currency: 'USD' };
+
+let analyticsMetric = 'tokens';
+let analyticsData = null;
+let analyticsCosts = { ...ANALYTICS_COST_DEFAULTS };
+let analyticsRequestSeq = 0;
+
+/**
+ * Bind the range inputs, presets, metric toggle and export link
+ */
+function initAnalytics() {
+    // A hand-picked date no longer matches any preset
+    ['analytics-from', 'analytics-to'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => {
+            document.querySelectorAll('[data-analytics-range]').forEach(btn => btn.classList.remove('active'));
+            loadAnalytics();
+        });
+    });
+
+    document.querySelectorAll('[data-analytics-range]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setAnalyticsRange(btn.dataset.analyticsRange);
+            loadAnalytics();
+        });
+    });
+
+    document.querySelectorAll('[data-analytics-metric]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            analyticsMetric = btn.dataset.analyticsMetric === 'cost' ? 'cost' : 'tokens';
+            document.querySelectorAll('[data-analytics-metric]').forEach(other => {
+                other.classList.toggle('active', other.dataset.analyticsMetric === analyticsMetric);
+            });
+            renderAnalytics();
+        });
+    });
+
+    setAnalyticsRange('30');
+}
+
+/**
+ * Fill the date inputs for a preset. The server buckets runs by UTC day, so
+ * "today" is the current UTC date rather than the local one.
+ * @param {string} range - Number of days back (inclusive of today), or 'all'
+ */
+function setAnalyticsRange(range) {
+    const fromInput = document.getElementById('analytics-from');
+    const toInput = document.getElementById('analytics-to');
+    if (!fromInput || !toInput) return;
+
+    if (range === 'all') {
+        fromInput.value = '';
+        toInput.value = '';
+    } else {
+        const days = parseInt(range, 10) || 30;
+        const to = new Date();
+        const from = new Date(to.getTime() - (days - 1) * 86400000);
+        fromInput.value = formatAnalyticsDate(from);
+        toInput.value = formatAnalyticsDate(to);
+    }
+
+    document.querySelectorAll('[data-analytics-range]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.analyticsRange === range);
+    });
+}
+
+/**
+ * Fetch the summary and cost settings for the selected range and render
+ */
+async function loadAnalytics() {
+    const from = document.getElementById('analytics-from')?.value || '';
+    const to = document.getElementById('analytics-to')?.value || '';
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    const exportLink = document.getElementById('analytics-export');
+    if (exportLink) {
+        exportLink.href = `${API_BASE}/api/analytics/export?${params}`;
+        exportLink.download = `dotbot-analytics${from ? `-${from}` : ''}${to ? `-to-${to}` : ''}.csv`;
+    }
+
+    const seq = ++analyticsRequestSeq;
+    try {
+        const [summaryResponse, costsResponse] = await Promise.all([
+            fetch(`${API_BASE}/api/analytics?${params}`),
+            fetch(`${API_BASE}/api/config/costs`)
+        ]);
+        const summary = await summaryResponse.json();
+        const costs = await costsResponse.json().catch(() => ({}));
+        if (seq !== analyticsRequestSeq) return;
+        if (summary.success === false) throw new Error(summary.error || 'Failed to load analytics');
+
+        analyticsData = summary;
+        analyticsCosts = { ...ANALYTICS_COST_DEFAULTS, ...(costs && !costs.error ? costs : {}) };
+        renderAnalytics();
+    } catch (error) {
+        if (seq !== analyticsRequestSeq) return;
+        const kpis = document.getElementById('analytics-kpis');
+        if (kpis) kpis.innerHTML = `<div class="empty-state">Failed to load analytics: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Render KPIs, the sidebar summary and every breakdown chart
+ */
+function renderAnalytics() {
+    if (!analyticsData) return;
+
+    const totals = analyticsData.totals || {};
+    const savings = computeAnalyticsSavings(totals, analyticsCosts);
+    const tokens = (totals.input_tokens || 0) + (totals.output_tokens || 0);
+
+    setElementText('analytics-runs', totals.runs || 0);
+    setElementText('analytics-tasks', totals.tasks || 0);
+    setElementText('analytics-tokens', formatAnalyticsNumber(tokens));
+    setElementText('analytics-cost', formatAnalyticsMoney(totals.cost_usd || 0, 'USD'));
+    setElementText('analytics-hours-saved', `${savings.hoursSaved.toFixed(1)}h`);
+
+    const kpis = document.getElementById('analytics-kpis');
+    if (kpis) {
+        const cards = [
+            { label: 'AI spend', value: formatAnalyticsMoney(totals.cost_usd || 0, 'USD'), note: `${totals.runs || 0} runs · ${totals.tasks || 0} tasks` },
+            { label: 'Tokens', value: formatAnalyticsNumber(tokens), note: `${formatAnalyticsNumber(totals.input_tokens || 0)} in · ${formatAnalyticsNumber(totals.output_tokens || 0)} out · ${formatAnalyticsNumber(totals.cache_read_tokens || 0)} cached` },
+            { label: 'AI run time', value: `${savings.aiHours.toFixed(1)}h`, note: `≈ ${savings.humanHours.toFixed(1)}h of developer time at ${analyticsCosts.ai_speedup_factor}× speedup` },
+            { label: 'Hours saved (est.)', value: `${savings.hoursSaved.toFixed(1)}h`, note: `worth ${formatAnalyticsMoney(savings.value, analyticsCosts.currency)} at ${formatAnalyticsMoney(analyticsCosts.hourly_rate, analyticsCosts.currency)}/h` },
+            { label: 'Budgeted AI cost', value: formatAnalyticsMoney(savings.budget, analyticsCosts.currency), note: `${totals.tasks || 0} tasks × ${formatAnalyticsMoney(analyticsCosts.ai_cost_per_task, analyticsCosts.currency)}` }
+        ];
+        kpis.innerHTML = cards.map(card => `
+            <div class="analytics-kpi">
+                <div class="analytics-kpi-label">${escapeHtml(card.label)}</div>
+                <div class="analytics-kpi-value">${escapeHtml(card.value)}</div>
+                <div class="analytics-kpi-note">${escapeHtml(card.note)}</div>
+            </div>
+        `).join('');
+    }
+
+    const rangeNote = document.getElementById('analytics-range-note');
+    if (rangeNote) {
+        rangeNote.textContent = analyticsData.available_from
+            ? `Data from ${analyticsData.available_from} to ${analyticsData.available_to} (UTC days)`
+            : 'No run summaries recorded yet';
+    }
+
+    renderAnalyticsDays('analytics-by-day', analyticsData.by_day || []);
+    renderAnalyticsBars('analytics-by-task', analyticsData.by_task || []);
+    renderAnalyticsBars('analytics-by-workflow', analyticsData.by_workflow || []);
+    renderAnalyticsBars('analytics-by-model', analyticsData.by_model || []);
+}
+
+/**
+ * Estimate developer time saved: AI run time scaled by the speedup factor is
+ * the time a developer would have needed; the difference is the saving
+ * @param {Object} totals - Totals from /api/analytics
+ * @param {Object} costs - Cost settings
+ * @returns {{aiHours: number, humanHours: number, hoursSaved: number, value: number, budget: number}}
+ */
+function computeAnalyticsSavings(totals, costs) {
+    const aiHours = (totals.duration_s || 0) / 3600;
+    const speedup = Math.max(1, Number(costs.ai_speedup_factor) || 1);
+    const humanHours = aiHours * speedup;
+    const hoursSaved = humanHours - aiHours;
+    return {
+        aiHours,
+        humanHours,
+        hoursSaved,
+        value: hoursSaved * (Number(costs.hourly_rate) || 0),
+        budget: (totals.tasks || 0) * (Number(costs.ai_cost_per_task) || 0)
+    };
+}
+
+/**
+ * @param {Object} group - Breakdown row
+ * @returns {number} Value for the active metric
+ */
+function getAnalyticsMetricValue(group) {
+    return analyticsMetric === 'cost'
+        ? (group.cost_usd || 0)
+        : (group.input_tokens || 0) + (group.output_tokens || 0);
+}
+
+/**
+ * @param {number} value - Metric value
+ * @returns {string} Formatted for the active metric
+ */
+function formatAnalyticsMetric(value) {
+    return analyticsMetric === 'cost' ? formatAnalyticsMoney(value, 'USD') : formatAnalyticsNumber(value);
+}
+
+/**
+ * Horizontal bar chart of one breakdown, largest first
+ * @param {string} containerId - Target element
+ * @param {Array} groups - Rows from /api/analytics
+ */
+function renderAnalyticsBars(containerId, groups) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const rows = [...groups].sort((a, b) => getAnalyticsMetricValue(b) - getAnalyticsMetricValue(a));
+    if (rows.length === 0) {
+        container.innerHTML = '<div class="empty-state">No data in this range</div>';
+        return;
+    }
+
+    const shown = rows.slice(0, ANALYTICS_TOP_ROWS);
+    const rest = rows.slice(ANALYTICS_TOP_ROWS);
+    if (rest.length > 0) {
+        shown.push(rest.reduce((other, group) => ({
+            ...other,
+            runs: other.runs + group.runs,
+            input_tokens: other.input_tokens + group.input_tokens,
+            output_tokens: other.output_tokens + group.output_tokens,
+            cost_usd: other.cost_usd + group.cost_usd
+        }), { label: `Other (${rest.length})`, runs: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 }));
+    }
+
+    const max = Math.max(...shown.map(getAnalyticsMetricValue), 0) || 1;
+    container.innerHTML = shown.map(group => {
+        const value = getAnalyticsMetricValue(group);
+        const title = `${group.label}: ${formatAnalyticsNumber(group.input_tokens || 0)} in / ${formatAnalyticsNumber(group.output_tokens || 0)} out, ${formatAnalyticsMoney(group.cost_usd || 0, 'USD')}, ${group.runs} runs`;
+        return `
+            <div class="analytics-bar-row" title="${escapeHtml(title)}">
+                <span class="analytics-bar-label">${escapeHtml(group.label || group.key || '—')}</span>
+                <span class="analytics-bar-track"><span class="analytics-bar-fill" style="width: ${(value / max * 100).toFixed(1)}%"></span></span>
+                <span class="analytics-bar-value">${escapeHtml(formatAnalyticsMetric(value))}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Column chart per day; days without runs inside the span are drawn empty
+ * @param {string} containerId - Target element
+ * @param {Array} days - by_day rows (key = yyyy-MM-dd), ascending
+ */
+function renderAnalyticsDays(containerId, days) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (days.length === 0) {
+        container.innerHTML = '<div class="empty-state">No data in this range</div>';
+        return;
+    }
+
+    const byKey = new Map(days.map(day => [day.key, day]));
+    const series = [];
+    const last = new Date(`${days[days.length - 1].key}T00:00:00Z`);
+    for (let date = new Date(`${days[0].key}T00:00:00Z`); date <= last; date = new Date(date.getTime() + 86400000)) {
+        const key = date.toISOString().slice(0, 10);
+        series.push(byKey.get(key) || { key, label: key, runs: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+    }
+
+    const max = Math.max(...series.map(getAnalyticsMetricValue), 0) || 1;
+    container.innerHTML = `<div class="analytics-columns">${series.map(day => {
+        const value = getAnalyticsMetricValue(day);
+        const title = `${day.key}: ${formatAnalyticsMetric(value)} (${day.runs} runs)`;
+        return `
+            <div class="analytics-column" title="${escapeHtml(title)}">
+                <span class="analytics-column-fill" style="height: ${(value / max * 100).toFixed(1)}%"></span>
+                <span class="analytics-column-label">${escapeHtml(day.key.slice(5))}</span>
+            </div>
+        `;
+    }).join('')}</div>`;
+}
+
+/**
+ * @param {Date} date - Instant
+ * @returns {string} yyyy-MM-dd of its UTC day
+ */
+function formatAnalyticsDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {number} value - Count
+ * @returns {string} Compact count (12.3k, 4.5M)
+ */
+function formatAnalyticsNumber(value) {
+    const n = Number(value) || 0;
+    if (Math.abs(n) >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+    if (Math.abs(n) >= 1e4) return `${(n / 1e3).toFixed(1)}k`;
+    return `${Math.round(n)}`;
+}
+
+/**
+ * @param {number} value - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} Formatted amount; unknown codes fall back to a plain prefix
+ */
+function formatAnalyticsMoney(value, currency) {
+    const amount = Number(value) || 0;
+    const digits = Math.abs(amount) < 10 ? 2 : 0;
+    try {
+        return new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency: currency || 'USD',
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        }).format(amount);
+    } catch (error) {
+        return `${currency} ${amount.toFixed(digits)}`;
+    }
+}
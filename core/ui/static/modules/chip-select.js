@@ -0,0 +1,158 @@
+/**
+ * DOTBOT Control Panel - Chip Multi-Select
+ * Searchable multi-select drawn as removable chips in front of a text input,
+ * with a suggestion menu filtered as you type. Arrow keys move through the
+ * menu, Enter picks, Backspace on an empty input removes the last chip. With
+ * allowCustom, typed values (Enter, comma or paste) are accepted as-is.
+ */
+
+/**
+ * Turn an empty container into a chip multi-select
+ * @param {HTMLElement} root - Container element
+ * @param {Object} options - Options
+ * @param {Function} options.getOptions - Returns suggestions as [{value, label, detail}]
+ * @param {boolean} [options.allowCustom] - Accept values that are not suggestions
+ * @param {string} [options.placeholder] - Input placeholder
+ * @returns {{getValues: Function, setValues: Function}} Accessors for the selected values
+ */
+function createChipSelect(root, { getOptions, allowCustom = false, placeholder = '' }) {
+    let values = [];
+    let matches = [];
+    let activeIndex = -1;
+
+    root.classList.add('chip-select');
+    root.innerHTML = `
+        <div class="chip-select-control">
+            <span class="chip-select-chips"></span>
+            <input type="text" class="chip-select-input" autocomplete="off" spellcheck="false" placeholder="${escapeAttr(placeholder)}">
+        </div>
+        <div class="chip-select-menu" style="display: none;"></div>
+    `;
+    const chipsEl = root.querySelector('.chip-select-chips');
+    const input = root.querySelector('.chip-select-input');
+    const menu = root.querySelector('.chip-select-menu');
+
+    const optionFor = (value) => getOptions().find(option => option.value === value);
+
+    function renderChips() {
+        chipsEl.innerHTML = values.map(value => {
+            const option = optionFor(value);
+            const title = option?.label && option.label !== value ? option.label : '';
+            return `<span class="chip-select-chip" data-value="${escapeAttr(value)}" title="${escapeAttr(title)}">${escapeHtml(value)}<button type="button" class="chip-select-remove" aria-label="Remove ${escapeAttr(value)}">✕</button></span>`;
+        }).join('');
+    }
+
+    function renderMenu() {
+        const query = input.value.trim().toLowerCase();
+        matches = getOptions()
+            .filter(option => !values.includes(option.value))
+            .filter(option => !query || [option.value, option.label, option.detail]
+                .some(text => (text || '').toLowerCase().includes(query)));
+
+        if (allowCustom && query && !values.some(v => v.toLowerCase() === query)
+            && !matches.some(option => option.value.toLowerCase() === query)) {
+            matches.unshift({ value: input.value.trim(), label: `Add "${input.value.trim()}"`, custom: true });
+        }
+        activeIndex = matches.length > 0 ? 0 : -1;
+
+        if (matches.length === 0) {
+            menu.innerHTML = `<div class="chip-select-empty">${query ? 'No matches' : 'Nothing more to add'}</div>`;
+        } else {
+            menu.innerHTML = matches.map((option, i) => `
+                <div class="chip-select-option${i === activeIndex ? ' active' : ''}${option.custom ? ' custom' : ''}" data-index="${i}">
+                    <span class="chip-select-option-value">${escapeHtml(option.custom ? option.label : option.value)}</span>
+                    ${!option.custom && option.label && option.label !== option.value ? `<span class="chip-select-option-label">${escapeHtml(option.label)}</span>` : ''}
+                    ${option.detail ? `<span class="chip-select-option-detail">${escapeHtml(option.detail)}</span>` : ''}
+                </div>
+            `).join('');
+        }
+        menu.style.display = '';
+    }
+
+    function setActive(index) {
+        if (matches.length === 0) return;
+        activeIndex = (index + matches.length) % matches.length;
+        menu.querySelectorAll('.chip-select-option').forEach((el, i) => el.classList.toggle('active', i === activeIndex));
+        menu.querySelector('.chip-select-option.active')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    function add(value) {
+        const trimmed = `${value || ''}`.trim();
+        if (!trimmed || values.includes(trimmed)) return;
+        if (!allowCustom && !optionFor(trimmed)) return;
+        values.push(trimmed);
+        renderChips();
+    }
+
+    // Typed text that was never confirmed still counts when the form is saved
+    function commitPending() {
+        if (!allowCustom) return;
+        input.value.split(',').forEach(add);
+        input.value = '';
+    }
+
+    input.addEventListener('focus', renderMenu);
+    input.addEventListener('blur', () => { menu.style.display = 'none'; });
+
+    input.addEventListener('input', () => {
+        if (allowCustom && input.value.includes(',')) {
+            const parts = input.value.split(',');
+            input.value = parts.pop();
+            parts.forEach(add);
+        }
+        renderMenu();
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActive(activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (activeIndex >= 0) add(matches[activeIndex].value);
+            else if (allowCustom) add(input.value);
+            input.value = '';
+            renderMenu();
+        } else if (e.key === 'Backspace' && input.value === '' && values.length > 0) {
+            values.pop();
+            renderChips();
+            renderMenu();
+        } else if (e.key === 'Escape' && menu.style.display !== 'none') {
+            e.stopPropagation();
+            menu.style.display = 'none';
+        }
+    });
+
+    // mousedown keeps focus in the input, so the blur handler doesn't close the menu first
+    menu.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        const optionEl = e.target.closest('.chip-select-option');
+        if (!optionEl) return;
+        add(matches[Number(optionEl.dataset.index)]?.value);
+        input.value = '';
+        renderMenu();
+    });
+
+    root.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.chip-select-remove');
+        if (removeBtn) {
+            values = values.filter(v => v !== removeBtn.closest('.chip-select-chip').dataset.value);
+            renderChips();
+            if (document.activeElement === input) renderMenu();
+            return;
+        }
+        if (!e.target.closest('.chip-select-menu')) input.focus();
+    });
+
+    return {
+        getValues() {
+            commitPending();
+            return [...values];
+        },
+        setValues(next) {
+            values = [...new Set((next || []).filter(Boolean).map(v => `${v}`.trim()).filter(Boolean))];
+            input.value = '';
+            renderChips();
+        }
+    };
+}
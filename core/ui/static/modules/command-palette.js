@@ -0,0 +1,257 @@
+/**
+ * DOTBOT Control Panel - Command Palette
+ * Ctrl+K search across tasks, decisions and product docs (/api/search) with
+ * facet filters. Choosing a result opens the task modal, expands the decision
+ * or loads the product document.
+ */
+
+const PALETTE_SEARCH_DELAY = 200;   // Debounce between keystrokes and /api/search
+const PALETTE_FACETS = [
+    { key: 'kind', label: 'Everything' },
+    { key: 'status', label: 'Any status' },
+    { key: 'workflow', label: 'Any workflow' },
+    { key: 'category', label: 'Any category' },
+    { key: 'decision_type', label: 'Any decision type' },
+    { key: 'impact', label: 'Any impact' }
+];
+const PALETTE_KIND_LABELS = { task: 'Task', decision: 'Decision', doc: 'Doc' };
+
+let paletteResults = [];
+let paletteActiveIndex = 0;
+let paletteSearchTimer = null;
+let paletteRequestSeq = 0;
+const paletteFilters = {};
+
+/**
+ * Bind the Ctrl+K / Cmd+K shortcut, the header button and palette controls
+ */
+function initCommandPalette() {
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (isCommandPaletteOpen()) closeCommandPalette();
+            else openCommandPalette();
+        }
+    });
+
+    document.getElementById('command-palette-btn')?.addEventListener('click', openCommandPalette);
+
+    const overlay = document.getElementById('command-palette');
+    overlay?.addEventListener('click', (e) => {
+        if (e.target === overlay) closeCommandPalette();
+    });
+
+    const input = document.getElementById('command-palette-input');
+    input?.addEventListener('input', scheduleCommandPaletteSearch);
+    input?.addEventListener('keydown', handleCommandPaletteKey);
+
+    document.getElementById('command-palette-facets')?.addEventListener('change', (e) => {
+        const select = e.target.closest('select[data-facet]');
+        if (!select) return;
+        paletteFilters[select.dataset.facet] = select.value;
+        runCommandPaletteSearch();
+    });
+
+    document.getElementById('command-palette-results')?.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-result-index]');
+        if (item) selectCommandPaletteResult(parseInt(item.dataset.resultIndex, 10));
+    });
+}
+
+/**
+ * @returns {boolean} Whether the palette is showing
+ */
+function isCommandPaletteOpen() {
+    return document.getElementById('command-palette')?.classList.contains('visible') || false;
+}
+
+function openCommandPalette() {
+    const overlay = document.getElementById('command-palette');
+    const input = document.getElementById('command-palette-input');
+    if (!overlay || !input) return;
+
+    overlay.classList.add('visible');
+    input.select();
+    input.focus();
+    runCommandPaletteSearch();
+}
+
+function closeCommandPalette() {
+    document.getElementById('command-palette')?.classList.remove('visible');
+    if (paletteSearchTimer) {
+        clearTimeout(paletteSearchTimer);
+        paletteSearchTimer = null;
+    }
+}
+
+function scheduleCommandPaletteSearch() {
+    if (paletteSearchTimer) clearTimeout(paletteSearchTimer);
+    paletteSearchTimer = setTimeout(() => {
+        paletteSearchTimer = null;
+        runCommandPaletteSearch();
+    }, PALETTE_SEARCH_DELAY);
+}
+
+/**
+ * Query /api/search with the current text and facet filters. Replies to
+ * superseded requests are dropped.
+ */
+async function runCommandPaletteSearch() {
+    const query = document.getElementById('command-palette-input')?.value || '';
+    const params = new URLSearchParams({ q: query });
+    Object.keys(paletteFilters).forEach(key => {
+        if (paletteFilters[key]) params.set(key, paletteFilters[key]);
+    });
+
+    const seq = ++paletteRequestSeq;
+    try {
+        const response = await fetch(`${API_BASE}/api/search?${params}`);
+        const data = await response.json();
+        if (seq !== paletteRequestSeq) return;
+        if (data.success === false) throw new Error(data.error || 'Search failed');
+
+        paletteResults = Array.isArray(data.results) ? data.results : [];
+        paletteActiveIndex = 0;
+        renderCommandPaletteFacets(data.facets || {});
+        renderCommandPaletteResults(query, data.total || 0);
+    } catch (error) {
+        if (seq !== paletteRequestSeq) return;
+        paletteResults = [];
+        const results = document.getElementById('command-palette-results');
+        if (results) results.innerHTML = `<div class="empty-state">Search failed: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Rebuild the facet dropdowns from the counts in the search reply, keeping
+ * the selected value even when it has no matches left
+ * @param {Object} facets - facet key → { value: count }
+ */
+function renderCommandPaletteFacets(facets) {
+    const container = document.getElementById('command-palette-facets');
+    if (!container) return;
+
+    container.innerHTML = PALETTE_FACETS.map(facet => {
+        const counts = { ...(facets[facet.key] || {}) };
+        const selected = paletteFilters[facet.key] || '';
+        if (selected && !(selected in counts)) counts[selected] = 0;
+
+        const values = Object.keys(counts).sort();
+        if (values.length === 0) return '';
+
+        const options = values.map(value => {
+            const label = facet.key === 'kind' ? (PALETTE_KIND_LABELS[value] || value) : value;
+            return `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)} (${counts[value]})</option>`;
+        }).join('');
+        return `<select class="command-palette-facet${selected ? ' active' : ''}" data-facet="${facet.key}">
+            <option value="">${facet.label}</option>${options}
+        </select>`;
+    }).join('');
+}
+
+/**
+ * @param {string} query - Query the results are for
+ * @param {number} total - Total matches (results may be capped)
+ */
+function renderCommandPaletteResults(query, total) {
+    const container = document.getElementById('command-palette-results');
+    if (!container) return;
+
+    if (paletteResults.length === 0) {
+        const hasFilter = Object.values(paletteFilters).some(Boolean);
+        container.innerHTML = `<div class="empty-state">${query.trim() || hasFilter
+            ? 'No matches'
+            : 'Search task names, descriptions, acceptance criteria and analysis, decisions and product docs'}</div>`;
+        return;
+    }
+
+    const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const rows = paletteResults.map((result, index) => {
+        const meta = [result.status, result.workflow, result.category, result.decision_type, result.impact]
+            .filter(Boolean)
+            .map(value => `<span class="command-palette-tag">${escapeHtml(value)}</span>`)
+            .join('');
+        const field = result.field && result.field !== 'title' && result.field !== 'content'
+            ? `<span class="command-palette-field">${escapeHtml(result.field.replace(/_/g, ' '))}</span>`
+            : '';
+        return `
+            <div class="command-palette-item${index === paletteActiveIndex ? ' active' : ''}" data-result-index="${index}">
+                <div class="command-palette-item-header">
+                    <span class="command-palette-kind kind-${escapeHtml(result.kind)}">${PALETTE_KIND_LABELS[result.kind] || escapeHtml(result.kind)}</span>
+                    <span class="command-palette-title">${highlightCommandPaletteTerms(result.title || result.id, terms)}</span>
+                    ${meta}
+                </div>
+                ${result.snippet ? `<div class="command-palette-snippet">${field}${highlightCommandPaletteTerms(result.snippet, terms)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    const more = total > paletteResults.length
+        ? `<div class="command-palette-more">Showing ${paletteResults.length} of ${total} — refine the query or add a filter</div>`
+        : '';
+    container.innerHTML = rows + more;
+}
+
+/**
+ * Escape text and wrap query terms in <mark>
+ * @param {string} text - Plain text
+ * @param {Array<string>} terms - Lower-case terms
+ * @returns {string} HTML
+ */
+function highlightCommandPaletteTerms(text, terms) {
+    const source = `${text || ''}`;
+    if (terms.length === 0) return escapeHtml(source);
+    const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    // Split on the terms first so escaping never lands inside a highlight
+    return source.split(pattern)
+        .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+}
+
+/**
+ * Arrow keys move the highlight, Enter opens it, Escape closes
+ * @param {KeyboardEvent} e - Key event from the search input
+ */
+function handleCommandPaletteKey(e) {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        closeCommandPalette();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (paletteResults.length === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        paletteActiveIndex = (paletteActiveIndex + step + paletteResults.length) % paletteResults.length;
+        document.querySelectorAll('#command-palette-results .command-palette-item').forEach((item, index) => {
+            item.classList.toggle('active', index === paletteActiveIndex);
+            if (index === paletteActiveIndex) item.scrollIntoView({ block: 'nearest' });
+        });
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        selectCommandPaletteResult(paletteActiveIndex);
+    }
+}
+
+/**
+ * Jump to a result
+ * @param {number} index - Index into paletteResults
+ */
+async function selectCommandPaletteResult(index) {
+    const result = paletteResults[index];
+    if (!result) return;
+    closeCommandPalette();
+
+    if (result.kind === 'task') {
+        await openTaskById(result.id);
+    } else if (result.kind === 'decision') {
+        switchToTab('decisions');
+        await reloadDecisions();
+        focusDecision(result.id);
+    } else if (result.kind === 'doc') {
+        if (typeof confirmDiscardProductEdits === 'function' && !confirmDiscardProductEdits()) return;
+        switchToTab('product');
+        document.querySelectorAll('#product-file-nav .file-nav-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.doc === result.id);
+        });
+        loadProductDoc(result.id, result.doc_type || 'md');
+    }
+}
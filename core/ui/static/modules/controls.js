@@ -1320,7 +1320,7 @@ function renderVerificationScripts(scripts) {
     container.innerHTML = scripts.map(script => {
         const isCore = script.core === true;
         return `
-            <div class="verify-script-row${isCore ? ' verify-core' : ''}">
+            <div class="verify-script-row${isCore ? ' verify-core' : ''}" data-script-row="${escapeAttr(script.name)}">
                 <div class="verify-script-info">
                     <div class="verify-script-header">
                         <span class="verify-script-name">${script.name}</span>
@@ -1329,6 +1329,8 @@ function renderVerificationScripts(scripts) {
                     <span class="verify-script-desc">${script.description || ''}</span>
                 </div>
                 <div class="verify-script-controls">
+                    <span class="verify-result" data-result-for="${escapeAttr(script.name)}"></span>
+                    <button class="ctrl-btn-sm verify-run-btn" data-run-script="${escapeAttr(script.name)}" title="Run this script now">▶ Run</button>
                     <span class="verify-timeout">${script.timeout_seconds}s</span>
                     <label class="toggle-switch${isCore ? ' toggle-disabled' : ''}">
                         <input type="checkbox" ${script.required ? 'checked' : ''} ${isCore ? 'disabled' : ''}
@@ -1346,6 +1348,8 @@ function renderVerificationScripts(scripts) {
             await saveVerificationSetting(e.target.dataset.scriptName, e.target.checked);
         });
     });
+
+    if (typeof updateVerificationScriptResults === 'function') updateVerificationScriptResults();
 }
 
 /**
@@ -1375,6 +1379,7 @@ async function saveVerificationSetting(name, required) {
  */
 function initVerificationSettings() {
     loadVerificationScripts();
+    if (typeof initVerificationRuns === 'function') initVerificationRuns();
 }
 
 // ========== COST SETTINGS ==========
@@ -1722,6 +1727,8 @@ function initSteeringPanel() {
 
     // Initialize whisper modal toggle
     initWhisperModal();
+
+    if (typeof initWhisperTools === 'function') initWhisperTools();
 }
 
 /**
@@ -1777,6 +1784,7 @@ function selectInstance(type) {
     if (lastState?.instances) {
         updateSteeringStatus(lastState.instances);
     }
+    if (typeof refreshWhisperLog === 'function') refreshWhisperLog(true);
 }
 
 /**
@@ -1815,6 +1823,7 @@ async function sendWhisper() {
         if (result.success) {
             input.value = '';
             showSignalFeedback(`Whisper → ${selectedInstance}`);
+            if (typeof refreshWhisperLog === 'function') refreshWhisperLog(true);
         } else {
             throw new Error(result.error);
         }
@@ -0,0 +1,381 @@
+/**
+ * DOTBOT Control Panel - Decision Record Export
+ * Downloads every decision as a zip of MADR markdown files, an index.md
+ * grouped by status, type and impact, and decisions.html: the same records
+ * rendered with markdownToHtml() into one self-contained page that carries the
+ * active theme, for attaching to a release or wiki.
+ */
+
+const DECISION_EXPORT_DIR = 'decision-records';
+const DECISION_EXPORT_GROUPS = [
+    { field: 'status', label: 'Status', order: ['accepted', 'proposed', 'deprecated', 'superseded'] },
+    { field: 'type', label: 'Type', order: ['architecture', 'business', 'technical', 'process'] },
+    { field: 'impact', label: 'Impact', order: ['high', 'medium', 'low'] }
+];
+
+// Stylesheet rules the rendered records need; the rest of the dashboard CSS is left out
+const DECISION_EXPORT_RULE_PATTERN = /:root|\.markdown-content|\.admonition|\.code-block|\.tok-|\.footnote|\.task-list|\.table-wrapper|\.heading-anchor/;
+
+let decisionExportRunning = false;
+
+/**
+ * Bind the export button in the Decisions sidebar
+ */
+function initDecisionExport() {
+    document.getElementById('decision-export-btn')?.addEventListener('click', exportDecisionRecords);
+}
+
+/**
+ * Fetch every decision in full and download the export zip
+ */
+async function exportDecisionRecords() {
+    if (decisionExportRunning) return;
+    decisionExportRunning = true;
+    const btn = document.getElementById('decision-export-btn');
+    if (btn) btn.disabled = true;
+
+    try {
+        const listRes = await fetch(`${API_BASE}/api/decisions`);
+        const list = await listRes.json();
+        const summaries = list.decisions || [];
+        if (summaries.length === 0) {
+            showToast('No decisions to export', 'warning');
+            return;
+        }
+
+        // The list endpoint leaves out the record text, so load each decision
+        const decisions = [];
+        for (const summary of summaries) {
+            const res = await fetch(`${API_BASE}/api/decisions/${summary.id}`);
+            const data = await res.json();
+            decisions.push(data.success ? { ...summary, ...data } : summary);
+        }
+
+        const exportedOn = new Date().toISOString().slice(0, 10);
+        const files = buildDecisionExportFiles(decisions, exportedOn, collectDecisionExportCss());
+        const blob = createDecisionExportZip(files);
+
+        downloadBlob(blob, `${DECISION_EXPORT_DIR}-${exportedOn}.zip`);
+
+        showToast(`Exported ${decisions.length} decision${decisions.length === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+        console.error('[Decisions] Export failed:', error);
+        showToast(`Export failed: ${error.message}`, 'error');
+    } finally {
+        decisionExportRunning = false;
+        if (btn) btn.disabled = false;
+    }
+}
+
+/**
+ * Build the files that go into the export
+ * @param {Array} decisions - Full decision records
+ * @param {string} exportedOn - Export date (YYYY-MM-DD)
+ * @param {string} css - Stylesheet for the HTML bundle
+ * @returns {Array<{name: string, content: string}>} Paths inside the zip with their text
+ */
+function buildDecisionExportFiles(decisions, exportedOn, css) {
+    const sorted = [...decisions].sort((a, b) => `${a.date || ''}${a.id}`.localeCompare(`${b.date || ''}${b.id}`));
+    const fileNames = new Map(sorted.map(dec => [dec.id, getDecisionExportFileName(dec)]));
+
+    const fileLink = id => fileNames.has(id) ? fileNames.get(id) : null;
+    const anchorLink = id => fileNames.has(id) ? `#${id}` : null;
+
+    const files = sorted.map(dec => ({
+        name: `${DECISION_EXPORT_DIR}/${fileNames.get(dec.id)}`,
+        content: buildDecisionMadr(dec, fileLink)
+    }));
+    files.unshift({ name: `${DECISION_EXPORT_DIR}/index.md`, content: buildDecisionExportIndex(sorted, exportedOn, fileLink) });
+    files.push({ name: `${DECISION_EXPORT_DIR}/decisions.html`, content: buildDecisionExportHtml(sorted, exportedOn, css, anchorLink) });
+    return files;
+}
+
+/**
+ * Markdown file name for a decision, matching its JSON file when known
+ * @param {Object} dec - Decision
+ * @returns {string} File name
+ */
+function getDecisionExportFileName(dec) {
+    const base = `${dec.file_name || ''}`.replace(/\.json$/i, '');
+    return `${/^dec-[a-f0-9]{8}/.test(base) ? base : dec.id}.md`;
+}
+
+/**
+ * Render one decision in the MADR layout: front matter (status, date,
+ * decision-makers), context, considered options, outcome, consequences, the
+ * rejected options and the dotbot fields under More Information. Lists use
+ * "- " bullets, the only kind markdownToHtml() parses for decisions.html.
+ * @param {Object} dec - Full decision record
+ * @param {Function} linkFor - Maps a decision ID to a link target, or null if it does not exist
+ * @returns {string} Markdown
+ */
+function buildDecisionMadr(dec, linkFor) {
+    const ref = id => {
+        const target = linkFor(id);
+        return target ? `[${id}](${target})` : `${id} (missing)`;
+    };
+    const alternatives = (dec.alternatives_considered || []).filter(alt => alt && alt.option);
+    const stakeholders = (dec.stakeholders || []).filter(Boolean);
+    const status = dec.status === 'superseded' && dec.superseded_by ? `superseded by ${dec.superseded_by}` : dec.status;
+
+    const lines = ['---', `status: ${formatDecisionFrontmatterValue(status || 'proposed')}`];
+    if (dec.date) lines.push(`date: ${formatDecisionFrontmatterValue(dec.date)}`);
+    if (stakeholders.length > 0) lines.push(`decision-makers: [${stakeholders.map(formatDecisionFrontmatterValue).join(', ')}]`);
+    lines.push('---', '', `# ${dec.title || dec.id}`, '');
+
+    lines.push('## Context and Problem Statement', '', dec.context || '_No context recorded._', '');
+
+    if (alternatives.length > 0) {
+        lines.push('## Considered Options', '', `- ${dec.title || 'Chosen option'}`);
+        alternatives.forEach(alt => lines.push(`- ${alt.option}`));
+        lines.push('');
+    }
+
+    lines.push('## Decision Outcome', '', dec.decision || '_No outcome recorded._', '');
+    if (dec.consequences) lines.push('### Consequences', '', dec.consequences, '');
+
+    if (alternatives.length > 0) {
+        lines.push('## Pros and Cons of the Options', '');
+        alternatives.forEach(alt => {
+            lines.push(`### ${alt.option}`, '');
+            lines.push(alt.reason_rejected ? `- Bad, because ${alt.reason_rejected}` : '- Not chosen', '');
+        });
+    }
+
+    const info = [`- ID: \`${dec.id}\``];
+    if (dec.type) info.push(`- Type: ${dec.type}`);
+    if (dec.impact) info.push(`- Impact: ${dec.impact}`);
+    const tags = (dec.tags || []).filter(Boolean);
+    if (tags.length > 0) info.push(`- Tags: ${tags.join(', ')}`);
+    if (dec.supersedes) info.push(`- Supersedes: ${ref(dec.supersedes)}`);
+    if (dec.superseded_by) info.push(`- Superseded by: ${ref(dec.superseded_by)}`);
+    if (dec.supersession_reason) info.push(`- Supersession reason: ${dec.supersession_reason}`);
+    if (dec.deprecation_reason) info.push(`- Deprecation reason: ${dec.deprecation_reason}`);
+    const related = (dec.related_decision_ids || []).filter(Boolean);
+    if (related.length > 0) info.push(`- Related decisions: ${related.map(ref).join(', ')}`);
+    const tasks = (dec.related_task_ids || []).filter(Boolean);
+    if (tasks.length > 0) {
+        const taskLabel = id => {
+            const task = typeof findTaskById === 'function' ? findTaskById(id) : null;
+            return task?.name ? `${task.name} (\`${id}\`)` : `\`${id}\``;
+        };
+        info.push(`- Related tasks: ${tasks.map(taskLabel).join(', ')}`);
+    }
+    lines.push('## More Information', '', ...info, '');
+
+    return lines.join('\n');
+}
+
+/**
+ * Quote a front matter value when YAML would otherwise misread it
+ * @param {string} value - Value
+ * @returns {string} Plain or double-quoted value
+ */
+function formatDecisionFrontmatterValue(value) {
+    const text = `${value}`;
+    return /^[\w][\w .\/-]*$/.test(text) ? text : JSON.stringify(text);
+}
+
+/**
+ * Index page: one table per status, type and impact value
+ * @param {Array} decisions - Decisions, in export order
+ * @param {string} exportedOn - Export date
+ * @param {Function} linkFor - Maps a decision ID to a link target
+ * @returns {string} Markdown
+ */
+function buildDecisionExportIndex(decisions, exportedOn, linkFor) {
+    const lines = [
+        '# Decision Records',
+        '',
+        `${decisions.length} decision${decisions.length === 1 ? '' : 's'} exported from dotbot on ${exportedOn}. Each record follows the [MADR](https://adr.github.io/madr/) template.`,
+        ''
+    ];
+
+    DECISION_EXPORT_GROUPS.forEach(({ field, label, order }) => {
+        lines.push(`## By ${label}`, '');
+        const values = [...new Set(decisions.map(dec => dec[field] || 'unspecified'))]
+            .sort((a, b) => {
+                const rank = v => (order.indexOf(v) === -1 ? order.length : order.indexOf(v));
+                return rank(a) - rank(b) || a.localeCompare(b);
+            });
+        values.forEach(value => {
+            const group = decisions.filter(dec => (dec[field] || 'unspecified') === value);
+            lines.push(`### ${value.charAt(0).toUpperCase()}${value.slice(1)} (${group.length})`, '');
+            lines.push('| Decision | Title | Status | Type | Impact | Date |', '| --- | --- | --- | --- | --- | --- |');
+            group.forEach(dec => {
+                const cell = text => `${text || ''}`.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+                lines.push(`| [${dec.id}](${linkFor(dec.id)}) | ${cell(dec.title)} | ${cell(dec.status)} | ${cell(dec.type)} | ${cell(dec.impact)} | ${cell(dec.date)} |`);
+            });
+            lines.push('');
+        });
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Single-file HTML bundle: the index followed by every record, rendered with
+ * markdownToHtml(). Links between records become in-page anchors, and heading
+ * ids are prefixed per record so they stay unique on the one page.
+ * @param {Array} decisions - Decisions, in export order
+ * @param {string} exportedOn - Export date
+ * @param {string} css - Stylesheet
+ * @param {Function} linkFor - Maps a decision ID to an in-page anchor
+ * @returns {string} HTML document
+ */
+function buildDecisionExportHtml(decisions, exportedOn, css, linkFor) {
+    const prefixIds = (html, id) => html
+        .replace(/ id="md-/g, ` id="md-${id}-`)
+        .replace(/ href="#md-/g, ` href="#md-${id}-`);
+    // Records are documents, not previews: show their metadata open
+    const expandFrontmatter = html => html.replace(/<div class="frontmatter">/g, '<div class="frontmatter expanded">');
+
+    const index = markdownToHtml(buildDecisionExportIndex(decisions, exportedOn, linkFor));
+    const records = decisions.map(dec => `
+<article class="markdown-content decision-record" id="${escapeAttr(dec.id)}">
+${expandFrontmatter(prefixIds(markdownToHtml(buildDecisionMadr(dec, linkFor)), dec.id))}
+<p class="decision-record-top"><a href="#decision-index" class="md-internal">↑ Index</a></p>
+</article>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Decision Records (${escapeHtml(exportedOn)})</title>
+<style>
+${css}
+body { margin: 0; background: var(--bg-deep, #050508); color: var(--color-primary); font-family: var(--font-mono, monospace); font-size: 13px; line-height: 1.5; }
+main { max-width: 960px; margin: 0 auto; padding: 24px 16px; }
+.markdown-content { overflow: visible; margin-bottom: 24px; border: 1px solid var(--color-bezel); border-radius: 4px; }
+.decision-record-top { text-align: right; font-size: 11px; }
+.code-copy-btn, .mermaid-loading, .mermaid-rendered { display: none !important; }
+.mermaid-fallback { display: block !important; }
+</style>
+</head>
+<body>
+<main>
+<section class="markdown-content" id="decision-index">
+${index}
+</section>
+${records}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Rules the rendered records need from the loaded stylesheets, followed by the
+ * theme colours currently applied to the dashboard
+ * @returns {string} CSS text
+ */
+function collectDecisionExportCss() {
+    const rules = [];
+    for (const sheet of Array.from(document.styleSheets)) {
+        let cssRules;
+        try {
+            cssRules = sheet.cssRules;
+        } catch (error) {
+            continue; // Cross-origin sheets cannot be read
+        }
+        for (const rule of Array.from(cssRules || [])) {
+            if (rule.selectorText && DECISION_EXPORT_RULE_PATTERN.test(rule.selectorText)) rules.push(rule.cssText);
+        }
+    }
+
+    // applyTheme() sets the active preset inline on <html>
+    const rootStyle = document.documentElement.style;
+    const themeVars = [];
+    for (let i = 0; i < rootStyle.length; i++) {
+        const name = rootStyle[i];
+        if (name.startsWith('--color-')) themeVars.push(`${name}: ${rootStyle.getPropertyValue(name).trim()};`);
+    }
+    if (themeVars.length > 0) rules.push(`:root { ${themeVars.join(' ')} }`);
+
+    return rules.join('\n');
+}
+
+// ── Zip ───────────────────────────────────────────────────────────────────────
+
+let decisionExportCrcTable = null;
+
+function getDecisionExportCrc32(bytes) {
+    if (!decisionExportCrcTable) {
+        decisionExportCrcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            decisionExportCrcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = decisionExportCrcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack text files into an uncompressed (stored) zip; the records are small
+ * and this keeps the export free of a compression library
+ * @param {Array<{name: string, content: string}>} files - Paths and text
+ * @returns {Blob} application/zip
+ */
+function createDecisionExportZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = getDecisionExportCrc32(data);
+
+        // Local file header
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);          // version needed
+        header.setUint16(6, 0x0800, true);      // UTF-8 names
+        header.setUint16(8, 0, true);           // stored
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+        parts.push(header, name, data);
+
+        // Central directory entry
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);           // version made by
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);      // local header offset
+        central.push(entry, name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
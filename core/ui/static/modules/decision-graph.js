@@ -0,0 +1,281 @@
+/**
+ * DOTBOT Control Panel - Decision Relationship Graph
+ * Graph sub-view of the Decisions tab: every decision drawn with the bundled
+ * Mermaid, coloured by status, with supersession as thick arrows (old →
+ * replacement) and related decisions as dotted links. References that
+ * getDecisionById() cannot resolve become error nodes and are listed above the
+ * graph, next to the clickable supersession chains.
+ */
+
+const DECISION_GRAPH_LABEL_MAX = 40;
+
+let decisionView = 'list';
+let decisionGraphSignature = null;
+let decisionGraphNodeIds = {};   // mermaid node id → decision id
+let decisionGraphDecisions = [];
+
+/**
+ * Bind the List/Graph toggle, node clicks and decision links
+ */
+function initDecisionGraph() {
+    document.querySelectorAll('[data-decision-view]').forEach(btn => {
+        btn.addEventListener('click', () => setDecisionView(btn.dataset.decisionView));
+    });
+
+    // Delegated so it survives re-renders (including Mermaid theme refreshes)
+    document.getElementById('decision-graph')?.addEventListener('click', (e) => {
+        const nodeEl = e.target.closest('g.node');
+        if (!nodeEl) return;
+        const match = (nodeEl.id || '').match(/^flowchart-(d\d+)-\d+$/);
+        const decisionId = match ? decisionGraphNodeIds[match[1]] : null;
+        if (decisionId && getDecisionById(decisionId)) focusDecision(decisionId);
+    });
+
+    // Chain steps and the decisions named in the error list
+    document.getElementById('decision-graph-view')?.addEventListener('click', (e) => {
+        const step = e.target.closest('[data-decision-ref]');
+        if (step && getDecisionById(step.dataset.decisionRef)) focusDecision(step.dataset.decisionRef);
+    });
+}
+
+/**
+ * Switch the Decisions tab between the grouped list and the graph
+ * @param {string} view - 'list' or 'graph'
+ */
+function setDecisionView(view) {
+    decisionView = view === 'graph' ? 'graph' : 'list';
+
+    document.querySelectorAll('[data-decision-view]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.decisionView === decisionView);
+    });
+    const list = document.getElementById('decision-list');
+    const graph = document.getElementById('decision-graph-view');
+    if (list) list.style.display = decisionView === 'list' ? '' : 'none';
+    if (graph) graph.style.display = decisionView === 'graph' ? '' : 'none';
+
+    if (decisionView === 'graph') updateDecisionGraph(decisionGraphDecisions, true);
+}
+
+/**
+ * Redraw the graph if it is visible and the graph changed
+ * @param {Array} decisions - Decisions from /api/decisions
+ * @param {boolean} [force] - Redraw even if nothing changed
+ */
+function updateDecisionGraph(decisions, force = false) {
+    decisionGraphDecisions = Array.isArray(decisions) ? decisions : [];
+    if (decisionView !== 'graph') return;
+
+    const container = document.getElementById('decision-graph');
+    if (!container) return;
+
+    const graph = buildDecisionGraph(decisionGraphDecisions);
+    const syntax = buildDecisionGraphSyntax(graph);
+
+    updateDecisionGraphSummary(graph);
+    renderDecisionGraphErrors(graph);
+    renderDecisionGraphChains(decisionGraphDecisions);
+
+    // Mermaid renders are expensive — skip reloads that changed nothing drawn
+    if (!force && syntax === decisionGraphSignature) return;
+    decisionGraphSignature = syntax;
+
+    if (graph.nodes.length === 0) {
+        container.innerHTML = '<div class="empty-state">No decisions yet</div>';
+        return;
+    }
+
+    decisionGraphNodeIds = {};
+    graph.nodes.forEach(node => { decisionGraphNodeIds[node.key] = node.decision.id; });
+
+    container.innerHTML = `
+        <div class="mermaid-container" data-pending="true">
+            <div class="mermaid-loading">Rendering graph</div>
+            <pre class="mermaid-syntax" style="display: none;">${escapeHtml(syntax)}</pre>
+            <div class="mermaid-rendered" style="display: none;"></div>
+            <div class="mermaid-fallback" style="display: none;"><pre>${escapeHtml(syntax)}</pre></div>
+        </div>
+    `;
+    renderMermaidDiagrams(container);
+}
+
+/**
+ * Build nodes and edges from the decisions' relation fields. Supersession is
+ * read from both sides (superseded_by and supersedes) and de-duplicated;
+ * related links are undirected and dropped where a supersession already joins
+ * the pair. IDs that getDecisionById() cannot resolve get a missing node.
+ * @param {Array} decisions - Decisions
+ * @returns {{nodes: Array, missing: Array, supersessions: Array, related: Array, dangling: Array}}
+ *   Nodes keyed d0..dN, missing nodes x0..xN, dangling lists {from, id, field}
+ */
+function buildDecisionGraph(decisions) {
+    const nodes = decisions.map((decision, index) => ({ key: `d${index}`, decision }));
+    const keyById = new Map(nodes.map(node => [node.decision.id, node.key]));
+    const missing = [];
+    const dangling = [];
+
+    const keyFor = (fromId, id, field) => {
+        if (!getDecisionById(id)) {
+            dangling.push({ from: fromId, id, field });
+            if (!keyById.has(id)) {
+                const key = `x${missing.length}`;
+                missing.push({ key, id });
+                keyById.set(id, key);
+            }
+        }
+        return keyById.get(id);
+    };
+
+    const supersessions = new Map();
+    const addSupersession = (from, to) => {
+        const id = `${from}>${to}`;
+        if (from !== to && !supersessions.has(id)) supersessions.set(id, { from, to });
+    };
+    nodes.forEach(node => {
+        const dec = node.decision;
+        if (dec.superseded_by) addSupersession(node.key, keyFor(dec.id, dec.superseded_by, 'superseded_by'));
+        if (dec.supersedes) addSupersession(keyFor(dec.id, dec.supersedes, 'supersedes'), node.key);
+    });
+
+    const joined = new Set([...supersessions.values()].map(edge => [edge.from, edge.to].sort().join('|')));
+    const related = new Map();
+    nodes.forEach(node => {
+        (node.decision.related_decision_ids || []).filter(Boolean).forEach(relatedId => {
+            const other = keyFor(node.decision.id, relatedId, 'related');
+            const pair = [node.key, other].sort().join('|');
+            if (other === node.key || joined.has(pair) || related.has(pair)) return;
+            related.set(pair, { from: node.key, to: other });
+        });
+    });
+
+    return { nodes, missing, supersessions: [...supersessions.values()], related: [...related.values()], dangling };
+}
+
+/**
+ * Build Mermaid flowchart syntax. Colours come from CSS (views.css) via the
+ * graph* classes, so the graph follows the active theme.
+ * @param {Object} graph - Graph from buildDecisionGraph()
+ * @returns {string} Mermaid syntax
+ */
+function buildDecisionGraphSyntax(graph) {
+    const lines = ['flowchart LR'];
+
+    graph.nodes.forEach(node => {
+        lines.push(`    ${node.key}["${formatDecisionGraphLabel(node.decision.id, node.decision.title)}"]`);
+    });
+    graph.missing.forEach(node => {
+        lines.push(`    ${node.key}["${formatDecisionGraphLabel(node.id, 'missing decision')}"]`);
+    });
+
+    graph.supersessions.forEach(edge => lines.push(`    ${edge.from} ==> ${edge.to}`));
+    graph.related.forEach(edge => lines.push(`    ${edge.from} -.- ${edge.to}`));
+
+    const byClass = {};
+    graph.nodes.forEach(node => {
+        const cls = getDecisionGraphNodeClass(node.decision);
+        (byClass[cls] = byClass[cls] || []).push(node.key);
+    });
+    if (graph.missing.length > 0) byClass.graphMissing = graph.missing.map(node => node.key);
+    Object.keys(byClass).forEach(cls => {
+        lines.push(`    classDef ${cls} fill:none`);
+        lines.push(`    class ${byClass[cls].join(',')} ${cls}`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Node class for a decision's status
+ * @param {Object} decision - Decision
+ * @returns {string} graphProposed | graphAccepted | graphDeprecated | graphSuperseded
+ */
+function getDecisionGraphNodeClass(decision) {
+    const classes = { accepted: 'graphAccepted', deprecated: 'graphDeprecated', superseded: 'graphSuperseded' };
+    return classes[decision.status] || 'graphProposed';
+}
+
+/**
+ * Node label: ID over the (truncated) title, safe inside a quoted Mermaid label
+ * @param {string} id - Decision ID
+ * @param {string} title - Title
+ * @returns {string} Label text
+ */
+function formatDecisionGraphLabel(id, title) {
+    let name = `${title || ''}`.replace(/"/g, '#quot;').replace(/[<>]/g, '');
+    if (name.length > DECISION_GRAPH_LABEL_MAX) name = name.slice(0, DECISION_GRAPH_LABEL_MAX - 1) + '…';
+    const safeId = `${id || 'unknown'}`.replace(/"/g, '#quot;').replace(/[<>]/g, '');
+    return name ? `${safeId}<br/>${name}` : safeId;
+}
+
+/**
+ * Update the counts next to the graph legend
+ * @param {Object} graph - Graph from buildDecisionGraph()
+ */
+function updateDecisionGraphSummary(graph) {
+    const summary = document.getElementById('decision-graph-summary');
+    if (!summary) return;
+
+    if (graph.nodes.length === 0) {
+        summary.textContent = '';
+        return;
+    }
+    const parts = [
+        `${graph.nodes.length} decision${graph.nodes.length === 1 ? '' : 's'}`,
+        `${graph.supersessions.length} supersession${graph.supersessions.length === 1 ? '' : 's'}`,
+        `${graph.related.length} related`
+    ];
+    if (graph.dangling.length > 0) {
+        parts.push(`${graph.dangling.length} dangling reference${graph.dangling.length === 1 ? '' : 's'}`);
+    }
+    summary.textContent = parts.join(' · ');
+    summary.classList.toggle('has-errors', graph.dangling.length > 0);
+}
+
+/**
+ * List each reference that points at an unknown decision
+ * @param {Object} graph - Graph from buildDecisionGraph()
+ */
+function renderDecisionGraphErrors(graph) {
+    const container = document.getElementById('decision-graph-errors');
+    if (!container) return;
+
+    const fieldLabels = { related: 'lists related', supersedes: 'supersedes', superseded_by: 'is superseded by' };
+    container.innerHTML = graph.dangling.map(ref => `
+        <div class="decision-graph-error">
+            <span class="decision-graph-error-label">Dangling reference</span>
+            <a class="decision-ref" data-decision-ref="${escapeAttr(ref.from)}">${escapeHtml(ref.from)}</a>
+            ${fieldLabels[ref.field]}
+            <span class="decision-ref dangling">${escapeHtml(ref.id)}</span>
+            — no decision with this ID
+        </div>
+    `).join('');
+    container.style.display = graph.dangling.length > 0 ? '' : 'none';
+}
+
+/**
+ * List every supersession chain of two or more decisions as clickable steps,
+ * oldest first, so a decision's lineage can be followed without the graph
+ * @param {Array} decisions - Decisions
+ */
+function renderDecisionGraphChains(decisions) {
+    const container = document.getElementById('decision-graph-chains');
+    if (!container) return;
+
+    const chains = [];
+    const covered = new Set();
+    decisions.forEach(dec => {
+        if (covered.has(dec.id)) return;
+        const chain = getDecisionSupersessionChain(dec.id);
+        chain.forEach(id => covered.add(id));
+        if (chain.length > 1) chains.push(chain);
+    });
+
+    container.innerHTML = chains.map(chain => {
+        const steps = chain.map(id => {
+            const dec = getDecisionById(id);
+            if (!dec) return `<span class="decision-chain-step dangling" title="No decision with this ID">${escapeHtml(id)}</span>`;
+            return `<button type="button" class="decision-chain-step decision-status-${escapeAttr(dec.status || 'proposed')}" data-decision-ref="${escapeAttr(id)}" title="${escapeAttr(dec.title || '')}">${escapeHtml(id)}</button>`;
+        });
+        return `<div class="decision-chain"><span class="decision-chain-label">Lineage</span>${steps.join('<span class="decision-lineage-arrow">→</span>')}</div>`;
+    }).join('');
+    container.style.display = chains.length > 0 ? '' : 'none';
+}
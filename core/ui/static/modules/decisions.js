@@ -1,6 +1,10 @@
 /**
  * Decisions module
- * Grouped list with inline expand, sidebar counts, and create/edit modal.
+ * Grouped list with inline expand, sidebar counts, create/edit modal and the
+ * supersede dialog.
+ * Related/supersedes references link to the decision they name; references
+ * that do not resolve are flagged. An expanded decision lists the tasks that
+ * cite it or that it lists. The graph view lives in decision-graph.js.
  */
 
 // ── State ─────────────────────────────────────────────────────────────────────
@@ -8,12 +12,18 @@
 let _decisions          = [];
 let _expandedDecisionId = null;
 let _editingDecisionId  = null;   // null = create mode
+let _supersedeTargetId  = null;   // decision being superseded (dialog, then its create step)
+let _supersedeChoiceId  = null;   // replacement picked in the dialog
+let _supersedeMode      = 'link'; // 'link' an accepted decision or 'create' a new one
+let _supersedeReason    = '';     // carried from the dialog to the create step
+let _formFields         = {};     // chip multi-selects: related, tasks, stakeholders, tags
 
 // ── Init ──────────────────────────────────────────────────────────────────────
 
 async function initDecisions() {
     _bindCreateButton();
     _bindModal();
+    _bindSupersedeModal();
     _bindListDelegation();
     await _loadDecisions();
 }
@@ -23,6 +33,21 @@ function _bindListDelegation() {
     if (!container) return;
 
     container.addEventListener('click', (e) => {
+        // Reference links can point at any decision, not just the row they sit in
+        const refEl = e.target.closest('[data-action="focus"]');
+        if (refEl) {
+            e.stopPropagation();
+            if (isValidDecisionId(refEl.dataset.decisionRef)) focusDecision(refEl.dataset.decisionRef);
+            return;
+        }
+
+        const taskEl = e.target.closest('[data-action="open-task"]');
+        if (taskEl) {
+            e.stopPropagation();
+            openTaskById(taskEl.dataset.taskId);
+            return;
+        }
+
         const row = e.target.closest('.decision-row');
         if (!row) return;
         const decisionId = row.dataset.decisionId;
@@ -38,6 +63,9 @@ function _bindListDelegation() {
         } else if (action === 'deprecate') {
             e.stopPropagation();
             decisionDeprecate(decisionId);
+        } else if (action === 'supersede') {
+            e.stopPropagation();
+            decisionSupersede(decisionId);
         } else if (action === 'edit') {
             e.stopPropagation();
             _openEditModal(decisionId);
@@ -56,6 +84,7 @@ async function _loadDecisions() {
         _decisions = data.decisions || [];
         _renderList();
         _updateDecisionSidebar();
+        if (typeof updateDecisionGraph === 'function') updateDecisionGraph(_decisions);
     } catch (e) {
         console.error('Failed to load decisions', e);
     }
@@ -95,6 +124,10 @@ function _renderList() {
             const date        = _friendlyDate(dec.date);
             const typeBadge   = dec.type ? `<span class="decision-type-badge">${escapeHtml(dec.type)}</span>` : '';
             const impactBadge = dec.impact ? `<span class="decision-impact-badge impact-${escapeAttr(dec.impact)}">${escapeHtml(dec.impact)}</span>` : '';
+            const dangling    = getDanglingDecisionRefs(dec);
+            const refBadge    = dangling.length > 0
+                ? `<span class="decision-ref-error" title="Unknown decision${dangling.length === 1 ? '' : 's'}: ${escapeAttr(dangling.join(', '))}">⚠ ${dangling.length} broken ref${dangling.length === 1 ? '' : 's'}</span>`
+                : '';
 
             html += `<div class="decision-row${isExpanded ? ' expanded' : ''}" data-decision-id="${escapeAttr(dec.id)}">`;
 
@@ -105,12 +138,14 @@ function _renderList() {
             html += `  ${typeBadge}`;
             html += `  ${impactBadge}`;
             html += `  <span class="decision-row-title">${escapeHtml(dec.title ?? '')}</span>`;
+            html += `  ${refBadge}`;
             html += `  <span class="decision-row-date">${date}</span>`;
             html += `  <div class="decision-row-actions">`;
             if (dec.status === 'proposed') {
                 html += `<button class="process-action-btn primary" data-action="accept">Accept</button>`;
             }
             if (dec.status === 'accepted') {
+                html += `<button class="process-action-btn" data-action="supersede">Supersede…</button>`;
                 html += `<button class="process-action-btn danger" data-action="deprecate">Deprecate</button>`;
             }
             html += `    <button class="process-action-btn" data-action="edit">Edit</button>`;
@@ -130,14 +165,18 @@ function _renderList() {
                 if (dec.tags && dec.tags.length > 0) {
                     metaParts.push(`<span class="decision-meta-item"><b>Tags:</b> ${dec.tags.map(t => escapeHtml(t)).join(', ')}</span>`);
                 }
-                if (dec.related_decision_ids && dec.related_decision_ids.length > 0) {
-                    metaParts.push(`<span class="decision-meta-item"><b>Related:</b> ${dec.related_decision_ids.map(id => escapeHtml(id)).join(', ')}</span>`);
+                const relatedIds = (dec.related_decision_ids || []).filter(Boolean);
+                if (relatedIds.length > 0) {
+                    metaParts.push(`<span class="decision-meta-item"><b>Related:</b> ${relatedIds.map(_renderDecisionRef).join(', ')}</span>`);
                 }
                 if (dec.superseded_by) {
-                    metaParts.push(`<span class="decision-meta-item"><b>Superseded by:</b> ${escapeHtml(dec.superseded_by)}</span>`);
+                    metaParts.push(`<span class="decision-meta-item"><b>Superseded by:</b> ${_renderDecisionRef(dec.superseded_by)}</span>`);
                 }
                 if (dec.supersedes) {
-                    metaParts.push(`<span class="decision-meta-item"><b>Supersedes:</b> ${escapeHtml(dec.supersedes)}</span>`);
+                    metaParts.push(`<span class="decision-meta-item"><b>Supersedes:</b> ${_renderDecisionRef(dec.supersedes)}</span>`);
+                }
+                if (dec.supersession_reason) {
+                    metaParts.push(`<span class="decision-meta-item"><b>Supersession reason:</b> ${escapeHtml(dec.supersession_reason)}</span>`);
                 }
                 if (dec.deprecation_reason) {
                     metaParts.push(`<span class="decision-meta-item"><b>Deprecation reason:</b> ${escapeHtml(dec.deprecation_reason)}</span>`);
@@ -146,6 +185,25 @@ function _renderList() {
                     html += `<div class="decision-detail-meta">${metaParts.join('')}</div>`;
                 }
 
+                // Supersession lineage, oldest first
+                const chain = getDecisionSupersessionChain(dec.id);
+                if (chain.length > 1) {
+                    html += `<div class="decision-section">`;
+                    html += `  <div class="decision-section-title">Lineage</div>`;
+                    html += `  <div class="decision-lineage">${chain.map(id => id === dec.id
+                        ? `<span class="decision-ref current">${escapeHtml(id)}</span>`
+                        : _renderDecisionRef(id)).join('<span class="decision-lineage-arrow">→</span>')}</div>`;
+                    html += `</div>`;
+                }
+
+                // Tasks citing or listed by this decision (fetched on expand)
+                if (dec._tasks && dec._tasks.length > 0) {
+                    html += `<div class="decision-section">`;
+                    html += `  <div class="decision-section-title">Tasks</div>`;
+                    html += `  <div class="decision-task-list">${dec._tasks.map(_renderDecisionTask).join('')}</div>`;
+                    html += `</div>`;
+                }
+
                 // Content sections
                 const contentFields = [
                     { key: 'context', label: 'Context' },
@@ -187,6 +245,29 @@ function _renderList() {
     container.innerHTML = html;
 }
 
+function _renderDecisionRef(decisionId) {
+    const target = getDecisionById(decisionId);
+    if (!target) {
+        return `<span class="decision-ref dangling" title="No decision with this ID">${escapeHtml(decisionId)}</span>`;
+    }
+    return `<a class="decision-ref" data-action="focus" data-decision-ref="${escapeAttr(decisionId)}" title="${escapeAttr(target.title || '')}">${escapeHtml(decisionId)}</a>`;
+}
+
+function _renderDecisionTask(task) {
+    const source = [task.cites_decision ? 'cites this decision' : '', task.listed_by_decision ? 'listed here' : '']
+        .filter(Boolean).join(' · ');
+    if (task.status === 'missing') {
+        return `<div class="decision-task missing" title="No task with this ID">`
+            + `<span class="decision-task-status">missing</span>`
+            + `<span class="decision-task-name">${escapeHtml(task.id)}</span>`
+            + `<span class="decision-task-source">${source}</span></div>`;
+    }
+    return `<div class="decision-task" data-action="open-task" data-task-id="${escapeAttr(task.id)}" title="Open task">`
+        + `<span class="decision-task-status status-${escapeAttr(task.status)}">${escapeHtml(task.status.replace(/-/g, ' '))}</span>`
+        + `<span class="decision-task-name">${escapeHtml(task.name || task.id)}</span>`
+        + `<span class="decision-task-source">${source}</span></div>`;
+}
+
 function _friendlyDate(iso) {
     if (!iso) return '';
     try {
@@ -216,10 +297,79 @@ async function toggleDecisionExpand(decisionId) {
         } catch (e) { /* render without full detail */ }
     }
 
+    // Task links change as tasks are analysed, so refresh them on every expand
+    if (existing) {
+        try {
+            const res  = await fetch(`${API_BASE}/api/decisions/${decisionId}/tasks`);
+            const data = await res.json();
+            if (data.success) existing._tasks = data.tasks;
+        } catch (e) { /* render without task links */ }
+    }
+
     _expandedDecisionId = decisionId;
     _renderList();
 }
 
+/**
+ * Switch to the list, expand a decision and scroll it into view
+ * @param {string} decisionId - Decision ID
+ */
+async function focusDecision(decisionId) {
+    if (typeof setDecisionView === 'function') setDecisionView('list');
+    // toggleDecisionExpand() collapses a decision that is already open
+    if (_expandedDecisionId !== decisionId) await toggleDecisionExpand(decisionId);
+    document.querySelector(`.decision-row[data-decision-id="${CSS.escape(decisionId)}"]`)
+        ?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+}
+
+// ── Relationships ─────────────────────────────────────────────────────────────
+
+function _previousInChain(decisionId) {
+    return getDecisionById(decisionId)?.supersedes
+        || _decisions.find(d => d.superseded_by === decisionId)?.id
+        || null;
+}
+
+function _nextInChain(decisionId) {
+    return getDecisionById(decisionId)?.superseded_by
+        || _decisions.find(d => d.supersedes === decisionId)?.id
+        || null;
+}
+
+/**
+ * Supersession chain through a decision, oldest first. Either side of the
+ * link is enough (a decision's superseded_by or its successor's supersedes),
+ * unresolvable IDs end the chain and cycles are cut at the first repeat.
+ * @param {string} decisionId - Any decision in the chain
+ * @returns {string[]} Decision IDs; just [decisionId] when it has no lineage
+ */
+function getDecisionSupersessionChain(decisionId) {
+    let first = decisionId;
+    const walkedBack = new Set([first]);
+    for (let prev = _previousInChain(first); prev && !walkedBack.has(prev); prev = _previousInChain(prev)) {
+        walkedBack.add(prev);
+        first = prev;
+    }
+
+    const chain = [];
+    const seen = new Set();
+    for (let id = first; id && !seen.has(id); id = _nextInChain(id)) {
+        seen.add(id);
+        chain.push(id);
+    }
+    return chain;
+}
+
+/**
+ * Related, supersedes and superseded_by IDs that getDecisionById() cannot resolve
+ * @param {Object} dec - Decision
+ * @returns {string[]} Unique dangling IDs
+ */
+function getDanglingDecisionRefs(dec) {
+    const refs = [...(dec.related_decision_ids || []), dec.supersedes, dec.superseded_by].filter(Boolean);
+    return [...new Set(refs)].filter(id => !getDecisionById(id));
+}
+
 // ── Sidebar counts ────────────────────────────────────────────────────────────
 
 function _updateDecisionSidebar() {
@@ -246,6 +396,26 @@ async function decisionDeprecate(decisionId) {
     await _transitionStatus(decisionId, 'deprecated', null, reason);
 }
 
+/**
+ * Open the supersede dialog for an accepted decision
+ * @param {string} decisionId - Decision to supersede
+ */
+function decisionSupersede(decisionId) {
+    const dec = getDecisionById(decisionId);
+    if (!dec) return;
+
+    _supersedeTargetId = decisionId;
+    _supersedeChoiceId = null;
+    document.getElementById('decision-supersede-id').textContent = decisionId;
+    document.getElementById('decision-supersede-current').innerHTML =
+        `<span class="decision-status-badge decision-status-${escapeAttr(dec.status)}">${escapeHtml(dec.status)}</span> ${escapeHtml(dec.title || '')}`;
+    document.getElementById('decision-supersede-search').value = '';
+    document.getElementById('decision-supersede-reason').value = '';
+    _setSupersedeMode('link');
+    document.getElementById('decision-supersede-overlay').classList.add('visible');
+    document.getElementById('decision-supersede-search').focus();
+}
+
 async function _transitionStatus(decisionId, newStatus, supersededBy, reason) {
     try {
         const res = await fetch(`${API_BASE}/api/decisions/${decisionId}/status`, {
@@ -266,11 +436,95 @@ async function _transitionStatus(decisionId, newStatus, supersededBy, reason) {
     }
 }
 
+// ── Supersede dialog ──────────────────────────────────────────────────────────
+
+function _bindSupersedeModal() {
+    const overlay = document.getElementById('decision-supersede-overlay');
+    if (!overlay) return;
+
+    document.getElementById('decision-supersede-close')?.addEventListener('click', _closeSupersedeModal);
+    document.getElementById('decision-supersede-cancel')?.addEventListener('click', _closeSupersedeModal);
+    document.getElementById('decision-supersede-confirm')?.addEventListener('click', _confirmSupersede);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) _closeSupersedeModal(); });
+
+    overlay.querySelectorAll('[data-supersede-mode]').forEach(btn => {
+        btn.addEventListener('click', () => _setSupersedeMode(btn.dataset.supersedeMode));
+    });
+    document.getElementById('decision-supersede-search')?.addEventListener('input', _renderSupersedePicker);
+    document.getElementById('decision-supersede-picker')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.decision-picker-item');
+        if (!item) return;
+        _supersedeChoiceId = item.dataset.decisionId;
+        _renderSupersedePicker();
+    });
+}
+
+function _setSupersedeMode(mode) {
+    _supersedeMode = mode === 'create' ? 'create' : 'link';
+    document.querySelectorAll('[data-supersede-mode]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.supersedeMode === _supersedeMode);
+    });
+    document.getElementById('decision-supersede-link').style.display = _supersedeMode === 'link' ? '' : 'none';
+    document.getElementById('decision-supersede-create').style.display = _supersedeMode === 'create' ? '' : 'none';
+    document.getElementById('decision-supersede-confirm').textContent = _supersedeMode === 'link' ? 'Supersede' : 'Write New Decision';
+    if (_supersedeMode === 'link') _renderSupersedePicker();
+}
+
+// Replacement candidates: accepted decisions other than the target and its predecessors
+function _renderSupersedePicker() {
+    const picker = document.getElementById('decision-supersede-picker');
+    if (!picker) return;
+
+    const query = (document.getElementById('decision-supersede-search')?.value || '').trim().toLowerCase();
+    const lineage = new Set(getDecisionSupersessionChain(_supersedeTargetId));
+    const candidates = _decisions
+        .filter(d => d.status === 'accepted' && !lineage.has(d.id))
+        .filter(d => !query || [d.id, d.title, ...(d.tags || [])].some(text => (text || '').toLowerCase().includes(query)));
+
+    if (candidates.length === 0) {
+        picker.innerHTML = `<div class="empty-state">${query ? 'No accepted decisions match' : 'No other accepted decisions. Write a new one instead.'}</div>`;
+        return;
+    }
+    picker.innerHTML = candidates.map(d => `
+        <div class="decision-picker-item${d.id === _supersedeChoiceId ? ' selected' : ''}" data-decision-id="${escapeAttr(d.id)}">
+            <span class="decision-row-id">${escapeHtml(d.id)}</span>
+            <span class="decision-row-title">${escapeHtml(d.title || '')}</span>
+            <span class="decision-row-date">${_friendlyDate(d.date)}</span>
+        </div>
+    `).join('');
+}
+
+async function _confirmSupersede() {
+    const targetId = _supersedeTargetId;
+    const reason = document.getElementById('decision-supersede-reason')?.value?.trim() || '';
+
+    if (_supersedeMode === 'link') {
+        if (!_supersedeChoiceId) {
+            showToast('Pick the decision that replaces this one', 'error');
+            return;
+        }
+        const replacementId = _supersedeChoiceId;
+        _closeSupersedeModal();
+        await _transitionStatus(targetId, 'superseded', replacementId, reason);
+        return;
+    }
+
+    // Create: the target stays pending until the new decision is saved
+    document.getElementById('decision-supersede-overlay').classList.remove('visible');
+    await _openCreateModal({ supersedes: targetId, reason });
+}
+
+function _closeSupersedeModal() {
+    document.getElementById('decision-supersede-overlay').classList.remove('visible');
+    _supersedeTargetId = null;
+    _supersedeChoiceId = null;
+}
+
 // ── Create button ─────────────────────────────────────────────────────────────
 
 function _bindCreateButton() {
     const btn = document.getElementById('decision-create-btn');
-    if (btn) btn.addEventListener('click', _openCreateModal);
+    if (btn) btn.addEventListener('click', () => _openCreateModal());
 }
 
 // ── Modal ─────────────────────────────────────────────────────────────────────
@@ -285,20 +539,98 @@ function _bindModal() {
 
     const overlay = document.getElementById('decision-modal-overlay');
     if (overlay) overlay.addEventListener('click', (e) => { if (e.target === overlay) _closeModal(); });
+
+    _bindFormFields();
+}
+
+function _bindFormFields() {
+    const create = (key, options) => {
+        const el = document.getElementById(`decision-form-${key}`);
+        if (el) _formFields[key] = createChipSelect(el, options);
+    };
+    create('related', {
+        placeholder: 'e.g. dec-1a2b3c4d',
+        getOptions: () => _decisions
+            .filter(d => d.id !== _editingDecisionId)
+            .map(d => ({ value: d.id, label: d.title || '', detail: d.status }))
+    });
+    create('tasks', {
+        placeholder: 'Search tasks by name or ID',
+        getOptions: () => (typeof getKnownTasks === 'function' ? getKnownTasks() : [])
+            .map(t => ({ value: t.id, label: t.name || '', detail: t.status }))
+    });
+    create('stakeholders', {
+        placeholder: 'e.g. backend-team, tech-lead',
+        allowCustom: true,
+        getOptions: () => _collectDecisionValues('stakeholders')
+    });
+    create('tags', {
+        placeholder: 'e.g. database, performance',
+        allowCustom: true,
+        getOptions: () => _collectDecisionValues('tags')
+    });
+}
+
+// Distinct stakeholders or tags across all decisions, most used first
+function _collectDecisionValues(field) {
+    const counts = new Map();
+    for (const dec of _decisions) {
+        for (const value of (dec[field] || []).filter(Boolean)) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([value, count]) => ({ value, label: value, detail: `${count} decision${count === 1 ? '' : 's'}` }));
 }
 
-function _openCreateModal() {
+/**
+ * Open the modal in create mode
+ * @param {Object} [replacing] - Set when writing the replacement for a superseded decision
+ * @param {string} replacing.supersedes - Decision the new one replaces
+ * @param {string} replacing.reason - Supersession reason from the supersede dialog
+ */
+async function _openCreateModal(replacing = null) {
     _editingDecisionId = null;
+    _supersedeTargetId = replacing ? replacing.supersedes : null;
+    _supersedeReason = replacing ? replacing.reason : '';
     document.getElementById('decision-modal-title').textContent = 'New Decision';
     _clearForm();
     const statusEl = document.getElementById('decision-form-status');
     if (statusEl) statusEl.disabled = false;
+
+    const banner = document.getElementById('decision-modal-replaces');
+    if (banner) {
+        banner.style.display = replacing ? '' : 'none';
+        banner.textContent = replacing ? `Replaces ${replacing.supersedes}, which is marked superseded when this decision is saved.` : '';
+    }
+
+    if (replacing) {
+        // Start from the decision being replaced
+        const previous = getDecisionById(replacing.supersedes) || {};
+        try {
+            const res  = await fetch(`${API_BASE}/api/decisions/${replacing.supersedes}`);
+            const data = await res.json();
+            if (data.success) Object.assign(previous, data, { _detailLoaded: true });
+        } catch (e) { /* fall back to the list fields */ }
+
+        document.getElementById('decision-form-title').value   = previous.title ?? '';
+        document.getElementById('decision-form-status').value  = 'accepted';
+        document.getElementById('decision-form-type').value    = previous.type ?? 'technical';
+        document.getElementById('decision-form-impact').value  = previous.impact ?? 'medium';
+        document.getElementById('decision-form-context').value = previous.context ?? '';
+        _formFields.related?.setValues((previous.related_decision_ids || []).filter(id => id !== replacing.supersedes));
+        _formFields.stakeholders?.setValues(previous.stakeholders);
+        _formFields.tags?.setValues(previous.tags);
+    }
+
     document.getElementById('decision-modal-overlay').classList.add('visible');
 }
 
 async function _openEditModal(decisionId) {
     _editingDecisionId = decisionId;
+    _supersedeTargetId = null;
     document.getElementById('decision-modal-title').textContent = `Edit ${decisionId}`;
+    const banner = document.getElementById('decision-modal-replaces');
+    if (banner) banner.style.display = 'none';
     try {
         const res  = await fetch(`${API_BASE}/api/decisions/${decisionId}`);
         const data = await res.json();
@@ -313,8 +645,10 @@ async function _openEditModal(decisionId) {
         document.getElementById('decision-form-context').value      = data.context ?? '';
         document.getElementById('decision-form-decision').value     = data.decision ?? '';
         document.getElementById('decision-form-consequences').value = data.consequences ?? '';
-        document.getElementById('decision-form-stakeholders').value = (data.stakeholders || []).join(', ');
-        document.getElementById('decision-form-tags').value         = (data.tags || []).join(', ');
+        _formFields.related?.setValues(data.related_decision_ids);
+        _formFields.tasks?.setValues(data.related_task_ids);
+        _formFields.stakeholders?.setValues(data.stakeholders);
+        _formFields.tags?.setValues(data.tags);
 
         document.getElementById('decision-modal-overlay').classList.add('visible');
     } catch (e) {
@@ -325,13 +659,16 @@ async function _openEditModal(decisionId) {
 function _closeModal() {
     document.getElementById('decision-modal-overlay').classList.remove('visible');
     _editingDecisionId = null;
+    _supersedeTargetId = null;
+    _supersedeReason = '';
 }
 
 function _clearForm() {
-    ['title', 'context', 'decision', 'consequences', 'stakeholders', 'tags'].forEach(f => {
+    ['title', 'context', 'decision', 'consequences'].forEach(f => {
         const el = document.getElementById(`decision-form-${f}`);
         if (el) el.value = '';
     });
+    Object.values(_formFields).forEach(field => field.setValues([]));
     const statusEl = document.getElementById('decision-form-status');
     if (statusEl) statusEl.value = 'proposed';
     const typeEl = document.getElementById('decision-form-type');
@@ -348,8 +685,10 @@ async function _saveDecision() {
     const context      = document.getElementById('decision-form-context')?.value?.trim();
     const decision     = document.getElementById('decision-form-decision')?.value?.trim();
     const consequences = document.getElementById('decision-form-consequences')?.value?.trim();
-    const stakeholders = (document.getElementById('decision-form-stakeholders')?.value || '').split(',').map(s => s.trim()).filter(Boolean);
-    const tags         = (document.getElementById('decision-form-tags')?.value || '').split(',').map(s => s.trim()).filter(Boolean);
+    const related_decision_ids = _formFields.related?.getValues() || [];
+    const related_task_ids = _formFields.tasks?.getValues() || [];
+    const stakeholders = _formFields.stakeholders?.getValues() || [];
+    const tags         = _formFields.tags?.getValues() || [];
 
     if (!title || !context || !decision) {
         showToast('Title, Context, and Decision are required', 'error');
@@ -357,8 +696,10 @@ async function _saveDecision() {
     }
 
     const payload = _editingDecisionId
-        ? { title, type, impact, context, decision, consequences, stakeholders, tags }
-        : { title, status, type, impact, context, decision, consequences, stakeholders, tags };
+        ? { title, type, impact, context, decision, consequences, stakeholders, tags, related_decision_ids, related_task_ids }
+        : { title, status, type, impact, context, decision, consequences, stakeholders, tags, related_decision_ids, related_task_ids };
+    const replacing = _editingDecisionId ? null : _supersedeTargetId;
+    const replacingReason = _supersedeReason;
 
     try {
         let res;
@@ -379,7 +720,11 @@ async function _saveDecision() {
         if (data.success) {
             showToast(data.message || 'Decision saved', 'success');
             _closeModal();
-            await _loadDecisions();
+            if (replacing && data.decision_id) {
+                await _transitionStatus(replacing, 'superseded', data.decision_id, replacingReason);
+            } else {
+                await _loadDecisions();
+            }
             if (data.decision_id) {
                 _expandedDecisionId = data.decision_id;
                 _renderList();
@@ -402,4 +747,8 @@ function getDecisionById(decisionId) {
     return _decisions.find(d => d.id === decisionId) || null;
 }
 
+function getDecisionsForTask(taskId) {
+    return _decisions.filter(d => (d.related_task_ids || []).includes(taskId));
+}
+
 // escapeHtml is provided by modules/utils.js (loaded earlier)
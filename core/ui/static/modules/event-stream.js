@@ -0,0 +1,134 @@
+/**
+ * DOTBOT Control Panel - Event Stream
+ * Server-Sent Events channel (/api/events) for state, activity, process and
+ * git pushes. Interval polling (polling.js) takes over whenever the stream is
+ * down and stops again once it reconnects.
+ */
+
+const EVENT_STREAM_RETRY_DELAY = 5000;  // Reconnect delay after the browser gives up
+let eventStream = null;
+let eventStreamConnected = false;
+let eventStreamRetryTimer = null;
+
+/**
+ * Open the event stream. Returns false when the browser has no EventSource,
+ * in which case the caller should poll instead.
+ * @returns {boolean} Whether a stream connection was started
+ */
+function connectEventStream() {
+    if (typeof EventSource === 'undefined') return false;
+    if (eventStream) return true;
+
+    eventStream = new EventSource(`${API_BASE}/api/events`);
+
+    eventStream.addEventListener('open', () => {
+        eventStreamConnected = true;
+        setConnectionStatus('connected');
+        stopFallbackPolling();
+    });
+
+    eventStream.addEventListener('error', () => {
+        const wasConnected = eventStreamConnected;
+        eventStreamConnected = false;
+        startFallbackPolling();
+
+        // CONNECTING means the browser is retrying on its own; CLOSED means it
+        // gave up (server restarted without the route, non-SSE reply, ...)
+        if (eventStream && eventStream.readyState === EventSource.CLOSED) {
+            eventStream = null;
+            scheduleEventStreamReconnect();
+        }
+        if (wasConnected) {
+            console.warn('Event stream dropped — falling back to polling');
+        }
+    });
+
+    eventStream.addEventListener('state', (e) => {
+        const payload = parseEventStreamData(e);
+        if (payload) applyStateUpdate(payload);
+    });
+
+    eventStream.addEventListener('activity', (e) => {
+        const data = parseEventStreamData(e);
+        if (!data) return;
+        if (data.from === activityPosition && !activityPollInFlight) {
+            activityPosition = data.position;
+            applyActivityEvents(data.events || []);
+        } else if (data.position !== activityPosition) {
+            // Cursor is out of step with the broadcast (just connected, or a
+            // tail read is in flight) — let the position-based read catch up
+            pollActivity();
+        }
+    });
+
+    eventStream.addEventListener('processes', (e) => {
+        const data = parseEventStreamData(e);
+        if (data && typeof handleProcessesPush === 'function') {
+            handleProcessesPush(data.processes || []);
+        }
+    });
+
+    eventStream.addEventListener('process-output', (e) => {
+        const data = parseEventStreamData(e);
+        if (data && typeof handleProcessOutputPush === 'function') {
+            handleProcessOutputPush(data);
+        }
+    });
+
+    eventStream.addEventListener('git', (e) => {
+        const git = parseEventStreamData(e);
+        if (git && typeof applyGitStatus === 'function') {
+            applyGitStatus(git);
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Parse the JSON payload of a stream message
+ * @param {MessageEvent} e - Stream message
+ * @returns {Object|null} Parsed data, or null when malformed
+ */
+function parseEventStreamData(e) {
+    try {
+        return JSON.parse(e.data);
+    } catch (error) {
+        console.warn(`Malformed ${e.type} event:`, error);
+        return null;
+    }
+}
+
+/**
+ * Retry the stream after the browser has stopped reconnecting on its own
+ */
+function scheduleEventStreamReconnect() {
+    if (eventStreamRetryTimer) return;
+    eventStreamRetryTimer = setTimeout(() => {
+        eventStreamRetryTimer = null;
+        connectEventStream();
+    }, EVENT_STREAM_RETRY_DELAY);
+}
+
+/**
+ * Whether pushes are currently arriving over the stream
+ * @returns {boolean}
+ */
+function isEventStreamConnected() {
+    return eventStreamConnected;
+}
+
+/**
+ * Close the stream (page unload)
+ */
+function closeEventStream() {
+    if (eventStreamRetryTimer) {
+        clearTimeout(eventStreamRetryTimer);
+        eventStreamRetryTimer = null;
+    }
+    if (eventStream) {
+        eventStream.close();
+        eventStream = null;
+    }
+    eventStreamConnected = false;
+}
@@ -21,6 +21,10 @@ function formatCellContent(text) {
     const linkPlaceholders = [];
     processed = processed.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (_, linkText, url) => {
         const idx = linkPlaceholders.length;
+        if (!isSafeMarkdownUrl(url)) {
+            linkPlaceholders.push(escapeHtml(linkText));
+            return `\x00LINK${idx}\x00`;
+        }
         linkPlaceholders.push(`<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(linkText)}</a>`);
         return `\x00LINK${idx}\x00`;
     });
@@ -118,7 +122,9 @@ function parseMarkdownTable(tableLines) {
 function parseCodeBlock(codeLines, language) {
     const code = codeLines.join('\n');
     const langLabel = language ? `<div class="code-lang">${escapeHtml(language)}</div>` : '';
-    return `<div class="code-block">${langLabel}<pre><code>${escapeHtml(code)}</code></pre></div>`;
+    const body = typeof highlightCode === 'function' ? highlightCode(code, language) : escapeHtml(code);
+    const copyBtn = '<button type="button" class="code-copy-btn" title="Copy to clipboard">Copy</button>';
+    return `<div class="code-block">${langLabel}${copyBtn}<pre><code>${body}</code></pre></div>`;
 }
 
 /**
@@ -260,6 +266,163 @@ function parseFrontmatter(frontmatter) {
     return html;
 }
 
+/**
+ * Fresh per-document state shared by nested renders (blockquotes, footnotes)
+ * @returns {object} Render context
+ */
+function createMarkdownContext() {
+    return {
+        links: {},          // Reference-link definitions by normalized label
+        footnotes: {},      // Footnote text by lowercased label
+        footnoteOrder: [],  // Labels in order of first reference (gives the numbers)
+        slugs: {},          // Heading slug use counts, for de-duplication
+        headings: []        // Heading ids, indexed by heading placeholder
+    };
+}
+
+/**
+ * Normalize a reference-link label for lookup (case and whitespace insensitive)
+ * @param {string} label - Label text
+ * @returns {string} Lookup key
+ */
+function normalizeLinkLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Pull reference-link and footnote definitions out of the document
+ * @param {string} markdown - Markdown text (LF line endings)
+ * @param {object} ctx - Render context to collect definitions into
+ * @returns {string} Markdown without the definition lines
+ */
+function extractMarkdownDefinitions(markdown, ctx) {
+    const lines = markdown.split('\n');
+    const kept = [];
+    let inFence = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (/^\s*```/.test(line)) {
+            inFence = !inFence;
+            kept.push(line);
+            continue;
+        }
+
+        if (!inFence) {
+            // [^label]: text, continued by indented lines
+            const footnote = line.match(/^\[\^([^\]\s]+)\]:\s*(.*)$/);
+            if (footnote) {
+                const body = [footnote[2]];
+                while (i + 1 < lines.length && /^(?: {2,}|\t)\S/.test(lines[i + 1])) {
+                    body.push(lines[++i].trim());
+                }
+                ctx.footnotes[footnote[1].toLowerCase()] = body.join('\n');
+                continue;
+            }
+
+            // [label]: url "optional title"
+            const ref = line.match(/^ {0,3}\[([^\]^][^\]]*)\]:\s*<?([^\s>]+)>?(?:\s+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?\s*$/);
+            if (ref) {
+                const key = normalizeLinkLabel(ref[1]);
+                // First definition wins, as in CommonMark
+                if (!(key in ctx.links)) {
+                    ctx.links[key] = { url: ref[2], title: ref[3] ?? ref[4] ?? ref[5] ?? '' };
+                }
+                continue;
+            }
+        }
+        kept.push(line);
+    }
+
+    return kept.join('\n');
+}
+
+/**
+ * Turn heading text into a unique anchor id
+ * @param {string} text - Heading text with inline markdown
+ * @param {object} ctx - Render context (tracks ids already used)
+ * @returns {string} Id, prefixed so it cannot clash with dashboard element ids
+ */
+function slugifyHeading(text, ctx) {
+    let slug = text
+        .replace(/\[\^[^\]\s]+\]/g, '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .trim()
+        .replace(/\s+/g, '-') || 'section';
+
+    const used = ctx.slugs[slug] || 0;
+    ctx.slugs[slug] = used + 1;
+    if (used > 0) slug = `${slug}-${used}`;
+    return `md-${slug}`;
+}
+
+/**
+ * Whether a link target is safe to put in an href: http(s), mailto, in-page
+ * anchors and relative URLs. Browsers skip control characters and whitespace
+ * when reading the scheme, so those are dropped before the check.
+ * @param {string} url - Link target
+ * @returns {boolean}
+ */
+function isSafeMarkdownUrl(url) {
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(String(url).replace(/[\x00-\x20\x7f]/g, ''));
+    return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Render a link; in-document (#) links stay in the page. Targets with any
+ * other scheme (javascript:, data:, ...) render as plain text.
+ * @param {string} text - Link text
+ * @param {string} url - Target
+ * @param {string} [title] - Optional title attribute
+ * @returns {string} HTML anchor
+ */
+function renderMarkdownLink(text, url, title) {
+    if (!isSafeMarkdownUrl(url)) return escapeHtml(text);
+    const titleAttr = title ? ` title="${escapeAttr(title)}"` : '';
+    if (url.startsWith('#')) {
+        return `<a href="${escapeHtml(url)}" class="md-internal"${titleAttr}>${escapeHtml(text)}</a>`;
+    }
+    return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer"${titleAttr}>${escapeHtml(text)}</a>`;
+}
+
+/**
+ * Parse a blockquote, or a GitHub-style admonition (> [!NOTE] ...)
+ * @param {string[]} quoteLines - Lines with one level of '>' removed
+ * @param {object} ctx - Render context
+ * @returns {string} HTML
+ */
+function parseBlockquote(quoteLines, ctx) {
+    const admonition = (quoteLines[0] || '').match(/^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\]\s*$/i);
+    if (admonition) {
+        const kind = admonition[1].toLowerCase();
+        const title = kind.charAt(0).toUpperCase() + kind.slice(1);
+        const body = renderMarkdownBlocks(quoteLines.slice(1).join('\n'), ctx);
+        return `<div class="admonition admonition-${kind}"><div class="admonition-title">${title}</div>${body}</div>`;
+    }
+    // Nested quotes recurse through the same renderer
+    return `<blockquote>${renderMarkdownBlocks(quoteLines.join('\n'), ctx)}</blockquote>`;
+}
+
+/**
+ * Render the footnotes referenced so far as a numbered list
+ * @param {object} ctx - Render context
+ * @returns {string} HTML, empty when nothing was referenced
+ */
+function renderFootnotes(ctx) {
+    if (ctx.footnoteOrder.length === 0) return '';
+
+    let items = '';
+    // Footnote text may reference further footnotes, which extends the list as we go
+    for (let n = 1; n <= ctx.footnoteOrder.length; n++) {
+        let body = renderMarkdownBlocks(ctx.footnotes[ctx.footnoteOrder[n - 1]], ctx);
+        if (!body.includes('</p><p>')) body = body.replace(/^<p>([\s\S]*)<\/p>$/, '$1');
+        items += `<li id="md-fn-${n}">${body} <a href="#md-fnref-${n}" class="footnote-backref md-internal" aria-label="Back to reference">&#8617;</a></li>`;
+    }
+    return `<section class="footnotes"><ol>${items}</ol></section>`;
+}
+
 /**
  * Convert markdown to HTML
  * @param {string} markdown - Markdown text
@@ -295,10 +458,29 @@ function markdownToHtml(markdown) {
         }
     }
 
+    const ctx = createMarkdownContext();
+    markdown = extractMarkdownDefinitions(markdown, ctx);
+    const html = renderMarkdownBlocks(markdown, ctx);
+
+    // Prepend frontmatter if present
+    return frontmatterHtml + html + renderFootnotes(ctx);
+}
+
+/**
+ * Render a run of markdown blocks (a whole document, a blockquote body or a footnote)
+ * @param {string} markdown - Markdown text without frontmatter or definitions
+ * @param {object} ctx - Render context shared with the enclosing document
+ * @returns {string} HTML
+ */
+function renderMarkdownBlocks(markdown, ctx) {
+    // Outer blank lines would otherwise leave stray newlines inside the first/last paragraph
+    markdown = markdown.replace(/^\n+|\n+$/g, '');
+
     // First pass: parse tables and code blocks before escaping
     const lines = markdown.split('\n');
     const processedLines = [];
     const placeholders = {};
+    const inlineCodeText = {};
     let placeholderCount = 0;
     let i = 0;
 
@@ -306,7 +488,7 @@ function markdownToHtml(markdown) {
         const line = lines[i];
 
         // Check if this is the start of a fenced code block (may be indented)
-        const codeBlockMatch = line.match(/^(\s*)```(\w*)\s*$/);
+        const codeBlockMatch = line.match(/^(\s*)```([\w#+.-]*)\s*$/);
         if (codeBlockMatch) {
             const indent = codeBlockMatch[1] || '';
             const language = codeBlockMatch[2] || '';
@@ -337,6 +519,24 @@ function markdownToHtml(markdown) {
             continue;
         }
 
+        // Blockquotes (and admonitions): collect the quoted run and render it recursively
+        if (/^ {0,3}>/.test(line)) {
+            const quoteLines = [];
+            while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+                quoteLines.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                i++;
+            }
+
+            const placeholder = `___QUOTE_PLACEHOLDER_${placeholderCount}___`;
+            placeholders[placeholder] = parseBlockquote(quoteLines, ctx);
+            placeholderCount++;
+            // Blank lines around the quote keep it out of neighbouring paragraphs
+            if (processedLines.length > 0 && processedLines[processedLines.length - 1].trim() !== '') processedLines.push('');
+            processedLines.push(placeholder);
+            if (i < lines.length && lines[i].trim() !== '') processedLines.push('');
+            continue;
+        }
+
         // Check if this looks like the start of a table
         if (line.trim().startsWith('|') && line.trim().endsWith('|')) {
             // Collect consecutive table lines
@@ -364,13 +564,15 @@ function markdownToHtml(markdown) {
         i++;
     }
 
-    // Process inline code before escaping (need raw backticks)
-    let text = processedLines.join('\n');
+    // Process inline code before escaping (need raw backticks). Runs of blank lines
+    // (e.g. where definitions were removed) are one paragraph break.
+    let text = processedLines.join('\n').replace(/\n{3,}/g, '\n\n');
 
     // Replace inline code with placeholders
     text = text.replace(/`([^`]+)`/g, (match, code) => {
         const placeholder = `___INLINE_CODE_${placeholderCount}___`;
         placeholders[placeholder] = `<code class="inline">${escapeHtml(code)}</code>`;
+        inlineCodeText[placeholder] = code;
         placeholderCount++;
         return placeholder;
     });
@@ -379,35 +581,59 @@ function markdownToHtml(markdown) {
     // Horizontal rules (document separators)
     text = text.replace(/^---$/gm, '___HR_PLACEHOLDER___');
 
-    // Headers - only process lines that aren't placeholders
-    // Process from most specific (####) to least specific (#) to avoid conflicts
-    text = text.replace(/^#### (.+)$/gm, (match, p1) => {
-        if (p1.includes('___') && p1.includes('_PLACEHOLDER_')) return match;
-        return `___H4_START___${p1}___H4_END___`;
-    });
-    text = text.replace(/^### (.+)$/gm, (match, p1) => {
+    // Headers - only process lines that aren't placeholders. Each gets an anchor id,
+    // slugged from the raw text (inline code included) before escaping.
+    text = text.replace(/^(#{1,4}) (.+)$/gm, (match, hashes, p1) => {
         if (p1.includes('___') && p1.includes('_PLACEHOLDER_')) return match;
-        return `___H3_START___${p1}___H3_END___`;
-    });
-    text = text.replace(/^## (.+)$/gm, (match, p1) => {
-        if (p1.includes('___') && p1.includes('_PLACEHOLDER_')) return match;
-        return `___H2_START___${p1}___H2_END___`;
-    });
-    text = text.replace(/^# (.+)$/gm, (match, p1) => {
-        if (p1.includes('___') && p1.includes('_PLACEHOLDER_')) return match;
-        return `___H1_START___${p1}___H1_END___`;
+        const level = hashes.length;
+        const rawText = p1.replace(/___INLINE_CODE_\d+___/g, code => inlineCodeText[code] || '');
+        ctx.headings.push(slugifyHeading(rawText, ctx));
+        return `___H${level}_START_${ctx.headings.length - 1}___${p1}___H${level}_END___`;
     });
 
     // Bold and italic
     text = text.replace(/\*\*(.+?)\*\*/g, '___BOLD_START___$1___BOLD_END___');
     text = text.replace(/\*(.+?)\*/g, '___ITALIC_START___$1___ITALIC_END___');
 
-    // Links [text](url)
-    text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, linkText, url) => {
+    // Task list items (- [ ] / - [x]) before links, so the box isn't read as a link label
+    text = text.replace(/^- \[([ xX])\] (.+)$/gm, (match, mark, item) =>
+        `- ${mark === ' ' ? '___TASK_OPEN___' : '___TASK_DONE___'}${item}`);
+
+    // Footnote references [^label], numbered in order of first use
+    text = text.replace(/\[\^([^\]\s]+)\]/g, (match, label) => {
+        const key = label.toLowerCase();
+        if (!(key in ctx.footnotes)) return match;
+        let n = ctx.footnoteOrder.indexOf(key) + 1;
+        const first = n === 0;
+        if (first) {
+            ctx.footnoteOrder.push(key);
+            n = ctx.footnoteOrder.length;
+        }
+        const placeholder = `___FOOTNOTE_PLACEHOLDER_${placeholderCount}___`;
+        const idAttr = first ? ` id="md-fnref-${n}"` : '';
+        placeholders[placeholder] = `<sup class="footnote-ref"><a href="#md-fn-${n}"${idAttr} class="md-internal">${n}</a></sup>`;
+        placeholderCount++;
+        return placeholder;
+    });
+
+    const addLink = (linkText, url, title) => {
         const placeholder = `___LINK_PLACEHOLDER_${placeholderCount}___`;
-        placeholders[placeholder] = `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(linkText)}</a>`;
+        placeholders[placeholder] = renderMarkdownLink(linkText, url, title);
         placeholderCount++;
         return placeholder;
+    };
+
+    // Links [text](url)
+    text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, linkText, url) => addLink(linkText, url));
+
+    // Reference links [text][label], [text][] and [label]; undefined labels stay as text
+    text = text.replace(/\[([^\]]+)\]\[([^\]]*)\]/g, (match, linkText, label) => {
+        const def = ctx.links[normalizeLinkLabel(label || linkText)];
+        return def ? addLink(linkText, def.url, def.title) : match;
+    });
+    text = text.replace(/\[([^\]]+)\](?![([:])/g, (match, linkText) => {
+        const def = ctx.links[normalizeLinkLabel(linkText)];
+        return def ? addLink(linkText, def.url, def.title) : match;
     });
 
     // Lists - unordered (- item)
@@ -427,16 +653,19 @@ function markdownToHtml(markdown) {
 
     // Restore markdown element placeholders
     html = html.replace(/___HR_PLACEHOLDER___/g, '<hr class="doc-separator">');
-    html = html.replace(/___H4_START___(.+?)___H4_END___/g, '<h4>$1</h4>');
-    html = html.replace(/___H3_START___(.+?)___H3_END___/g, '<h3>$1</h3>');
-    html = html.replace(/___H2_START___(.+?)___H2_END___/g, '<h2>$1</h2>');
-    html = html.replace(/___H1_START___(.+?)___H1_END___/g, '<h1>$1</h1>');
+    html = html.replace(/___H([1-4])_START_(\d+)___(.+?)___H\1_END___/g, (match, level, idx, inner) => {
+        const id = ctx.headings[parseInt(idx)];
+        return `<h${level} id="${id}">${inner}<a class="heading-anchor md-internal" href="#${id}" aria-label="Link to this section"></a></h${level}>`;
+    });
     html = html.replace(/___BOLD_START___(.+?)___BOLD_END___/g, '<strong>$1</strong>');
     html = html.replace(/___ITALIC_START___(.+?)___ITALIC_END___/g, '<em>$1</em>');
+    html = html.replace(/___TASK_OPEN___/g, '<input type="checkbox" class="task-checkbox" disabled> ');
+    html = html.replace(/___TASK_DONE___/g, '<input type="checkbox" class="task-checkbox" checked disabled> ');
 
     // Convert list placeholders to HTML and group them
     html = groupListItems(html, 'ULI', 'ul');
     html = groupListItems(html, 'OLI', 'ol');
+    html = html.replace(/<li>(<input type="checkbox")/g, '<li class="task-list-item">$1');
 
     // Line breaks for paragraphs (double newline = new paragraph)
     // IMPORTANT: Do this BEFORE restoring code/mermaid placeholders to preserve whitespace in code blocks
@@ -444,18 +673,22 @@ function markdownToHtml(markdown) {
     html = '<p>' + html + '</p>';
 
     // Restore code/table placeholders (need to escape placeholder keys since text was escaped)
-    // This is done AFTER paragraph replacement to preserve newlines inside code/mermaid blocks
+    // This is done AFTER paragraph replacement to preserve newlines inside code/mermaid blocks.
+    // A function replacement keeps "$&"-style sequences in code literal.
     for (const [placeholder, content] of Object.entries(placeholders)) {
-        html = html.replace(escapeHtml(placeholder), content);
+        html = html.replace(escapeHtml(placeholder), () => content);
     }
 
     // Clean up empty paragraphs
     html = html.replace(/<p><\/p>/g, '');
-    html = html.replace(/<p>(<h[1234]>)/g, '$1');
+    html = html.replace(/<p>(<h[1234][ >])/g, '$1');
     html = html.replace(/(<\/h[1234]>)<\/p>/g, '$1');
     html = html.replace(/<p>(<div class="code-block">)/g, '$1');
     html = html.replace(/<p>(<div class="mermaid-container")/g, '$1');
+    html = html.replace(/<p>(<div class="admonition )/g, '$1');
     html = html.replace(/(<\/div>)<\/p>/g, '$1');
+    html = html.replace(/<p>(<blockquote>)/g, '$1');
+    html = html.replace(/(<\/blockquote>)<\/p>/g, '$1');
     html = html.replace(/<p>(<ul>)/g, '$1');
     html = html.replace(/(<\/ul>)<\/p>/g, '$1');
     html = html.replace(/<p>(<ol>)/g, '$1');
@@ -464,6 +697,164 @@ function markdownToHtml(markdown) {
     html = html.replace(/<p>(<hr)/g, '$1');
     html = html.replace(/(<hr[^>]*>)<\/p>/g, '$1');
 
-    // Prepend frontmatter if present
-    return frontmatterHtml + html;
+    return html;
+}
+
+const MARKDOWN_TOC_MIN_HEADINGS = 4;   // Shorter documents don't get a table of contents
+
+/**
+ * Add a sticky table of contents to long rendered documents and keep in-document
+ * links (heading anchors, footnotes, #links) scrolling within the container
+ * @param {HTMLElement} container - Element holding markdownToHtml output
+ * @param {{toc?: boolean}} [options] - toc: false for cramped panes such as live previews
+ */
+function initMarkdownNavigation(container, options = {}) {
+    if (!container) return;
+    const wantToc = options.toc !== false;
+
+    // Headings inside quotes and admonitions are asides, not sections
+    const headings = Array.from(container.querySelectorAll('h1[id^="md-"], h2[id^="md-"], h3[id^="md-"]'))
+        .filter(h => !h.closest('blockquote, .admonition, .markdown-toc'));
+
+    if (wantToc && headings.length >= MARKDOWN_TOC_MIN_HEADINGS && !container.querySelector('.markdown-toc')) {
+        const topLevel = Math.min(...headings.map(h => Number(h.tagName[1])));
+        const items = headings.map(h => {
+            const depth = Number(h.tagName[1]) - topLevel;
+            const label = getMarkdownHeadingLabel(h);
+            return `<li class="toc-depth-${depth}"><a href="#${escapeAttr(h.id)}" class="md-internal" title="${escapeAttr(label)}">${escapeHtml(label)}</a></li>`;
+        }).join('');
+
+        const toc = document.createElement('nav');
+        toc.className = 'markdown-toc';
+        toc.setAttribute('aria-label', 'Table of contents');
+        toc.innerHTML = `<div class="markdown-toc-title">Contents</div><ul>${items}</ul>`;
+        container.prepend(toc);
+        trackMarkdownTocPosition(container, toc, headings);
+    }
+
+    // The container outlives its content (re-rendered on every doc switch), so bind once
+    if (container.dataset.markdownNav) return;
+    container.dataset.markdownNav = 'true';
+    container.addEventListener('click', (e) => {
+        const link = e.target.closest('a[href^="#"]');
+        if (!link || !container.contains(link)) return;
+        const id = decodeURIComponent(link.getAttribute('href').slice(1));
+        const target = id && (container.querySelector(`[id="${CSS.escape(id)}"]`) ||
+            container.querySelector(`[id="${CSS.escape('md-' + id)}"]`));
+        if (!target) return;
+        // The dashboard has no hash routing; scroll instead of changing the URL
+        e.preventDefault();
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+}
+
+/**
+ * Heading text for the TOC, without footnote markers
+ * @param {HTMLElement} heading - Rendered heading
+ * @returns {string}
+ */
+function getMarkdownHeadingLabel(heading) {
+    const copy = heading.cloneNode(true);
+    copy.querySelectorAll('.footnote-ref').forEach(el => el.remove());
+    return copy.textContent.trim();
+}
+
+/**
+ * Highlight the TOC entry for the section currently at the top of the scroll area
+ * @param {HTMLElement} container - Rendered document
+ * @param {HTMLElement} toc - The table of contents
+ * @param {HTMLElement[]} headings - Headings listed in the TOC, in document order
+ */
+function trackMarkdownTocPosition(container, toc, headings) {
+    const scroller = getMarkdownScrollParent(container);
+    const links = Array.from(toc.querySelectorAll('a'));
+
+    const update = () => {
+        // Stop once this content has been replaced
+        if (!toc.isConnected) {
+            scroller.removeEventListener('scroll', onScroll);
+            return;
+        }
+        const top = scroller.getBoundingClientRect().top + 24;
+        let active = 0;
+        headings.forEach((h, i) => {
+            if (h.getBoundingClientRect().top <= top) active = i;
+        });
+        links.forEach((a, i) => a.classList.toggle('active', i === active));
+    };
+
+    let pending = false;
+    const onScroll = () => {
+        if (pending) return;
+        pending = true;
+        requestAnimationFrame(() => {
+            pending = false;
+            update();
+        });
+    };
+
+    scroller.addEventListener('scroll', onScroll, { passive: true });
+    update();
+}
+
+/**
+ * Nearest scrollable ancestor (the panel body), falling back to the container
+ * @param {HTMLElement} el - Starting element
+ * @returns {HTMLElement}
+ */
+function getMarkdownScrollParent(el) {
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+        const overflow = getComputedStyle(node).overflowY;
+        if (overflow === 'auto' || overflow === 'scroll') return node;
+    }
+    return el;
+}
+
+/**
+ * Copy a code block's text when its Copy button is clicked. One delegated
+ * listener covers every markdown view, including content rendered later.
+ */
+function initCodeCopyButtons() {
+    document.addEventListener('click', async (e) => {
+        const btn = e.target.closest('.code-copy-btn');
+        if (!btn) return;
+        const code = btn.closest('.code-block')?.querySelector('code');
+        if (!code) return;
+
+        try {
+            await copyTextToClipboard(code.textContent);
+            btn.textContent = 'Copied';
+            btn.classList.add('copied');
+            setTimeout(() => {
+                btn.textContent = 'Copy';
+                btn.classList.remove('copied');
+            }, 1500);
+        } catch (error) {
+            showToast(`Copy failed: ${error.message}`, 'error');
+        }
+    });
+}
+
+/**
+ * Write text to the clipboard. The async API needs a secure context, so
+ * dashboards opened over plain http on another host use the legacy path.
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>}
+ */
+async function copyTextToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const ok = document.execCommand('copy');
+    textarea.remove();
+    if (!ok) throw new Error('clipboard unavailable');
 }
@@ -58,7 +58,14 @@ async function loadMermaid() {
  */
 function initMermaidConfig() {
     if (!window.mermaid) return;
+    window.mermaid.initialize(getMermaidConfig());
+}
 
+/**
+ * CRT-themed Mermaid configuration, built from the current theme variables
+ * @returns {Object} Config for mermaid.initialize()
+ */
+function getMermaidConfig() {
     // Get CSS variable values for theming
     const styles = getComputedStyle(document.documentElement);
     const bgColor = styles.getPropertyValue('--bg-screen').trim() || '#0a0a0a';
@@ -67,7 +74,7 @@ function initMermaidConfig() {
     const textColor = styles.getPropertyValue('--color-primary-dim').trim() || '#c4a35a';
     const lineColor = styles.getPropertyValue('--color-primary').trim() || '#ffb454';
 
-    window.mermaid.initialize({
+    return {
         startOnLoad: false,
         theme: 'base',
         themeVariables: {
@@ -164,7 +171,7 @@ function initMermaidConfig() {
         stateDiagram: {
             useMaxWidth: true
         }
-    });
+    };
 }
 
 /**
@@ -210,10 +217,10 @@ async function renderSingleDiagram(container) {
 
     const syntax = syntaxEl.textContent;
 
-    try {
-        // Generate unique ID for this diagram
-        const id = 'mermaid-' + Math.random().toString(36).substr(2, 9);
+    // Generate unique ID for this diagram
+    const id = 'mermaid-' + Math.random().toString(36).substr(2, 9);
 
+    try {
         // Render the diagram
         const { svg } = await window.mermaid.render(id, syntax);
 
@@ -228,8 +235,11 @@ async function renderSingleDiagram(container) {
         // Mark as rendered
         container.dataset.pending = 'false';
         container.dataset.rendered = 'true';
+        if (typeof addMermaidTools === 'function') addMermaidTools(container);
 
     } catch (error) {
+        // Mermaid leaves its error graphic in a temporary element on the body
+        document.getElementById('d' + id)?.remove();
         console.error('[Mermaid] Render error:', error);
         showMermaidFallback(container, error.message || 'Syntax error');
     }
@@ -266,6 +276,7 @@ function showMermaidFallback(container, errorMessage) {
     // Mark as failed
     container.dataset.pending = 'false';
     container.dataset.rendered = 'false';
+    if (typeof addMermaidTools === 'function') addMermaidTools(container);
 }
 
 /**
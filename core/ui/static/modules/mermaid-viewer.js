@@ -0,0 +1,395 @@
+/**
+ * DOTBOT Control Panel - Mermaid Diagram Viewer
+ * Fullscreen zoom/pan viewer, SVG/PNG export and a live editing sandbox for
+ * the diagrams rendered by mermaid-loader.js. Every rendered diagram gets a
+ * small toolbar; the viewer re-renders the diagram source itself, so the
+ * sandbox and the read-only view share one code path.
+ */
+
+const MERMAID_VIEWER_MIN_SCALE = 0.1;
+const MERMAID_VIEWER_MAX_SCALE = 8;
+const MERMAID_VIEWER_FIT_MAX_SCALE = 1.5;   // Don't blow tiny diagrams up past readable
+const MERMAID_SANDBOX_DELAY = 400;          // Debounce between keystrokes and a re-render
+const MERMAID_PNG_SCALE = 2;                // Export at 2x for crisp text
+
+let mermaidViewerState = null;   // { source, scale, x, y, sandbox, token, timer, drag }
+
+/**
+ * Wire up the viewer modal and the per-diagram toolbar buttons
+ */
+function initMermaidViewer() {
+    const overlay = document.getElementById('mermaid-viewer');
+    const stage = document.getElementById('mermaid-viewer-stage');
+    const input = document.getElementById('mermaid-sandbox-input');
+    if (!overlay || !stage || !input) return;
+
+    // Toolbar buttons on inline diagrams (rendered at any time, so delegate)
+    document.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-mermaid-tool]');
+        if (!btn) return;
+        const container = btn.closest('.mermaid-container');
+        if (!container) return;
+        const source = container.querySelector('.mermaid-syntax')?.textContent || '';
+        const svg = container.querySelector('.mermaid-rendered svg');
+
+        switch (btn.dataset.mermaidTool) {
+            case 'expand': openMermaidViewer(source); break;
+            case 'edit': openMermaidViewer(source, { sandbox: true }); break;
+            case 'svg': if (svg) exportMermaidSvg(svg); break;
+            case 'png': exportMermaidPng(source); break;
+        }
+    });
+
+    overlay.querySelector('.mermaid-viewer').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-mermaid-action]');
+        if (!btn || !mermaidViewerState) return;
+        const svg = stage.querySelector('.mermaid-rendered svg');
+
+        switch (btn.dataset.mermaidAction) {
+            case 'zoom-in': zoomMermaidViewer(1.25); break;
+            case 'zoom-out': zoomMermaidViewer(0.8); break;
+            case 'fit': fitMermaidViewer(); break;
+            case 'toggle-sandbox': setMermaidSandboxVisible(!mermaidViewerState.sandbox); break;
+            case 'export-svg':
+                if (svg) exportMermaidSvg(svg);
+                else showToast('Nothing to export: the diagram has errors', 'warning');
+                break;
+            case 'export-png': exportMermaidPng(mermaidViewerState.source); break;
+        }
+    });
+
+    document.getElementById('mermaid-viewer-close')?.addEventListener('click', closeMermaidViewer);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeMermaidViewer();
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!mermaidViewerState) return;
+        if (e.key === 'Escape') {
+            closeMermaidViewer();
+            return;
+        }
+        if (e.target === input) return;
+        if (e.key === '+' || e.key === '=') zoomMermaidViewer(1.25);
+        else if (e.key === '-') zoomMermaidViewer(0.8);
+        else if (e.key === '0') fitMermaidViewer();
+    });
+
+    input.addEventListener('input', () => {
+        if (!mermaidViewerState) return;
+        clearTimeout(mermaidViewerState.timer);
+        mermaidViewerState.timer = setTimeout(() => {
+            mermaidViewerState.source = input.value;
+            renderMermaidViewerStage(false);
+        }, MERMAID_SANDBOX_DELAY);
+    });
+
+    // Wheel zooms around the cursor, drag pans
+    stage.addEventListener('wheel', (e) => {
+        if (!mermaidViewerState) return;
+        e.preventDefault();
+        const rect = stage.getBoundingClientRect();
+        zoomMermaidViewer(e.deltaY < 0 ? 1.1 : 1 / 1.1, e.clientX - rect.left, e.clientY - rect.top);
+    }, { passive: false });
+
+    stage.addEventListener('pointerdown', (e) => {
+        if (!mermaidViewerState || e.button !== 0) return;
+        mermaidViewerState.drag = { x: e.clientX, y: e.clientY };
+        stage.setPointerCapture(e.pointerId);
+        stage.classList.add('dragging');
+    });
+    stage.addEventListener('pointermove', (e) => {
+        const drag = mermaidViewerState?.drag;
+        if (!drag) return;
+        mermaidViewerState.x += e.clientX - drag.x;
+        mermaidViewerState.y += e.clientY - drag.y;
+        drag.x = e.clientX;
+        drag.y = e.clientY;
+        applyMermaidViewerTransform();
+    });
+    const endDrag = () => {
+        if (mermaidViewerState) mermaidViewerState.drag = null;
+        stage.classList.remove('dragging');
+    };
+    stage.addEventListener('pointerup', endDrag);
+    stage.addEventListener('pointercancel', endDrag);
+}
+
+/**
+ * Add expand / export / edit buttons to a diagram's label bar
+ * @param {HTMLElement} container - A .mermaid-container after rendering (or failing)
+ */
+function addMermaidTools(container) {
+    // Diagrams inside the viewer are driven by its own toolbar
+    if (container.dataset.viewer === 'true') return;
+    const label = container.querySelector('.mermaid-label');
+    if (!label) return;
+
+    let tools = label.querySelector('.mermaid-tools');
+    if (!tools) {
+        tools = document.createElement('span');
+        tools.className = 'mermaid-tools';
+        tools.innerHTML = `
+            <button type="button" class="mermaid-tool-btn" data-mermaid-tool="expand" title="Open fullscreen with zoom and pan">Expand</button>
+            <button type="button" class="mermaid-tool-btn" data-mermaid-tool="svg" title="Download as SVG">SVG</button>
+            <button type="button" class="mermaid-tool-btn" data-mermaid-tool="png" title="Download as PNG">PNG</button>
+            <button type="button" class="mermaid-tool-btn" data-mermaid-tool="edit" title="Edit in the live sandbox">Edit</button>`;
+        label.appendChild(tools);
+    }
+
+    // A failed diagram can only be opened in the sandbox to fix it
+    const rendered = container.dataset.rendered === 'true';
+    tools.querySelectorAll('[data-mermaid-tool="expand"], [data-mermaid-tool="svg"], [data-mermaid-tool="png"]').forEach(btn => {
+        btn.disabled = !rendered;
+    });
+}
+
+/**
+ * Open the fullscreen viewer on a diagram source
+ * @param {string} source - Mermaid syntax
+ * @param {{sandbox?: boolean}} [options] - sandbox: start with the editor open
+ */
+function openMermaidViewer(source, options = {}) {
+    const overlay = document.getElementById('mermaid-viewer');
+    const input = document.getElementById('mermaid-sandbox-input');
+    if (!overlay || !input) return;
+
+    if (mermaidViewerState) clearTimeout(mermaidViewerState.timer);
+    mermaidViewerState = { source, scale: 1, x: 0, y: 0, sandbox: false, token: 0, timer: null, drag: null };
+
+    input.value = source;
+    overlay.classList.add('visible');
+    setMermaidSandboxVisible(!!options.sandbox);
+    renderMermaidViewerStage(true);
+}
+
+/**
+ * Close the viewer and drop any pending sandbox render
+ */
+function closeMermaidViewer() {
+    if (!mermaidViewerState) return;
+    clearTimeout(mermaidViewerState.timer);
+    mermaidViewerState = null;
+    document.getElementById('mermaid-viewer')?.classList.remove('visible');
+    const stage = document.getElementById('mermaid-viewer-stage');
+    if (stage) stage.innerHTML = '';
+}
+
+/**
+ * Show or hide the sandbox editor pane
+ * @param {boolean} visible - Whether the editor is shown
+ */
+function setMermaidSandboxVisible(visible) {
+    if (!mermaidViewerState) return;
+    mermaidViewerState.sandbox = visible;
+
+    const viewer = document.querySelector('#mermaid-viewer .mermaid-viewer');
+    const toggle = viewer?.querySelector('[data-mermaid-action="toggle-sandbox"]');
+    viewer?.classList.toggle('sandbox-open', visible);
+    if (toggle) toggle.textContent = visible ? 'Hide editor' : 'Edit';
+    document.getElementById('mermaid-viewer-title').textContent = visible ? 'Mermaid Sandbox' : 'Diagram';
+    if (visible) document.getElementById('mermaid-sandbox-input')?.focus();
+}
+
+/**
+ * Render the current source into the viewer stage. Syntax errors are shown by
+ * showMermaidFallback() in the stage and echoed under the sandbox editor.
+ * @param {boolean} fit - Reset zoom to fit the diagram (false keeps the view while editing)
+ */
+async function renderMermaidViewerStage(fit) {
+    const state = mermaidViewerState;
+    const stage = document.getElementById('mermaid-viewer-stage');
+    const status = document.getElementById('mermaid-sandbox-status');
+    if (!state || !stage) return;
+    const token = ++state.token;
+
+    const holder = document.createElement('div');
+    holder.innerHTML = parseMermaidBlock(state.source.split('\n'));
+    const container = holder.firstElementChild;
+    container.dataset.viewer = 'true';
+
+    if (!state.source.trim()) {
+        showMermaidFallback(container, 'Empty diagram');
+    } else if (await loadMermaid()) {
+        await renderSingleDiagram(container);
+    } else {
+        showMermaidFallback(container, 'Failed to load Mermaid.js');
+    }
+    // A newer keystroke (or closing the viewer) supersedes this render
+    if (mermaidViewerState !== state || token !== state.token) return;
+
+    stage.replaceChildren(container);
+    const svg = container.querySelector('.mermaid-rendered svg');
+    if (svg) {
+        const { width, height } = getMermaidSvgSize(svg);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.style.maxWidth = 'none';
+        if (fit || !state.fitted) {
+            fitMermaidViewer();
+            state.fitted = true;
+        } else {
+            applyMermaidViewerTransform();
+        }
+    }
+
+    if (status) {
+        const error = container.querySelector('.mermaid-error')?.textContent;
+        status.textContent = error ? `Error: ${error}` : 'Rendered';
+        status.classList.toggle('error', !!error);
+    }
+}
+
+/**
+ * Natural size of a rendered diagram from its viewBox
+ * @param {SVGElement} svg - Rendered diagram
+ * @returns {{width: number, height: number}}
+ */
+function getMermaidSvgSize(svg) {
+    const viewBox = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+        return { width: Math.ceil(viewBox[2]), height: Math.ceil(viewBox[3]) };
+    }
+    const rect = svg.getBoundingClientRect();
+    return { width: Math.ceil(rect.width) || 800, height: Math.ceil(rect.height) || 600 };
+}
+
+/**
+ * Scale and centre the diagram to fit the stage
+ */
+function fitMermaidViewer() {
+    const state = mermaidViewerState;
+    const stage = document.getElementById('mermaid-viewer-stage');
+    const svg = stage?.querySelector('.mermaid-rendered svg');
+    if (!state || !svg) return;
+
+    const { width, height } = getMermaidSvgSize(svg);
+    const padding = 32;
+    const scale = Math.min(
+        (stage.clientWidth - padding) / width,
+        (stage.clientHeight - padding) / height,
+        MERMAID_VIEWER_FIT_MAX_SCALE
+    );
+    state.scale = Math.max(MERMAID_VIEWER_MIN_SCALE, scale || 1);
+    state.x = (stage.clientWidth - width * state.scale) / 2;
+    state.y = (stage.clientHeight - height * state.scale) / 2;
+    applyMermaidViewerTransform();
+}
+
+/**
+ * Zoom by a factor, keeping the point under (originX, originY) fixed
+ * @param {number} factor - Multiplier for the current scale
+ * @param {number} [originX] - Stage x to zoom around (defaults to the centre)
+ * @param {number} [originY] - Stage y to zoom around (defaults to the centre)
+ */
+function zoomMermaidViewer(factor, originX, originY) {
+    const state = mermaidViewerState;
+    const stage = document.getElementById('mermaid-viewer-stage');
+    if (!state || !stage) return;
+
+    const ox = originX ?? stage.clientWidth / 2;
+    const oy = originY ?? stage.clientHeight / 2;
+    const scale = Math.min(MERMAID_VIEWER_MAX_SCALE, Math.max(MERMAID_VIEWER_MIN_SCALE, state.scale * factor));
+    const ratio = scale / state.scale;
+    state.x = ox - (ox - state.x) * ratio;
+    state.y = oy - (oy - state.y) * ratio;
+    state.scale = scale;
+    applyMermaidViewerTransform();
+}
+
+/**
+ * Push the current pan/zoom onto the rendered diagram
+ */
+function applyMermaidViewerTransform() {
+    const state = mermaidViewerState;
+    const rendered = document.querySelector('#mermaid-viewer-stage .mermaid-rendered');
+    if (!state || !rendered) return;
+
+    rendered.style.transform = `translate(${state.x}px, ${state.y}px) scale(${state.scale})`;
+    const zoomLabel = document.getElementById('mermaid-viewer-zoom');
+    if (zoomLabel) zoomLabel.textContent = `${Math.round(state.scale * 100)}%`;
+}
+
+/**
+ * Standalone SVG markup for a rendered diagram
+ * @param {SVGElement} svg - Rendered diagram
+ * @returns {string} Serialized SVG document
+ */
+function serializeMermaidSvg(svg) {
+    const { width, height } = getMermaidSvgSize(svg);
+    const copy = svg.cloneNode(true);
+    copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    copy.setAttribute('width', width);
+    copy.setAttribute('height', height);
+    copy.style.maxWidth = '';
+    copy.style.transform = '';
+    return new XMLSerializer().serializeToString(copy);
+}
+
+/**
+ * Download a rendered diagram as SVG
+ * @param {SVGElement} svg - Rendered diagram
+ */
+function exportMermaidSvg(svg) {
+    const blob = new Blob([serializeMermaidSvg(svg)], { type: 'image/svg+xml;charset=utf-8' });
+    downloadBlob(blob, 'diagram.svg');
+}
+
+/**
+ * Download a diagram as PNG. The source is rendered again with HTML labels
+ * turned off in the Mermaid config: HTML labels live in <foreignObject>, which
+ * taints the canvas. Diagrams that still draw one (a type without SVG text
+ * labels, or an init directive turning them back on) are refused with a toast
+ * pointing at the SVG export.
+ * @param {string} source - Mermaid syntax
+ */
+async function exportMermaidPng(source) {
+    try {
+        if (!(await loadMermaid())) throw new Error('Mermaid.js is not available');
+
+        const id = 'mermaid-export-' + Math.random().toString(36).substr(2, 9);
+        const config = getMermaidConfig();
+        let markup;
+        try {
+            window.mermaid.initialize({ ...config, htmlLabels: false, flowchart: { ...config.flowchart, htmlLabels: false } });
+            ({ svg: markup } = await window.mermaid.render(id, source));
+        } finally {
+            window.mermaid.initialize(config);
+            document.getElementById('d' + id)?.remove();
+        }
+        if (/<foreignObject[\s>]/i.test(markup)) {
+            throw new Error('this diagram draws HTML labels, which cannot be rasterised. Use SVG instead');
+        }
+
+        const svg = new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+        const { width, height } = getMermaidSvgSize(svg);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.style.maxWidth = '';
+        const url = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(new XMLSerializer().serializeToString(svg));
+
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('could not rasterize the diagram'));
+            image.src = url;
+        });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width * MERMAID_PNG_SCALE;
+        canvas.height = height * MERMAID_PNG_SCALE;
+        const ctx = canvas.getContext('2d');
+        // Transparent PNGs are unreadable on light backgrounds; use the theme's screen colour
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-screen').trim() || '#070a08';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.scale(MERMAID_PNG_SCALE, MERMAID_PNG_SCALE);
+        ctx.drawImage(image, 0, 0, width, height);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) throw new Error('PNG encoding failed');
+        downloadBlob(blob, 'diagram.png');
+    } catch (error) {
+        console.error('[Mermaid] PNG export failed:', error);
+        showToast(`PNG export failed: ${error.message}`, 'error');
+    }
+}
@@ -21,9 +21,31 @@ function initNotifications() {
         initNotificationAudio();
     }
 
-    // Start git status polling
+    // Initial git status; afterwards the event stream pushes changes and the
+    // interval only runs as a fallback (see startFallbackPolling)
     pollGitStatus();
-    gitPollTimer = setInterval(pollGitStatus, GIT_POLL_INTERVAL);
+    if (typeof isEventStreamConnected !== 'function' || !isEventStreamConnected()) {
+        startGitPolling();
+    }
+}
+
+/**
+ * Start the git status poll interval (stream unavailable)
+ */
+function startGitPolling() {
+    if (!gitPollTimer) {
+        gitPollTimer = setInterval(pollGitStatus, GIT_POLL_INTERVAL);
+    }
+}
+
+/**
+ * Stop the git status poll interval (stream delivering pushes)
+ */
+function stopGitPolling() {
+    if (gitPollTimer) {
+        clearInterval(gitPollTimer);
+        gitPollTimer = null;
+    }
 }
 
 function setNotificationSoundEnabled(enabled) {
@@ -281,14 +303,21 @@ async function pollGitStatus() {
         const response = await fetch(`${API_BASE}/api/git-status`);
         if (!response.ok) return;
 
-        const git = await response.json();
-        lastGitStatus = git;
-        updateGitPanel(git);
+        applyGitStatus(await response.json());
     } catch (error) {
         console.warn('Git status poll error:', error);
     }
 }
 
+/**
+ * Store and render a git status object (polled or pushed)
+ * @param {Object} git - Git status object from API
+ */
+function applyGitStatus(git) {
+    lastGitStatus = git;
+    updateGitPanel(git);
+}
+
 /**
  * Update the git status panel in the sidebar
  * @param {Object} git - Git status object from API
@@ -4,34 +4,109 @@
  */
 
 /**
- * Start polling for state and activity
+ * Start data flows: paint once from the REST endpoints, then switch to the
+ * server-push event stream. Interval polling only runs while the stream is
+ * unavailable (see event-stream.js).
  */
 function startPolling() {
-    // Start interval-based polling for state (non-blocking)
     pollState();
-    setInterval(pollState, POLL_INTERVAL);
-
-    // Start activity polling
     pollActivity();
-    activityTimer = setInterval(pollActivity, 2000);
+
+    if (typeof connectEventStream === 'function' && connectEventStream()) {
+        return;
+    }
+    startFallbackPolling();
+}
+
+/**
+ * Start interval polling for state, activity, git and processes.
+ * Idempotent — called on every stream error while the browser reconnects.
+ */
+function startFallbackPolling() {
+    if (!pollTimer) {
+        pollTimer = setInterval(pollState, POLL_INTERVAL);
+    }
+    if (!activityTimer) {
+        activityTimer = setInterval(pollActivity, 2000);
+    }
+    if (typeof startGitPolling === 'function') {
+        startGitPolling();
+    }
+    if (typeof resumeProcessPolling === 'function') {
+        resumeProcessPolling();
+    }
+}
+
+/**
+ * Stop interval polling once the event stream is delivering pushes
+ */
+function stopFallbackPolling() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+    if (activityTimer) {
+        clearInterval(activityTimer);
+        activityTimer = null;
+    }
+    if (typeof stopGitPolling === 'function') {
+        stopGitPolling();
+    }
+    if (typeof suspendProcessPolling === 'function') {
+        suspendProcessPolling();
+    }
 }
 
 let installedWorkflowPollCounter = 0;
 
 /**
- * Poll server for current state
+ * Poll server for state changes since the revision held in the state store.
+ * timeout=0 keeps the single-threaded server from holding the request open.
  */
 async function pollState() {
     try {
-        const response = await fetch(`${API_BASE}/api/state`);
+        const response = await fetch(`${API_BASE}/api/state/poll?timeout=0&${getStateStoreQuery()}`);
         if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-        const state = await response.json();
+        applyStateUpdate(await response.json());
+    } catch (error) {
+        console.error('Poll error:', error);
+        setConnectionStatus('error');
+    }
+}
+
+/**
+ * Apply a snapshot or delta payload (polled or pushed over the event stream).
+ * A delta the store cannot apply triggers a fresh full snapshot request.
+ * @param {Object} payload - Payload from /api/state/poll or the `state` event
+ */
+function applyStateUpdate(payload) {
+    const result = applyStatePayload(payload);
+    if (!result) {
+        resetStateStore();
+        pollState();
+        return;
+    }
+    if (result.changed) {
+        applyStateSnapshot(result.state, result.changes);
+    } else {
+        lastPollTime = new Date();
+        setConnectionStatus('connected');
+    }
+}
+
+/**
+ * Apply a full state object
+ * @param {Object} state - State object from server
+ * @param {Object|null} [changes] - Changed keys/task ids from the state store; null re-renders everything
+ */
+function applyStateSnapshot(state, changes = null) {
+    try {
         lastPollTime = new Date();
         lastState = state;
 
         setConnectionStatus('connected');
-        updateUI(state);
+        updateUI(state, changes);
 
         // Aether ambient feedback
         if (typeof Aether !== 'undefined') {
@@ -52,8 +127,7 @@ async function pollState() {
         }
 
     } catch (error) {
-        console.error('Poll error:', error);
-        setConnectionStatus('error');
+        console.error('State update error:', error);
     }
 }
 
@@ -119,10 +193,19 @@ function updateWorkflowTabProgress(state) {
     }
 }
 
+let activityPollInFlight = false;
+let activityPollQueued = false;
+
 /**
  * Poll server for activity events
  */
 async function pollActivity() {
+    // Position-based reads must not overlap, or the same lines are applied twice
+    if (activityPollInFlight) {
+        activityPollQueued = true;
+        return;
+    }
+    activityPollInFlight = true;
     try {
         // On initial load, request only last 12 lines from server
         let url = `${API_BASE}/api/activity/tail?position=${activityPosition}`;
@@ -139,50 +222,67 @@ async function pollActivity() {
             activityPosition = data.position;
         }
 
-        // Process events if any
         if (data.events && data.events.length > 0) {
-            activityInitialized = true;
-
-            // Find latest text, rate_limit, and command for display
-            let latestText = null;
-            let latestRateLimit = null;
-            let latestCmd = null;
-
-            for (const event of data.events) {
-                const eventType = (event.type || '').toLowerCase();
-                if (eventType === 'text') {
-                    latestText = event;
-                    latestRateLimit = null;  // Clear rate limit when new text comes
-                } else if (eventType === 'rate_limit') {
-                    latestRateLimit = event;
-                } else {
-                    latestCmd = event;
-                }
+            applyActivityEvents(data.events);
+        }
+    } catch (error) {
+        console.error('Activity poll error:', error);
+    } finally {
+        activityPollInFlight = false;
+        if (activityPollQueued) {
+            activityPollQueued = false;
+            pollActivity();
+        }
+    }
+}
 
-                // Send to oscilloscope
-                if (activityScope) {
-                    const scopeEvent = mapEventToScope(event);
-                    activityScope.addEvent(scopeEvent);
-                }
+/**
+ * Route activity events to the text/command displays, the oscilloscope and
+ * Aether. Shared by polling and the event stream.
+ * @param {Array} events - Activity events in log order
+ */
+function applyActivityEvents(events) {
+    if (!events || events.length === 0) return;
+    activityInitialized = true;
 
-                // Send to Aether for light effects
-                if (typeof Aether !== 'undefined') {
-                    Aether.processActivity(event);
-                }
-            }
+    // Find latest text, rate_limit, and command for display
+    let latestText = null;
+    let latestRateLimit = null;
+    let latestCmd = null;
 
-            // Update displays with latest of each type
-            // Rate limit takes precedence over text if it came after
-            if (latestRateLimit) {
-                updateTextDisplay(latestRateLimit, true);
-            } else if (latestText) {
-                updateTextDisplay(latestText, false);
-            }
-            if (latestCmd) {
-                updateCommandDisplay(latestCmd);
-            }
+    for (const event of events) {
+        if (isToolResultEvent(event)) continue;
+
+        const eventType = (event.type || '').toLowerCase();
+        if (eventType === 'text') {
+            latestText = event;
+            latestRateLimit = null;  // Clear rate limit when new text comes
+        } else if (eventType === 'rate_limit') {
+            latestRateLimit = event;
+        } else {
+            latestCmd = event;
         }
-    } catch (error) {
-        console.error('Activity poll error:', error);
+
+        // Send to oscilloscope
+        if (activityScope) {
+            const scopeEvent = mapEventToScope(event);
+            activityScope.addEvent(scopeEvent);
+        }
+
+        // Send to Aether for light effects
+        if (typeof Aether !== 'undefined') {
+            Aether.processActivity(event);
+        }
+    }
+
+    // Update displays with latest of each type
+    // Rate limit takes precedence over text if it came after
+    if (latestRateLimit) {
+        updateTextDisplay(latestRateLimit, true);
+    } else if (latestText) {
+        updateTextDisplay(latestText, false);
+    }
+    if (latestCmd) {
+        updateCommandDisplay(latestCmd);
     }
 }
@@ -0,0 +1,542 @@
+/**
+ * DOTBOT Control Panel - Process Log Viewer
+ * The output viewer in an expanded process row. Starts from the newest page of
+ * the activity log (processOutputCache), loads older pages when scrolled to
+ * the top and only renders the rows in view; adds event type filters, regex
+ * search over the loaded lines with hit navigation, pause/follow of the newest
+ * line and download of the full log as JSONL or plain text. Tool calls that carry
+ * details show their outcome on the row and a card (tool-cards.js) when
+ * selected; their tool_result events are folded into the call, not listed.
+ */
+
+const PROCESS_LOG_ROW_HEIGHT = 20;    // px, must match .process-log-row in processes.css
+const PROCESS_LOG_OVERSCAN = 10;      // rows rendered above and below the viewport
+
+// Filter groups follow the event types mapEventToScope() distinguishes
+const PROCESS_LOG_CATEGORIES = [
+    { key: 'text', label: 'Text', types: ['text'] },
+    { key: 'bash', label: 'Bash', types: ['bash', 'shell'] },
+    { key: 'read', label: 'Read', types: ['read', 'search', 'grep', 'glob'] },
+    { key: 'write', label: 'Write', types: ['write', 'edit'] },
+    { key: 'error', label: 'Error', types: ['error'] },
+    { key: 'rate_limit', label: 'Rate limit', types: ['rate_limit'] },
+    { key: 'other', label: 'Other', types: [] }
+];
+
+let processLogViews = {};     // process ID → viewer state, kept while the process is listed
+
+/**
+ * @param {Object} event - Activity event
+ * @returns {string} PROCESS_LOG_CATEGORIES key
+ */
+function getProcessLogCategory(event) {
+    const type = (event.type || '').toLowerCase();
+    const category = PROCESS_LOG_CATEGORIES.find(c => c.types.includes(type));
+    return category ? category.key : 'other';
+}
+
+function getProcessLogView(processId) {
+    if (!processLogViews[processId]) {
+        processLogViews[processId] = {
+            hidden: new Set(),
+            query: '',
+            regex: null,
+            regexError: false,
+            rows: [],           // cache indices of the events that pass the filters
+            matches: [],        // row numbers (into rows) whose message matches the search
+            matchIndex: -1,
+            counts: {},
+            follow: true,
+            selected: null,     // cache index of the line shown in full below the viewer
+            results: {},        // tool call id → details of its tool_result event
+            queryTimer: null
+        };
+    }
+    return processLogViews[processId];
+}
+
+/**
+ * Drop the viewer state of a process that left the list
+ * @param {string} processId - Process ID
+ */
+function forgetProcessLog(processId) {
+    clearTimeout(processLogViews[processId]?.queryTimer);
+    delete processLogViews[processId];
+}
+
+/**
+ * Toolbar markup for an expanded process row. It is static so the list
+ * reconciliation keeps it (and a half-typed search) across polls; state is
+ * applied by syncProcessLogToolbar().
+ * @param {string} processId - Process ID
+ * @returns {string} HTML
+ */
+function renderProcessLogToolbar(processId) {
+    const filters = PROCESS_LOG_CATEGORIES.map(c => `
+        <button type="button" class="process-log-filter active" data-log-category="${c.key}" onclick="toggleProcessLogCategory('${processId}', '${c.key}')" title="Show or hide ${c.label.toLowerCase()} lines">${c.label} <span class="process-log-count">0</span></button>
+    `).join('');
+
+    return `
+        <div class="process-log-toolbar" id="process-log-toolbar-${processId}">
+            <div class="process-log-filters">${filters}</div>
+            <div class="process-log-search">
+                <input type="text" class="process-log-search-input" placeholder="Search (regex)" spellcheck="false" oninput="setProcessLogQuery('${processId}', this.value)" onkeydown="handleProcessLogSearchKey(event, '${processId}')">
+                <span class="process-log-hits"></span>
+                <button type="button" class="process-log-btn" onclick="stepProcessLogMatch('${processId}', -1)" title="Previous match (Shift+Enter)">▲</button>
+                <button type="button" class="process-log-btn" onclick="stepProcessLogMatch('${processId}', 1)" title="Next match (Enter)">▼</button>
+            </div>
+            <div class="process-log-actions">
+                <button type="button" class="process-log-btn process-log-follow" onclick="toggleProcessLogFollow('${processId}')"></button>
+                <button type="button" class="process-log-btn" onclick="downloadProcessLog('${processId}', 'jsonl')" title="Download the full log as JSONL">JSONL</button>
+                <button type="button" class="process-log-btn" onclick="downloadProcessLog('${processId}', 'text')" title="Download the full log as plain text">TXT</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Build the viewer inside #process-output-{id} from the cached events
+ * (first load, or the row was re-created)
+ * @param {string} processId - Process ID
+ */
+function mountProcessLog(processId) {
+    const outputEl = document.getElementById(`process-output-${processId}`);
+    if (!outputEl) return;
+
+    const view = getProcessLogView(processId);
+    outputEl.classList.add('process-log');
+    outputEl.innerHTML = '<div class="process-log-spacer"><div class="process-log-rows"></div></div>';
+    outputEl.onscroll = () => handleProcessLogScroll(processId);
+    outputEl.onclick = (e) => {
+        const row = e.target.closest('[data-log-index]');
+        if (row) selectProcessLogLine(processId, Number(row.dataset.logIndex));
+    };
+
+    const input = document.querySelector(`#process-log-toolbar-${processId} .process-log-search-input`);
+    if (input && input.value !== view.query) input.value = view.query;
+
+    view.counts = {};
+    view.results = {};
+    for (const event of processOutputCache[processId] || []) {
+        if (isToolResultEvent(event)) {
+            if (event.details?.id) view.results[event.details.id] = event.details;
+            continue;
+        }
+        const category = getProcessLogCategory(event);
+        view.counts[category] = (view.counts[category] || 0) + 1;
+    }
+    rebuildProcessLogRows(processId);
+    renderProcessLogDetail(processId);
+}
+
+/**
+ * Take in events just added to processOutputCache
+ * @param {string} processId - Process ID
+ * @param {number} firstIndex - Cache index of the first new event
+ */
+function appendProcessLogEvents(processId, firstIndex) {
+    const outputEl = document.getElementById(`process-output-${processId}`);
+    if (!outputEl) return;
+    if (!outputEl.classList.contains('process-log') || !outputEl.querySelector('.process-log-rows')) {
+        mountProcessLog(processId);
+        return;
+    }
+
+    const view = getProcessLogView(processId);
+    const events = processOutputCache[processId] || [];
+    let resultForSelected = false;
+    for (let i = firstIndex; i < events.length; i++) {
+        if (isToolResultEvent(events[i])) {
+            const id = events[i].details?.id;
+            if (!id) continue;
+            view.results[id] = events[i].details;
+            if (view.selected !== null && events[view.selected]?.details?.id === id) resultForSelected = true;
+            continue;
+        }
+        const category = getProcessLogCategory(events[i]);
+        view.counts[category] = (view.counts[category] || 0) + 1;
+        if (view.hidden.has(category)) continue;
+        if (view.regex && testProcessLogMatch(view.regex, events[i])) view.matches.push(view.rows.length);
+        view.rows.push(i);
+    }
+    layoutProcessLog(processId);
+    if (resultForSelected) renderProcessLogDetail(processId);
+}
+
+/**
+ * Take in an older page just put in front of processOutputCache, keeping the
+ * lines in view where they were
+ * @param {string} processId - Process ID
+ * @param {number} count - Number of events added
+ */
+function prependProcessLogEvents(processId, count) {
+    const view = getProcessLogView(processId);
+    if (view.selected !== null) view.selected += count;
+
+    const outputEl = document.getElementById(`process-output-${processId}`);
+    if (!outputEl?.querySelector('.process-log-rows')) return;
+
+    const rowsBefore = view.rows.length;
+    const scrollTop = outputEl.scrollTop;
+    mountProcessLog(processId);
+    if (!view.follow) {
+        outputEl.scrollTop = scrollTop + (view.rows.length - rowsBefore) * PROCESS_LOG_ROW_HEIGHT;
+        renderProcessLogWindow(processId);
+    }
+    // Filters may have left too few new rows to scroll past; check once this page has settled
+    setTimeout(() => loadOlderProcessLogAtTop(processId, outputEl));
+}
+
+/**
+ * Recompute the filtered rows and search matches, then redraw
+ * @param {string} processId - Process ID
+ */
+function rebuildProcessLogRows(processId) {
+    const view = getProcessLogView(processId);
+    const events = processOutputCache[processId] || [];
+
+    view.rows = [];
+    view.matches = [];
+    view.matchIndex = -1;
+    events.forEach((event, i) => {
+        if (isToolResultEvent(event)) return;
+        if (view.hidden.has(getProcessLogCategory(event))) return;
+        if (view.regex && testProcessLogMatch(view.regex, event)) view.matches.push(view.rows.length);
+        view.rows.push(i);
+    });
+    layoutProcessLog(processId);
+}
+
+/**
+ * Size the scroll area for all rows, keep following the newest line unless
+ * paused, and redraw the rows in view
+ * @param {string} processId - Process ID
+ */
+function layoutProcessLog(processId) {
+    const outputEl = document.getElementById(`process-output-${processId}`);
+    const spacer = outputEl?.querySelector('.process-log-spacer');
+    if (!spacer) return;
+
+    const view = getProcessLogView(processId);
+    spacer.style.height = `${view.rows.length * PROCESS_LOG_ROW_HEIGHT}px`;
+    if (view.follow) outputEl.scrollTop = outputEl.scrollHeight;
+    renderProcessLogWindow(processId);
+    syncProcessLogToolbar(processId);
+    loadOlderProcessLogAtTop(processId, outputEl);
+}
+
+/**
+ * Fetch the previous page once the viewer is scrolled (or, with few rows
+ * left by the filters, already sits) near the top
+ * @param {string} processId - Process ID
+ * @param {HTMLElement} outputEl - Viewer element
+ */
+function loadOlderProcessLogAtTop(processId, outputEl) {
+    if (!outputEl.isConnected || !(processOutputStarts[processId] > 0)) return;
+    if (outputEl.scrollTop < PROCESS_LOG_OVERSCAN * PROCESS_LOG_ROW_HEIGHT) {
+        loadOlderProcessOutput(processId);
+    }
+}
+
+/**
+ * Render only the rows inside (and just around) the viewport
+ * @param {string} processId - Process ID
+ */
+function renderProcessLogWindow(processId) {
+    const outputEl = document.getElementById(`process-output-${processId}`);
+    const rowsEl = outputEl?.querySelector('.process-log-rows');
+    if (!rowsEl) return;
+
+    const view = getProcessLogView(processId);
+    const events = processOutputCache[processId] || [];
+    if (view.rows.length === 0) {
+        rowsEl.style.top = '0px';
+        rowsEl.innerHTML = events.length
+            ? '<div class="empty-state">No lines match the filters</div>'
+            : '<div class="empty-state">No output yet</div>';
+        return;
+    }
+
+    const visibleRows = Math.ceil((outputEl.clientHeight || 300) / PROCESS_LOG_ROW_HEIGHT);
+    const first = Math.max(0, Math.floor(outputEl.scrollTop / PROCESS_LOG_ROW_HEIGHT) - PROCESS_LOG_OVERSCAN);
+    const last = Math.min(view.rows.length, first + visibleRows + PROCESS_LOG_OVERSCAN * 2);
+    const currentRow = view.matchIndex >= 0 ? view.matches[view.matchIndex] : -1;
+
+    let html = '';
+    for (let row = first; row < last; row++) {
+        const index = view.rows[row];
+        html += renderProcessLogRow(events[index], index, view, row === currentRow);
+    }
+    rowsEl.style.top = `${first * PROCESS_LOG_ROW_HEIGHT}px`;
+    rowsEl.innerHTML = html;
+}
+
+/**
+ * @param {Object} evt - Activity event
+ * @param {number} index - Cache index
+ * @param {Object} view - Viewer state
+ * @param {boolean} current - Row of the current search hit
+ * @returns {string} HTML
+ */
+function renderProcessLogRow(evt, index, view, current) {
+    const ts = evt.timestamp ? new Date(evt.timestamp).toLocaleTimeString() : '';
+    const category = getProcessLogCategory(evt);
+    const typeClass = evt.type === 'rate_limit' ? 'warning' : (evt.type === 'text' ? 'text' : 'tool');
+    const messageText = stripConsoleSequences(evt.message || '');
+    const classes = ['process-output-line', 'process-log-row', typeClass, `category-${category}`];
+    if (current) classes.push('current-match');
+    if (view.selected === index) classes.push('selected');
+    if (evt.details) classes.push('has-card');
+
+    let badge = '';
+    if (evt.details) {
+        const outcome = getToolCardBadge(evt.details, view.results[evt.details.id]);
+        badge = `<span class="process-log-badge ${outcome.state}">${escapeHtml(outcome.text)}</span>`;
+    }
+
+    return `
+        <div class="${classes.join(' ')}" data-log-index="${index}">
+            <span class="output-time">${ts}</span>
+            <span class="output-type">${escapeHtml(evt.type || '')}</span>
+            ${badge}
+            <span class="output-msg">${highlightProcessLogText(messageText, view.regex)}</span>
+        </div>
+    `;
+}
+
+/**
+ * Escape text for HTML, wrapping regex matches in <mark>
+ * @param {string} text - Plain text
+ * @param {RegExp|null} regex - Search pattern (global)
+ * @returns {string} HTML
+ */
+function highlightProcessLogText(text, regex) {
+    if (!regex) return escapeHtml(text);
+
+    let html = '';
+    let last = 0;
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        if (match[0] === '') {
+            regex.lastIndex++;
+            continue;
+        }
+        html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+function testProcessLogMatch(regex, event) {
+    regex.lastIndex = 0;
+    return regex.test(stripConsoleSequences(event.message || ''));
+}
+
+function handleProcessLogScroll(processId) {
+    const outputEl = document.getElementById(`process-output-${processId}`);
+    if (!outputEl) return;
+
+    // Scrolling up pauses following; scrolling back to the bottom resumes it
+    const view = getProcessLogView(processId);
+    const atBottom = outputEl.scrollHeight - outputEl.scrollTop - outputEl.clientHeight < PROCESS_LOG_ROW_HEIGHT;
+    if (view.follow !== atBottom) {
+        view.follow = atBottom;
+        syncProcessLogToolbar(processId);
+    }
+    renderProcessLogWindow(processId);
+    loadOlderProcessLogAtTop(processId, outputEl);
+}
+
+/**
+ * Show or hide one category of lines
+ * @param {string} processId - Process ID
+ * @param {string} category - PROCESS_LOG_CATEGORIES key
+ */
+function toggleProcessLogCategory(processId, category) {
+    const view = getProcessLogView(processId);
+    if (view.hidden.has(category)) view.hidden.delete(category);
+    else view.hidden.add(category);
+    rebuildProcessLogRows(processId);
+}
+
+/**
+ * Search as the user types (debounced). Invalid patterns leave the previous
+ * results cleared and mark the input.
+ * @param {string} processId - Process ID
+ * @param {string} query - Regular expression, case-insensitive
+ */
+function setProcessLogQuery(processId, query) {
+    const view = getProcessLogView(processId);
+    clearTimeout(view.queryTimer);
+    view.queryTimer = setTimeout(() => applyProcessLogQuery(processId, query), 150);
+}
+
+function applyProcessLogQuery(processId, query) {
+    const view = getProcessLogView(processId);
+    clearTimeout(view.queryTimer);
+    view.query = query;
+    view.regexError = false;
+    view.regex = null;
+    if (query) {
+        try {
+            view.regex = new RegExp(query, 'gi');
+        } catch (error) {
+            view.regexError = true;
+        }
+    }
+    rebuildProcessLogRows(processId);
+}
+
+function handleProcessLogSearchKey(event, processId) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        // Don't wait for the debounce when Enter follows the last keystroke
+        if (event.target.value !== getProcessLogView(processId).query) applyProcessLogQuery(processId, event.target.value);
+        stepProcessLogMatch(processId, event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Escape') {
+        event.target.value = '';
+        setProcessLogQuery(processId, '');
+    }
+}
+
+/**
+ * Move to the next or previous search hit and scroll it into the middle of
+ * the viewer; the first step goes to the nearest hit from the current view
+ * @param {string} processId - Process ID
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function stepProcessLogMatch(processId, direction) {
+    const view = getProcessLogView(processId);
+    const outputEl = document.getElementById(`process-output-${processId}`);
+    const count = view.matches.length;
+    if (!outputEl || count === 0) return;
+
+    if (view.matchIndex < 0) {
+        const topRow = Math.floor(outputEl.scrollTop / PROCESS_LOG_ROW_HEIGHT);
+        const bottomRow = topRow + Math.ceil((outputEl.clientHeight || 300) / PROCESS_LOG_ROW_HEIGHT) - 1;
+        if (direction > 0) {
+            const next = view.matches.findIndex(row => row >= topRow);
+            view.matchIndex = next >= 0 ? next : 0;
+        } else {
+            const prev = view.matches.findLastIndex(row => row <= bottomRow);
+            view.matchIndex = prev >= 0 ? prev : count - 1;
+        }
+    } else {
+        view.matchIndex = (view.matchIndex + direction + count) % count;
+    }
+
+    const row = view.matches[view.matchIndex];
+    view.follow = false;
+    outputEl.scrollTop = Math.max(0, row * PROCESS_LOG_ROW_HEIGHT - outputEl.clientHeight / 2 + PROCESS_LOG_ROW_HEIGHT / 2);
+    renderProcessLogWindow(processId);
+    syncProcessLogToolbar(processId);
+}
+
+/**
+ * Pause following new lines, or jump to the newest line and follow again
+ * @param {string} processId - Process ID
+ */
+function toggleProcessLogFollow(processId) {
+    const view = getProcessLogView(processId);
+    view.follow = !view.follow;
+    if (view.follow) layoutProcessLog(processId);
+    else syncProcessLogToolbar(processId);
+}
+
+/**
+ * Show a line's full message, or its tool card, below the viewer (rows are
+ * cut to one line)
+ * @param {string} processId - Process ID
+ * @param {number} index - Cache index; the selected line again clears it
+ */
+function selectProcessLogLine(processId, index) {
+    const view = getProcessLogView(processId);
+    view.selected = view.selected === index ? null : index;
+    renderProcessLogWindow(processId);
+    renderProcessLogDetail(processId);
+}
+
+function renderProcessLogDetail(processId) {
+    const detail = document.getElementById(`process-log-detail-${processId}`);
+    if (!detail) return;
+
+    const view = getProcessLogView(processId);
+    const evt = view.selected !== null ? processOutputCache[processId]?.[view.selected] : null;
+    if (!evt) {
+        detail.hidden = true;
+        detail.innerHTML = '';
+        return;
+    }
+    detail.hidden = false;
+    detail.innerHTML = `
+        <div class="process-log-detail-meta">
+            <span class="output-time">${evt.timestamp ? escapeHtml(new Date(evt.timestamp).toLocaleString()) : ''}</span>
+            <span class="output-type">${escapeHtml(evt.type || '')}</span>
+            <button type="button" class="process-log-btn" onclick="selectProcessLogLine('${processId}', ${view.selected})" title="Close">✕</button>
+        </div>
+        ${evt.details
+            ? renderToolCard(evt.details, view.results[evt.details.id])
+            : `<pre class="process-log-detail-text">${highlightProcessLogText(stripConsoleSequences(evt.message || ''), view.regex)}</pre>`}
+    `;
+}
+
+/**
+ * Reflect filter counts, search hits and follow state in the toolbar
+ * @param {string} processId - Process ID
+ */
+function syncProcessLogToolbar(processId) {
+    const toolbar = document.getElementById(`process-log-toolbar-${processId}`);
+    if (!toolbar) return;
+    const view = getProcessLogView(processId);
+
+    toolbar.querySelectorAll('[data-log-category]').forEach(btn => {
+        const category = btn.dataset.logCategory;
+        btn.classList.toggle('active', !view.hidden.has(category));
+        const count = btn.querySelector('.process-log-count');
+        if (count) count.textContent = view.counts[category] || 0;
+    });
+
+    const input = toolbar.querySelector('.process-log-search-input');
+    input?.classList.toggle('invalid', view.regexError);
+
+    const hits = toolbar.querySelector('.process-log-hits');
+    if (hits) {
+        if (view.regexError) hits.textContent = 'invalid regex';
+        else if (!view.regex) hits.textContent = '';
+        else if (view.matches.length === 0) hits.textContent = 'no matches';
+        else if (view.matchIndex < 0) hits.textContent = `${view.matches.length} matches`;
+        else hits.textContent = `${view.matchIndex + 1}/${view.matches.length}`;
+    }
+
+    const follow = toolbar.querySelector('.process-log-follow');
+    if (follow) {
+        follow.textContent = view.follow ? '⏸ PAUSE' : '▶ FOLLOW';
+        follow.title = view.follow ? 'Stop scrolling to new lines' : 'Jump to the newest line and keep following';
+        follow.classList.toggle('paused', !view.follow);
+    }
+}
+
+/**
+ * Download every line of a process's output, ignoring filters. Pages not
+ * loaded yet are fetched first, one request at a time.
+ * @param {string} processId - Process ID
+ * @param {string} format - 'jsonl' (events as logged) or 'text'
+ */
+async function downloadProcessLog(processId, format) {
+    while ((processOutputStarts[processId] || 0) > 0) {
+        if (!await loadOlderProcessOutput(processId)) break;
+    }
+
+    const events = processOutputCache[processId] || [];
+    if (events.length === 0) {
+        showToast('No output to download', 'warning');
+        return;
+    }
+
+    const content = format === 'jsonl'
+        ? events.map(evt => JSON.stringify(evt)).join('\n') + '\n'
+        : events.map(evt => `${evt.timestamp || ''} [${evt.type || ''}] ${stripConsoleSequences(evt.message || '')}`).join('\n') + '\n';
+    const blob = new Blob([content], { type: format === 'jsonl' ? 'application/x-ndjson' : 'text/plain' });
+    downloadBlob(blob, `${processId}-output.${format === 'jsonl' ? 'jsonl' : 'txt'}`);
+}
@@ -1,14 +1,20 @@
 /**
  * DOTBOT Control Panel - Processes Module
- * Manages the Processes tab: listing, launching, stopping, and whispering to processes
+ * Manages the Processes tab: listing, launching, stopping, and whispering to processes.
+ * The output viewer of an expanded row lives in process-log.js.
  */
 
+const PROCESS_OUTPUT_PAGE = 500;  // Events per output request; older pages load on scroll
+
 // Process state
 let processesData = [];
 let processPollingTimer = null;
 let expandedProcessId = null;
 let processOutputPositions = {};  // Track output position per process
-let processOutputCache = {};      // Cache events per process to avoid flash on re-render
+let processOutputStarts = {};     // Log line of the oldest cached event per process
+let processOutputCache = {};      // Loaded output per process (the log viewer renders from it)
+let processOutputOlderPages = {};  // Older-page request in flight per process
+let processesTabActive = false;   // Processes tab visible — list renders and (without the stream) polls
 
 /**
  * Initialize the Processes tab
@@ -18,19 +24,37 @@ function initProcesses() {
 }
 
 /**
- * Start polling for processes (called when Processes tab becomes active)
+ * Start polling for processes (called when Processes tab becomes active).
+ * Fetches once for an immediate render; the interval only runs while the
+ * event stream is down, since the stream already pushes the process list.
  */
 function startProcessPolling() {
+    processesTabActive = true;
     pollProcesses();
-    if (!processPollingTimer) {
-        processPollingTimer = setInterval(pollProcesses, 3000);
-    }
+    resumeProcessPolling();
 }
 
 /**
  * Stop process polling (called when leaving Processes tab)
  */
 function stopProcessPolling() {
+    processesTabActive = false;
+    suspendProcessPolling();
+}
+
+/**
+ * Start the process poll interval if the tab is open and the stream is down
+ */
+function resumeProcessPolling() {
+    if (!processesTabActive || processPollingTimer) return;
+    if (typeof isEventStreamConnected === 'function' && isEventStreamConnected()) return;
+    processPollingTimer = setInterval(pollProcesses, 3000);
+}
+
+/**
+ * Stop the process poll interval without leaving the tab (stream reconnected)
+ */
+function suspendProcessPolling() {
     if (processPollingTimer) {
         clearInterval(processPollingTimer);
         processPollingTimer = null;
@@ -45,19 +69,9 @@ async function pollProcesses() {
         const response = await fetch(`${API_BASE}/api/processes`);
         if (!response.ok) return;
         const data = await response.json();
-        processesData = data.processes || [];
-
-        // Prune cache entries for processes no longer in the list
-        const activeIds = new Set(processesData.map(p => p.id));
-        for (const id in processOutputCache) {
-            if (!activeIds.has(id)) {
-                delete processOutputCache[id];
-                delete processOutputPositions[id];
-            }
-        }
+        setProcessesData(data.processes || []);
 
         renderProcessList(processesData);
-        updateProcessSidebar(processesData);
 
         // If a process is expanded and running, poll its output
         if (expandedProcessId) {
@@ -71,6 +85,57 @@ async function pollProcesses() {
     }
 }
 
+/**
+ * Store the latest process list, prune stale output caches and refresh the sidebar
+ * @param {Array} processes - Processes from /api/processes or the event stream
+ */
+function setProcessesData(processes) {
+    processesData = processes;
+
+    // Prune cache entries for processes no longer in the list
+    const activeIds = new Set(processesData.map(p => p.id));
+    for (const id in processOutputCache) {
+        if (!activeIds.has(id)) {
+            delete processOutputCache[id];
+            delete processOutputPositions[id];
+            delete processOutputStarts[id];
+            forgetProcessLog(id);
+        }
+    }
+
+    updateProcessSidebar(processesData);
+}
+
+/**
+ * Apply a process list pushed over the event stream
+ * @param {Array} processes - Current process list
+ */
+function handleProcessesPush(processes) {
+    setProcessesData(processes);
+    if (processesTabActive) {
+        renderProcessList(processesData);
+    }
+    updateActiveProcessesWidget();
+}
+
+/**
+ * Apply new output lines pushed over the event stream. Lines are appended
+ * only when they continue our cursor; otherwise a position-based fetch
+ * fills the gap.
+ * @param {Object} data - { process_id, from, position, events }
+ */
+function handleProcessOutputPush(data) {
+    const processId = data.process_id;
+    if (processId !== expandedProcessId) return;
+
+    if (data.from === processOutputPositions[processId]) {
+        processOutputPositions[processId] = data.position;
+        appendProcessOutput(processId, data.events || []);
+    } else {
+        pollProcessOutput(processId);
+    }
+}
+
 /**
  * Render the grouped process list
  */
@@ -79,7 +144,7 @@ function renderProcessList(processes) {
     if (!container) return;
 
     if (!processes || processes.length === 0) {
-        container.innerHTML = '<div class="empty-state">No processes</div>';
+        reconcileHtml(container, '<div class="empty-state">No processes</div>');
         return;
     }
 
@@ -112,7 +177,7 @@ function renderProcessList(processes) {
     for (const type of typeOrder) {
         if (!groups[type] || groups[type].length === 0) continue;
 
-        html += `<div class="process-group">`;
+        html += `<div class="process-group" data-reconcile-key="${escapeHtml(type)}">`;
         html += `<div class="process-group-header">${typeLabels[type] || type}</div>`;
 
         for (const proc of groups[type]) {
@@ -171,7 +236,7 @@ function renderProcessList(processes) {
 
             // Expanded detail panel
             if (isExpanded) {
-                html += `<div class="process-detail">`;
+                html += `<div class="process-detail" data-reconcile-key="detail">`;
 
                 // Metadata
                 html += `<div class="process-meta">`;
@@ -232,9 +297,11 @@ function renderProcessList(processes) {
                 }
 
                 // Output viewer
+                html += renderProcessLogToolbar(proc.id);
                 html += `<div class="process-output" id="process-output-${proc.id}">`;
                 html += `  <div class="loading-state">Loading output...</div>`;
                 html += `</div>`;
+                html += `<div class="process-log-detail" id="process-log-detail-${proc.id}" hidden></div>`;
 
                 // Inline whisper for running processes
                 if (isRunning) {
@@ -247,6 +314,8 @@ function renderProcessList(processes) {
                     html += `  <button class="ctrl-btn-sm primary" onclick="sendProcessWhisper('${proc.id}')">Send</button>`;
                     html += `</div>`;
                 }
+                // Filled by refreshProcessWhisperLog() (whispers.js)
+                html += `<div class="process-whisper-log" id="process-whisper-log-${proc.id}" data-reconcile-key="whisper-log"></div>`;
 
                 html += `</div>`;
             }
@@ -257,16 +326,18 @@ function renderProcessList(processes) {
         html += `</div>`;
     }
 
-    container.innerHTML = html;
+    // Keyed by data-process-id: rows that did not change keep their nodes, so
+    // focus, half-typed whisper text and interview selections survive a poll
+    reconcileHtml(container, html);
 
-    // Hydrate output from cache immediately to avoid "Loading output..." flash
+    // Hydrate a freshly created output viewer from cache to avoid "Loading output..." flash
     if (expandedProcessId && processOutputCache[expandedProcessId]?.length) {
         const outputEl = document.getElementById(`process-output-${expandedProcessId}`);
-        if (outputEl) {
-            outputEl.innerHTML = renderOutputHtml(processOutputCache[expandedProcessId]);
-            outputEl.scrollTop = outputEl.scrollHeight;
+        if (outputEl && outputEl.querySelector('.loading-state')) {
+            mountProcessLog(expandedProcessId);
         }
     }
+    if (expandedProcessId) refreshProcessWhisperLog(expandedProcessId);
 }
 
 /**
@@ -290,60 +361,92 @@ function toggleProcessExpand(processId) {
 }
 
 /**
- * Render event array to HTML string
- */
-function renderOutputHtml(events) {
-    let html = '';
-    for (const evt of events) {
-        const ts = evt.timestamp ? new Date(evt.timestamp).toLocaleTimeString() : '';
-        const typeClass = evt.type === 'rate_limit' ? 'warning' : (evt.type === 'text' ? 'text' : 'tool');
-        const messageText = stripConsoleSequences(evt.message || '');
-        html += `<div class="process-output-line ${typeClass}">`;
-        html += `  <span class="output-time">${ts}</span>`;
-        html += `  <span class="output-type">${escapeHtml(evt.type || '')}</span>`;
-        html += `  <span class="output-msg">${escapeHtml(messageText)}</span>`;
-        html += `</div>`;
-    }
-    return html;
-}
-
-/**
- * Poll process output/activity stream
+ * Poll process output/activity stream. The first read loads the newest page;
+ * later reads fetch what was added since, a page at a time.
  */
 async function pollProcessOutput(processId) {
     try {
         const position = processOutputPositions[processId] || 0;
-        const response = await fetch(`${API_BASE}/api/process/${processId}/output?position=${position}&tail=50`);
+        const query = position > 0 ? `position=${position}&limit=${PROCESS_OUTPUT_PAGE}` : `tail=${PROCESS_OUTPUT_PAGE}`;
+        const response = await fetch(`${API_BASE}/api/process/${processId}/output?${query}`);
         if (!response.ok) return;
 
         const data = await response.json();
+        if (position === 0 && data.start !== undefined) {
+            processOutputStarts[processId] = data.start;
+        }
         if (data.position !== undefined) {
             processOutputPositions[processId] = data.position;
         }
 
-        const outputEl = document.getElementById(`process-output-${processId}`);
-        if (!outputEl) return;
-
         if (data.events && data.events.length > 0) {
-            // Append new events to cache
-            if (!processOutputCache[processId]) processOutputCache[processId] = [];
-            processOutputCache[processId].push(...data.events);
-
-            // Clear empty-state / loading placeholder before appending
-            const placeholder = outputEl.querySelector('.loading-state, .empty-state');
-            if (placeholder) outputEl.innerHTML = '';
-
-            // Append only new events to the DOM
-            outputEl.insertAdjacentHTML('beforeend', renderOutputHtml(data.events));
-            outputEl.scrollTop = outputEl.scrollHeight;
+            appendProcessOutput(processId, data.events);
         } else if (position === 0 && !processOutputCache[processId]?.length) {
-            outputEl.innerHTML = '<div class="empty-state">No output yet</div>';
+            const outputEl = document.getElementById(`process-output-${processId}`);
+            if (outputEl) outputEl.innerHTML = '<div class="empty-state">No output yet</div>';
+        }
+
+        // More than a page was written since the last read
+        if (data.total > data.position && data.position > position) {
+            pollProcessOutput(processId);
         }
     } catch (error) {
         console.error('Process output poll error:', error);
     }
 }
 
+/**
+ * Load the page of output before the oldest cached event. A call while a page
+ * is in flight waits for that page instead of asking again.
+ * @param {string} processId - Process ID
+ * @returns {Promise<boolean>} Whether a page was added
+ */
+function loadOlderProcessOutput(processId) {
+    if (!processOutputOlderPages[processId]) {
+        processOutputOlderPages[processId] = fetchOlderProcessOutput(processId)
+            .finally(() => delete processOutputOlderPages[processId]);
+    }
+    return processOutputOlderPages[processId];
+}
+
+async function fetchOlderProcessOutput(processId) {
+    const start = processOutputStarts[processId] || 0;
+    if (start <= 0) return false;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/process/${processId}/output?before=${start}&limit=${PROCESS_OUTPUT_PAGE}`);
+        if (!response.ok) return false;
+
+        const data = await response.json();
+        // The cache was dropped or reloaded while the page was in flight
+        if (data.start === undefined || processOutputStarts[processId] !== start || !processOutputCache[processId]) return false;
+
+        const events = data.events || [];
+        processOutputStarts[processId] = data.start;
+        processOutputCache[processId] = events.concat(processOutputCache[processId]);
+        prependProcessLogEvents(processId, events.length);
+        return true;
+    } catch (error) {
+        console.error('Process output page error:', error);
+        return false;
+    }
+}
+
+/**
+ * Append output events to the cache and, if visible, the output viewer
+ * @param {string} processId - Process ID
+ * @param {Array} events - New events in log order
+ */
+function appendProcessOutput(processId, events) {
+    if (!events.length) return;
+
+    if (!processOutputCache[processId]) processOutputCache[processId] = [];
+    const firstIndex = processOutputCache[processId].length;
+    for (const evt of events) processOutputCache[processId].push(evt);
+
+    appendProcessLogEvents(processId, firstIndex);
+}
+
 /**
  * Stop a process
  */
@@ -425,6 +528,7 @@ async function sendProcessWhisper(processId) {
         if (data.success) {
             showToast(`Whisper sent to ${processId}`, 'success');
             if (input) input.value = '';
+            refreshProcessWhisperLog(processId, true);
         } else {
             showToast(`Whisper failed: ${data.error || 'Unknown error'}`, 'error');
         }
@@ -0,0 +1,275 @@
+/**
+ * DOTBOT Control Panel - Product Document Editor
+ * Split-pane editing of md/json/txt product docs with a live preview.
+ * Saves go through /api/product/save carrying the version the editor was
+ * opened from; a 409 means the file changed on disk and is shown as a
+ * conflict the user resolves by reloading or overwriting.
+ */
+
+const PRODUCT_EDITOR_PREVIEW_DELAY = 300;   // Debounce between keystrokes and the preview render
+const PRODUCT_EDITABLE_TYPES = ['md', 'json', 'txt'];
+
+let productEditorState = null;   // { name, type, original, version, conflict, saving, previewTimer }
+
+/**
+ * Warn before the page unloads with unsaved edits
+ */
+function initProductEditor() {
+    window.addEventListener('beforeunload', (e) => {
+        if (!isProductEditorDirty()) return;
+        e.preventDefault();
+        e.returnValue = '';
+    });
+}
+
+/**
+ * Put an Edit button above an editable document in the viewer
+ * @param {HTMLElement} viewer - The #doc-viewer element
+ * @param {{name: string, type: string, content: string, version: string}} doc - Loaded document
+ */
+function addProductEditButton(viewer, doc) {
+    if (!PRODUCT_EDITABLE_TYPES.includes(doc.type) || !doc.version) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'product-doc-actions';
+    bar.innerHTML = '<button type="button" class="ctrl-btn-sm" title="Edit this document (preview updates as you type)">Edit</button>';
+    bar.querySelector('button').addEventListener('click', () => openProductEditor(doc));
+    viewer.prepend(bar);
+}
+
+/**
+ * Replace the viewer with the split-pane editor
+ * @param {{name: string, type: string, content: string, version: string}} doc - Document to edit
+ */
+function openProductEditor(doc) {
+    const viewer = document.getElementById('doc-viewer');
+    if (!viewer) return;
+
+    productEditorState = {
+        name: doc.name,
+        type: doc.type,
+        original: doc.content,
+        version: doc.version,
+        conflict: null,
+        saving: false,
+        previewTimer: null
+    };
+
+    viewer.classList.add('editing');
+    viewer.innerHTML = `
+        <div class="product-editor">
+            <div class="product-editor-toolbar">
+                <span class="product-editor-name">${escapeHtml(doc.name)}</span>
+                <span class="product-editor-status" id="product-editor-status"></span>
+                <button type="button" class="ctrl-btn-sm" data-editor-action="cancel">Close</button>
+                <button type="button" class="ctrl-btn-sm primary" data-editor-action="save" title="Save (Ctrl+S)">Save</button>
+            </div>
+            <div class="product-editor-conflict" id="product-editor-conflict" style="display: none;">
+                <span>This document changed on disk after you opened it.</span>
+                <button type="button" class="ctrl-btn-sm" data-editor-action="reload" title="Discard your edits and load the version on disk">Reload from disk</button>
+                <button type="button" class="ctrl-btn-sm" data-editor-action="overwrite" title="Replace the version on disk with your edits">Overwrite</button>
+            </div>
+            <div class="product-editor-panes">
+                <textarea class="product-editor-input" id="product-editor-input" spellcheck="false"></textarea>
+                <div class="product-editor-preview" id="product-editor-preview"></div>
+            </div>
+        </div>
+    `;
+
+    const input = viewer.querySelector('#product-editor-input');
+    input.value = doc.content;
+    input.addEventListener('input', () => {
+        updateProductEditorStatus();
+        clearTimeout(productEditorState.previewTimer);
+        productEditorState.previewTimer = setTimeout(renderProductEditorPreview, PRODUCT_EDITOR_PREVIEW_DELAY);
+    });
+    input.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+            e.preventDefault();
+            saveProductDoc();
+        }
+    });
+
+    viewer.querySelector('.product-editor').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-editor-action]');
+        if (!btn) return;
+        switch (btn.dataset.editorAction) {
+            case 'save': saveProductDoc(); break;
+            case 'cancel': closeProductEditor(); break;
+            case 'reload': reloadProductEditorFromDisk(); break;
+            case 'overwrite': saveProductDoc(true); break;
+        }
+    });
+
+    renderProductEditorPreview();
+    updateProductEditorStatus();
+    input.focus();
+}
+
+/**
+ * Whether the editor holds text that differs from the last saved version
+ * @returns {boolean}
+ */
+function isProductEditorDirty() {
+    const input = document.getElementById('product-editor-input');
+    return !!(productEditorState && input && input.value !== productEditorState.original);
+}
+
+/**
+ * Ask before throwing away unsaved edits
+ * @returns {boolean} True when it is safe to leave the editor
+ */
+function confirmDiscardProductEdits() {
+    if (!isProductEditorDirty()) return true;
+    return window.confirm(`Discard unsaved changes to ${productEditorState.name}?`);
+}
+
+/**
+ * Leave the editor and show the document as last saved
+ */
+function closeProductEditor() {
+    if (!productEditorState || !confirmDiscardProductEdits()) return;
+
+    const { name, type, original, version } = productEditorState;
+    clearTimeout(productEditorState.previewTimer);
+    productEditorState = null;
+
+    const viewer = document.getElementById('doc-viewer');
+    if (!viewer) return;
+    viewer.classList.remove('editing');
+    viewer.innerHTML = renderProductDocHtml(original, type);
+    initProductDocContent(viewer, type);
+    addProductEditButton(viewer, { name, type, content: original, version });
+}
+
+/**
+ * Validate JSON through the viewer's parser
+ * @returns {string|null} Parse error, or null when the text is valid (or not JSON)
+ */
+function getProductEditorJsonError() {
+    const input = document.getElementById('product-editor-input');
+    if (!productEditorState || productEditorState.type !== 'json' || !input) return null;
+    return parseJsonDocument(input.value).error;
+}
+
+/**
+ * Re-render the preview pane from the editor text
+ */
+function renderProductEditorPreview() {
+    const input = document.getElementById('product-editor-input');
+    const preview = document.getElementById('product-editor-preview');
+    if (!productEditorState || !input || !preview) return;
+
+    // Keep the reader's place while the content underneath is swapped
+    const scrollTop = preview.scrollTop;
+    preview.innerHTML = renderProductDocHtml(input.value, productEditorState.type);
+    initProductDocContent(preview, productEditorState.type);
+    preview.scrollTop = scrollTop;
+}
+
+/**
+ * Show dirty / JSON error / saving state and enable the Save button to match
+ */
+function updateProductEditorStatus() {
+    const status = document.getElementById('product-editor-status');
+    const saveBtn = document.querySelector('[data-editor-action="save"]');
+    if (!productEditorState || !status) return;
+
+    const jsonError = getProductEditorJsonError();
+    const dirty = isProductEditorDirty();
+    let text = dirty ? 'Unsaved changes' : 'Saved';
+    let cls = dirty ? 'dirty' : '';
+    if (productEditorState.saving) {
+        text = 'Saving…';
+    } else if (jsonError) {
+        text = `Invalid JSON: ${jsonError}`;
+        cls = 'error';
+    } else if (productEditorState.conflict) {
+        text = 'Conflict';
+        cls = 'error';
+    }
+
+    status.textContent = text;
+    status.title = text;
+    status.className = `product-editor-status ${cls}`.trim();
+    if (saveBtn) saveBtn.disabled = productEditorState.saving || !!jsonError || !dirty;
+}
+
+/**
+ * Write the editor text to disk
+ * @param {boolean} [overwrite] - Save over a conflicting on-disk version
+ */
+async function saveProductDoc(overwrite = false) {
+    const input = document.getElementById('product-editor-input');
+    if (!productEditorState || !input || productEditorState.saving) return;
+    if (!overwrite && !isProductEditorDirty()) return;
+
+    const jsonError = getProductEditorJsonError();
+    if (jsonError) {
+        showToast(`Fix the JSON before saving: ${jsonError}`, 'error');
+        return;
+    }
+
+    const state = productEditorState;
+    const content = input.value;
+    // Overwriting means accepting the disk version we were shown as the base
+    const version = overwrite && state.conflict ? state.conflict.version : state.version;
+    state.saving = true;
+    updateProductEditorStatus();
+
+    try {
+        const response = await fetch(`${API_BASE}/api/product/save`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: state.name, content, version })
+        });
+        const data = await response.json();
+        if (productEditorState !== state) return;
+
+        if (response.status === 409 && data.conflict) {
+            state.conflict = { version: data.version, content: data.content || '' };
+            showProductEditorConflict(true);
+            showToast(`${state.name} changed on disk — reload or overwrite`, 'warning');
+            return;
+        }
+        if (!data.success) throw new Error(data.error || 'Save failed');
+
+        state.original = content;
+        state.version = data.version;
+        state.conflict = null;
+        showProductEditorConflict(false);
+        showToast(`Saved ${state.name}`, 'success');
+    } catch (error) {
+        showToast(`Failed to save ${state.name}: ${error.message}`, 'error');
+    } finally {
+        state.saving = false;
+        updateProductEditorStatus();
+    }
+}
+
+/**
+ * Toggle the conflict banner
+ * @param {boolean} visible - Whether to show it
+ */
+function showProductEditorConflict(visible) {
+    const banner = document.getElementById('product-editor-conflict');
+    if (banner) banner.style.display = visible ? '' : 'none';
+}
+
+/**
+ * Resolve a conflict by taking the version on disk
+ */
+function reloadProductEditorFromDisk() {
+    const input = document.getElementById('product-editor-input');
+    if (!productEditorState?.conflict || !input) return;
+    if (isProductEditorDirty() && !window.confirm('Replace your edits with the version on disk?')) return;
+
+    const { version, content } = productEditorState.conflict;
+    productEditorState.original = content;
+    productEditorState.version = version;
+    productEditorState.conflict = null;
+    input.value = content;
+    showProductEditorConflict(false);
+    renderProductEditorPreview();
+    updateProductEditorStatus();
+}
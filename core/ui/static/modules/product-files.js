@@ -0,0 +1,320 @@
+/**
+ * DOTBOT Control Panel - Product Document Files
+ * Create, rename and upload product documents from the Product tab tree.
+ * Right-click a document, a folder or the empty tree for the actions; drop
+ * files on the tree (or on a folder) to upload them. Uploads use the same
+ * extension and size limits as answer attachments.
+ */
+
+let productFilesMenu = null;      // Open context menu element
+let productFilesInput = null;     // Hidden <input type="file"> behind "Upload files…"
+let productFilesUploadFolder = '';
+
+/**
+ * Wire the context menu and drag-and-drop upload onto the product tree
+ */
+function initProductFiles() {
+    const nav = document.getElementById('product-file-nav');
+    if (!nav) return;
+
+    nav.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        openProductFilesMenu(e.clientX, e.clientY, getProductFilesTarget(e.target));
+    });
+
+    nav.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        highlightProductDropTarget(nav, e.target);
+    });
+    nav.addEventListener('dragleave', (e) => {
+        if (!nav.contains(e.relatedTarget)) highlightProductDropTarget(nav, null);
+    });
+    nav.addEventListener('drop', (e) => {
+        e.preventDefault();
+        highlightProductDropTarget(nav, null);
+        const files = e.dataTransfer?.files;
+        if (files && files.length > 0) {
+            uploadProductFiles(files, getProductFilesTarget(e.target).folder);
+        }
+    });
+
+    productFilesInput = document.createElement('input');
+    productFilesInput.type = 'file';
+    productFilesInput.multiple = true;
+    productFilesInput.accept = ANSWER_ALLOWED_EXTENSIONS.join(',');
+    productFilesInput.style.display = 'none';
+    productFilesInput.addEventListener('change', () => {
+        if (productFilesInput.files.length > 0) {
+            uploadProductFiles(productFilesInput.files, productFilesUploadFolder);
+        }
+        productFilesInput.value = '';
+    });
+    document.body.appendChild(productFilesInput);
+
+    document.addEventListener('click', (e) => {
+        if (productFilesMenu && !productFilesMenu.contains(e.target)) closeProductFilesMenu();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeProductFilesMenu();
+    });
+    window.addEventListener('resize', closeProductFilesMenu);
+    nav.addEventListener('scroll', closeProductFilesMenu);
+}
+
+/**
+ * Work out what a tree event landed on
+ * @param {HTMLElement} el - Event target inside #product-file-nav
+ * @returns {{kind: string, folder: string, path?: string, label?: string}}
+ *   kind is 'document', 'folder' or 'root'; folder is where new items go
+ */
+function getProductFilesTarget(el) {
+    const item = el.closest?.('.file-nav-item');
+    if (item) {
+        const path = item.dataset.filename;
+        const slash = path.lastIndexOf('/');
+        return {
+            kind: 'document',
+            path,
+            label: path.slice(slash + 1),
+            folder: slash >= 0 ? path.slice(0, slash) : ''
+        };
+    }
+
+    const folder = el.closest?.('.chain-folder');
+    if (folder?.dataset.folderPath) {
+        const path = folder.dataset.folderPath;
+        return { kind: 'folder', path, label: path.split('/').pop(), folder: path };
+    }
+
+    return { kind: 'root', folder: '' };
+}
+
+/**
+ * Mark the folder (or whole tree) a drop would upload into
+ * @param {HTMLElement} nav - The #product-file-nav element
+ * @param {HTMLElement|null} el - Element under the pointer, or null to clear
+ */
+function highlightProductDropTarget(nav, el) {
+    nav.querySelectorAll('.chain-folder.drop-target').forEach(f => f.classList.remove('drop-target'));
+    nav.classList.remove('drop-target');
+    if (!el) return;
+
+    const folderPath = getProductFilesTarget(el).folder;
+    const folder = folderPath
+        ? Array.from(nav.querySelectorAll('.chain-folder')).find(f => f.dataset.folderPath === folderPath)
+        : null;
+    (folder || nav).classList.add('drop-target');
+}
+
+/**
+ * Show the context menu for a tree target
+ * @param {number} x - Viewport x
+ * @param {number} y - Viewport y
+ * @param {object} target - Result of getProductFilesTarget
+ */
+function openProductFilesMenu(x, y, target) {
+    closeProductFilesMenu();
+
+    const inFolder = target.folder ? ` in ${target.folder}` : '';
+    const items = [];
+    if (target.kind === 'document') {
+        items.push({ action: 'rename', label: 'Rename…' });
+        items.push(null);
+    }
+    items.push({ action: 'new-document', label: 'New document…', title: `Create a document${inFolder}` });
+    items.push({ action: 'new-folder', label: 'New folder…', title: `Create a folder${inFolder}` });
+    items.push({ action: 'upload', label: 'Upload files…', title: `Upload ${ANSWER_ALLOWED_EXTENSIONS.join(', ')} files${inFolder}` });
+    if (target.kind === 'folder') {
+        items.push(null);
+        items.push({ action: 'rename', label: 'Rename folder…' });
+    }
+
+    const menu = document.createElement('div');
+    menu.className = 'product-files-menu';
+    menu.setAttribute('role', 'menu');
+    menu.innerHTML = items.map(item => item
+        ? `<button type="button" role="menuitem" data-files-action="${item.action}"${item.title ? ` title="${escapeAttr(item.title)}"` : ''}>${escapeHtml(item.label)}</button>`
+        : '<div class="product-files-menu-separator"></div>'
+    ).join('');
+
+    menu.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-files-action]');
+        if (!btn) return;
+        closeProductFilesMenu();
+        switch (btn.dataset.filesAction) {
+            case 'new-document': createProductItem('document', target.folder); break;
+            case 'new-folder': createProductItem('folder', target.folder); break;
+            case 'upload': chooseProductUploadFiles(target.folder); break;
+            case 'rename': renameProductItem(target); break;
+        }
+    });
+
+    document.body.appendChild(menu);
+    productFilesMenu = menu;
+
+    // Keep the menu on screen near the pointer
+    const rect = menu.getBoundingClientRect();
+    menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - rect.width - 4))}px`;
+    menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - rect.height - 4))}px`;
+    menu.querySelector('button')?.focus();
+}
+
+function closeProductFilesMenu() {
+    if (!productFilesMenu) return;
+    productFilesMenu.remove();
+    productFilesMenu = null;
+}
+
+/**
+ * Reload the tree, optionally opening a document afterwards
+ * @param {string} [select] - Filename (relative to the product dir) to open
+ */
+async function reloadProductFileNav(select) {
+    const nav = document.getElementById('product-file-nav');
+    if (nav) delete nav.dataset.loaded;
+    await updateProductFileNav(select ? { select } : {});
+}
+
+/**
+ * POST JSON to a product endpoint
+ * @returns {Promise<object>} Parsed response; throws with the server's error on failure
+ */
+async function postProductFiles(endpoint, payload) {
+    const response = await fetch(`${API_BASE}/api/product/${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error || `Request failed (${response.status})`);
+    return data;
+}
+
+/**
+ * Prompt for a name and create a document or folder
+ * @param {'document'|'folder'} kind - What to create
+ * @param {string} folder - Parent folder ('' for the product root)
+ */
+async function createProductItem(kind, folder) {
+    const where = folder ? ` in ${folder}` : '';
+    const name = window.prompt(kind === 'folder'
+        ? `New folder name${where}:`
+        : `New document name${where} (end with .json or .txt for those types, otherwise markdown):`);
+    if (name === null || !name.trim()) return;
+
+    const trimmed = name.trim();
+    const typeMatch = trimmed.match(/\.(md|json|txt)$/i);
+    const payload = { kind, folder, name: trimmed };
+    if (kind === 'document') payload.type = typeMatch ? typeMatch[1].toLowerCase() : 'md';
+
+    // Opening the new document would drop unsaved edits in the editor
+    if (kind === 'document' && typeof confirmDiscardProductEdits === 'function' && !confirmDiscardProductEdits()) return;
+
+    try {
+        const data = await postProductFiles('create', payload);
+        showToast(kind === 'folder' ? `Created folder ${data.path}` : `Created ${data.path}`, 'success');
+        await reloadProductFileNav(kind === 'document' ? data.path : undefined);
+    } catch (error) {
+        showToast(`Could not create ${kind}: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Prompt for a new name and rename a document or folder in place
+ * @param {object} target - Result of getProductFilesTarget for a document or folder
+ */
+async function renameProductItem(target) {
+    const isFolder = target.kind === 'folder';
+    const current = isFolder ? target.label : target.label.replace(/\.[^.]+$/, '');
+    const name = window.prompt(isFolder ? 'Rename folder to:' : `Rename ${target.label} to (the extension is kept):`, current);
+    if (name === null || !name.trim() || name.trim() === current) return;
+
+    // Renaming the open document (or its folder) reloads it, so ask about unsaved edits first
+    const active = document.querySelector('#product-file-nav .file-nav-item.active')?.dataset.filename;
+    const affectsActive = active && (isFolder ? active.startsWith(`${target.path}/`) : active === target.path);
+    if (affectsActive && typeof confirmDiscardProductEdits === 'function' && !confirmDiscardProductEdits()) return;
+
+    try {
+        const data = await postProductFiles('rename', { path: target.path, name: name.trim() });
+        showToast(`Renamed to ${data.path}`, 'success');
+        const select = !affectsActive ? undefined
+            : isFolder ? data.path + active.slice(target.path.length)
+            : data.path;
+        await reloadProductFileNav(select);
+    } catch (error) {
+        showToast(`Could not rename ${target.label}: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Open the file picker for an upload into a folder
+ * @param {string} folder - Destination folder ('' for the product root)
+ */
+function chooseProductUploadFiles(folder) {
+    if (!productFilesInput) return;
+    productFilesUploadFolder = folder;
+    productFilesInput.click();
+}
+
+/**
+ * Validate, read and upload files into a product folder, asking before
+ * replacing documents that already exist
+ * @param {FileList|File[]} fileList - Files from the picker or a drop
+ * @param {string} folder - Destination folder ('' for the product root)
+ */
+async function uploadProductFiles(fileList, folder) {
+    const accepted = [];
+    for (const file of Array.from(fileList)) {
+        const ext = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+        if (!ANSWER_ALLOWED_EXTENSIONS.includes(ext)) {
+            showToast(`"${file.name}" is not allowed. Use one of: ${ANSWER_ALLOWED_EXTENSIONS.join(', ')}`, 'warning');
+            continue;
+        }
+        if (file.size > ANSWER_MAX_FILE_SIZE) {
+            showToast(`"${file.name}" exceeds the 15 MB limit`, 'warning');
+            continue;
+        }
+        accepted.push(file);
+    }
+    if (accepted.length === 0) return;
+
+    let files;
+    try {
+        files = await Promise.all(accepted.map(readFileAsBase64));
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+
+    try {
+        let data = await postProductFiles('upload', { folder, files });
+        let saved = data.saved || [];
+        let skipped = data.skipped || [];
+
+        const existing = skipped.filter(s => s.exists).map(s => s.name);
+        if (existing.length > 0 && window.confirm(`Replace existing ${existing.length === 1 ? 'file' : 'files'}: ${existing.join(', ')}?`)) {
+            data = await postProductFiles('upload', {
+                folder,
+                files: files.filter(f => existing.includes(f.name)),
+                overwrite: true
+            });
+            saved = saved.concat(data.saved || []);
+            skipped = skipped.filter(s => !s.exists).concat(data.skipped || []);
+        } else {
+            skipped = skipped.filter(s => !s.exists);
+        }
+
+        for (const s of skipped) showToast(`Skipped "${s.name}": ${s.error}`, 'warning');
+        if (saved.length === 0) return;
+
+        const where = folder ? ` to ${folder}` : '';
+        showToast(saved.length === 1 ? `Uploaded ${saved[0].path}` : `Uploaded ${saved.length} files${where}`, 'success');
+        // Only jump to a single new upload when that can't throw away editor changes
+        const editing = typeof isProductEditorDirty === 'function' && isProductEditorDirty();
+        await reloadProductFileNav(saved.length === 1 && !editing ? saved[0].path : undefined);
+    } catch (error) {
+        showToast(`Upload failed: ${error.message}`, 'error');
+    }
+}
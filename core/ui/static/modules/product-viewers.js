@@ -0,0 +1,243 @@
+/**
+ * DOTBOT Control Panel - Product File Viewers
+ * Inline viewers for pdf, xlsx and docx product files. The rendering libraries
+ * are bundled in lib/ (dashboards run offline) and only loaded the first time
+ * a file of that kind is opened.
+ */
+
+// Bundled libraries: pdf.js 4.10.38 (legacy build), SheetJS 0.20.3 (mini build), mammoth 1.8.0.
+// pdf.js ships only as an ES module; it still publishes its API on globalThis.pdfjsLib.
+const PRODUCT_VIEWER_LIBS = {
+    pdf:  { src: 'lib/pdf.min.mjs', global: 'pdfjsLib', module: true },
+    xlsx: { src: 'lib/xlsx.mini.min.js', global: 'XLSX' },
+    docx: { src: 'lib/mammoth.browser.min.js', global: 'mammoth' }
+};
+const PDF_WORKER_LOCAL_PATH = 'lib/pdf.worker.min.mjs';
+const XLSX_VIEWER_MAX_ROWS = 1000;   // Larger sheets are truncated; the download has everything
+
+const productViewerLibPromises = {};
+let productViewerToken = 0;          // Bumped per open so a slow render can't paint over a newer doc
+
+/**
+ * Which inline viewer handles a file, if any
+ * @param {string} filename - File name or path
+ * @returns {'pdf'|'xlsx'|'docx'|null}
+ */
+function getProductViewerKind(filename) {
+    const match = /\.(pdf|xlsx|docx)$/i.exec(filename || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Lazy-load a bundled viewer library
+ * @param {'pdf'|'xlsx'|'docx'} kind - Viewer kind
+ * @returns {Promise<object>} The library's global
+ */
+function loadProductViewerLib(kind) {
+    const lib = PRODUCT_VIEWER_LIBS[kind];
+    if (window[lib.global]) return Promise.resolve(window[lib.global]);
+    if (productViewerLibPromises[kind]) return productViewerLibPromises[kind];
+
+    productViewerLibPromises[kind] = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = lib.src;
+        if (lib.module) script.type = 'module';
+        else script.async = true;
+        script.onload = () => {
+            if (kind === 'pdf') window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_LOCAL_PATH;
+            resolve(window[lib.global]);
+        };
+        script.onerror = () => {
+            // Allow a retry on the next open
+            delete productViewerLibPromises[kind];
+            reject(new Error(`Failed to load ${lib.src}`));
+        };
+        document.head.appendChild(script);
+    });
+    return productViewerLibPromises[kind];
+}
+
+/**
+ * Show a pdf, xlsx or docx product file in the doc viewer
+ * @param {{name: string, filename: string, size: number}} doc - Product file from the tree
+ */
+async function showProductFileViewer(doc) {
+    const viewer = document.getElementById('doc-viewer');
+    const kind = getProductViewerKind(doc.filename);
+    if (!viewer || !kind) return;
+
+    const token = ++productViewerToken;
+    const rawUrl = `${API_BASE}/api/product/raw/${encodeURIComponent(doc.name)}`;
+    const displayName = doc.filename.split('/').pop();
+
+    viewer.innerHTML = `<div class="file-viewer file-viewer-${kind}">
+        <div class="image-viewer-header file-viewer-header">
+            <span class="image-viewer-label">${escapeHtml(displayName)}</span>
+            <span class="file-viewer-meta">${formatFileSize(doc.size)}</span>
+            <a class="ctrl-btn-sm file-viewer-download" href="${escapeAttr(rawUrl)}" download="${escapeAttr(displayName)}">Download</a>
+        </div>
+        <div class="file-viewer-body"><div class="loading-state">Loading...</div></div>
+    </div>`;
+    const body = viewer.querySelector('.file-viewer-body');
+
+    try {
+        const [lib, response] = await Promise.all([loadProductViewerLib(kind), fetch(rawUrl)]);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.arrayBuffer();
+        if (token !== productViewerToken) return;
+
+        if (kind === 'pdf') {
+            await renderPdfViewer(lib, data, body, token);
+        } else if (kind === 'xlsx') {
+            renderXlsxViewer(lib, data, body);
+        } else {
+            await renderDocxViewer(lib, data, body, token);
+        }
+    } catch (error) {
+        if (token !== productViewerToken) return;
+        console.error(`Failed to render ${displayName}:`, error);
+        body.innerHTML = `<div class="doc-placeholder">Preview failed: ${escapeHtml(error.message)}. Use Download to open it locally.</div>`;
+    }
+}
+
+/**
+ * Stop any in-flight render, e.g. when another document is opened
+ */
+function cancelProductFileViewer() {
+    productViewerToken++;
+}
+
+/**
+ * Render every PDF page to a canvas sized to the viewer width
+ */
+async function renderPdfViewer(pdfjs, data, body, token) {
+    // Product files can come from uploads or agents: never let a font program compile to JS
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(data), isEvalSupported: false }).promise;
+    if (token !== productViewerToken) return;
+
+    body.innerHTML = '<div class="pdf-pages"></div>';
+    const pages = body.querySelector('.pdf-pages');
+    const meta = body.parentElement.querySelector('.file-viewer-meta');
+    if (meta) meta.textContent += ` · ${pdf.numPages} page${pdf.numPages === 1 ? '' : 's'}`;
+
+    const targetWidth = Math.max(320, pages.clientWidth || body.clientWidth || 800);
+    const ratio = window.devicePixelRatio || 1;
+
+    // One page at a time keeps memory flat on long documents
+    for (let n = 1; n <= pdf.numPages; n++) {
+        const page = await pdf.getPage(n);
+        if (token !== productViewerToken) return;
+
+        const baseViewport = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: targetWidth / baseViewport.width });
+        const canvas = document.createElement('canvas');
+        canvas.className = 'pdf-page';
+        canvas.width = Math.floor(viewport.width * ratio);
+        canvas.height = Math.floor(viewport.height * ratio);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.title = `Page ${n}`;
+        pages.appendChild(canvas);
+
+        await page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+        }).promise;
+    }
+}
+
+/**
+ * Render a workbook as sheet tabs over a cell grid
+ */
+function renderXlsxViewer(XLSX, data, body) {
+    const workbook = XLSX.read(new Uint8Array(data), { type: 'array' });
+    const names = workbook.SheetNames || [];
+    if (names.length === 0) {
+        body.innerHTML = '<div class="doc-placeholder">Workbook has no sheets</div>';
+        return;
+    }
+
+    body.innerHTML = `<div class="xlsx-sheet-tabs">${names.map((name, i) =>
+        `<button type="button" class="roadmap-view-btn${i === 0 ? ' active' : ''}" data-sheet="${i}">${escapeHtml(name)}</button>`
+    ).join('')}</div><div class="xlsx-sheet"></div>`;
+
+    const showSheet = (index) => {
+        body.querySelectorAll('.xlsx-sheet-tabs button').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.sheet) === index);
+        });
+        body.querySelector('.xlsx-sheet').innerHTML = renderXlsxSheet(XLSX, workbook.Sheets[names[index]]);
+    };
+    body.querySelector('.xlsx-sheet-tabs').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-sheet]');
+        if (btn) showSheet(Number(btn.dataset.sheet));
+    });
+    showSheet(0);
+}
+
+/**
+ * Build the grid for one sheet with spreadsheet-style row and column headers
+ * @returns {string} HTML string
+ */
+function renderXlsxSheet(XLSX, sheet) {
+    if (!sheet || !sheet['!ref']) return '<div class="doc-placeholder">Empty sheet</div>';
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    // Formatted text (w) as Excel shows it; header:1 keeps rows as arrays aligned to the range
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true });
+    const shown = rows.slice(0, XLSX_VIEWER_MAX_ROWS);
+    const columns = [];
+    for (let c = range.s.c; c <= range.e.c; c++) columns.push(XLSX.utils.encode_col(c));
+
+    const head = `<tr><th class="xlsx-corner"></th>${columns.map(col => `<th>${col}</th>`).join('')}</tr>`;
+    const bodyRows = shown.map((row, i) => `<tr><th class="xlsx-row-num">${range.s.r + i + 1}</th>${
+        columns.map((_, c) => `<td>${escapeHtml(String(row[c] ?? ''))}</td>`).join('')
+    }</tr>`).join('');
+    const note = rows.length > shown.length
+        ? `<div class="file-viewer-note">Showing the first ${XLSX_VIEWER_MAX_ROWS} of ${rows.length} rows.</div>`
+        : '';
+
+    return `<div class="table-wrapper"><table class="xlsx-grid"><thead>${head}</thead><tbody>${bodyRows}</tbody></table></div>${note}`;
+}
+
+/**
+ * Convert a Word document to HTML and show it with the markdown styles
+ */
+async function renderDocxViewer(mammoth, data, body, token) {
+    const result = await mammoth.convertToHtml({ arrayBuffer: data });
+    if (token !== productViewerToken) return;
+
+    body.innerHTML = `<div class="docx-content">${sanitizeDocxHtml(result.value)}</div>`;
+    if (!body.querySelector('.docx-content').textContent.trim() && !body.querySelector('.docx-content img')) {
+        body.innerHTML = '<div class="doc-placeholder">Document has no text content</div>';
+    }
+}
+
+/**
+ * Strip anything executable from mammoth output. Text is already escaped by
+ * mammoth, but hyperlink targets come straight from the document.
+ * @param {string} html - Converted document HTML
+ * @returns {string} Safe HTML
+ */
+function sanitizeDocxHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    template.content.querySelectorAll('script, style, iframe, object, embed, form').forEach(el => el.remove());
+    template.content.querySelectorAll('*').forEach(el => {
+        for (const attr of Array.from(el.attributes)) {
+            const name = attr.name.toLowerCase();
+            const value = attr.value.trim().toLowerCase();
+            if (name.startsWith('on')) {
+                el.removeAttribute(attr.name);
+            } else if (name === 'href' && !/^(https?:|mailto:|#)/.test(value)) {
+                el.removeAttribute(attr.name);
+            } else if (name === 'src' && !value.startsWith('data:image/')) {
+                el.removeAttribute(attr.name);
+            }
+        }
+        if (el.tagName === 'A' && el.getAttribute('href') && !el.getAttribute('href').startsWith('#')) {
+            el.setAttribute('target', '_blank');
+            el.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+    return template.innerHTML;
+}
@@ -19,6 +19,7 @@ async function loadProductDoc(docName, type = 'md') {
     const viewer = document.getElementById('doc-viewer');
     if (!viewer) return;
 
+    viewer.classList.remove('editing');
     viewer.innerHTML = '<div class="loading-state">Loading...</div>';
 
     try {
@@ -27,18 +28,10 @@ async function loadProductDoc(docName, type = 'md') {
 
         if (data.success) {
             const content = data.content || '';
-            if (type === 'json') {
-                viewer.innerHTML = renderJsonViewer(content);
-                initJsonViewer(viewer);
-            } else if (type === 'txt') {
-                viewer.innerHTML = `<pre class="txt-viewer">${escapeHtml(content)}</pre>`;
-            } else {
-                // Convert markdown to basic HTML
-                viewer.innerHTML = markdownToHtml(content);
-                // Render any Mermaid diagrams
-                if (typeof renderMermaidDiagrams === 'function') {
-                    renderMermaidDiagrams(viewer);
-                }
+            viewer.innerHTML = renderProductDocHtml(content, type);
+            initProductDocContent(viewer, type);
+            if (typeof addProductEditButton === 'function') {
+                addProductEditButton(viewer, { name: data.name || docName, type, content, version: data.version });
             }
         } else {
             viewer.innerHTML = `<div class="doc-placeholder">Document not found: ${escapeHtml(docName)}</div>`;
@@ -49,31 +42,72 @@ async function loadProductDoc(docName, type = 'md') {
     }
 }
 
+/**
+ * Render product document content for display
+ * @param {string} content - Raw document text
+ * @param {string} type - Document type: 'md', 'json' or 'txt'
+ * @returns {string} - HTML string
+ */
+function renderProductDocHtml(content, type) {
+    if (type === 'json') return renderJsonViewer(content);
+    if (type === 'txt') return `<pre class="txt-viewer">${escapeHtml(content)}</pre>`;
+    // Convert markdown to basic HTML
+    return markdownToHtml(content);
+}
+
+/**
+ * Wire up rendered document content (JSON tree toggles, Mermaid diagrams, contents/anchors)
+ * @param {HTMLElement} container - Element holding renderProductDocHtml() output
+ * @param {string} type - Document type: 'md', 'json' or 'txt'
+ */
+function initProductDocContent(container, type) {
+    if (type === 'json') {
+        initJsonViewer(container);
+    } else if (type === 'md') {
+        if (typeof renderMermaidDiagrams === 'function') renderMermaidDiagrams(container);
+        // The editor preview is too narrow for a contents sidebar
+        initMarkdownNavigation(container, { toc: !container.classList.contains('product-editor-preview') });
+    }
+}
+
 let _jsonNodeCounter = 0;
 
+/**
+ * Parse a JSON document, capturing the parse error instead of throwing
+ * @param {string} content - Raw JSON string
+ * @returns {{value: *, error: string|null}} Parsed value, or the parser message
+ */
+function parseJsonDocument(content) {
+    try {
+        return { value: JSON.parse(content), error: null };
+    } catch (e) {
+        return { value: undefined, error: e.message };
+    }
+}
+
 /**
  * Render a JSON document with collapsible tree view
  * @param {string} content - Raw JSON string
  * @returns {string} - HTML string
  */
 function renderJsonViewer(content) {
-    try {
-        const parsed = JSON.parse(content);
-        _jsonNodeCounter = 0;
-        const treeHtml = renderJsonLines(parsed, 0, null, true);
-        return `<div class="json-viewer">
-            <div class="json-viewer-header">
-                <span class="json-viewer-label">JSON</span>
-                <span class="json-viewer-controls">
-                    <button type="button" class="json-ctrl-btn" data-action="collapse">− collapse all</button>
-                    <button type="button" class="json-ctrl-btn" data-action="expand">+ expand all</button>
-                </span>
-            </div>
-            <div class="json-tree">${treeHtml}</div>
-        </div>`;
-    } catch (e) {
-        return `<div class="json-viewer"><div class="json-viewer-header"><span class="json-viewer-label">JSON</span><span class="json-viewer-error-badge">parse error</span></div><div class="json-parse-error">${escapeHtml(e.message)}</div><pre class="json-pre">${escapeHtml(content)}</pre></div>`;
+    const parsed = parseJsonDocument(content);
+    if (parsed.error) {
+        return `<div class="json-viewer"><div class="json-viewer-header"><span class="json-viewer-label">JSON</span><span class="json-viewer-error-badge">parse error</span></div><div class="json-parse-error">${escapeHtml(parsed.error)}</div><pre class="json-pre">${escapeHtml(content)}</pre></div>`;
     }
+
+    _jsonNodeCounter = 0;
+    const treeHtml = renderJsonLines(parsed.value, 0, null, true);
+    return `<div class="json-viewer">
+        <div class="json-viewer-header">
+            <span class="json-viewer-label">JSON</span>
+            <span class="json-viewer-controls">
+                <button type="button" class="json-ctrl-btn" data-action="collapse">− collapse all</button>
+                <button type="button" class="json-ctrl-btn" data-action="expand">+ expand all</button>
+            </span>
+        </div>
+        <div class="json-tree">${treeHtml}</div>
+    </div>`;
 }
 
 /**
@@ -232,12 +266,21 @@ function formatFileSize(bytes) {
 }
 
 /**
- * Activate a product file nav item — load markdown or show binary placeholder.
+ * Activate a product file nav item — load markdown, open a pdf/xlsx/docx viewer
+ * or show the binary placeholder.
  * @param {HTMLElement} item - The .file-nav-item element
  */
 function activateProductItem(item) {
     const type = item.dataset.type;
-    if (type === 'binary') {
+    document.getElementById('doc-viewer')?.classList.remove('editing');
+    if (typeof cancelProductFileViewer === 'function') cancelProductFileViewer();
+    if (type === 'binary' && typeof showProductFileViewer === 'function' && getProductViewerKind(item.dataset.filename)) {
+        showProductFileViewer({
+            name: item.dataset.doc,
+            filename: item.dataset.filename,
+            size: parseInt(item.dataset.size, 10) || 0
+        });
+    } else if (type === 'binary') {
         showBinaryPlaceholder({
             name: item.dataset.doc,
             filename: item.dataset.filename,
@@ -250,12 +293,30 @@ function activateProductItem(item) {
     }
 }
 
+/**
+ * Add folders that have no documents to a tree from buildFolderTree
+ * @param {object} tree - Tree node from buildFolderTree
+ * @param {string[]} folderPaths - Folder paths relative to the product dir
+ * @returns {object} - The same tree
+ */
+function addProductFolders(tree, folderPaths) {
+    for (const folderPath of folderPaths) {
+        let node = tree;
+        for (const part of folderPath.split('/').filter(Boolean)) {
+            if (!node.folders[part]) node.folders[part] = { items: [], folders: {} };
+            node = node.folders[part];
+        }
+    }
+    return tree;
+}
+
 /**
  * Render tree HTML recursively
  * @param {object} tree - Tree node from buildFolderTree (uses .items / .folders)
+ * @param {string} [pathPrefix] - Path of the folder being rendered
  * @returns {string} - HTML string
  */
-function renderProductTree(tree) {
+function renderProductTree(tree, pathPrefix = '') {
     let html = '';
 
     // Render root-level docs first (no folder wrapper)
@@ -267,8 +328,9 @@ function renderProductTree(tree) {
     for (const folderName of Object.keys(tree.folders)) {
         const folder = tree.folders[folderName];
         const itemCount = countTreeItems(folder);
-        const contentHtml = renderProductTree(folder);
-        html += renderFolderGroup(folderName, contentHtml, itemCount);
+        const folderPath = pathPrefix ? `${pathPrefix}/${folderName}` : folderName;
+        const contentHtml = renderProductTree(folder, folderPath);
+        html += renderFolderGroup(folderName, contentHtml, itemCount, folderPath);
     }
 
     return html;
@@ -297,49 +359,67 @@ function renderProductFileItem(doc) {
 
 /**
  * Update product file navigation in sidebar with tree structure
+ * @param {{select?: string}} [options] - select: filename to open once the tree is rendered
  */
-async function updateProductFileNav() {
+async function updateProductFileNav(options = {}) {
     const container = document.getElementById('product-file-nav');
     if (!container || container.dataset.loaded === 'true') return;
 
     // Update project info card
     updateProjectInfoCard();
 
+    // A reload keeps the open document and collapsed folders as they were
+    const previous = container.querySelector('.file-nav-item.active')?.dataset.filename;
+    const collapsed = new Set(Array.from(container.querySelectorAll('.chain-folder.collapsed'))
+        .map(folder => folder.dataset.folderPath));
+
     try {
         const response = await fetch(`${API_BASE}/api/product/list`);
         if (!response.ok) throw new Error('Failed to fetch product docs');
 
         const data = await response.json();
         const docs = data.docs || [];
+        const folders = data.folders || [];
 
-        if (docs.length === 0) {
+        if (docs.length === 0 && folders.length === 0) {
             container.innerHTML = '<div class="empty-state">No product docs</div>';
             return;
         }
 
         // Build and render tree
-        const tree = buildFolderTree(docs, 'filename');
+        const tree = addProductFolders(buildFolderTree(docs, 'filename'), folders);
         container.innerHTML = renderProductTree(tree);
 
         container.dataset.loaded = 'true';
 
+        container.querySelectorAll('.chain-folder').forEach(folder => {
+            if (!collapsed.has(folder.dataset.folderPath)) return;
+            folder.classList.add('collapsed');
+            const toggle = folder.querySelector('.folder-toggle');
+            if (toggle) toggle.innerHTML = '&#x25B6;';
+        });
+
         // Attach folder toggle handlers (shared utility)
         attachFolderToggleHandlers(container);
 
         // Attach file click handlers
         container.querySelectorAll('.file-nav-item').forEach(item => {
             item.addEventListener('click', () => {
+                // Unsaved edits in the editor would be lost by switching docs
+                if (typeof confirmDiscardProductEdits === 'function' && !confirmDiscardProductEdits()) return;
                 container.querySelectorAll('.file-nav-item').forEach(i => i.classList.remove('active'));
                 item.classList.add('active');
                 activateProductItem(item);
             });
         });
 
-        // Load the first document automatically
-        const firstItem = container.querySelector('.file-nav-item');
-        if (firstItem) {
-            firstItem.classList.add('active');
-            activateProductItem(firstItem);
+        // Load the requested (or first) document; the one already open is left alone
+        const items = Array.from(container.querySelectorAll('.file-nav-item'));
+        const wanted = options.select || previous;
+        const target = items.find(i => i.dataset.filename === wanted) || items[0];
+        if (target) {
+            target.classList.add('active');
+            if (options.select || target.dataset.filename !== previous) activateProductItem(target);
         }
     } catch (error) {
         console.error('Failed to load product file nav:', error);
@@ -0,0 +1,140 @@
+/**
+ * DOTBOT Control Panel - Keyed DOM Reconciliation
+ * Patches a container from an HTML string instead of replacing innerHTML, so
+ * rows that did not change keep their DOM nodes (focus, hover, scroll, typed
+ * input, client-side classes). Rows are matched by data-task-id,
+ * data-process-id or data-reconcile-key.
+ */
+
+const RECONCILE_KEY_ATTRS = ['data-task-id', 'data-process-id', 'data-reconcile-key'];
+
+// container → the HTML string it was last rendered from
+const reconcileRenderedHtml = new WeakMap();
+
+/**
+ * Render HTML into a container, touching only what changed since the last call.
+ * The new markup is diffed against the previous markup (not the live DOM), so
+ * state the browser or other code added to an unchanged node is left alone.
+ * @param {HTMLElement} container - Element whose children are managed
+ * @param {string} html - Complete new inner HTML
+ */
+function reconcileHtml(container, html) {
+    if (!container) return;
+
+    const previousHtml = reconcileRenderedHtml.get(container);
+    if (previousHtml === html) return;
+    reconcileRenderedHtml.set(container, html);
+
+    if (previousHtml === undefined) {
+        container.innerHTML = html;
+        return;
+    }
+
+    const prev = document.createElement('template');
+    prev.innerHTML = previousHtml;
+    const next = document.createElement('template');
+    next.innerHTML = html;
+    reconcileChildNodes(container, prev.content, next.content);
+}
+
+/**
+ * Get the reconciliation key of a node
+ * @param {Node} node - Child node
+ * @returns {string|null} Key, or null for unkeyed nodes
+ */
+function getReconcileKey(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+    for (const attr of RECONCILE_KEY_ATTRS) {
+        const value = node.getAttribute(attr);
+        if (value !== null) return `${attr}=${value}`;
+    }
+    return null;
+}
+
+/**
+ * Patch the children of a live node from previous → next markup
+ * @param {Node} live - Live DOM parent
+ * @param {Node} prev - Parent parsed from the previous markup
+ * @param {Node} next - Parent parsed from the new markup
+ */
+function reconcileChildNodes(live, prev, next) {
+    const liveChildren = Array.from(live.childNodes);
+    const prevChildren = Array.from(prev.childNodes);
+    const nextChildren = Array.from(next.childNodes);
+
+    // Someone else rewrote this node — the previous markup no longer maps onto it
+    if (liveChildren.length !== prevChildren.length) {
+        live.replaceChildren(...nextChildren.map(node => node.cloneNode(true)));
+        return;
+    }
+
+    // Pair every previous child with its live counterpart, keyed or by order
+    const keyed = new Map();
+    const unkeyed = [];
+    prevChildren.forEach((node, i) => {
+        const key = getReconcileKey(node);
+        const pair = { prev: node, live: liveChildren[i] };
+        if (key !== null && !keyed.has(key)) keyed.set(key, pair);
+        else unkeyed.push(pair);
+    });
+
+    let unkeyedIndex = 0;
+    const used = new Set();
+    const result = nextChildren.map(node => {
+        const key = getReconcileKey(node);
+        let pair = null;
+        if (key !== null) {
+            pair = keyed.get(key) || null;
+            keyed.delete(key);
+        } else if (unkeyedIndex < unkeyed.length) {
+            pair = unkeyed[unkeyedIndex++];
+        }
+
+        if (!pair || pair.prev.nodeName !== node.nodeName) {
+            return node.cloneNode(true);
+        }
+        used.add(pair.live);
+        if (pair.prev.isEqualNode(node)) return pair.live;
+        return reconcileNode(pair.live, pair.prev, node);
+    });
+
+    liveChildren.forEach(node => {
+        if (!used.has(node)) node.remove();
+    });
+
+    // Insert new nodes and move reordered ones; nodes already in place stay put
+    result.forEach((node, i) => {
+        const current = live.childNodes[i];
+        if (current !== node) live.insertBefore(node, current || null);
+    });
+}
+
+/**
+ * Patch one live node whose markup changed
+ * @param {Node} live - Live node
+ * @param {Node} prev - Node from the previous markup
+ * @param {Node} next - Node from the new markup
+ * @returns {Node} The live node (or its replacement)
+ */
+function reconcileNode(live, prev, next) {
+    if (live.nodeType !== next.nodeType || live.nodeName !== next.nodeName) {
+        return next.cloneNode(true);
+    }
+
+    if (next.nodeType !== Node.ELEMENT_NODE) {
+        if (live.nodeValue !== next.nodeValue) live.nodeValue = next.nodeValue;
+        return live;
+    }
+
+    // Only attributes that changed in the markup are written, so classes or
+    // attributes set at runtime on top of unchanged markup survive
+    for (const attr of Array.from(next.attributes)) {
+        if (prev.getAttribute(attr.name) !== attr.value) live.setAttribute(attr.name, attr.value);
+    }
+    for (const attr of Array.from(prev.attributes)) {
+        if (!next.hasAttribute(attr.name)) live.removeAttribute(attr.name);
+    }
+
+    reconcileChildNodes(live, prev, next);
+    return live;
+}
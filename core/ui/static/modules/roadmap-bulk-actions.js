@@ -0,0 +1,313 @@
+/**
+ * DOTBOT Control Panel - Roadmap Bulk Actions
+ * Multi-select on Todo cards (checkboxes, shift-click for ranges) and batch
+ * ignore, un-ignore, delete, category, priority and model override changes
+ * behind a single confirmation.
+ */
+
+const roadmapSelectedTaskIds = new Set();
+let roadmapSelectableTasks = [];        // Upcoming tasks in display order (workflow filter applied)
+let roadmapSelectionAnchorId = null;    // Last card clicked without shift, start of shift ranges
+let roadmapBulkInFlight = false;
+
+/**
+ * Bind checkbox, shift-click and bulk bar handlers
+ */
+function initRoadmapBulkActions() {
+    const column = document.getElementById('pipeline-todo');
+    column?.addEventListener('click', (event) => {
+        const card = event.target.closest('.pipeline-task[data-task-id]');
+        if (!card || !isRoadmapSelectionClick(event)) return;
+
+        event.preventDefault();
+        const taskId = card.dataset.taskId;
+        if (event.shiftKey && roadmapSelectionAnchorId) {
+            selectRoadmapTaskRange(roadmapSelectionAnchorId, taskId);
+        } else {
+            setRoadmapTaskSelected(taskId, !roadmapSelectedTaskIds.has(taskId));
+            roadmapSelectionAnchorId = taskId;
+        }
+        renderRoadmapSelection();
+    });
+
+    document.getElementById('roadmap-bulk-bar')?.addEventListener('click', async (event) => {
+        const button = event.target.closest('[data-bulk-action]');
+        if (!button || button.disabled) return;
+
+        const action = button.dataset.bulkAction;
+        if (action === 'select-all') {
+            roadmapSelectableTasks.forEach(task => roadmapSelectedTaskIds.add(task.id));
+            renderRoadmapSelection();
+        } else if (action === 'clear') {
+            clearRoadmapSelection();
+        } else {
+            await runRoadmapBulkAction(action);
+        }
+    });
+}
+
+/**
+ * Whether a click on a Todo card changes the selection instead of opening the
+ * task modal (initTaskClicks() skips these)
+ * @param {MouseEvent} event - Click event
+ * @returns {boolean}
+ */
+function isRoadmapSelectionClick(event) {
+    if (!event.target.closest('#pipeline-todo .pipeline-task')) return false;
+    return !!event.target.closest('.roadmap-task-select') || event.shiftKey;
+}
+
+/**
+ * Checkbox markup for a Todo card
+ * @param {Object} task - Task
+ * @param {string} type - Column type
+ * @returns {string} HTML, empty outside the Todo column
+ */
+function buildRoadmapTaskSelectMarkup(task, type) {
+    if (type !== 'todo') return '';
+    const checked = roadmapSelectedTaskIds.has(task.id) ? 'checked' : '';
+    return `<label class="roadmap-task-select" title="Select (shift-click for a range)"><input type="checkbox" ${checked} tabindex="-1"></label>`;
+}
+
+/**
+ * @param {string} taskId - Task ID
+ * @returns {boolean} Whether the task is selected
+ */
+function isRoadmapTaskSelected(taskId) {
+    return roadmapSelectedTaskIds.has(taskId);
+}
+
+/**
+ * Record the selectable tasks after a state update and drop selections for
+ * tasks that left the Todo column (or the workflow filter)
+ * @param {Array} tasks - Upcoming tasks in display order
+ */
+function updateRoadmapSelection(tasks) {
+    roadmapSelectableTasks = Array.isArray(tasks) ? tasks : [];
+    const present = new Set(roadmapSelectableTasks.map(task => task.id));
+    [...roadmapSelectedTaskIds].forEach(taskId => {
+        if (!present.has(taskId)) roadmapSelectedTaskIds.delete(taskId);
+    });
+    if (roadmapSelectionAnchorId && !present.has(roadmapSelectionAnchorId)) {
+        roadmapSelectionAnchorId = null;
+    }
+    updateRoadmapBulkBar();
+}
+
+/**
+ * @param {string} taskId - Task ID
+ * @param {boolean} selected - New selection state
+ */
+function setRoadmapTaskSelected(taskId, selected) {
+    if (selected) roadmapSelectedTaskIds.add(taskId);
+    else roadmapSelectedTaskIds.delete(taskId);
+}
+
+/**
+ * Select every task between the anchor and the clicked card (inclusive)
+ * @param {string} fromTaskId - Anchor task ID
+ * @param {string} toTaskId - Clicked task ID
+ */
+function selectRoadmapTaskRange(fromTaskId, toTaskId) {
+    const ids = roadmapSelectableTasks.map(task => task.id);
+    const from = ids.indexOf(fromTaskId);
+    const to = ids.indexOf(toTaskId);
+    if (from === -1 || to === -1) {
+        setRoadmapTaskSelected(toTaskId, true);
+        return;
+    }
+    ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(taskId => roadmapSelectedTaskIds.add(taskId));
+}
+
+function clearRoadmapSelection() {
+    roadmapSelectedTaskIds.clear();
+    roadmapSelectionAnchorId = null;
+    renderRoadmapSelection();
+}
+
+/**
+ * Reflect the selection on the rendered cards and the bulk bar. Cards are
+ * patched directly; their markup picks the state up on the next render.
+ */
+function renderRoadmapSelection() {
+    document.querySelectorAll('#pipeline-todo .pipeline-task[data-task-id]').forEach(card => {
+        const selected = roadmapSelectedTaskIds.has(card.dataset.taskId);
+        card.classList.toggle('selected', selected);
+        const checkbox = card.querySelector('.roadmap-task-select input');
+        if (checkbox) checkbox.checked = selected;
+    });
+    updateRoadmapBulkBar();
+}
+
+/**
+ * Show or hide the bulk bar and refresh its count and model options
+ */
+function updateRoadmapBulkBar() {
+    const bar = document.getElementById('roadmap-bulk-bar');
+    if (!bar) return;
+
+    const count = roadmapSelectedTaskIds.size;
+    bar.style.display = count > 0 ? '' : 'none';
+    const label = document.getElementById('roadmap-bulk-count');
+    if (label) label.textContent = `${count} selected`;
+
+    const modelSelect = document.getElementById('roadmap-bulk-model');
+    const models = typeof EXECUTION_MODEL_OPTIONS !== 'undefined' ? EXECUTION_MODEL_OPTIONS : [];
+    const signature = models.map(model => model.id).join(',');
+    if (modelSelect && modelSelect.dataset.models !== signature) {
+        const current = modelSelect.value;
+        modelSelect.innerHTML = '<option value="">Default model</option>' +
+            models.map(model => `<option value="${escapeHtml(model.id)}">${escapeHtml(model.name)}</option>`).join('');
+        modelSelect.dataset.models = signature;
+        modelSelect.value = models.some(model => model.id === current) ? current : '';
+    }
+
+    bar.querySelectorAll('[data-bulk-action]').forEach(button => {
+        button.disabled = roadmapBulkInFlight;
+    });
+}
+
+/**
+ * Describe a bulk action: confirmation wording and the request for one task
+ * @param {string} action - ignore | unignore | delete | category | priority | model
+ * @returns {{label: string, confirm: string, request: Function}|null} Null (after a toast) when the input is invalid
+ */
+function buildRoadmapBulkOperation(action) {
+    const actor = getRoadmapActor();
+    const edit = (updates, reason) => (task) => ({
+        path: '/api/task/edit',
+        body: { task_id: task.id, actor, reason, updates }
+    });
+
+    switch (action) {
+        case 'ignore':
+        case 'unignore': {
+            const ignored = action === 'ignore';
+            return {
+                label: ignored ? 'Ignore' : 'Un-ignore',
+                confirm: ignored ? 'Ignore' : 'Restore',
+                request: (task) => ({
+                    path: '/api/task/ignore',
+                    body: { task_id: task.id, ignored, actor }
+                })
+            };
+        }
+        case 'delete':
+            return {
+                label: 'Delete',
+                confirm: 'Delete',
+                request: (task) => ({
+                    path: '/api/task/delete',
+                    body: { task_id: task.id, actor }
+                })
+            };
+        case 'category': {
+            const category = document.getElementById('roadmap-bulk-category')?.value?.trim() || '';
+            if (!category) {
+                showToast('Enter a category first', 'warning');
+                return null;
+            }
+            return {
+                label: `Category → ${category}`,
+                confirm: `Set category "${category}" on`,
+                request: edit({ category }, `Bulk edit: category → ${category}`)
+            };
+        }
+        case 'priority': {
+            const priority = Number.parseInt(document.getElementById('roadmap-bulk-priority')?.value || '', 10);
+            if (Number.isNaN(priority)) {
+                showToast('Priority must be a number', 'warning');
+                return null;
+            }
+            return {
+                label: `Priority → ${priority}`,
+                confirm: `Set priority ${priority} on`,
+                request: edit({ priority }, `Bulk edit: priority → ${priority}`)
+            };
+        }
+        case 'model': {
+            const model = document.getElementById('roadmap-bulk-model')?.value || '';
+            const modelLabel = model || 'default';
+            return {
+                label: `Model → ${modelLabel}`,
+                confirm: model ? `Set model override "${model}" on` : 'Clear the model override on',
+                request: edit({ model: model || null }, `Bulk edit: model → ${modelLabel}`)
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Apply an action to every selected task after one confirmation, then report
+ * which tasks succeeded and which failed
+ * @param {string} action - Bulk action name
+ */
+async function runRoadmapBulkAction(action) {
+    if (roadmapBulkInFlight) return;
+
+    const tasks = roadmapSelectableTasks.filter(task => roadmapSelectedTaskIds.has(task.id));
+    if (tasks.length === 0) return;
+
+    const operation = buildRoadmapBulkOperation(action);
+    if (!operation) return;
+
+    const noun = `${tasks.length} task${tasks.length === 1 ? '' : 's'}`;
+    if (!window.confirm(`${operation.confirm} ${noun}?`)) return;
+
+    roadmapBulkInFlight = true;
+    updateRoadmapBulkBar();
+
+    const succeeded = [];
+    const failed = [];
+    try {
+        // One at a time: the server handles requests serially anyway, and task
+        // files must not be rewritten concurrently
+        for (const task of tasks) {
+            const { path, body } = operation.request(task);
+            try {
+                const response = await fetch(`${API_BASE}${path}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const result = await response.json();
+                if (!result.success) {
+                    throw new Error(result.error || 'Unknown error');
+                }
+                succeeded.push(task);
+                roadmapSelectedTaskIds.delete(task.id);
+            } catch (error) {
+                failed.push({ task, error: error.message });
+            }
+        }
+    } finally {
+        roadmapBulkInFlight = false;
+        renderRoadmapSelection();
+        refreshRoadmapState(100);
+    }
+
+    showToast(formatRoadmapBulkSummary(operation.label, succeeded, failed),
+        failed.length === 0 ? 'success' : succeeded.length === 0 ? 'error' : 'warning',
+        failed.length === 0 ? 5000 : 10000);
+}
+
+/**
+ * Summary toast text; failed tasks stay selected so the action can be retried
+ * @param {string} label - Action label
+ * @param {Array} succeeded - Tasks that succeeded
+ * @param {Array<{task: Object, error: string}>} failed - Failures
+ * @returns {string} Summary
+ */
+function formatRoadmapBulkSummary(label, succeeded, failed) {
+    const nameOf = (task) => task.name || task.id;
+    const parts = [`${label}: ${succeeded.length} of ${succeeded.length + failed.length} succeeded`];
+    if (succeeded.length > 0 && succeeded.length <= 5) {
+        parts.push(`(${succeeded.map(nameOf).join(', ')})`);
+    }
+    if (failed.length > 0) {
+        parts.push(`— failed: ${failed.map(failure => `${nameOf(failure.task)} (${failure.error})`).join('; ')}`);
+    }
+    return parts.join(' ');
+}
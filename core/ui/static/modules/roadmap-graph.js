@@ -0,0 +1,257 @@
+/**
+ * DOTBOT Control Panel - Roadmap Dependency Graph
+ * Graph sub-view of the Roadmap tab: upcoming tasks drawn as a DAG with the
+ * bundled Mermaid, coloured by ignore/blocking state, with the critical path
+ * (longest effort-weighted dependency chain) highlighted.
+ */
+
+// Effort → estimated days (same scale as Get-RemainingEffort in TaskIndexCache.psm1)
+const ROADMAP_GRAPH_EFFORT_DAYS = { XS: 1, S: 2.5, M: 5, L: 10, XL: 15 };
+const ROADMAP_GRAPH_LABEL_MAX = 42;
+
+let roadmapView = 'board';
+let roadmapGraphSignature = null;
+let roadmapGraphNodeTaskIds = {};   // mermaid node id → task id
+let roadmapGraphTasks = [];
+
+/**
+ * Bind the Board/Graph/Timeline toggle and node clicks
+ */
+function initRoadmapGraph() {
+    document.querySelectorAll('[data-roadmap-view]').forEach(btn => {
+        btn.addEventListener('click', () => setRoadmapView(btn.dataset.roadmapView));
+    });
+
+    // Delegated so it survives re-renders (including Mermaid theme refreshes)
+    document.getElementById('roadmap-graph')?.addEventListener('click', (e) => {
+        const nodeEl = e.target.closest('g.node');
+        if (!nodeEl) return;
+        const match = (nodeEl.id || '').match(/^flowchart-(t\d+)-\d+$/);
+        const taskId = match ? roadmapGraphNodeTaskIds[match[1]] : null;
+        const task = taskId ? findTaskById(taskId) : null;
+        if (task) showTaskModal(task);
+    });
+}
+
+/**
+ * Switch the Roadmap tab between the column board, the dependency graph and
+ * the phase timeline (roadmap-timeline.js)
+ * @param {string} view - 'board', 'graph' or 'timeline'
+ */
+function setRoadmapView(view) {
+    roadmapView = ['graph', 'timeline'].includes(view) ? view : 'board';
+
+    document.querySelectorAll('[data-roadmap-view]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.roadmapView === roadmapView);
+    });
+    const board = document.getElementById('pipeline-board');
+    const graph = document.getElementById('roadmap-graph-view');
+    const timeline = document.getElementById('roadmap-timeline-view');
+    if (board) board.style.display = roadmapView === 'board' ? '' : 'none';
+    if (graph) graph.style.display = roadmapView === 'graph' ? '' : 'none';
+    if (timeline) timeline.style.display = roadmapView === 'timeline' ? '' : 'none';
+
+    if (roadmapView === 'graph') {
+        updateRoadmapGraph(roadmapGraphTasks, true);
+    } else if (roadmapView === 'timeline' && typeof updateRoadmapTimeline === 'function') {
+        updateRoadmapTimeline(true);
+    }
+}
+
+/**
+ * Redraw the graph if it is visible and the graph changed
+ * @param {Array} tasks - Upcoming tasks (already normalised and filtered)
+ * @param {boolean} [force] - Redraw even if nothing changed
+ */
+function updateRoadmapGraph(tasks, force = false) {
+    roadmapGraphTasks = Array.isArray(tasks) ? tasks : [];
+    if (roadmapView !== 'graph') return;
+
+    const container = document.getElementById('roadmap-graph');
+    if (!container) return;
+
+    const graph = buildRoadmapGraph(roadmapGraphTasks);
+    const criticalPath = computeRoadmapCriticalPath(graph);
+    const syntax = buildRoadmapGraphSyntax(graph, criticalPath);
+
+    updateRoadmapGraphSummary(graph, criticalPath);
+
+    // Mermaid renders are expensive — skip polls that changed nothing drawn
+    if (!force && syntax === roadmapGraphSignature) return;
+    roadmapGraphSignature = syntax;
+
+    if (graph.nodes.length === 0) {
+        container.innerHTML = '<div class="empty-state">No upcoming tasks</div>';
+        return;
+    }
+
+    roadmapGraphNodeTaskIds = {};
+    graph.nodes.forEach(node => { roadmapGraphNodeTaskIds[node.key] = node.task.id; });
+
+    container.innerHTML = `
+        <div class="mermaid-container" data-pending="true">
+            <div class="mermaid-loading">Rendering graph</div>
+            <pre class="mermaid-syntax" style="display: none;">${escapeHtml(syntax)}</pre>
+            <div class="mermaid-rendered" style="display: none;"></div>
+            <div class="mermaid-fallback" style="display: none;"><pre>${escapeHtml(syntax)}</pre></div>
+        </div>
+    `;
+    renderMermaidDiagrams(container);
+}
+
+/**
+ * Build nodes and dependency edges from upcoming tasks
+ * @param {Array} tasks - Upcoming tasks with dependency_task_ids
+ * @returns {{nodes: Array, edges: Array}} Nodes keyed t0..tN; edges run dependency → dependent
+ */
+function buildRoadmapGraph(tasks) {
+    const nodes = tasks.map((task, index) => ({ key: `t${index}`, task }));
+    const keyByTaskId = new Map(nodes.map(node => [node.task.id, node.key]));
+
+    const edges = [];
+    nodes.forEach(node => {
+        (node.task.dependency_task_ids || []).forEach(dependencyTaskId => {
+            const from = keyByTaskId.get(dependencyTaskId);
+            if (from) edges.push({ from, to: node.key });
+        });
+    });
+
+    return { nodes, edges };
+}
+
+/**
+ * Find the longest effort-weighted dependency chain among tasks that will
+ * actually run (ignored and blocked tasks are left out). Tasks caught in a
+ * dependency cycle never become ready and are skipped as well.
+ * @param {{nodes: Array, edges: Array}} graph - Graph from buildRoadmapGraph()
+ * @returns {{keys: Set<string>, edges: Set<string>, days: number}} Node keys and "from>to" edge ids on the path
+ */
+function computeRoadmapCriticalPath(graph) {
+    const active = new Map(graph.nodes
+        .filter(node => !node.task.ignore_state?.effective)
+        .map(node => [node.key, node]));
+    const incoming = new Map();
+    const outgoing = new Map();
+    active.forEach((node, key) => { incoming.set(key, 0); outgoing.set(key, []); });
+
+    graph.edges.forEach(edge => {
+        if (!active.has(edge.from) || !active.has(edge.to)) return;
+        outgoing.get(edge.from).push(edge.to);
+        incoming.set(edge.to, incoming.get(edge.to) + 1);
+    });
+
+    const weight = (key) => ROADMAP_GRAPH_EFFORT_DAYS[active.get(key).task.effort] || 1;
+    const distance = new Map();
+    const previous = new Map();
+    const queue = [...incoming.keys()].filter(key => incoming.get(key) === 0);
+    queue.forEach(key => distance.set(key, weight(key)));
+
+    // Kahn's topological order; each node's distance is final when dequeued
+    while (queue.length > 0) {
+        const key = queue.shift();
+        outgoing.get(key).forEach(next => {
+            const candidate = distance.get(key) + weight(next);
+            if (candidate > (distance.get(next) || 0)) {
+                distance.set(next, candidate);
+                previous.set(next, key);
+            }
+            incoming.set(next, incoming.get(next) - 1);
+            if (incoming.get(next) === 0) queue.push(next);
+        });
+    }
+
+    let end = null;
+    distance.forEach((value, key) => {
+        if (incoming.get(key) === 0 && (end === null || value > distance.get(end))) end = key;
+    });
+
+    const keys = new Set();
+    const edges = new Set();
+    for (let key = end; key; key = previous.get(key)) {
+        keys.add(key);
+        if (previous.has(key)) edges.add(`${previous.get(key)}>${key}`);
+    }
+
+    return { keys, edges, days: end ? distance.get(end) : 0 };
+}
+
+/**
+ * Build Mermaid flowchart syntax. Colours come from CSS (views.css) via the
+ * graph* classes, so the graph follows the active theme.
+ * @param {{nodes: Array, edges: Array}} graph - Graph
+ * @param {{keys: Set<string>, edges: Set<string>}} criticalPath - Critical path
+ * @returns {string} Mermaid syntax
+ */
+function buildRoadmapGraphSyntax(graph, criticalPath) {
+    const lines = ['flowchart LR'];
+
+    graph.nodes.forEach(node => {
+        lines.push(`    ${node.key}["${formatRoadmapGraphLabel(node.task)}"]`);
+    });
+
+    // Critical edges use the thick arrow; views.css colours them
+    graph.edges.forEach(edge => {
+        const critical = criticalPath.edges.has(`${edge.from}>${edge.to}`);
+        lines.push(`    ${edge.from} ${critical ? '==>' : '-->'} ${edge.to}`);
+    });
+
+    const byClass = {};
+    graph.nodes.forEach(node => {
+        const cls = getRoadmapGraphNodeClass(node.task);
+        (byClass[cls] = byClass[cls] || []).push(node.key);
+    });
+    Object.keys(byClass).forEach(cls => {
+        lines.push(`    classDef ${cls} fill:none`);
+        lines.push(`    class ${byClass[cls].join(',')} ${cls}`);
+    });
+    if (criticalPath.keys.size > 0) {
+        lines.push('    classDef graphCritical fill:none');
+        lines.push(`    class ${[...criticalPath.keys].join(',')} graphCritical`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Node class for a task's status and ignore state
+ * @param {Object} task - Upcoming task
+ * @returns {string} graphIgnored | graphBlocked | graphWaiting | graphReady
+ */
+function getRoadmapGraphNodeClass(task) {
+    const ignoreState = task.ignore_state || {};
+    if (ignoreState.manual) return 'graphIgnored';
+    if (ignoreState.auto) return 'graphBlocked';
+    if ((task.dependency_task_ids || []).length > 0) return 'graphWaiting';
+    return 'graphReady';
+}
+
+/**
+ * Node label: name (truncated) and effort, safe inside a quoted Mermaid label
+ * @param {Object} task - Task
+ * @returns {string} Label text
+ */
+function formatRoadmapGraphLabel(task) {
+    let name = `${task.name || task.id || 'Unknown'}`;
+    if (name.length > ROADMAP_GRAPH_LABEL_MAX) name = name.slice(0, ROADMAP_GRAPH_LABEL_MAX - 1) + '…';
+    const label = task.effort ? `${name} · ${task.effort}` : name;
+    return label.replace(/"/g, '#quot;').replace(/[<>]/g, '');
+}
+
+/**
+ * Update the counts next to the graph legend
+ * @param {{nodes: Array, edges: Array}} graph - Graph
+ * @param {{keys: Set<string>, days: number}} criticalPath - Critical path
+ */
+function updateRoadmapGraphSummary(graph, criticalPath) {
+    const summary = document.getElementById('roadmap-graph-summary');
+    if (!summary) return;
+
+    if (graph.nodes.length === 0) {
+        summary.textContent = '';
+        return;
+    }
+    const pathText = criticalPath.keys.size > 0
+        ? `critical path ${criticalPath.keys.size} task${criticalPath.keys.size === 1 ? '' : 's'} (~${criticalPath.days}d)`
+        : 'no runnable tasks';
+    summary.textContent = `${graph.nodes.length} tasks · ${graph.edges.length} dependencies · ${pathText}`;
+}
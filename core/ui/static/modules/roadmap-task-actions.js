@@ -1,10 +1,13 @@
 /**
  * DOTBOT Control Panel - Roadmap Task Actions
- * Ignore, edit, delete, history, and restore flows for roadmap todo tasks.
+ * Ignore, edit, reorder, delete, history, compare, and restore flows for roadmap todo tasks.
  */
 
 let roadmapEditingTaskId = null;
 let roadmapEditingTaskSource = null;
+let roadmapTaskHistory = null;
+let roadmapDragTaskId = null;
+let roadmapReorderInFlight = false;
 
 function getRoadmapActor() {
     return currentWorkflowName ? `ui:${currentWorkflowName}` : 'ui';
@@ -219,11 +222,19 @@ function normalizeRoadmapTaskState(state) {
         return ignoreState;
     };
 
+    // Dependencies resolved to upcoming task ids (edges for the dependency graph)
+    const resolveDependencyTaskIds = (task) => [...new Set(
+        getRoadmapTaskDependencies(task)
+            .flatMap(dependency => getRoadmapDependencyTokens(dependency).map(token => referenceMap.get(token)))
+            .filter(dependencyTaskId => dependencyTaskId && dependencyTaskId !== task.id && taskMap.has(dependencyTaskId))
+    )];
+
     upcoming.forEach(task => {
         const ignoreState = normalizeIgnoreState(task.id);
         task.ignore_state = ignoreState;
         task.ignored = ignoreState.effective;
         task.disabled = ignoreState.auto;
+        task.dependency_task_ids = resolveDependencyTaskIds(task);
     });
 }
 function buildRoadmapTaskStatusTags(task, type) {
@@ -309,6 +320,9 @@ function initRoadmapTaskActions() {
             case 'restore-version':
                 await restoreRoadmapTaskVersion(taskId, versionId);
                 break;
+            case 'compare-version':
+                openRoadmapTaskVersionDiff(taskId, versionId);
+                break;
             default:
                 break;
         }
@@ -340,9 +354,247 @@ function initRoadmapTaskActions() {
 
     document.addEventListener('keydown', (event) => {
         if (event.key !== 'Escape') return;
+        // The diff opens over the edit modal; close only the top layer
+        if (typeof isTaskDiffOpen === 'function' && isTaskDiffOpen()) {
+            closeTaskDiff();
+            return;
+        }
         closeRoadmapTaskEditModal();
         closeDeletedTasksModal();
     });
+
+    initRoadmapTaskReorder();
+}
+
+// Drag-and-drop reordering of the todo column. Listeners are delegated on the
+// column so they survive re-renders.
+function initRoadmapTaskReorder() {
+    const column = document.getElementById('pipeline-todo');
+    if (!column) return;
+
+    column.addEventListener('dragstart', (event) => {
+        const card = event.target.closest?.('.pipeline-task[draggable="true"]');
+        if (!card || roadmapReorderInFlight) {
+            event.preventDefault();
+            return;
+        }
+
+        roadmapDragTaskId = card.dataset.taskId;
+        card.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', roadmapDragTaskId);
+    });
+
+    column.addEventListener('dragover', (event) => {
+        if (!roadmapDragTaskId) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+
+        const drop = getRoadmapDropTarget(column, event);
+        clearRoadmapDropMarkers(column);
+        drop?.card.classList.add(drop.position === 'before' ? 'drop-before' : 'drop-after');
+    });
+
+    column.addEventListener('dragleave', (event) => {
+        if (!column.contains(event.relatedTarget)) {
+            clearRoadmapDropMarkers(column);
+        }
+    });
+
+    column.addEventListener('drop', async (event) => {
+        if (!roadmapDragTaskId) return;
+        event.preventDefault();
+
+        const taskId = roadmapDragTaskId;
+        const drop = getRoadmapDropTarget(column, event);
+        clearRoadmapDropMarkers(column);
+        if (!drop || drop.card.dataset.taskId === taskId) return;
+
+        await reorderRoadmapTask(taskId, drop.card.dataset.taskId, drop.position);
+    });
+
+    column.addEventListener('dragend', () => {
+        roadmapDragTaskId = null;
+        column.querySelectorAll('.pipeline-task.dragging').forEach(card => card.classList.remove('dragging'));
+        clearRoadmapDropMarkers(column);
+    });
+}
+
+function getRoadmapDropTarget(column, event) {
+    const cards = Array.from(column.querySelectorAll('.pipeline-task[data-task-id]'));
+    if (cards.length === 0) return null;
+
+    const card = event.target.closest?.('.pipeline-task[data-task-id]');
+    if (card && column.contains(card)) {
+        const rect = card.getBoundingClientRect();
+        return { card, position: event.clientY < rect.top + rect.height / 2 ? 'before' : 'after' };
+    }
+
+    // Empty space below the last card
+    return { card: cards[cards.length - 1], position: 'after' };
+}
+
+function clearRoadmapDropMarkers(column) {
+    column.querySelectorAll('.drop-before, .drop-after').forEach(card => {
+        card.classList.remove('drop-before', 'drop-after');
+    });
+}
+
+function getRoadmapTaskPriority(task) {
+    const priority = Number.parseInt(task?.priority, 10);
+    return Number.isNaN(priority) ? 0 : priority;
+}
+
+// Same ordering as the server's upcoming list: Sort-Object priority_num, name, id
+function compareRoadmapTaskOrder(left, right) {
+    const byPriority = left.priority - right.priority;
+    if (byPriority !== 0) return byPriority;
+
+    const byName = `${left.task.name || ''}`.localeCompare(`${right.task.name || ''}`, undefined, { sensitivity: 'base' });
+    if (byName !== 0) return byName;
+
+    return `${left.task.id || ''}`.localeCompare(`${right.task.id || ''}`, undefined, { sensitivity: 'base' });
+}
+
+function buildRoadmapReorder(upcoming, taskId, targetTaskId, position) {
+    const moved = upcoming.find(task => task.id === taskId);
+    const order = upcoming.filter(task => task.id !== taskId);
+    const targetIndex = order.findIndex(task => task.id === targetTaskId);
+    if (!moved || targetIndex === -1) return null;
+
+    order.splice(position === 'before' ? targetIndex : targetIndex + 1, 0, moved);
+    return order;
+}
+
+// Explain why the new order breaks a dependency, or return null if it is valid
+function getRoadmapReorderViolation(order, taskId) {
+    const index = order.findIndex(task => task.id === taskId);
+    const moved = order[index];
+    const positions = new Map(order.map((task, position) => [task.id, position]));
+    const nameOf = (task) => `"${task.name || task.id}"`;
+
+    const lateDependencies = (moved.dependency_task_ids || [])
+        .filter(dependencyTaskId => positions.get(dependencyTaskId) > index)
+        .map(dependencyTaskId => order[positions.get(dependencyTaskId)]);
+    if (lateDependencies.length > 0) {
+        const blockingNames = moved.ignore_state?.blocking_task_names || [];
+        const blockedNote = blockingNames.length > 0 ? ` It is also blocked by ${blockingNames.join(', ')}.` : '';
+        return `${nameOf(moved)} depends on ${lateDependencies.map(nameOf).join(', ')}, which would then run after it.${blockedNote}`;
+    }
+
+    const earlyDependents = order
+        .slice(0, index)
+        .filter(task => (task.dependency_task_ids || []).includes(taskId));
+    if (earlyDependents.length > 0) {
+        return `${earlyDependents.map(nameOf).join(', ')} ${earlyDependents.length === 1 ? 'depends' : 'depend'} on ${nameOf(moved)}, which would then run after ${earlyDependents.length === 1 ? 'it' : 'them'}.`;
+    }
+
+    return null;
+}
+
+// Choose priorities that make the server sort reproduce `order`, changing as
+// few tasks as possible: the moved task keeps the value nearest its current
+// one that fits between its new neighbours, and later tasks are pushed down
+// only when there is no such value.
+function computeRoadmapReorderPriorities(order, taskId) {
+    const changes = [];
+    let previous = null;
+
+    // Lowest priority that still sorts `task` after the previous entry
+    const lowestAfterPrevious = (task) => {
+        if (!previous) return 1;
+        return compareRoadmapTaskOrder(previous, { task, priority: previous.priority }) < 0
+            ? previous.priority
+            : previous.priority + 1;
+    };
+
+    order.forEach((task, index) => {
+        const current = getRoadmapTaskPriority(task);
+        let priority = current;
+
+        if (task.id === taskId) {
+            const lowest = lowestAfterPrevious(task);
+            const next = order[index + 1];
+            let highest = Infinity;
+            if (next) {
+                const nextEntry = { task: next, priority: getRoadmapTaskPriority(next) };
+                highest = compareRoadmapTaskOrder({ task, priority: nextEntry.priority }, nextEntry) < 0
+                    ? nextEntry.priority
+                    : nextEntry.priority - 1;
+            }
+            priority = lowest > highest ? lowest : Math.min(Math.max(current, lowest), highest);
+        } else if (previous && compareRoadmapTaskOrder(previous, { task, priority }) >= 0) {
+            priority = lowestAfterPrevious(task);
+        }
+
+        if (priority !== current) {
+            changes.push({ task, from: current, to: priority });
+        }
+        previous = { task, priority };
+    });
+
+    return changes;
+}
+
+async function reorderRoadmapTask(taskId, targetTaskId, position) {
+    const upcoming = Array.isArray(lastState?.tasks?.upcoming) ? lastState.tasks.upcoming : [];
+    const order = buildRoadmapReorder(upcoming, taskId, targetTaskId, position);
+    if (!order) {
+        showToast('Task not found in roadmap state', 'error');
+        return;
+    }
+
+    const violation = getRoadmapReorderViolation(order, taskId);
+    if (violation) {
+        showToast(`Cannot move task: ${violation}`, 'warning', 8000);
+        return;
+    }
+
+    const changes = computeRoadmapReorderPriorities(order, taskId);
+    if (changes.length === 0) return;
+
+    const moved = order.find(task => task.id === taskId);
+    const target = getRoadmapTaskById(targetTaskId);
+    const movedName = moved.name || moved.id;
+    const placement = `${position} "${target?.name || targetTaskId}"`;
+
+    // Moved task first so a partial failure still leaves it in place
+    changes.sort((left, right) => (left.task.id === taskId ? -1 : right.task.id === taskId ? 1 : 0));
+
+    roadmapReorderInFlight = true;
+    let saved = 0;
+    try {
+        for (const change of changes) {
+            const reason = change.task.id === taskId
+                ? `Reordered: priority ${change.from} → ${change.to}, moved ${placement}`
+                : `Reordered: priority ${change.from} → ${change.to}, shifted to make room for "${movedName}"`;
+            const response = await fetch(`${API_BASE}/api/task/edit`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    task_id: change.task.id,
+                    actor: getRoadmapActor(),
+                    reason,
+                    updates: { priority: change.to }
+                })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Unknown error');
+            }
+            saved++;
+        }
+
+        const shifted = changes.length - 1;
+        showToast(shifted > 0
+            ? `Moved "${movedName}" ${placement} (${shifted} other task${shifted === 1 ? '' : 's'} reprioritised)`
+            : `Moved "${movedName}" ${placement}`, 'success');
+    } catch (error) {
+        showToast(`Failed to reorder (${saved} of ${changes.length} saved): ${error.message}`, 'error');
+    } finally {
+        roadmapReorderInFlight = false;
+        refreshRoadmapState(100);
+    }
 }
 
 function openRoadmapTaskEditModal(taskId) {
@@ -566,6 +818,7 @@ async function loadRoadmapTaskHistory(taskId) {
     if (!historyList) return;
 
     historyList.innerHTML = '<div class="loading-state">Loading version history...</div>';
+    roadmapTaskHistory = null;
 
     try {
         const response = await fetch(`${API_BASE}/api/task/history/${encodeURIComponent(taskId)}`);
@@ -579,17 +832,22 @@ async function loadRoadmapTaskHistory(taskId) {
             throw new Error(history.error || 'Failed to load history');
         }
 
+        roadmapTaskHistory = history;
         historyList.innerHTML = renderRoadmapTaskHistory(history);
     } catch (error) {
         historyList.innerHTML = `<div class="empty-state">Failed to load history: ${escapeHtml(error.message)}</div>`;
     }
 }
 
-function renderRoadmapTaskHistory(history) {
+function getRoadmapTaskHistoryVersions(history) {
     const editedVersions = Array.isArray(history?.edited_versions) ? history.edited_versions : [];
     const deletedVersions = Array.isArray(history?.deleted_versions) ? history.deleted_versions : [];
-    const versions = [...editedVersions, ...deletedVersions]
+    return [...editedVersions, ...deletedVersions]
         .sort((left, right) => new Date(right.captured_at || 0) - new Date(left.captured_at || 0));
+}
+
+function renderRoadmapTaskHistory(history) {
+    const versions = getRoadmapTaskHistoryVersions(history);
 
     if (versions.length === 0) {
         return '<div class="empty-state">No prior versions recorded for this task.</div>';
@@ -605,16 +863,54 @@ function renderRoadmapTaskHistory(history) {
                     <span class="task-version-time">${escapeHtml(formatFriendlyDate(version.captured_at))}</span>
                 </div>
                 <div class="task-version-title">${escapeHtml(version?.task?.name || history.task_id || 'Task version')}</div>
+                ${version.reason ? `<div class="task-version-reason">${escapeHtml(version.reason)}</div>` : ''}
                 <div class="task-version-description">${escapeHtml(description)}</div>
                 <div class="task-version-footer">
                     <span class="task-version-actor">${escapeHtml(formatRoadmapAuditActor(version))}</span>
-                    <button class="roadmap-task-action" data-task-action="restore-version" data-task-id="${escapeHtml(version.task_id || history.task_id || '')}" data-version-id="${escapeHtml(version.version_id || '')}">Restore</button>
+                    <span class="task-version-buttons">
+                        <button class="roadmap-task-action" data-task-action="compare-version" data-task-id="${escapeHtml(version.task_id || history.task_id || '')}" data-version-id="${escapeHtml(version.version_id || '')}">Compare</button>
+                        <button class="roadmap-task-action" data-task-action="restore-version" data-task-id="${escapeHtml(version.task_id || history.task_id || '')}" data-version-id="${escapeHtml(version.version_id || '')}">Restore</button>
+                    </span>
                 </div>
             </div>
         `;
     }).join('');
 }
 
+// Opens the diff with the chosen version on the left and the live task on the
+// right; both sides can then be switched to any other recorded version.
+function openRoadmapTaskVersionDiff(taskId, versionId) {
+    if (typeof openTaskDiff !== 'function') return;
+
+    const archived = getRoadmapTaskHistoryVersions(roadmapTaskHistory).map(version => {
+        const kindLabel = version.archive_kind === 'delete' ? 'Deleted' : 'Edit';
+        const reason = version.reason ? ` — ${version.reason}` : '';
+        return {
+            id: version.version_id,
+            label: `${kindLabel} · ${formatFriendlyDate(version.captured_at)}${reason}`,
+            task: version.task || {}
+        };
+    });
+    if (!archived.some(version => version.id === versionId)) {
+        showToast('Version not found — refresh the history and try again', 'error');
+        return;
+    }
+
+    const current = getRoadmapTaskById(taskId);
+    const versions = current
+        ? [{ id: 'current', label: 'Current', task: current }, ...archived]
+        : archived;
+    const toId = current ? 'current' : (archived.find(version => version.id !== versionId)?.id || versionId);
+
+    openTaskDiff({
+        taskId,
+        versions,
+        fromId: versionId,
+        toId,
+        onRestore: (restoreId) => restoreRoadmapTaskVersion(taskId, restoreId)
+    });
+}
+
 async function deleteRoadmapTask(taskId) {
     const task = getRoadmapTaskById(taskId);
     const taskLabel = task?.name || taskId;
@@ -0,0 +1,277 @@
+/**
+ * DOTBOT Control Panel - Roadmap Timeline
+ * Timeline sub-view of the Roadmap tab: every started task of the selected
+ * workflow drawn as a Gantt bar split into queue, analysis, waiting and
+ * execution segments, with needs-input time hatched on top. Tasks are packed
+ * into lanes by overlapping work, so the lane count matches the concurrent
+ * slots in use and gaps between bars show where the runner sat idle.
+ */
+
+const ROADMAP_TIMELINE_REFRESH_MS = 15000;   // Refetch at most this often while visible
+const ROADMAP_TIMELINE_TICKS = 6;
+const ROADMAP_TIMELINE_ACTIVE = ['analysing', 'needs-input', 'analysed', 'in-progress'];
+
+let roadmapTimelineData = null;
+let roadmapTimelineWorkflow = null;
+let roadmapTimelineLoadedAt = 0;
+let roadmapTimelineRequestSeq = 0;
+
+/**
+ * Bind task clicks on the timeline
+ */
+function initRoadmapTimeline() {
+    document.getElementById('roadmap-timeline')?.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-timeline-task]');
+        if (row) openTaskById(row.dataset.timelineTask);
+    });
+}
+
+/**
+ * Refresh the timeline if it is visible. Called on every state update; the
+ * bars are redrawn each time (running tasks grow to "now") but the task
+ * files are only refetched when the workflow filter changes or the data is stale.
+ * @param {boolean} [force] - Refetch regardless of age
+ */
+function updateRoadmapTimeline(force = false) {
+    if (roadmapView !== 'timeline') return;
+
+    const workflow = pipelineWorkflowFilter || '';
+    const stale = Date.now() - roadmapTimelineLoadedAt > ROADMAP_TIMELINE_REFRESH_MS;
+    if (force || stale || workflow !== roadmapTimelineWorkflow) {
+        loadRoadmapTimeline(workflow);
+    } else {
+        renderRoadmapTimeline();
+    }
+}
+
+/**
+ * Fetch the phase timestamps for one workflow (or all of them)
+ * @param {string} workflow - Workflow name, empty for all
+ */
+async function loadRoadmapTimeline(workflow) {
+    roadmapTimelineWorkflow = workflow;
+    roadmapTimelineLoadedAt = Date.now();
+    const seq = ++roadmapTimelineRequestSeq;
+
+    try {
+        const params = new URLSearchParams();
+        if (workflow) params.set('workflow', workflow);
+        const response = await fetch(`${API_BASE}/api/tasks/timeline?${params}`);
+        const data = await response.json();
+        if (seq !== roadmapTimelineRequestSeq) return;
+        if (data.success === false) throw new Error(data.error || 'Failed to load timeline');
+
+        roadmapTimelineData = data;
+        renderRoadmapTimeline();
+    } catch (error) {
+        if (seq !== roadmapTimelineRequestSeq) return;
+        // Retry on the next state update rather than waiting out the refresh window
+        roadmapTimelineLoadedAt = 0;
+        const container = document.getElementById('roadmap-timeline');
+        if (container) container.innerHTML = `<div class="empty-state">Failed to load timeline: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Turn a task's timestamps into drawable segments
+ * @param {Object} task - Task from /api/tasks/timeline
+ * @param {number} now - Current time (ms)
+ * @returns {{segments: Array, busy: Array, start: number, end: number}} Segments carry kind/start/end (ms);
+ *   busy holds the spans the task actually occupied a slot (blocked time removed)
+ */
+function buildRoadmapTimelineBars(task, now) {
+    const time = (iso) => {
+        const value = iso ? Date.parse(iso) : NaN;
+        return Number.isFinite(value) ? value : null;
+    };
+    const created = time(task.created_at);
+    const analysisStart = time(task.analysis_started_at);
+    const analysisEnd = time(task.analysis_completed_at);
+    const execStart = time(task.started_at);
+    const completed = time(task.completed_at);
+    const active = ROADMAP_TIMELINE_ACTIVE.includes(task.status);
+    // Skipped/cancelled tasks without completed_at stop at their last update
+    const lastKnown = completed ?? (active ? now : time(task.updated_at));
+
+    const segments = [];
+    const push = (kind, start, end) => {
+        if (start !== null && end !== null && end > start) segments.push({ kind, start, end });
+    };
+
+    const firstActive = analysisStart ?? execStart;
+    push('queue', created, firstActive);
+    if (analysisStart !== null) {
+        const end = analysisEnd ?? (execStart ?? lastKnown);
+        push('analysis', analysisStart, end);
+        if (analysisEnd !== null) push('waiting', analysisEnd, execStart ?? (task.status === 'analysed' ? now : null));
+    }
+    if (execStart !== null) push('execution', execStart, lastKnown);
+
+    const blocked = (task.blocked || [])
+        .map(span => ({ start: time(span.from), end: span.to ? time(span.to) : now }))
+        .filter(span => span.start !== null && span.end !== null && span.end > span.start);
+    blocked.forEach(span => push('blocked', span.start, span.end));
+
+    // Slot occupancy: analysis + execution, minus time parked on a human answer
+    let busy = segments.filter(s => s.kind === 'analysis' || s.kind === 'execution')
+        .map(s => ({ start: s.start, end: s.end }));
+    blocked.forEach(span => {
+        busy = busy.flatMap(b => {
+            if (span.end <= b.start || span.start >= b.end) return [b];
+            const parts = [];
+            if (span.start > b.start) parts.push({ start: b.start, end: span.start });
+            if (span.end < b.end) parts.push({ start: span.end, end: b.end });
+            return parts;
+        });
+    });
+
+    const start = firstActive ?? created ?? now;
+    const end = Math.max(start, ...segments.map(s => s.end));
+    return { segments, busy, start, end };
+}
+
+/**
+ * Greedily place tasks (sorted by start) into the first lane whose busy
+ * spans do not overlap theirs. The lane count is the peak concurrency.
+ * @param {Array} bars - {task, busy, start} entries
+ * @returns {Array<Array>} Lanes of bars
+ */
+function packRoadmapTimelineLanes(bars) {
+    const lanes = [];
+    const overlaps = (a, b) => a.some(x => b.some(y => x.start < y.end && y.start < x.end));
+
+    [...bars].sort((a, b) => a.start - b.start).forEach(bar => {
+        let lane = lanes.find(candidate => !overlaps(candidate.busy, bar.busy));
+        if (!lane) {
+            lane = { bars: [], busy: [] };
+            lanes.push(lane);
+        }
+        lane.bars.push(bar);
+        lane.busy.push(...bar.busy);
+    });
+
+    return lanes.map(lane => lane.bars);
+}
+
+/**
+ * Total milliseconds covered by a set of possibly overlapping spans
+ * @param {Array} spans - {start, end} spans
+ * @returns {number} Covered time (ms)
+ */
+function sumRoadmapTimelineSpans(spans) {
+    let total = 0;
+    let cursor = -Infinity;
+    [...spans].sort((a, b) => a.start - b.start).forEach(span => {
+        const start = Math.max(span.start, cursor);
+        if (span.end > start) total += span.end - start;
+        cursor = Math.max(cursor, span.end);
+    });
+    return total;
+}
+
+/**
+ * Draw lanes, bars, the time axis and run markers
+ */
+function renderRoadmapTimeline() {
+    const container = document.getElementById('roadmap-timeline');
+    const summary = document.getElementById('roadmap-timeline-summary');
+    if (!container || !roadmapTimelineData) return;
+
+    const now = Date.now();
+    const bars = (roadmapTimelineData.tasks || []).map(task => ({ task, ...buildRoadmapTimelineBars(task, now) }));
+    const notStarted = roadmapTimelineData.not_started || 0;
+
+    if (bars.length === 0) {
+        container.innerHTML = `<div class="empty-state">No started tasks${notStarted ? ` (${notStarted} waiting to start)` : ''}</div>`;
+        if (summary) summary.textContent = '';
+        return;
+    }
+
+    // The window opens at the first work or run start; long queues are clipped
+    const runs = (roadmapTimelineData.runs || [])
+        .map(run => ({ ...run, startMs: Date.parse(run.started_at), endMs: run.ended_at ? Date.parse(run.ended_at) : now }))
+        .filter(run => Number.isFinite(run.startMs));
+    const windowStart = Math.min(...bars.map(bar => bar.start));
+    const windowEnd = Math.max(...bars.map(bar => bar.end), windowStart + 60000);
+    const span = windowEnd - windowStart;
+    const position = (ms) => ((Math.min(Math.max(ms, windowStart), windowEnd) - windowStart) / span) * 100;
+    const iso = (ms) => new Date(ms).toISOString();
+
+    const lanes = packRoadmapTimelineLanes(bars);
+
+    const renderSegment = (segment, clipped = false) => {
+        const left = position(segment.start);
+        const width = Math.max(position(segment.end) - left, 0.2);
+        const label = { queue: 'Queued', analysis: 'Analysis', waiting: 'Waiting to execute', execution: 'Execution', blocked: 'Needs input', busy: 'Busy' }[segment.kind];
+        const title = `${label}: ${formatCompactDate(iso(segment.start))} → ${formatCompactDate(iso(segment.end))} (${formatDuration(iso(segment.start), iso(segment.end))})`;
+        return `<span class="timeline-segment ${segment.kind}${clipped ? ' clipped' : ''}" style="left: ${left}%; width: ${width}%;" title="${escapeHtml(title)}"></span>`;
+    };
+
+    const runMarkers = runs
+        .filter(run => run.startMs >= windowStart && run.startMs <= windowEnd)
+        .map(run => `<span class="timeline-run-marker" style="left: ${position(run.startMs)}%;" title="${escapeHtml(`${run.description || run.id} started ${formatCompactDate(run.started_at)}`)}"></span>`)
+        .join('');
+
+    const ticks = [];
+    for (let i = 0; i <= ROADMAP_TIMELINE_TICKS; i++) {
+        const ms = windowStart + (span * i) / ROADMAP_TIMELINE_TICKS;
+        ticks.push(`<span class="timeline-tick" style="left: ${(i / ROADMAP_TIMELINE_TICKS) * 100}%;">${escapeHtml(formatCompactDate(iso(ms)))}</span>`);
+    }
+
+    let totalIdle = 0;
+    let totalBlocked = 0;
+    const laneHtml = lanes.map((laneBars, index) => {
+        const busy = laneBars.flatMap(bar => bar.busy);
+        const laneStart = Math.min(...busy.map(s => s.start), Infinity);
+        const laneEnd = Math.max(...busy.map(s => s.end), -Infinity);
+        const idle = busy.length > 0 ? (laneEnd - laneStart) - sumRoadmapTimelineSpans(busy) : 0;
+        const blocked = sumRoadmapTimelineSpans(laneBars.flatMap(bar => bar.segments.filter(s => s.kind === 'blocked')));
+        totalIdle += idle;
+        totalBlocked += blocked;
+
+        const stats = [`${laneBars.length} task${laneBars.length === 1 ? '' : 's'}`];
+        if (idle > 0) stats.push(`idle ${formatDuration(iso(0), iso(idle))}`);
+        if (blocked > 0) stats.push(`blocked ${formatDuration(iso(0), iso(blocked))}`);
+
+        const rows = laneBars.map(bar => {
+            const segments = bar.segments.map(segment => renderSegment(segment, segment.kind === 'queue' && segment.start < windowStart)).join('');
+            return `
+                <div class="timeline-row" data-timeline-task="${escapeHtml(bar.task.id)}">
+                    <span class="timeline-label" title="${escapeHtml(bar.task.name || bar.task.id)}">
+                        <span class="timeline-status ${escapeHtml(bar.task.status)}"></span>${escapeHtml(bar.task.name || bar.task.id)}
+                    </span>
+                    <span class="timeline-track">${segments}</span>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="timeline-lane">
+                <div class="timeline-row lane-head">
+                    <span class="timeline-label">Lane ${index + 1} <span class="timeline-lane-stats">${escapeHtml(stats.join(' · '))}</span></span>
+                    <span class="timeline-track">${busy.map(s => renderSegment({ kind: 'busy', ...s })).join('')}</span>
+                </div>
+                ${rows}
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="timeline-axis">
+            <span class="timeline-label"></span>
+            <span class="timeline-track">${ticks.join('')}</span>
+        </div>
+        <div class="timeline-body">
+            <div class="timeline-overlay"><span class="timeline-label"></span><span class="timeline-track">${runMarkers}</span></div>
+            ${laneHtml}
+        </div>
+    `;
+
+    if (summary) {
+        const parts = [`${bars.length} task${bars.length === 1 ? '' : 's'}`, `${lanes.length} lane${lanes.length === 1 ? '' : 's'}`];
+        if (totalIdle > 0) parts.push(`idle ${formatDuration(iso(0), iso(totalIdle))}`);
+        if (totalBlocked > 0) parts.push(`blocked ${formatDuration(iso(0), iso(totalBlocked))}`);
+        if (notStarted > 0) parts.push(`${notStarted} not started`);
+        summary.textContent = parts.join(' · ');
+    }
+}
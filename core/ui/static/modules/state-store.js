@@ -0,0 +1,155 @@
+/**
+ * DOTBOT Control Panel - State Store
+ * Client copy of the server state, kept current by revision deltas from
+ * /api/state/poll?revision=N and the event stream's `state` event.
+ */
+
+// Keys of state.tasks the server sends as id orderings plus per-task entries
+const STATE_TASK_LIST_KEYS = ['upcoming', 'analysing_list', 'needs_input_list', 'analysed_list', 'recent_completed', 'skipped_list'];
+
+const stateStore = {
+    epoch: null,
+    revision: 0,
+    state: null,
+    tasksById: new Map(),
+    listIds: {}     // list key → ordered task ids (absent when the list was sent whole)
+};
+
+/**
+ * Query string identifying the revision the store holds
+ * @returns {string} e.g. "revision=12&epoch=ab12cd34ef56"
+ */
+function getStateStoreQuery() {
+    if (!stateStore.state || !stateStore.epoch) return 'revision=0';
+    return `revision=${stateStore.revision}&epoch=${encodeURIComponent(stateStore.epoch)}`;
+}
+
+/**
+ * Forget the held state so the next request asks for a full snapshot
+ */
+function resetStateStore() {
+    stateStore.epoch = null;
+    stateStore.revision = 0;
+    stateStore.state = null;
+    stateStore.tasksById = new Map();
+    stateStore.listIds = {};
+}
+
+/**
+ * Apply a full snapshot or delta payload from the server.
+ * Returns null when a delta cannot be applied (different server run, or it
+ * starts past the held revision) — the caller should fetch a full snapshot.
+ * @param {Object} payload - { epoch, revision, full, state } or { epoch, revision, base_revision, set, removed }
+ * @returns {{state: Object, changes: Object|null, changed: boolean}|null} New state; changes is null for full snapshots
+ */
+function applyStatePayload(payload) {
+    if (!payload || payload.revision === undefined) return null;
+
+    if (payload.full) {
+        loadStateSnapshot(payload);
+        return { state: stateStore.state, changes: null, changed: true };
+    }
+
+    if (!stateStore.state || payload.epoch !== stateStore.epoch || payload.base_revision > stateStore.revision) {
+        return null;
+    }
+
+    const changes = { keys: new Set(), taskKeys: new Set(), taskIds: new Set() };
+
+    // A delta never moves the store backwards (a replayed or reordered reply)
+    if (payload.revision <= stateStore.revision) {
+        return { state: stateStore.state, changes, changed: false };
+    }
+
+    // Copy the containers so the previous state object stays intact for
+    // callers that compare old and new (notifications, lastState readers)
+    const state = { ...stateStore.state, tasks: { ...stateStore.state.tasks } };
+    const set = payload.set || {};
+
+    Object.keys(set).forEach(path => {
+        if (path.startsWith('task:')) {
+            const taskId = path.slice(5);
+            stateStore.tasksById.set(taskId, set[path]);
+            changes.taskIds.add(taskId);
+        } else if (path.startsWith('tasks.')) {
+            const key = path.slice(6);
+            const value = set[path];
+            if (STATE_TASK_LIST_KEYS.includes(key) && Array.isArray(value) && value.every(id => typeof id === 'string')) {
+                stateStore.listIds[key] = value;
+            } else {
+                delete stateStore.listIds[key];
+                state.tasks[key] = value;
+            }
+            changes.taskKeys.add(key);
+        } else {
+            state[path] = set[path];
+            changes.keys.add(path);
+        }
+    });
+
+    (payload.removed || []).forEach(path => {
+        if (path.startsWith('task:')) {
+            const taskId = path.slice(5);
+            stateStore.tasksById.delete(taskId);
+            changes.taskIds.add(taskId);
+        } else if (path.startsWith('tasks.')) {
+            const key = path.slice(6);
+            delete stateStore.listIds[key];
+            delete state.tasks[key];
+            changes.taskKeys.add(key);
+        } else {
+            delete state[path];
+            changes.keys.add(path);
+        }
+    });
+
+    // Rebuild the lists whose ordering changed or that hold a changed task
+    Object.keys(stateStore.listIds).forEach(key => {
+        const ids = stateStore.listIds[key];
+        if (changes.taskKeys.has(key) || ids.some(id => changes.taskIds.has(id))) {
+            state.tasks[key] = resolveStateTaskList(ids);
+            changes.taskKeys.add(key);
+        }
+    });
+
+    if (changes.taskKeys.size > 0 || changes.taskIds.size > 0) {
+        changes.keys.add('tasks');
+    }
+    if (payload.timestamp) state.timestamp = payload.timestamp;
+
+    stateStore.revision = payload.revision;
+    stateStore.state = state;
+    return { state, changes, changed: true };
+}
+
+/**
+ * Replace the store contents with a full snapshot
+ * @param {Object} payload - Full snapshot payload
+ */
+function loadStateSnapshot(payload) {
+    const state = payload.state || {};
+    if (!state.tasks) state.tasks = {};
+
+    stateStore.epoch = payload.epoch;
+    stateStore.revision = payload.revision;
+    stateStore.tasksById = new Map();
+    stateStore.listIds = {};
+
+    STATE_TASK_LIST_KEYS.forEach(key => {
+        const list = state.tasks[key];
+        if (!Array.isArray(list) || !list.every(task => task && task.id)) return;
+        stateStore.listIds[key] = list.map(task => String(task.id));
+        list.forEach(task => stateStore.tasksById.set(String(task.id), task));
+    });
+
+    stateStore.state = state;
+}
+
+/**
+ * Map a list ordering back to task objects
+ * @param {Array<string>} ids - Task ids in display order
+ * @returns {Array<Object>} Task objects
+ */
+function resolveStateTaskList(ids) {
+    return ids.map(id => stateStore.tasksById.get(id)).filter(Boolean);
+}
@@ -0,0 +1,185 @@
+/**
+ * DOTBOT Control Panel - Syntax Highlighter
+ * Small offline highlighter for fenced code blocks. Each language is a list of
+ * token rules compiled into one alternation regex; the first rule matching at
+ * the earliest position wins, so rule order matters (comments and strings
+ * before keywords, keywords before function calls). Tokens become
+ * <span class="tok-TYPE"> styled from the theme colour variables.
+ */
+
+/**
+ * Regex source matching any of the space-separated words as a whole word
+ * @param {string} list - Space-separated words
+ * @returns {string} Regex source
+ */
+function syntaxWords(list) {
+    return `\\b(?:${list.trim().split(/\s+/).join('|')})\\b`;
+}
+
+const SYNTAX_C_COMMENTS = ['comment', '//.*|/\\*[\\s\\S]*?\\*/'];
+const SYNTAX_C_STRINGS = ['string', '"(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\\\\\n]|\\\\.)*\''];
+
+const SYNTAX_JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield';
+const SYNTAX_TS_KEYWORDS = 'abstract as declare enum implements interface keyof namespace private protected public readonly satisfies type any unknown never string number boolean';
+
+const SYNTAX_JS_RULES = [
+    SYNTAX_C_COMMENTS,
+    ['string', '`(?:[^`\\\\]|\\\\[\\s\\S])*`'],
+    SYNTAX_C_STRINGS,
+    ['meta', '@[A-Za-z_]\\w*'],
+    ['literal', syntaxWords('true false null undefined NaN Infinity')],
+    ['keyword', syntaxWords(SYNTAX_JS_KEYWORDS)],
+    ['function', '\\b[A-Za-z_$][\\w$]*(?=\\s*\\()'],
+    ['type', '\\b[A-Z][\\w$]*\\b'],
+    ['number', '\\b(?:0[xXoObB][\\da-fA-F_]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)n?\\b']
+];
+
+// Rules per language: [tokenType, regexSource] with no capturing groups
+const SYNTAX_LANGUAGES = {
+    powershell: {
+        caseInsensitive: true,
+        rules: [
+            ['comment', '<#[\\s\\S]*?#>|#.*'],
+            ['string', '@"[\\s\\S]*?^\\s*"@|@\'[\\s\\S]*?^\\s*\'@|"(?:[^"`]|`[\\s\\S]|"")*"|\'(?:[^\']|\'\')*\''],
+            ['literal', '\\$(?:true|false|null)\\b'],
+            ['variable', '\\$(?:\\{[^}\\n]*\\}|[\\w:]+|[$?^_])'],
+            ['type', '\\[[A-Za-z][\\w.`]*(?:\\[\\])?\\]'],
+            ['operator', '-(?:eq|ne|gt|ge|lt|le|like|notlike|match|notmatch|contains|notcontains|in|notin|replace|split|join|and|or|not|xor|is|isnot|as|f|c(?:eq|ne|like|match))\\b'],
+            ['attr', '(?<![\\w-])-[A-Za-z][\\w]*'],
+            ['keyword', syntaxWords('begin break catch class continue data do dynamicparam else elseif end enum exit filter finally for foreach function if in param process return switch throw trap try until using while workflow')],
+            ['function', '\\b[A-Za-z]+-[A-Za-z][\\w]*\\b'],
+            ['number', '\\b(?:0x[\\da-f]+|\\d+(?:\\.\\d+)?(?:[kmgtp]b)?)\\b']
+        ]
+    },
+    csharp: {
+        rules: [
+            SYNTAX_C_COMMENTS,
+            ['string', '\\$?@"(?:[^"]|"")*"|\\$?"(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\\\\\n]|\\\\.)\''],
+            ['meta', '^[ \\t]*#[a-z]+.*'],
+            ['literal', syntaxWords('true false null')],
+            ['keyword', syntaxWords('abstract as async await base bool break byte case catch char checked class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach get goto if implicit in init int interface internal is lock long namespace new object operator out override params private protected public readonly record ref required return sbyte sealed set short sizeof stackalloc static string struct switch this throw try typeof uint ulong unchecked unsafe ushort using var virtual void volatile when where while yield')],
+            ['function', '\\b[A-Za-z_]\\w*(?=\\s*(?:<[\\w<>, ]*>)?\\s*\\()'],
+            ['type', '\\b[A-Z]\\w*\\b'],
+            ['number', '\\b(?:0[xXbB][\\da-fA-F_]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)[fFdDmMuUlL]*\\b']
+        ]
+    },
+    javascript: { rules: SYNTAX_JS_RULES },
+    typescript: {
+        rules: SYNTAX_JS_RULES.map(([type, source]) =>
+            type === 'keyword' ? [type, syntaxWords(`${SYNTAX_JS_KEYWORDS} ${SYNTAX_TS_KEYWORDS}`)] : [type, source])
+    },
+    json: {
+        rules: [
+            SYNTAX_C_COMMENTS,
+            ['property', '"(?:[^"\\\\\\n]|\\\\.)*"(?=\\s*:)'],
+            ['string', '"(?:[^"\\\\\\n]|\\\\.)*"'],
+            ['literal', syntaxWords('true false null')],
+            ['number', '-?\\b\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b']
+        ]
+    },
+    yaml: {
+        rules: [
+            ['comment', '(?<!\\S)#.*'],
+            ['meta', '^(?:---|\\.\\.\\.)[ \\t]*$|[&*][\\w-]+(?=[ \\t]|$)|![\\w!/:.-]*|[|>][-+]?(?=[ \\t]*$)'],
+            ['property', '(?<=^[ \\t]*(?:-[ \\t]+)?)(?:"[^"\\n]*"|\'[^\'\\n]*\'|(?:[\\w.$/]|-(?=\\S))[\\w .$/-]*?)(?=:(?:[ \\t]|$))'],
+            ['string', '"(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\n]|\'\')*\''],
+            ['literal', '(?<=:[ \\t]+|-[ \\t]+)(?:true|false|null|yes|no|~)(?=[ \\t]*(?:#|$))'],
+            ['number', '(?<=:[ \\t]+|-[ \\t]+)-?\\d+(?:\\.\\d+)?(?=[ \\t]*(?:#|$))']
+        ]
+    },
+    bash: {
+        rules: [
+            ['comment', '(?<!\\S)#.*'],
+            ['string', '"(?:[^"\\\\]|\\\\[\\s\\S])*"|\'[^\']*\''],
+            ['variable', '\\$(?:\\{[^}\\n]*\\}|\\w+|[@*#?$!0-9-])'],
+            ['keyword', syntaxWords('if then else elif fi for while until do done case esac in function return local export readonly declare select break continue exit set unset source')],
+            ['attr', '(?<!\\S)--?[A-Za-z][\\w-]*'],
+            // First word of a command: start of line or after a pipe / separator
+            ['function', '(?<=^[ \\t]*|[|;&][ \\t]*|\\$\\([ \\t]*)[\\w./-]+'],
+            ['number', '\\b\\d+\\b']
+        ]
+    },
+    sql: {
+        caseInsensitive: true,
+        rules: [
+            ['comment', '--.*|/\\*[\\s\\S]*?\\*/'],
+            ['string', '\'(?:[^\']|\'\')*\''],
+            ['property', '"[^"\\n]*"|\\[[^\\]\\n]*\\]|`[^`\\n]*`'],
+            ['variable', '@@?\\w+'],
+            ['literal', syntaxWords('true false null')],
+            ['keyword', syntaxWords('select from where and or not insert into values update set delete create alter drop table view index on join inner left right full outer cross group by order having limit offset as distinct union all case when then else end is like in exists between primary key foreign references default constraint unique begin commit rollback transaction with returning top asc desc if declare exec procedure function trigger database schema grant revoke truncate merge using over partition')],
+            ['function', '\\b\\w+(?=\\s*\\()'],
+            ['number', '\\b\\d+(?:\\.\\d+)?\\b']
+        ]
+    },
+    diff: {
+        rules: [
+            ['meta', '^(?:diff|index) .*|^(?:---|\\+\\+\\+)(?: .*)?$'],
+            ['hunk', '^@@.*'],
+            ['inserted', '^\\+.*'],
+            ['deleted', '^-.*']
+        ]
+    }
+};
+
+const SYNTAX_LANGUAGE_ALIASES = {
+    ps: 'powershell', ps1: 'powershell', psm1: 'powershell', psd1: 'powershell', pwsh: 'powershell',
+    cs: 'csharp', 'c#': 'csharp',
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    jsonc: 'json',
+    yml: 'yaml',
+    sh: 'bash', shell: 'bash', zsh: 'bash',
+    patch: 'diff'
+};
+
+const syntaxRegexCache = {};
+
+/**
+ * Resolve a fence language name to a highlighter definition
+ * @param {string} language - Language from the code fence (e.g. "ps1", "TypeScript")
+ * @returns {{regex: RegExp, types: string[]}|null} Compiled language, or null if unsupported
+ */
+function getSyntaxLanguage(language) {
+    const name = (language || '').toLowerCase();
+    const key = SYNTAX_LANGUAGE_ALIASES[name] || name;
+    const def = SYNTAX_LANGUAGES[key];
+    if (!def) return null;
+
+    if (!syntaxRegexCache[key]) {
+        syntaxRegexCache[key] = {
+            regex: new RegExp(def.rules.map(([, source]) => `(${source})`).join('|'), def.caseInsensitive ? 'gmi' : 'gm'),
+            types: def.rules.map(([type]) => type)
+        };
+    }
+    return syntaxRegexCache[key];
+}
+
+/**
+ * Highlight code as HTML. Unsupported languages come back escaped but unstyled.
+ * @param {string} code - Raw code
+ * @param {string} language - Language from the code fence
+ * @returns {string} Escaped HTML with token spans
+ */
+function highlightCode(code, language) {
+    const lang = getSyntaxLanguage(language);
+    if (!lang || !code) return escapeHtml(code);
+
+    const regex = lang.regex;
+    regex.lastIndex = 0;
+    let html = '';
+    let last = 0;
+    let match;
+
+    while ((match = regex.exec(code)) !== null) {
+        if (match[0] === '') {
+            regex.lastIndex++;
+            continue;
+        }
+        const type = lang.types[match.findIndex((group, i) => i > 0 && group !== undefined) - 1];
+        html += escapeHtml(code.slice(last, match.index)) + `<span class="tok-${type}">${escapeHtml(match[0])}</span>`;
+        last = match.index + match[0].length;
+    }
+
+    return html + escapeHtml(code.slice(last));
+}
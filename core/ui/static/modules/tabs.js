@@ -66,6 +66,11 @@ function switchContextPanel(tabId) {
         updateTaskSummary(lastState.tasks);
     }
 
+    // Analytics reads the logs on demand rather than on every poll
+    if (tabId === 'analytics' && typeof loadAnalytics === 'function') {
+        loadAnalytics();
+    }
+
     // Reload decisions when switching to decisions tab
     if (tabId === 'decisions') {
         reloadDecisions();
@@ -0,0 +1,344 @@
+/**
+ * DOTBOT Control Panel - Task Version Diff
+ * Side-by-side comparison of any two task versions (archived or current):
+ * field-level changes to name, description, steps and acceptance criteria,
+ * with word-level highlighting inside text.
+ */
+
+const TASK_DIFF_FIELDS = [
+    { key: 'name', label: 'Name', kind: 'text' },
+    { key: 'description', label: 'Description', kind: 'text' },
+    { key: 'steps', label: 'Steps', kind: 'list' },
+    { key: 'acceptance_criteria', label: 'Acceptance Criteria', kind: 'list' }
+];
+// Compared as plain values and listed under "Other fields" when they differ
+const TASK_DIFF_SCALAR_FIELDS = ['category', 'priority', 'effort', 'model', 'dependencies'];
+// Token-pair budget for the word LCS; longer texts fall back to a whole-block replace
+const TASK_DIFF_MAX_CELLS = 250000;
+
+const taskDiffState = {
+    taskId: null,
+    versions: [],   // [{ id, label, task }] newest first; id 'current' for the live task
+    onRestore: null
+};
+
+/**
+ * Open the diff modal
+ * @param {Object} options
+ * @param {string} options.taskId - Task ID
+ * @param {Array} options.versions - [{ id, label, task }], newest first
+ * @param {string} options.fromId - Version shown on the left
+ * @param {string} options.toId - Version shown on the right
+ * @param {Function} [options.onRestore] - Called with a version id to restore it
+ */
+function openTaskDiff({ taskId, versions, fromId, toId, onRestore = null }) {
+    const modal = document.getElementById('task-diff-modal');
+    if (!modal) return;
+
+    taskDiffState.taskId = taskId;
+    taskDiffState.versions = versions;
+    taskDiffState.onRestore = onRestore;
+
+    const options = versions.map(version =>
+        `<option value="${escapeHtml(version.id)}">${escapeHtml(version.label)}</option>`
+    ).join('');
+    const fromSelect = document.getElementById('task-diff-from');
+    const toSelect = document.getElementById('task-diff-to');
+    if (fromSelect) { fromSelect.innerHTML = options; fromSelect.value = fromId; }
+    if (toSelect) { toSelect.innerHTML = options; toSelect.value = toId; }
+
+    modal.classList.add('visible');
+    renderTaskDiff();
+}
+
+function closeTaskDiff() {
+    document.getElementById('task-diff-modal')?.classList.remove('visible');
+}
+
+/**
+ * @returns {boolean} Whether the diff modal is showing
+ */
+function isTaskDiffOpen() {
+    return document.getElementById('task-diff-modal')?.classList.contains('visible') || false;
+}
+
+/**
+ * Bind the version pickers, swap, restore and close controls
+ */
+function initTaskDiff() {
+    document.getElementById('task-diff-from')?.addEventListener('change', renderTaskDiff);
+    document.getElementById('task-diff-to')?.addEventListener('change', renderTaskDiff);
+    document.getElementById('task-diff-swap')?.addEventListener('click', () => {
+        const fromSelect = document.getElementById('task-diff-from');
+        const toSelect = document.getElementById('task-diff-to');
+        if (!fromSelect || !toSelect) return;
+        [fromSelect.value, toSelect.value] = [toSelect.value, fromSelect.value];
+        renderTaskDiff();
+    });
+    document.getElementById('task-diff-restore')?.addEventListener('click', () => {
+        const fromId = document.getElementById('task-diff-from')?.value;
+        if (!fromId || fromId === 'current' || !taskDiffState.onRestore) return;
+        closeTaskDiff();
+        taskDiffState.onRestore(fromId);
+    });
+    document.getElementById('task-diff-modal-close')?.addEventListener('click', closeTaskDiff);
+    document.getElementById('task-diff-close')?.addEventListener('click', closeTaskDiff);
+    document.getElementById('task-diff-modal')?.addEventListener('click', (event) => {
+        if (event.target.id === 'task-diff-modal') closeTaskDiff();
+    });
+}
+
+/**
+ * Render the comparison for the selected pair
+ */
+function renderTaskDiff() {
+    const content = document.getElementById('task-diff-content');
+    if (!content) return;
+
+    const fromId = document.getElementById('task-diff-from')?.value;
+    const toId = document.getElementById('task-diff-to')?.value;
+    const from = taskDiffState.versions.find(version => version.id === fromId);
+    const to = taskDiffState.versions.find(version => version.id === toId);
+
+    const restoreBtn = document.getElementById('task-diff-restore');
+    if (restoreBtn) {
+        restoreBtn.disabled = !from || from.id === 'current' || !taskDiffState.onRestore;
+    }
+
+    if (!from || !to) {
+        content.innerHTML = '<div class="empty-state">Select two versions to compare.</div>';
+        return;
+    }
+
+    const sections = TASK_DIFF_FIELDS.map(field => {
+        const body = field.kind === 'list'
+            ? renderTaskDiffList(from.task?.[field.key], to.task?.[field.key])
+            : renderTaskDiffText(from.task?.[field.key], to.task?.[field.key]);
+        return `
+            <section class="task-diff-field${body.changed ? ' changed' : ''}">
+                <div class="task-diff-field-label">${field.label}${body.changed ? '' : ' <span class="task-diff-unchanged">unchanged</span>'}</div>
+                ${body.html}
+            </section>
+        `;
+    });
+
+    const scalarRows = TASK_DIFF_SCALAR_FIELDS
+        .map(key => ({ key, left: formatTaskDiffValue(from.task?.[key]), right: formatTaskDiffValue(to.task?.[key]) }))
+        .filter(row => row.left !== row.right)
+        .map(row => `
+            <div class="task-diff-row">
+                <div class="task-diff-cell"><span class="task-diff-key">${escapeHtml(row.key)}</span> <del>${escapeHtml(row.left || '—')}</del></div>
+                <div class="task-diff-cell"><span class="task-diff-key">${escapeHtml(row.key)}</span> <ins>${escapeHtml(row.right || '—')}</ins></div>
+            </div>
+        `).join('');
+    if (scalarRows) {
+        sections.push(`
+            <section class="task-diff-field changed">
+                <div class="task-diff-field-label">Other fields</div>
+                ${scalarRows}
+            </section>
+        `);
+    }
+
+    content.innerHTML = `
+        <div class="task-diff-row task-diff-columns">
+            <div class="task-diff-cell">${escapeHtml(from.label)}</div>
+            <div class="task-diff-cell">${escapeHtml(to.label)}</div>
+        </div>
+        ${sections.join('')}
+    `;
+}
+
+/**
+ * Side-by-side word diff of one text field
+ * @param {*} left - Older value
+ * @param {*} right - Newer value
+ * @returns {{html: string, changed: boolean}}
+ */
+function renderTaskDiffText(left, right) {
+    const leftText = formatTaskDiffValue(left);
+    const rightText = formatTaskDiffValue(right);
+    if (leftText === rightText) {
+        return {
+            changed: false,
+            html: `<div class="task-diff-row"><div class="task-diff-cell">${escapeHtml(leftText)}</div><div class="task-diff-cell">${escapeHtml(rightText)}</div></div>`
+        };
+    }
+
+    const ops = diffTaskWords(leftText, rightText);
+    return {
+        changed: true,
+        html: `<div class="task-diff-row">
+            <div class="task-diff-cell">${renderTaskDiffOps(ops, 'delete')}</div>
+            <div class="task-diff-cell">${renderTaskDiffOps(ops, 'insert')}</div>
+        </div>`
+    };
+}
+
+/**
+ * Side-by-side diff of a list field, item by item. Items replaced in place
+ * are treated as edits and word-diffed.
+ * @param {*} left - Older list
+ * @param {*} right - Newer list
+ * @returns {{html: string, changed: boolean}}
+ */
+function renderTaskDiffList(left, right) {
+    const toItems = (value) => (Array.isArray(value) ? value : value ? [value] : [])
+        .map(item => (typeof getTaskListItemText === 'function' ? getTaskListItemText(item) : formatTaskDiffValue(item)));
+    const leftItems = toItems(left);
+    const rightItems = toItems(right);
+
+    if (leftItems.length === 0 && rightItems.length === 0) {
+        return { changed: false, html: '<div class="task-diff-row"><div class="task-diff-cell task-diff-empty">None</div><div class="task-diff-cell task-diff-empty">None</div></div>' };
+    }
+
+    const ops = diffTaskSequence(leftItems, rightItems);
+    const rows = [];
+    let changed = false;
+    let removed = [];
+    let added = [];
+
+    // Within a run of changes, the nth removed item pairs with the nth added one
+    const flush = () => {
+        for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+            const before = removed[i];
+            const after = added[i];
+            if (before !== undefined && after !== undefined) {
+                const words = diffTaskWords(before, after);
+                rows.push(`<div class="task-diff-row">
+                    <div class="task-diff-cell removed">${renderTaskDiffOps(words, 'delete')}</div>
+                    <div class="task-diff-cell added">${renderTaskDiffOps(words, 'insert')}</div>
+                </div>`);
+            } else if (before !== undefined) {
+                rows.push(`<div class="task-diff-row"><div class="task-diff-cell removed"><del>${escapeHtml(before)}</del></div><div class="task-diff-cell"></div></div>`);
+            } else {
+                rows.push(`<div class="task-diff-row"><div class="task-diff-cell"></div><div class="task-diff-cell added"><ins>${escapeHtml(after)}</ins></div></div>`);
+            }
+        }
+        removed = [];
+        added = [];
+    };
+
+    ops.forEach(op => {
+        if (op.type === 'delete') {
+            removed.push(op.value);
+            changed = true;
+        } else if (op.type === 'insert') {
+            added.push(op.value);
+            changed = true;
+        } else {
+            flush();
+            rows.push(`<div class="task-diff-row"><div class="task-diff-cell">${escapeHtml(op.value)}</div><div class="task-diff-cell">${escapeHtml(op.value)}</div></div>`);
+        }
+    });
+    flush();
+
+    return { changed, html: rows.join('') };
+}
+
+/**
+ * Render one side of a word diff
+ * @param {Array} ops - Ops from diffTaskWords()
+ * @param {string} side - 'delete' for the left column, 'insert' for the right
+ * @returns {string} HTML
+ */
+function renderTaskDiffOps(ops, side) {
+    const tag = side === 'delete' ? 'del' : 'ins';
+    return ops
+        .filter(op => op.type === 'equal' || op.type === side)
+        .map(op => (op.type === 'equal' ? escapeHtml(op.value) : `<${tag}>${escapeHtml(op.value)}</${tag}>`))
+        .join('');
+}
+
+/**
+ * Word-level diff; whitespace runs are kept as their own tokens so the
+ * original spacing and line breaks survive
+ * @param {string} left - Older text
+ * @param {string} right - Newer text
+ * @returns {Array<{type: string, value: string}>} Ops with adjacent same-type tokens merged
+ */
+function diffTaskWords(left, right) {
+    const tokenize = (text) => `${text || ''}`.split(/(\s+)/).filter(token => token !== '');
+    const ops = diffTaskSequence(tokenize(left), tokenize(right));
+
+    const merged = [];
+    ops.forEach(op => {
+        const last = merged[merged.length - 1];
+        if (last && last.type === op.type) last.value += op.value;
+        else merged.push({ ...op });
+    });
+    return merged;
+}
+
+/**
+ * Longest-common-subsequence diff of two sequences
+ * @param {Array<string>} left - Older sequence
+ * @param {Array<string>} right - Newer sequence
+ * @returns {Array<{type: string, value: string}>} equal / delete / insert ops in order
+ */
+function diffTaskSequence(left, right) {
+    // Common prefix and suffix never need the table
+    let start = 0;
+    while (start < left.length && start < right.length && left[start] === right[start]) start++;
+    let leftEnd = left.length;
+    let rightEnd = right.length;
+    while (leftEnd > start && rightEnd > start && left[leftEnd - 1] === right[rightEnd - 1]) {
+        leftEnd--;
+        rightEnd--;
+    }
+
+    const head = left.slice(0, start).map(value => ({ type: 'equal', value }));
+    const tail = left.slice(leftEnd).map(value => ({ type: 'equal', value }));
+    const a = left.slice(start, leftEnd);
+    const b = right.slice(start, rightEnd);
+
+    if (a.length * b.length > TASK_DIFF_MAX_CELLS) {
+        return [
+            ...head,
+            ...a.map(value => ({ type: 'delete', value })),
+            ...b.map(value => ({ type: 'insert', value })),
+            ...tail
+        ];
+    }
+
+    // lengths[i][j] = LCS length of a[i:] and b[j:]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            middle.push({ type: 'equal', value: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            middle.push({ type: 'delete', value: a[i++] });
+        } else {
+            middle.push({ type: 'insert', value: b[j++] });
+        }
+    }
+    while (i < a.length) middle.push({ type: 'delete', value: a[i++] });
+    while (j < b.length) middle.push({ type: 'insert', value: b[j++] });
+
+    return [...head, ...middle, ...tail];
+}
+
+/**
+ * Plain-text form of a field value for comparison
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function formatTaskDiffValue(value) {
+    if (value == null) return '';
+    if (Array.isArray(value)) return value.map(formatTaskDiffValue).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return `${value}`;
+}
@@ -16,22 +16,38 @@ function initTaskClicks() {
 
     // Delegate for dynamic task lists
     document.addEventListener('click', async (e) => {
-        // Handle decision link clicks (from Related Decisions tags)
+        // Handle decision link clicks (from the task modal's Decisions section)
         const decLink = e.target.closest('[data-decision-link]');
         if (decLink) {
             const decisionId = decLink.dataset.decisionLink;
             if (decisionId && isValidDecisionId(decisionId)) {
+                document.getElementById('task-modal')?.classList.remove('visible');
                 switchToTab('decisions');
                 await reloadDecisions();
-                toggleDecisionExpand(decisionId);
+                focusDecision(decisionId);
             }
             return;
         }
 
+        // Handle verify script links (from the task modal's Verification section)
+        const verifyLink = e.target.closest('[data-verify-script-link]');
+        if (verifyLink) {
+            document.getElementById('task-modal')?.classList.remove('visible');
+            switchToTab('settings');
+            document.querySelector('[data-settings-section="verification"]')?.click();
+            focusVerificationScript(verifyLink.dataset.verifyScriptLink);
+            return;
+        }
+
         if (e.target.closest('.roadmap-task-action') || e.target.closest('.roadmap-header-action')) {
             return;
         }
 
+        // Checkbox and shift-clicks on Todo cards select (roadmap-bulk-actions.js)
+        if (typeof isRoadmapSelectionClick === 'function' && isRoadmapSelectionClick(e)) {
+            return;
+        }
+
         const taskItem = e.target.closest('.task-list-item, .pipeline-task');
         if (taskItem && taskItem.dataset.taskId) {
             const task = findTaskById(taskItem.dataset.taskId);
@@ -73,6 +89,41 @@ function findTaskById(id) {
     return null;
 }
 
+/**
+ * Every task in the current state, first occurrence per ID
+ * @returns {Array} Tasks
+ */
+function getKnownTasks() {
+    const tasks = lastState?.tasks;
+    if (!tasks) return [];
+
+    const seen = new Map();
+    [tasks.current, ...(tasks.upcoming || []), ...(tasks.analysing_list || []), ...(tasks.needs_input_list || []),
+        ...(tasks.analysed_list || []), ...(tasks.recent_completed || []), ...(tasks.skipped_list || [])]
+        .forEach(task => { if (task?.id && !seen.has(task.id)) seen.set(task.id, task); });
+    return [...seen.values()];
+}
+
+/**
+ * Open the task modal for a task ID. Tasks outside the dashboard state (older
+ * done tasks) come from the search index.
+ * @param {string} taskId - Task ID
+ */
+async function openTaskById(taskId) {
+    let task = findTaskById(taskId);
+    if (!task) {
+        try {
+            const response = await fetch(`${API_BASE}/api/search/task/${encodeURIComponent(taskId)}`);
+            const data = await response.json();
+            task = data.success ? data.task : null;
+        } catch (error) {
+            task = null;
+        }
+    }
+    if (task) showTaskModal(task);
+    else showToast(`Task ${taskId} is no longer available`, 'warning');
+}
+
 /**
  * Show task details modal with sidebar navigation
  * @param {Object} task - Task object to display
@@ -91,10 +142,12 @@ function showTaskModal(task) {
     const hasCriteria = task.acceptance_criteria && task.acceptance_criteria.length > 0;
     const hasAnalysis = !!task.analysis;
     const hasCommits = task.commit_sha || (task.commits && task.commits.length > 0);
-    const analysisLog = task.analysis?.analysis_activity_log || task.analysis?.activity_log;
-    const executionLog = task.execution_activity_log || task.activity_log;
+    const analysisLog = getTaskActivityEntries(task.analysis?.analysis_activity_log || task.analysis?.activity_log);
+    const executionLog = getTaskActivityEntries(task.execution_activity_log || task.activity_log);
     const hasAnalysisActivity = analysisLog && analysisLog.length > 0;
     const hasExecutionActivity = executionLog && executionLog.length > 0;
+    const hasVerification = (task.verification_report?.scripts?.length || 0) > 0;
+    const decisionLinks = getTaskDecisionLinks(task);
 
     // Build sidebar navigation
     let sidebarHtml = `
@@ -111,6 +164,12 @@ function showTaskModal(task) {
             <div class="task-modal-nav-item ${!hasCommits ? 'disabled' : ''}" data-section="commits">
                 <span class="nav-icon">⎇</span>Commits
             </div>
+            <div class="task-modal-nav-item ${!hasVerification ? 'disabled' : ''}" data-section="verification">
+                <span class="nav-icon">✓</span>Verification${task.verification_report?.passed === false ? ' <span class="task-verify-nav-failed">✗</span>' : ''}
+            </div>
+            <div class="task-modal-nav-item ${decisionLinks.length === 0 ? 'disabled' : ''}" data-section="decisions">
+                <span class="nav-icon">◆</span>Decisions
+            </div>
             <div class="task-modal-nav-item ${!hasAnalysisActivity ? 'disabled' : ''}" data-section="analysis-activity">
                 <span class="nav-icon">◎</span>Analysis Activity
             </div>
@@ -143,6 +202,16 @@ function showTaskModal(task) {
     mainHtml += buildCommitsSection(task);
     mainHtml += `</div>`;
 
+    // === VERIFICATION SECTION ===
+    mainHtml += `<div class="task-modal-section" data-section="verification">`;
+    mainHtml += buildVerificationSection(task);
+    mainHtml += `</div>`;
+
+    // === DECISIONS SECTION ===
+    mainHtml += `<div class="task-modal-section" data-section="decisions">`;
+    mainHtml += buildDecisionsSection(decisionLinks);
+    mainHtml += `</div>`;
+
     // === ANALYSIS ACTIVITY SECTION ===
     mainHtml += `<div class="task-modal-section activity-fill" data-section="analysis-activity">`;
     mainHtml += buildAnalysisActivitySection(task);
@@ -330,21 +399,6 @@ function buildOverviewSection(task) {
         html += `</div></div>`;
     }
 
-    // Related Decisions
-    const validDecisions = Array.isArray(task.applicable_decisions) ? task.applicable_decisions.filter(id => id && isValidDecisionId(id)) : [];
-    if (validDecisions.length > 0) {
-        html += `<div class="task-list-section">`;
-        html += `<div class="task-list-header">Related Decisions</div>`;
-        html += `<div class="task-tags">`;
-        validDecisions.forEach(decisionId => {
-            const dec = typeof getDecisionById === 'function' ? getDecisionById(decisionId) : null;
-            const label = dec ? `${escapeHtml(decisionId)}: ${escapeHtml(dec.title)}` : escapeHtml(decisionId);
-            const statusClass = dec ? ` tag-decision-${escapeAttr(dec.status)}` : '';
-            html += `<span class="task-tag tag-decision${statusClass}" title="${dec ? escapeAttr(dec.title) : ''}" data-decision-link="${escapeAttr(decisionId)}" style="cursor:pointer">${label}</span>`;
-        });
-        html += `</div></div>`;
-    }
-
     // Plan button
     if (task.plan_path) {
         html += `<div class="task-plan-button">`;
@@ -736,6 +790,139 @@ function buildCommitsSection(task) {
     return html;
 }
 
+/**
+ * Build Verification section HTML from the report task_mark_done stores
+ * on the task (its latest attempt)
+ */
+function buildVerificationSection(task) {
+    const report = task.verification_report;
+    const scripts = report?.scripts || [];
+    if (scripts.length === 0) {
+        return `<div class="task-empty-state">No verification recorded for this task.</div>`;
+    }
+
+    const ran = scripts.filter(s => s.status !== 'skipped');
+    const passed = ran.filter(s => s.status === 'passed').length;
+
+    let html = `<div class="task-verify-header">`;
+    html += renderVerificationStatusBadge(report.passed ? 'passed' : 'failed');
+    html += `<span class="task-verify-summary">${passed}/${ran.length} checks passed</span>`;
+    if (report.ran_at) {
+        html += `<span class="task-verify-when">${formatFriendlyDate(report.ran_at)}</span>`;
+    }
+    html += `</div>`;
+
+    html += `<div class="task-verify-list">`;
+    scripts.forEach(script => {
+        const failing = !['passed', 'skipped'].includes(script.status);
+        html += `<div class="task-verify-card${failing ? ' failing' : ''}">`;
+        html += `<div class="task-verify-card-header">`;
+        html += renderVerificationStatusBadge(script.status);
+        html += `<span class="task-verify-script">${escapeHtml(script.script || '')}</span>`;
+        if (!script.required) html += `<span class="task-verify-optional">optional</span>`;
+        html += `<span class="task-verify-message">${escapeHtml(script.message || '')}</span>`;
+        if (script.status !== 'skipped' && script.status !== 'missing') {
+            html += `<span class="verify-run-duration">${formatVerificationDuration(script.duration_ms)}</span>`;
+        }
+        if (failing) {
+            html += `<button class="ctrl-btn-sm task-verify-settings-link" data-verify-script-link="${escapeAttr(script.script || '')}" title="Show this script in Settings → Verification">Settings ›</button>`;
+        }
+        html += `</div>`;
+
+        (script.failures || []).forEach(f => {
+            html += `<div class="verify-failure">${escapeHtml(f.issue || '')}</div>`;
+        });
+
+        const flagged = script.flagged_files || [];
+        if (flagged.length > 0) {
+            html += `<div class="task-verify-files">`;
+            flagged.forEach(f => {
+                html += `<div class="task-verify-file">${escapeHtml(f.file || '')}${f.line ? `<span class="task-verify-file-line">:${escapeHtml(String(f.line))}</span>` : ''}</div>`;
+            });
+            html += `</div>`;
+        }
+
+        if (script.output) {
+            const lineCount = script.output.split('\n').length;
+            html += `<details class="task-verify-output">`;
+            html += `<summary>Output (${lineCount} line${lineCount === 1 ? '' : 's'}${script.output_truncated ? ', truncated' : ''})</summary>`;
+            html += `<pre>${escapeHtml(stripConsoleSequences(script.output))}${script.output_truncated ? '\n…' : ''}</pre>`;
+            html += `</details>`;
+        }
+        html += `</div>`;
+    });
+    html += `</div>`;
+
+    return html;
+}
+
+/**
+ * Decisions linked to a task from either side: the task's applicable_decisions
+ * and decisions whose related_task_ids name the task
+ * @param {Object} task - Task
+ * @returns {Array<{id: string, decision: Object|null, cites: boolean, listed: boolean}>} Links; decision is null when the ID does not resolve
+ */
+function getTaskDecisionLinks(task) {
+    const links = new Map();
+    const cited = Array.isArray(task.applicable_decisions) ? task.applicable_decisions.filter(id => id && isValidDecisionId(id)) : [];
+    cited.forEach(id => links.set(id, { id, cites: true, listed: false }));
+
+    if (typeof getDecisionsForTask === 'function') {
+        getDecisionsForTask(task.id).forEach(dec => {
+            const link = links.get(dec.id) || { id: dec.id, cites: false, listed: false };
+            link.listed = true;
+            links.set(dec.id, link);
+        });
+    }
+
+    return [...links.values()].map(link => ({
+        ...link,
+        decision: typeof getDecisionById === 'function' ? getDecisionById(link.id) : null
+    }));
+}
+
+/**
+ * Build Decisions section HTML
+ * @param {Array} links - Links from getTaskDecisionLinks()
+ */
+function buildDecisionsSection(links) {
+    if (links.length === 0) {
+        return `<div class="task-empty-state">No decisions reference this task.</div>`;
+    }
+
+    let html = `<div class="task-decision-list">`;
+    links.forEach(({ id, decision, cites, listed }) => {
+        const source = [cites ? 'Cited by this task' : '', listed ? 'Lists this task' : ''].filter(Boolean).join(' · ');
+        if (!decision) {
+            html += `<div class="task-decision-card missing">`;
+            html += `<span class="task-decision-id">${escapeHtml(id)}</span>`;
+            html += `<span class="task-decision-title">No decision with this ID</span>`;
+            html += `<span class="task-decision-source">${source}</span>`;
+            html += `</div>`;
+            return;
+        }
+        html += `<div class="task-decision-card" data-decision-link="${escapeAttr(id)}" title="Open in the Decisions tab">`;
+        html += `<span class="decision-status-badge decision-status-${escapeAttr(decision.status)}">${escapeHtml(decision.status)}</span>`;
+        html += `<span class="task-decision-id">${escapeHtml(id)}</span>`;
+        html += `<span class="task-decision-title">${escapeHtml(decision.title || '')}</span>`;
+        html += `<span class="task-decision-source">${source}</span>`;
+        html += `</div>`;
+    });
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * Activity stored on a task for one phase. Tasks recorded before the
+ * tool_result filter in task-mark-analysed/task-mark-done still carry those
+ * events, without the details that would fold them into their call.
+ * @param {Array} [log] - Stored activity entries
+ * @returns {Array}
+ */
+function getTaskActivityEntries(log) {
+    return (log || []).filter(entry => !isToolResultEvent(entry));
+}
+
 /**
  * Build Analysis Activity section HTML
  */
@@ -743,7 +930,7 @@ function buildAnalysisActivitySection(task) {
     let html = '';
 
     // Get analysis activity log with backward compatibility
-    const analysisLog = task.analysis?.analysis_activity_log || task.analysis?.activity_log;
+    const analysisLog = getTaskActivityEntries(task.analysis?.analysis_activity_log || task.analysis?.activity_log);
 
     if (!analysisLog || analysisLog.length === 0) {
         html += `<div class="task-empty-state">No analysis activity recorded for this task.</div>`;
@@ -771,7 +958,7 @@ function buildExecutionActivitySection(task) {
     let html = '';
 
     // Get execution activity log with backward compatibility
-    const executionLog = task.execution_activity_log || task.activity_log;
+    const executionLog = getTaskActivityEntries(task.execution_activity_log || task.activity_log);
 
     if (!executionLog || executionLog.length === 0) {
         html += `<div class="task-empty-state">No execution activity recorded for this task.</div>`;
@@ -885,6 +1072,8 @@ async function showPlanModal(taskId) {
                 if (typeof renderMermaidDiagrams === 'function') {
                     renderMermaidDiagrams(contentEl);
                 }
+                // Anchors and footnotes only; the modal is too narrow for a contents sidebar
+                initMarkdownNavigation(contentEl, { toc: false });
             } else {
                 contentEl.innerHTML = `<pre>${escapeHtml(data.content)}</pre>`;
             }
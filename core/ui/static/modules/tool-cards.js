@@ -0,0 +1,219 @@
+/**
+ * DOTBOT Control Panel - Tool Call Cards
+ * Structured view of an agent tool call from the `details` the stream parsers
+ * (Claude, Codex, Gemini) record on its activity event: a unified diff for
+ * edits, a file preview for writes, the command with exit code and output for
+ * shell calls, and the query with result counts for searches. The outcome
+ * arrives later as a tool_result event carrying the same details.id.
+ */
+
+const TOOL_CARD_CONTEXT_LINES = 3;
+const TOOL_CARD_PREVIEW_LINES = 40;
+
+/**
+ * @param {Object} details - Call details (kind, tool, id, ...)
+ * @param {Object} [result] - Details of the matching tool_result event
+ * @returns {string} HTML
+ */
+function renderToolCard(details, result) {
+    let body = '';
+    switch (details.kind) {
+        case 'edit': body = renderToolCardEdit(details, result); break;
+        case 'write': body = renderToolCardWrite(details, result); break;
+        case 'bash': body = renderToolCardBash(details, result); break;
+        case 'search': body = renderToolCardSearch(details, result); break;
+    }
+    if (result?.is_error && result.output && details.kind !== 'bash' && details.kind !== 'search') {
+        body += renderToolCardOutput('Error', result.output, true);
+    }
+
+    return `
+        <div class="tool-card tool-card-${escapeAttr(details.kind)}">
+            <div class="tool-card-header">
+                <span class="tool-card-tool">${escapeHtml(details.tool || details.kind)}</span>
+                <span class="tool-card-target">${escapeHtml(getToolCardTarget(details))}</span>
+                ${renderToolCardStatus(details, result)}
+            </div>
+            ${body}
+        </div>
+    `;
+}
+
+/**
+ * Short outcome for a one-line row: exit code, result count, ok/failed, or
+ * running while no tool_result has arrived
+ * @param {Object} details - Call details
+ * @param {Object} [result] - tool_result details
+ * @returns {{text: string, state: string}}
+ */
+function getToolCardBadge(details, result) {
+    if (!result) return { text: 'running', state: 'pending' };
+    const state = result.is_error || (result.exit_code !== undefined && result.exit_code !== null && result.exit_code !== 0) ? 'failed' : 'ok';
+    if (details.kind === 'bash' && result.exit_code !== undefined && result.exit_code !== null) {
+        return { text: `exit ${result.exit_code}`, state };
+    }
+    if (details.kind === 'search') {
+        const count = formatToolCardCount(result);
+        if (count) return { text: count, state };
+    }
+    return { text: state === 'failed' ? 'failed' : 'ok', state };
+}
+
+function getToolCardTarget(details) {
+    switch (details.kind) {
+        case 'edit':
+        case 'write': return details.file || '';
+        case 'bash': return details.description || '';
+        case 'search': return details.path || '';
+    }
+    return '';
+}
+
+function renderToolCardStatus(details, result) {
+    const badge = getToolCardBadge(details, result);
+    const duration = result?.duration_ms ? ` · ${formatToolCardDuration(result.duration_ms)}` : '';
+    return `<span class="tool-card-status ${badge.state}">${escapeHtml(badge.text)}${duration}</span>`;
+}
+
+function renderToolCardEdit(details, result) {
+    // Prefer the hunks the tool applied; fall back to the requested replacement
+    const patch = result?.patch || details.patch;
+    if (patch) return renderToolCardPatch(patch);
+
+    const edits = details.edits || [];
+    if (edits.length === 0) return '<div class="tool-card-empty">No changes recorded</div>';
+    return edits.map(edit => renderToolCardDiffLines(buildToolCardDiff(edit.old || '', edit.new || ''))).join('');
+}
+
+function renderToolCardWrite(details, result) {
+    const content = details.content || '';
+    const lines = content.split('\n');
+    const shown = lines.slice(0, TOOL_CARD_PREVIEW_LINES);
+    const more = (details.lines || lines.length) - shown.length;
+
+    let html = `<div class="tool-card-meta">${details.lines || lines.length} line${(details.lines || lines.length) === 1 ? '' : 's'}</div>`;
+    html += `<pre class="tool-card-code">${shown.map(line => escapeHtml(line)).join('\n')}</pre>`;
+    if (more > 0) html += `<div class="tool-card-more">… ${more} more line${more === 1 ? '' : 's'}</div>`;
+    if (result?.patch) html += `<details class="tool-card-section"><summary>Changes</summary>${renderToolCardPatch(result.patch)}</details>`;
+    return html;
+}
+
+function renderToolCardBash(details, result) {
+    let html = `<pre class="tool-card-command"><span class="tool-card-prompt">$</span> ${escapeHtml(details.command || '')}</pre>`;
+    if (!result) return html + '<div class="tool-card-empty">Waiting for the command to finish…</div>';
+    html += renderToolCardOutput('Output', result.output, result.is_error || (result.exit_code !== null && result.exit_code !== undefined && result.exit_code !== 0));
+    return html;
+}
+
+function renderToolCardSearch(details, result) {
+    let html = `<div class="tool-card-query"><span class="tool-card-label">Query</span> <code>${escapeHtml(details.query || '')}</code>`;
+    if (details.include) html += ` <span class="tool-card-label">in</span> <code>${escapeHtml(details.include)}</code>`;
+    html += '</div>';
+    if (!result) return html;
+
+    const counts = [
+        ['num_files', 'file'], ['num_matches', 'match'], ['num_lines', 'line'], ['num_results', 'result']
+    ].filter(([key]) => result[key] !== undefined && result[key] !== null)
+        .map(([key, noun]) => `<span class="tool-card-count"><b>${result[key]}</b> ${noun}${result[key] === 1 ? '' : (noun === 'match' ? 'es' : 's')}</span>`);
+    if (counts.length) html += `<div class="tool-card-counts">${counts.join('')}</div>`;
+    if (result.output) html += renderToolCardOutput('Results', result.output, result.is_error, true);
+    return html;
+}
+
+/**
+ * @param {string} label - Section label
+ * @param {string} text - Output text
+ * @param {boolean} failed - Style as an error
+ * @param {boolean} [collapsed] - Start closed
+ * @returns {string} HTML
+ */
+function renderToolCardOutput(label, text, failed, collapsed = false) {
+    const clean = stripConsoleSequences(text || '').replace(/\s+$/, '');
+    if (!clean) return `<div class="tool-card-empty">No ${label.toLowerCase()}</div>`;
+    return `
+        <details class="tool-card-section"${collapsed ? '' : ' open'}>
+            <summary>${escapeHtml(label)}</summary>
+            <pre class="tool-card-output${failed ? ' failed' : ''}">${escapeHtml(clean)}</pre>
+        </details>
+    `;
+}
+
+/**
+ * Render unified diff text (hunk headers and +/-/space prefixed lines)
+ * @param {string} patch - Unified diff
+ * @returns {string} HTML
+ */
+function renderToolCardPatch(patch) {
+    const lines = patch.split('\n').map(text => {
+        if (text.startsWith('@@')) return { type: 'hunk', text };
+        if (text.startsWith('+++') || text.startsWith('---') || text.startsWith('***')) return { type: 'file', text };
+        if (text.startsWith('+')) return { type: 'insert', text: text.slice(1) };
+        if (text.startsWith('-')) return { type: 'delete', text: text.slice(1) };
+        return { type: 'equal', text: text.startsWith(' ') ? text.slice(1) : text };
+    });
+    return renderToolCardDiffLines(lines);
+}
+
+/**
+ * Line diff of an edit's old and new text as unified-diff hunks, keeping
+ * TOOL_CARD_CONTEXT_LINES of unchanged lines around each change
+ * @param {string} oldText - Replaced text
+ * @param {string} newText - Replacement
+ * @returns {Array<{type: string, text: string}>}
+ */
+function buildToolCardDiff(oldText, newText) {
+    const ops = diffTaskSequence(oldText.split('\n'), newText.split('\n'));
+
+    const keep = ops.map(() => false);
+    ops.forEach((op, i) => {
+        if (op.type === 'equal') return;
+        for (let j = Math.max(0, i - TOOL_CARD_CONTEXT_LINES); j <= Math.min(ops.length - 1, i + TOOL_CARD_CONTEXT_LINES); j++) keep[j] = true;
+    });
+
+    const lines = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let hunk = null;
+    ops.forEach((op, i) => {
+        if (keep[i]) {
+            if (!hunk) {
+                hunk = { type: 'hunk', oldStart: oldLine, newStart: newLine, oldCount: 0, newCount: 0 };
+                lines.push(hunk);
+            }
+            if (op.type !== 'insert') hunk.oldCount++;
+            if (op.type !== 'delete') hunk.newCount++;
+            lines.push({ type: op.type, text: op.value });
+        } else {
+            hunk = null;
+        }
+        if (op.type !== 'insert') oldLine++;
+        if (op.type !== 'delete') newLine++;
+    });
+
+    // Edit strings are excerpts, so line numbers are relative to the excerpt
+    for (const line of lines) {
+        if (line.type === 'hunk') line.text = `@@ -${line.oldStart},${line.oldCount} +${line.newStart},${line.newCount} @@`;
+    }
+    return lines;
+}
+
+function renderToolCardDiffLines(lines) {
+    const signs = { insert: '+', delete: '-', equal: ' ' };
+    return `<pre class="tool-card-diff">${lines.map(line => {
+        if (line.type === 'hunk' || line.type === 'file') {
+            return `<span class="tool-diff-line ${line.type}">${escapeHtml(line.text)}</span>`;
+        }
+        return `<span class="tool-diff-line ${line.type}">${signs[line.type]}${escapeHtml(line.text)}</span>`;
+    }).join('')}</pre>`;
+}
+
+function formatToolCardCount(result) {
+    for (const [key, noun] of [['num_files', 'files'], ['num_matches', 'matches'], ['num_lines', 'lines'], ['num_results', 'results']]) {
+        if (result[key] !== undefined && result[key] !== null) return `${result[key]} ${noun}`;
+    }
+    return '';
+}
+
+function formatToolCardDuration(ms) {
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
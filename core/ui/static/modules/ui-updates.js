@@ -6,9 +6,11 @@
 /**
  * Update all UI elements from state
  * @param {Object} state - State object from server
+ * @param {Object|null} [changes] - Changed keys from the state store; null means everything may have changed
  */
-function updateUI(state) {
-    if (typeof normalizeRoadmapTaskState === 'function') {
+function updateUI(state, changes = null) {
+    const tasksChanged = !changes || changes.keys.has('tasks');
+    if (tasksChanged && typeof normalizeRoadmapTaskState === 'function') {
         normalizeRoadmapTaskState(state);
     }
     updateTimestamp(state.instance_id);
@@ -16,10 +18,14 @@ function updateUI(state) {
     updateProgressPercent(state.tasks);
     updateSessionInfo(state.session);
     updateRunningStatus(state.session, state.control, state.analysis, state.loops);
-    updateCurrentTask(state.tasks.current);
-    updateUpcomingTasks(state.tasks.upcoming);
-    updateCompletedTasks(state.tasks.recent_completed, state.tasks.skipped_list);
-    updatePipelineView(state.tasks);
+    if (tasksChanged) {
+        updateCurrentTask(state.tasks.current);
+        updateUpcomingTasks(state.tasks.upcoming);
+        updateCompletedTasks(state.tasks.recent_completed, state.tasks.skipped_list);
+        updatePipelineView(state.tasks);
+    } else {
+        updatePipelineFilterOptions();
+    }
     updateControlSignalStatus(state.control);
     updateControlButtonStates(state.session, state.control, state.loops);
 
@@ -418,7 +424,16 @@ function updatePipelineView(tasks) {
     updatePipelineFilterOptions();
 
     // Unified pipeline columns
+    if (typeof updateRoadmapSelection === 'function') {
+        updateRoadmapSelection(upcoming);
+    }
     updatePipelineColumn('pipeline-todo', upcoming, 'todo');
+    if (typeof updateRoadmapGraph === 'function') {
+        updateRoadmapGraph(upcoming);
+    }
+    if (typeof updateRoadmapTimeline === 'function') {
+        updateRoadmapTimeline();
+    }
 
     // "Working" combines analysing + analysed + in-progress (all actively being processed)
     const working = [...analysing, ...analysed, ...inProgress];
@@ -459,7 +474,7 @@ function updatePipelineColumn(containerId, tasks, type) {
     pipelineTaskCounts[containerId] = taskList.length;
 
     if (taskList.length === 0) {
-        container.innerHTML = `<div class="empty-state">No tasks</div>`;
+        reconcileHtml(container, `<div class="empty-state">No tasks</div>`);
         return;
     }
 
@@ -467,56 +482,73 @@ function updatePipelineColumn(containerId, tasks, type) {
     const limit = pipelineDisplayLimits[containerId] || 10;
     const visibleTasks = taskList.slice(0, limit);
 
-    container.innerHTML = visibleTasks.map(task => {
-        const priorityClass = task.priority == 1 ? 'priority-high' :
-                              task.priority == 2 ? 'priority-med' : '';
-        const ignoreState = task.ignore_state || {};
-        const roadmapClasses = [
-            ignoreState.effective ? 'ignored' : '',
-            ignoreState.manual ? 'manual-ignored' : '',
-            ignoreState.auto ? 'blocked' : ''
-        ].filter(Boolean).join(' ');
-
-        // Format duration or completed date for done items
-        let completedBadge = '';
-        if (type === 'done' && task.status === 'skipped') {
-            completedBadge = `<span class="task-tag phase-tag">skipped</span>`;
-        } else if (type === 'done' && task.completed_at) {
-            const duration = formatTaskDuration(task) || formatCompactDate(task.completed_at);
-            completedBadge = `<span class="task-tag completed-date">${duration}</span>`;
-        }
-
-        // Show phase sub-label for tasks in the "Working" column
-        const phaseLabel = task._phase ? `<span class="task-tag phase-tag">${escapeHtml(task._phase)}</span>` : '';
-        const roadmapStateTags = typeof buildRoadmapTaskStatusTags === 'function'
-            ? buildRoadmapTaskStatusTags(task, type)
-            : '';
-        const roadmapIgnoreHint = typeof buildRoadmapTaskIgnoreHint === 'function'
-            ? buildRoadmapTaskIgnoreHint(task, type)
-            : '';
-        const roadmapActions = typeof buildRoadmapTaskActionsMarkup === 'function'
-            ? buildRoadmapTaskActionsMarkup(task, type)
-            : '';
+    // Keyed by data-task-id: unchanged cards keep their nodes (and any text
+    // selection or hover in them), changed cards are patched in place
+    reconcileHtml(container, visibleTasks.map(task => buildPipelineTaskCard(task, type)).join(''));
+}
 
-        return `
-            <div class="pipeline-task ${type === 'active' ? 'active' : ''} ${priorityClass} ${roadmapClasses}" data-task-id="${escapeHtml(task.id || '')}">
-                <div class="task-id">${escapeHtml(task.id || '')}</div>
-                <div class="task-title">${escapeHtml(task.name || task.id || 'Unknown')}</div>
-                <div class="task-tags">
-                    ${task.category ? `<span class="task-tag">${escapeHtml(task.category)}</span>` : ''}
-                    ${task.workflow ? `<span class="task-tag tag-workflow">${escapeHtml(task.workflow)}</span>` : ''}
-                    ${task.type && task.type !== 'prompt' ? `<span class="task-tag tag-type">${escapeHtml(task.type)}</span>` : ''}
-                    ${phaseLabel}
-                    ${type === 'active' && !task._phase ? '<span class="task-tag">↻ agent</span>' : ''}
-                    ${roadmapStateTags}
-                </div>
-                ${roadmapIgnoreHint}
-                ${roadmapActions}
-                ${completedBadge}
+/**
+ * Build the markup for one pipeline task card
+ * @param {Object} task - Task object
+ * @param {string} type - Column type (todo, active, done)
+ * @returns {string} Card HTML
+ */
+function buildPipelineTaskCard(task, type) {
+    const priorityClass = task.priority == 1 ? 'priority-high' :
+                          task.priority == 2 ? 'priority-med' : '';
+    const ignoreState = task.ignore_state || {};
+    const roadmapClasses = [
+        ignoreState.effective ? 'ignored' : '',
+        ignoreState.manual ? 'manual-ignored' : '',
+        ignoreState.auto ? 'blocked' : ''
+    ].filter(Boolean).join(' ');
+
+    // Format duration or completed date for done items
+    let completedBadge = '';
+    if (type === 'done' && task.status === 'skipped') {
+        completedBadge = `<span class="task-tag phase-tag">skipped</span>`;
+    } else if (type === 'done' && task.completed_at) {
+        const duration = formatTaskDuration(task) || formatCompactDate(task.completed_at);
+        completedBadge = `<span class="task-tag completed-date">${duration}</span>`;
+    }
+
+    // Show phase sub-label for tasks in the "Working" column
+    const phaseLabel = task._phase ? `<span class="task-tag phase-tag">${escapeHtml(task._phase)}</span>` : '';
+    const roadmapStateTags = typeof buildRoadmapTaskStatusTags === 'function'
+        ? buildRoadmapTaskStatusTags(task, type)
+        : '';
+    const roadmapIgnoreHint = typeof buildRoadmapTaskIgnoreHint === 'function'
+        ? buildRoadmapTaskIgnoreHint(task, type)
+        : '';
+    const roadmapActions = typeof buildRoadmapTaskActionsMarkup === 'function'
+        ? buildRoadmapTaskActionsMarkup(task, type)
+        : '';
+    const roadmapSelect = typeof buildRoadmapTaskSelectMarkup === 'function'
+        ? buildRoadmapTaskSelectMarkup(task, type)
+        : '';
+    const selectedClass = roadmapSelect && isRoadmapTaskSelected(task.id) ? 'selected' : '';
+
+    return `
+        <div class="pipeline-task ${type === 'active' ? 'active' : ''} ${priorityClass} ${roadmapClasses} ${selectedClass}" data-task-id="${escapeHtml(task.id || '')}"${type === 'todo' ? ' draggable="true"' : ''}>
+            ${roadmapSelect}
+            <div class="task-id">${escapeHtml(task.id || '')}</div>
+            <div class="task-title">${escapeHtml(task.name || task.id || 'Unknown')}</div>
+            <div class="task-tags">
+                ${task.category ? `<span class="task-tag">${escapeHtml(task.category)}</span>` : ''}
+                ${task.workflow ? `<span class="task-tag tag-workflow">${escapeHtml(task.workflow)}</span>` : ''}
+                ${task.type && task.type !== 'prompt' ? `<span class="task-tag tag-type">${escapeHtml(task.type)}</span>` : ''}
+                ${type === 'todo' && task.model ? `<span class="task-tag tag-model">${escapeHtml(task.model)}</span>` : ''}
+                ${phaseLabel}
+                ${type === 'active' && !task._phase ? '<span class="task-tag">↻ agent</span>' : ''}
+                ${roadmapStateTags}
             </div>
-        `;
-    }).join('');
+            ${roadmapIgnoreHint}
+            ${roadmapActions}
+            ${completedBadge}
+        </div>
+    `;
 }
+
 /**
  * Update pipeline filter dropdown options from latest state
  */
@@ -901,15 +933,21 @@ function updateSteeringPanel(instances) {
         updateSteeringStatus(instances);
     }
 
-    // Enable/disable whisper input based on selection and instance status
+    // Enable/disable whisper input based on selection and instance status;
+    // broadcasting only needs some instance to be running
     const canSend = typeof getSelectedInstance === 'function' &&
                     getSelectedInstance() &&
                     instances?.[getSelectedInstance()]?.alive;
+    const anyAlive = ['workflow', 'analysis', 'execution'].some(type => instances?.[type]?.alive === true);
     const input = document.getElementById('whisper-input');
     const priority = document.getElementById('whisper-priority');
     const sendBtn = document.getElementById('whisper-send');
-    if (input) input.disabled = !canSend;
-    if (priority) priority.disabled = !canSend;
+    const broadcastBtn = document.getElementById('whisper-broadcast');
+    if (input) input.disabled = !anyAlive;
+    if (priority) priority.disabled = !anyAlive;
     if (sendBtn) sendBtn.disabled = !canSend;
+    if (broadcastBtn) broadcastBtn.disabled = !anyAlive;
+
+    if (typeof refreshWhisperLog === 'function') refreshWhisperLog();
 }
 
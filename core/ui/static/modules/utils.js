@@ -67,6 +67,22 @@ function setElementText(id, text) {
     if (el) el.textContent = text;
 }
 
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Format ISO date string to compact display format
  * @param {string} isoString - ISO date string
@@ -711,10 +727,12 @@ function countTreeItems(tree) {
  * @param {string} folderName - Display name for the folder
  * @param {string} contentHtml - Inner HTML (rendered items + nested folders)
  * @param {number} itemCount - Badge count shown on the folder header
+ * @param {string} [folderPath] - Full folder path, exposed as data-folder-path
  * @returns {string} HTML string
  */
-function renderFolderGroup(folderName, contentHtml, itemCount) {
-    return `<div class="chain-folder">
+function renderFolderGroup(folderName, contentHtml, itemCount, folderPath) {
+    const pathAttr = folderPath ? ` data-folder-path="${escapeAttr(folderPath)}"` : '';
+    return `<div class="chain-folder"${pathAttr}>
         <div class="chain-folder-header">
             <span class="folder-toggle">&#x25BC;</span>
             <span class="folder-name">${escapeHtml(folderName)}</span>
@@ -742,3 +760,22 @@ function attachFolderToggleHandlers(container) {
         });
     });
 }
+
+/**
+ * Read a File as base64 (without the data: URL prefix), the form the
+ * upload and attachment endpoints accept.
+ * @param {File} file - File from an input or drop event
+ * @returns {Promise<{name: string, size: number, content: string}>}
+ */
+function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            // readAsDataURL gives "data:...;base64,XXXXX" — extract just the base64 part
+            const base64 = e.target.result.split(',')[1] || '';
+            resolve({ name: file.name, size: file.size, content: base64 });
+        };
+        reader.onerror = () => reject(new Error(`Could not read file "${file.name}"`));
+        reader.readAsDataURL(file);
+    });
+}
@@ -0,0 +1,282 @@
+/**
+ * DOTBOT Control Panel - Verification Runs
+ * "Run now" and "Run all" for the verify hooks in Settings → Verification.
+ * Output is polled from /api/verification/runs/{id} by line position while a
+ * run is going; each script row shows its last result and the panel below
+ * lists the recent runs, any of which can be reopened.
+ */
+
+const VERIFICATION_POLL_INTERVAL = 1000;
+
+let verificationRuns = [];
+let verificationViewedRun = null;     // { id, position, running } of the run in the output panel
+let verificationPollTimer = null;
+
+/**
+ * Bind Run all / per-script Run and the history list, then load recent runs
+ */
+function initVerificationRuns() {
+    document.getElementById('verify-run-all-btn')?.addEventListener('click', () => startVerificationRun());
+
+    // Delegated: script rows are re-rendered whenever the config reloads
+    document.getElementById('verification-scripts-list')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-run-script]');
+        if (btn) startVerificationRun(btn.dataset.runScript);
+    });
+
+    document.getElementById('verify-run-history')?.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-run-id]');
+        if (row) showVerificationRun(row.dataset.runId);
+    });
+
+    loadVerificationRuns();
+}
+
+/**
+ * Fetch the recent runs and follow one that is still going
+ */
+async function loadVerificationRuns() {
+    try {
+        const response = await fetch(`${API_BASE}/api/verification/runs`);
+        const data = await response.json();
+        verificationRuns = data.runs || [];
+    } catch (error) {
+        console.error('Failed to load verification runs:', error);
+        return;
+    }
+
+    renderVerificationRunHistory();
+    updateVerificationScriptResults();
+
+    const running = verificationRuns.find(run => run.status === 'running');
+    if (running && !verificationPollTimer) showVerificationRun(running.id);
+}
+
+/**
+ * Start a run of one script, or of every configured script
+ * @param {string} [name] - Script file name
+ */
+async function startVerificationRun(name) {
+    try {
+        const response = await fetch(`${API_BASE}/api/verification/runs`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(name ? { name } : {})
+        });
+        const result = await response.json();
+        if (!result.success) {
+            showToast(result.error || 'Failed to start verification', 'error');
+            if (result.run_id) showVerificationRun(result.run_id);
+            return;
+        }
+        showToast(`Running ${name || 'all verification scripts'}`, 'info', 2500);
+        showVerificationRun(result.run_id, true);
+    } catch (error) {
+        console.error('Failed to start verification run:', error);
+        showToast('Failed to start verification', 'error');
+    }
+}
+
+/**
+ * Show a run's output and results, polling for more while it is running
+ * @param {string} runId - Run ID
+ * @param {boolean} [started] - Just started here; toast when it finishes even if that is on the first poll
+ */
+async function showVerificationRun(runId, started = false) {
+    clearTimeout(verificationPollTimer);
+    verificationPollTimer = null;
+    verificationViewedRun = { id: runId, position: 0, running: started };
+
+    const output = document.getElementById('verify-run-output');
+    if (output) output.innerHTML = '';
+    const panel = document.getElementById('verify-run-panel');
+    if (panel) panel.style.display = '';
+
+    await pollVerificationRun();
+}
+
+async function pollVerificationRun() {
+    const viewed = verificationViewedRun;
+    if (!viewed) return;
+
+    let data;
+    try {
+        const response = await fetch(`${API_BASE}/api/verification/runs/${encodeURIComponent(viewed.id)}?position=${viewed.position}`);
+        data = await response.json();
+    } catch (error) {
+        data = null;
+    }
+    // Another run was opened while this request was in flight
+    if (verificationViewedRun !== viewed) return;
+
+    if (!data || !data.success) {
+        // A failed poll doesn't end a running run: keep polling, toasting the error once
+        if (data?.error && !viewed.errorShown) {
+            showToast(data.error, 'error');
+            viewed.errorShown = true;
+        }
+        verificationPollTimer = viewed.running ? setTimeout(pollVerificationRun, VERIFICATION_POLL_INTERVAL) : null;
+        return;
+    }
+    viewed.errorShown = false;
+
+    viewed.position = data.position;
+    appendVerificationOutput(data.lines || []);
+
+    const index = verificationRuns.findIndex(run => run.id === data.run.id);
+    const wasRunning = viewed.running;
+    viewed.running = data.run.status === 'running';
+    if (index >= 0) verificationRuns[index] = data.run;
+    else verificationRuns.unshift(data.run);
+
+    renderVerificationRunSummary(data.run);
+    renderVerificationRunHistory();
+    updateVerificationScriptResults();
+
+    if (data.run.status === 'running') {
+        verificationPollTimer = setTimeout(pollVerificationRun, VERIFICATION_POLL_INTERVAL);
+        return;
+    }
+    verificationPollTimer = null;
+    if (wasRunning) {
+        const passed = data.run.status === 'passed';
+        showToast(`Verification ${passed ? 'passed' : data.run.status}: ${formatVerificationScope(data.run)}`, passed ? 'success' : 'error');
+    }
+}
+
+/**
+ * Append output lines to the panel, keeping it pinned to the bottom if it was
+ * @param {Array} lines - { script, stream, text } entries
+ */
+function appendVerificationOutput(lines) {
+    const output = document.getElementById('verify-run-output');
+    if (!output || lines.length === 0) return;
+
+    const pinned = output.scrollHeight - output.scrollTop - output.clientHeight < 24;
+    output.insertAdjacentHTML('beforeend', lines.map(line => `
+        <div class="verify-line verify-line-${escapeAttr(line.stream || 'stdout')}"><span class="verify-line-script">${escapeHtml(line.script || '')}</span>${escapeHtml(stripConsoleSequences(line.text || ''))}</div>
+    `).join(''));
+    if (pinned) output.scrollTop = output.scrollHeight;
+}
+
+/**
+ * Header and per-script results of the run in the output panel
+ * @param {Object} run - Run record
+ */
+function renderVerificationRunSummary(run) {
+    const header = document.getElementById('verify-run-summary');
+    if (!header) return;
+
+    const scripts = (run.scripts || []).map(script => {
+        const failures = (script.failures || []).map(f => `
+            <div class="verify-failure">${f.file ? `<span class="verify-failure-file">${escapeHtml(f.file)}${f.line ? `:${escapeHtml(String(f.line))}` : ''}</span> ` : ''}${escapeHtml(f.issue || '')}</div>
+        `).join('');
+        return `
+            <div class="verify-run-script">
+                ${renderVerificationStatusBadge(script.status)}
+                <span class="verify-run-script-name">${escapeHtml(script.name)}</span>
+                <span class="verify-run-script-message">${escapeHtml(script.message || '')}</span>
+                <span class="verify-run-duration">${formatVerificationDuration(script.duration_ms)}</span>
+            </div>
+            ${failures}
+        `;
+    }).join('');
+
+    header.innerHTML = `
+        <div class="verify-run-title">
+            ${renderVerificationStatusBadge(run.status)}
+            <span>${escapeHtml(formatVerificationScope(run))}</span>
+            <span class="verify-run-when">${escapeHtml(formatCompactDate(run.started_at))}</span>
+            <span class="verify-run-duration">${formatVerificationDuration(run.duration_ms)}</span>
+        </div>
+        ${run.message ? `<div class="verify-failure">${escapeHtml(run.message)}</div>` : ''}
+        ${scripts}
+    `;
+}
+
+/**
+ * Recent runs, newest first
+ */
+function renderVerificationRunHistory() {
+    const container = document.getElementById('verify-run-history');
+    if (!container) return;
+
+    if (verificationRuns.length === 0) {
+        container.innerHTML = '<div class="empty-state">No runs yet</div>';
+        return;
+    }
+
+    container.innerHTML = verificationRuns.map(run => `
+        <div class="verify-history-row${verificationViewedRun?.id === run.id ? ' active' : ''}" data-run-id="${escapeAttr(run.id)}" title="Show output">
+            ${renderVerificationStatusBadge(run.status)}
+            <span class="verify-history-scope">${escapeHtml(formatVerificationScope(run))}</span>
+            <span class="verify-history-counts">${formatVerificationCounts(run)}</span>
+            <span class="verify-run-when">${escapeHtml(formatCompactDate(run.started_at))}</span>
+            <span class="verify-run-duration">${formatVerificationDuration(run.duration_ms)}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Last result badge and duration on each script row in the settings list
+ */
+function updateVerificationScriptResults() {
+    document.querySelectorAll('.verify-result[data-result-for]').forEach(el => {
+        const name = el.dataset.resultFor;
+        let latest = null;
+        for (const run of verificationRuns) {
+            latest = (run.scripts || []).find(script => script.name === name && script.status !== 'pending');
+            if (latest) break;
+        }
+        el.innerHTML = latest
+            ? `${renderVerificationStatusBadge(latest.status)}<span class="verify-run-duration">${formatVerificationDuration(latest.duration_ms)}</span>`
+            : '';
+        el.title = latest?.message || '';
+    });
+
+    const running = verificationRuns.some(run => run.status === 'running');
+    document.querySelectorAll('[data-run-script], #verify-run-all-btn').forEach(btn => { btn.disabled = running; });
+}
+
+/**
+ * Scroll a script's row into view in Settings → Verification and flash it
+ * @param {string} name - Script file name
+ */
+function focusVerificationScript(name) {
+    const row = document.querySelector(`.verify-script-row[data-script-row="${CSS.escape(name)}"]`);
+    if (!row) {
+        showToast(`${name} is not in the verification config`, 'warning');
+        return;
+    }
+    row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    row.classList.remove('highlight');
+    void row.offsetWidth;   // restart the animation when focused twice in a row
+    row.classList.add('highlight');
+}
+
+function renderVerificationStatusBadge(status) {
+    const labels = { passed: 'PASS', failed: 'FAIL', timeout: 'TIMEOUT', error: 'ERROR', missing: 'MISSING', skipped: 'SKIPPED', running: 'RUNNING', pending: 'PENDING' };
+    return `<span class="verify-status verify-status-${escapeAttr(status || 'pending')}">${labels[status] || escapeHtml(status || '')}</span>`;
+}
+
+function formatVerificationScope(run) {
+    return run.scope === 'all' ? 'All scripts' : run.scope;
+}
+
+function formatVerificationCounts(run) {
+    const scripts = run.scripts || [];
+    const passed = scripts.filter(script => script.status === 'passed').length;
+    return `${passed}/${scripts.length} passed`;
+}
+
+/**
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} "850ms", "4.2s" or "1m 05s"; empty while unknown
+ */
+function formatVerificationDuration(ms) {
+    if (ms === null || ms === undefined) return '';
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    const secs = Math.round(ms / 1000);
+    return `${Math.floor(secs / 60)}m ${String(secs % 60).padStart(2, '0')}s`;
+}
@@ -0,0 +1,248 @@
+/**
+ * DOTBOT Control Panel - Whisper Log & Templates
+ * Extends the steering modal: the log of whispers sent to the selected
+ * instance's process (with the time its heartbeat acknowledged each one),
+ * saved whisper templates, and broadcasting a whisper to every running process.
+ * The same log is shown in an expanded row of the Processes tab.
+ */
+
+let whisperTemplates = [];
+let whisperLogKey = null;     // "<process id>|<last heartbeat>" of the log on screen
+let processWhisperLogKey = null;    // same, for the expanded Processes-tab row
+
+/**
+ * Bind template, broadcast and log handlers in the steering modal
+ */
+function initWhisperTools() {
+    document.getElementById('whisper-template-list')?.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('[data-remove-template]');
+        if (removeBtn) {
+            e.stopPropagation();
+            removeWhisperTemplate(Number(removeBtn.dataset.removeTemplate));
+            return;
+        }
+        const chip = e.target.closest('[data-template]');
+        if (chip) applyWhisperTemplate(Number(chip.dataset.template));
+    });
+
+    document.getElementById('whisper-save-template')?.addEventListener('click', saveWhisperTemplate);
+    document.getElementById('whisper-broadcast')?.addEventListener('click', broadcastWhisper);
+
+    // The modal may have been closed through several heartbeats; reload on open
+    document.getElementById('whisper-btn')?.addEventListener('click', () => refreshWhisperLog(true));
+
+    loadWhisperTemplates();
+}
+
+// ========== TEMPLATES ==========
+
+async function loadWhisperTemplates() {
+    try {
+        const response = await fetch(`${API_BASE}/api/whisper/templates`);
+        const data = await response.json();
+        whisperTemplates = data.templates || [];
+    } catch (error) {
+        console.error('Failed to load whisper templates:', error);
+    }
+    renderWhisperTemplates();
+}
+
+function renderWhisperTemplates() {
+    const container = document.getElementById('whisper-template-list');
+    if (!container) return;
+
+    if (whisperTemplates.length === 0) {
+        container.innerHTML = '<span class="whisper-template-empty">No templates saved</span>';
+        return;
+    }
+
+    container.innerHTML = whisperTemplates.map((template, i) => `
+        <span class="whisper-template priority-${escapeAttr(template.priority || 'normal')}" data-template="${i}" title="${escapeAttr(template.message)}">
+            ${escapeHtml(template.name)}<button type="button" class="whisper-template-remove" data-remove-template="${i}" aria-label="Delete template ${escapeAttr(template.name)}">✕</button>
+        </span>
+    `).join('');
+}
+
+/**
+ * Fill the whisper form from a template
+ * @param {number} index - Template index
+ */
+function applyWhisperTemplate(index) {
+    const template = whisperTemplates[index];
+    const input = document.getElementById('whisper-input');
+    if (!template || !input || input.disabled) return;
+
+    input.value = template.message;
+    const priority = document.getElementById('whisper-priority');
+    if (priority) priority.value = template.priority || 'normal';
+    input.focus();
+}
+
+/**
+ * Save the current whisper text and priority as a named template
+ */
+async function saveWhisperTemplate() {
+    const message = document.getElementById('whisper-input')?.value?.trim();
+    if (!message) {
+        showToast('Type a whisper to save it as a template', 'warning');
+        return;
+    }
+    const name = window.prompt('Template name:', message.slice(0, 40))?.trim();
+    if (!name) return;
+
+    const priority = document.getElementById('whisper-priority')?.value || 'normal';
+    const others = whisperTemplates.filter(t => t.name.toLowerCase() !== name.toLowerCase());
+    if (others.length < whisperTemplates.length && !window.confirm(`Replace the template "${name}"?`)) return;
+
+    await storeWhisperTemplates([...others, { name, message, priority }], `Template "${name}" saved`);
+}
+
+async function removeWhisperTemplate(index) {
+    const template = whisperTemplates[index];
+    if (!template) return;
+    await storeWhisperTemplates(whisperTemplates.filter((_, i) => i !== index), `Template "${template.name}" deleted`);
+}
+
+async function storeWhisperTemplates(templates, successMessage) {
+    try {
+        const response = await fetch(`${API_BASE}/api/whisper/templates`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ templates })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        whisperTemplates = result.templates || [];
+        renderWhisperTemplates();
+        showToast(successMessage, 'success', 2500);
+    } catch (error) {
+        showToast(`Failed to save templates: ${error.message}`, 'error');
+    }
+}
+
+// ========== BROADCAST ==========
+
+/**
+ * Send the whisper in the form to every running process
+ */
+async function broadcastWhisper() {
+    const input = document.getElementById('whisper-input');
+    const message = input?.value?.trim();
+    if (!message) return;
+
+    const priority = document.getElementById('whisper-priority')?.value || 'normal';
+    if (!window.confirm(`Send this ${priority} whisper to every running process?`)) return;
+
+    const btn = document.getElementById('whisper-broadcast');
+    if (btn) btn.disabled = true;
+    try {
+        const response = await fetch(`${API_BASE}/api/whisper/broadcast`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message, priority })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        input.value = '';
+        const count = result.sent_to?.length || 0;
+        showSignalFeedback(`Whisper → ${count} process${count === 1 ? '' : 'es'}`);
+        refreshWhisperLog(true);
+        if (expandedProcessId) refreshProcessWhisperLog(expandedProcessId, true);
+    } catch (error) {
+        showSignalFeedback(`Error: ${error.message}`);
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+
+// ========== LOG ==========
+
+/**
+ * Reload the log for the selected instance when its process or heartbeat
+ * changed since the last load (called from every state update)
+ * @param {boolean} [force] - Reload even if nothing changed, e.g. after sending
+ */
+async function refreshWhisperLog(force = false) {
+    const container = document.getElementById('whisper-log');
+    if (!container || !document.getElementById('whisper-modal')?.classList.contains('visible')) return;
+
+    const inst = lastState?.instances?.[getSelectedInstance()];
+    if (!inst?.instance_id) {
+        whisperLogKey = null;
+        container.innerHTML = '<div class="whisper-log-empty">Select a running instance to see its whispers</div>';
+        return;
+    }
+
+    const key = `${inst.instance_id}|${inst.last_heartbeat || ''}`;
+    if (!force && key === whisperLogKey) return;
+    whisperLogKey = key;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/process/${encodeURIComponent(inst.instance_id)}/whispers`);
+        const data = await response.json();
+        if (whisperLogKey !== key) return;
+        if (!data.success) throw new Error(data.error);
+        renderWhisperLog(container, data.whispers || []);
+    } catch (error) {
+        console.error('Failed to load whisper log:', error);
+        whisperLogKey = null;
+    }
+}
+
+/**
+ * Reload the whisper log in an expanded process row when its heartbeat
+ * changed since the last load, or the row was re-created
+ * @param {string} processId - Process ID
+ * @param {boolean} [force] - Reload even if nothing changed, e.g. after sending
+ */
+async function refreshProcessWhisperLog(processId, force = false) {
+    const container = document.getElementById(`process-whisper-log-${processId}`);
+    if (!container) return;
+
+    const proc = processesData.find(p => p.id === processId);
+    const key = `${processId}|${proc?.last_heartbeat || ''}`;
+    if (!force && key === processWhisperLogKey && container.childElementCount > 0) return;
+    processWhisperLogKey = key;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/process/${encodeURIComponent(processId)}/whispers`);
+        const data = await response.json();
+        if (processWhisperLogKey !== key) return;
+        if (!data.success) throw new Error(data.error);
+        // Rows of processes nobody whispered to stay empty (and hidden)
+        const whispers = data.whispers || [];
+        if (whispers.length === 0) container.innerHTML = '';
+        else renderWhisperLog(container, whispers);
+    } catch (error) {
+        console.error('Failed to load process whisper log:', error);
+        processWhisperLogKey = null;
+    }
+}
+
+/**
+ * @param {HTMLElement} container - Log element
+ * @param {Array} whispers - Whispers from /api/process/{id}/whispers, newest first
+ */
+function renderWhisperLog(container, whispers) {
+    if (whispers.length === 0) {
+        container.innerHTML = '<div class="whisper-log-empty">No whispers sent to this process</div>';
+        return;
+    }
+
+    container.innerHTML = whispers.map(w => {
+        const ack = w.acknowledged
+            ? `<span class="whisper-log-ack acknowledged" title="Picked up by a heartbeat">✓ ${w.acknowledged_at ? escapeHtml(formatCompactTime(w.acknowledged_at)) : 'acknowledged'}</span>`
+            : '<span class="whisper-log-ack" title="Waiting for the next heartbeat">… pending</span>';
+        return `
+            <div class="whisper-log-entry">
+                <div class="whisper-log-meta">
+                    <span class="whisper-log-time">${escapeHtml(formatCompactTime(w.timestamp))}</span>
+                    <span class="whisper-log-priority priority-${escapeAttr(w.priority || 'normal')}">${escapeHtml(w.priority || 'normal')}</span>
+                    ${w.broadcast ? '<span class="whisper-log-broadcast">broadcast</span>' : ''}
+                    ${ack}
+                </div>
+                <div class="whisper-log-text">${escapeHtml(w.instruction || '')}</div>
+            </div>
+        `;
+    }).join('');
+}
@@ -587,22 +587,12 @@ function handleFiles(fileList) {
             continue;
         }
 
-        // Read as base64
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            // readAsDataURL gives "data:...;base64,XXXXX" — extract just the base64 part
-            const base64 = e.target.result.split(',')[1];
-            workflowLaunchFiles.push({
-                name: file.name,
-                size: file.size,
-                content: base64
-            });
-            updateFileList();
-        };
-        reader.onerror = () => {
-            showToast(`Could not read file "${file.name}"`, 'error');
-        };
-        reader.readAsDataURL(file);
+        readFileAsBase64(file)
+            .then(entry => {
+                workflowLaunchFiles.push(entry);
+                updateFileList();
+            })
+            .catch(error => showToast(error.message, 'error'));
     }
 }
 
@@ -1028,33 +1018,49 @@ function startWorkflowLaunchPolling() {
             // unknown and skip finalize this tick. Otherwise a transient 5xx
             // would let the latch clear after attempts>5 even when the runner
             // is still active.
+            //
+            // While the event stream is up, processesData and lastState are
+            // already current, so no extra requests are made.
             let processStillRunning = false;
             let processStateKnown = false;
-            const procResp = await fetch(`${API_BASE}/api/processes`);
-            if (procResp.ok) {
-                try {
-                    const procData = await procResp.json();
-                    const procs = procData.processes || [];
-                    processStateKnown = true;
-                    if (workflowLaunchProcessId) {
-                        processStillRunning = procs.some(
-                            p => p.id === workflowLaunchProcessId && (p.status === 'running' || p.status === 'starting')
-                        );
-                    } else if (workflowLaunchName) {
-                        processStillRunning = procs.some(
-                            p => p.type === 'task-runner' &&
-                                 p.workflow_name === workflowLaunchName &&
-                                 (p.status === 'running' || p.status === 'starting')
-                        );
+            const streamLive = typeof isEventStreamConnected === 'function' && isEventStreamConnected();
+            let procs = null;
+            if (streamLive) {
+                procs = processesData;
+            } else {
+                const procResp = await fetch(`${API_BASE}/api/processes`);
+                if (procResp.ok) {
+                    try {
+                        const procData = await procResp.json();
+                        procs = procData.processes || [];
+                    } catch (parseErr) {
+                        // Invalid JSON — treat as unknown state, keep polling.
+                        procs = null;
                     }
-                } catch (parseErr) {
-                    // Invalid JSON — treat as unknown state, keep polling.
-                    processStateKnown = false;
+                }
+            }
+            if (procs) {
+                processStateKnown = true;
+                if (workflowLaunchProcessId) {
+                    processStillRunning = procs.some(
+                        p => p.id === workflowLaunchProcessId && (p.status === 'running' || p.status === 'starting')
+                    );
+                } else if (workflowLaunchName) {
+                    processStillRunning = procs.some(
+                        p => p.type === 'task-runner' &&
+                             p.workflow_name === workflowLaunchName &&
+                             (p.status === 'running' || p.status === 'starting')
+                    );
                 }
             }
 
             // Check if docs have appeared (for toast messaging)
-            if (!docsAppeared) {
+            if (!docsAppeared && streamLive) {
+                if ((lastState?.product_docs || 0) > 0) {
+                    docsAppeared = true;
+                    isNewProject = false;
+                }
+            } else if (!docsAppeared) {
                 const response = await fetch(`${API_BASE}/api/product/list`);
                 if (response.ok) {
                     const data = await response.json();
@@ -1107,12 +1113,17 @@ function startRoadmapPolling() {
         }
 
         try {
-            const response = await fetch(`${API_BASE}/api/state`);
-            if (!response.ok) return;
-
-            const state = await response.json();
+            let state = null;
+            if (typeof isEventStreamConnected === 'function' && isEventStreamConnected()) {
+                // Pushed state is already current — no need to re-fetch
+                state = lastState;
+            } else {
+                const response = await fetch(`${API_BASE}/api/state`);
+                if (!response.ok) return;
+                state = await response.json();
+            }
 
-            if (state.tasks && state.tasks.todo > 0) {
+            if (state?.tasks && state.tasks.todo > 0) {
                 clearInterval(roadmapPolling);
                 roadmapPolling = null;
 
@@ -58,6 +58,7 @@ async function showWorkflowItem(type, file) {
             if (typeof renderMermaidDiagrams === 'function') {
                 renderMermaidDiagrams(contentEl);
             }
+            initMarkdownNavigation(contentEl);
         } else {
             contentEl.innerHTML = '<div class="doc-placeholder">No content available</div>';
         }
@@ -100,6 +101,7 @@ async function showWorkflowItem(type, file) {
             if (typeof renderMermaidDiagrams === 'function') {
                 renderMermaidDiagrams(contentEl);
             }
+            initMarkdownNavigation(contentEl);
         } else {
             contentEl.innerHTML = '<div class="doc-placeholder">No content available</div>';
         }
@@ -417,6 +419,7 @@ async function updateWorkflowContent(type, file) {
             if (typeof renderMermaidDiagrams === 'function') {
                 renderMermaidDiagrams(contentEl);
             }
+            initMarkdownNavigation(contentEl);
         } else {
             contentEl.innerHTML = '<div class="doc-placeholder">No content available</div>';
         }
@@ -450,6 +453,7 @@ async function updateWorkflowContent(type, file) {
             if (typeof renderMermaidDiagrams === 'function') {
                 renderMermaidDiagrams(contentEl);
             }
+            initMarkdownNavigation(contentEl);
         } else {
             contentEl.innerHTML = '<div class="doc-placeholder">No content available</div>';
         }
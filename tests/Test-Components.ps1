@@ -383,6 +383,26 @@ if ((Test-Path $fileWatcherModule) -and (Test-Path $controlApiModule) -and (Test
             -Expected "[12:28:39] GET [workflow]" `
             -Actual $outputData.events[0].message
 
+        @(1..60 | ForEach-Object {
+            @{ timestamp = (Get-Date).ToUniversalTime().ToString("o"); type = "text"; message = "line $_" } | ConvertTo-Json -Compress
+        }) | Set-Content -Path $testActivityFile -Encoding utf8NoBOM
+
+        $tailOutput = Get-ProcessOutput -ProcessId $testProcId -Position 0 -Tail 50
+        Assert-Equal -Name "Get-ProcessOutput returns only the tail on a first read" `
+            -Expected "line 11" `
+            -Actual $tailOutput.events[0].message
+        Assert-Equal -Name "Get-ProcessOutput reports where the tail starts" `
+            -Expected 10 `
+            -Actual $tailOutput.start
+        $olderOutput = Get-ProcessOutput -ProcessId $testProcId -Before 10 -Limit 25
+        Assert-Equal -Name "Get-ProcessOutput -Before returns the page ending at that line" `
+            -Expected "line 1|10|0|10" `
+            -Actual "$($olderOutput.events[0].message)|$($olderOutput.events.Count)|$($olderOutput.start)|$($olderOutput.position)"
+        $pageOutput = Get-ProcessOutput -ProcessId $testProcId -Position 20 -Limit 25
+        Assert-Equal -Name "Get-ProcessOutput -Limit caps a read from a position" `
+            -Expected "line 21|25|45|60" `
+            -Actual "$($pageOutput.events[0].message)|$($pageOutput.events.Count)|$($pageOutput.position)|$($pageOutput.total)"
+
         @(
             (@{
                 timestamp = (Get-Date).ToUniversalTime().ToString("o")
@@ -1129,6 +1149,7 @@ try {
                 arguments = @{
                     decision_id   = $decId
                     superseded_by = $dec2Id
+                    reason        = 'PowerShell startup cost is too high'
                 }
             }
         }
@@ -1151,6 +1172,13 @@ try {
         Assert-True -Name "Decision file moved to superseded/" `
             -Condition ($supersededFiles.Count -gt 0) `
             -Message "No .json files found in superseded/"
+
+        if ($supersededFiles.Count -gt 0) {
+            $supersededDec = Get-Content -Path @($supersededFiles)[0].FullName -Raw | ConvertFrom-Json
+            Assert-True -Name "decision_mark_superseded records the reason" `
+                -Condition ($supersededDec.supersession_reason -eq 'PowerShell startup cost is too high') `
+                -Message "supersession_reason was '$($supersededDec.supersession_reason)'"
+        }
     }
 
     # Create a third decision to test deprecated
@@ -3961,6 +3989,14 @@ if (Test-Path $productApiModule) {
             -Condition ($null -ne $rawJpg.BinaryData -and $rawJpg.BinaryData.Length -gt 0) `
             -Message "Expected non-empty BinaryData for screenshot.jpg"
 
+        $rawPdf = Get-ProductDocumentRaw -Name "document.pdf"
+        Assert-Equal -Name "ProductDocumentRaw returns application/pdf MIME type" `
+            -Expected "application/pdf" `
+            -Actual $rawPdf.MimeType
+        Assert-True -Name "ProductDocumentRaw returns the exact bytes of a .pdf" `
+            -Condition ($null -ne $rawPdf.BinaryData -and ([System.Convert]::ToHexString($rawPdf.BinaryData)) -eq '25504446') `
+            -Message "Expected document.pdf bytes unchanged for the PDF viewer"
+
         $rawGif = Get-ProductDocumentRaw -Name "animation.gif"
         Assert-Equal -Name "ProductDocumentRaw returns image/gif MIME type" `
             -Expected "image/gif" `
@@ -4001,6 +4037,145 @@ if (Test-Path $productApiModule) {
             -Condition ($rawTraversal.Found -eq $false) `
             -Message "Path traversal should return not found"
 
+        # ── Save-ProductDocument (editor) tests ──
+
+        $missionBefore = Get-ProductDocument -Name "mission"
+        Assert-True -Name "ProductAPI returns a content version with each document" `
+            -Condition ($missionBefore.version -match '^[0-9a-f]{64}$') `
+            -Message "Expected a SHA-256 hex version on Get-ProductDocument"
+
+        $missionSave = Save-ProductDocument -Name "mission" -Content "# Mission`n`nEdited" -Version $missionBefore.version
+        Assert-True -Name "ProductAPI saves a document at the current version" `
+            -Condition ($missionSave.success -eq $true -and $missionSave.version -ne $missionBefore.version) `
+            -Message "Expected save to succeed and return a new version"
+        Assert-Equal -Name "ProductAPI writes saved content to disk" `
+            -Expected "# Mission`n`nEdited" `
+            -Actual ([System.IO.File]::ReadAllText((Join-Path $productDir "mission.md")))
+
+        $staleSave = Save-ProductDocument -Name "mission" -Content "# Stale" -Version $missionBefore.version
+        Assert-True -Name "ProductAPI rejects a save from a stale version with 409" `
+            -Condition ($staleSave._statusCode -eq 409 -and $staleSave.conflict -eq $true) `
+            -Message "Expected a 409 conflict for an outdated version"
+        Assert-True -Name "ProductAPI conflict returns the on-disk version and content" `
+            -Condition ($staleSave.version -eq $missionSave.version -and $staleSave.content -match 'Edited') `
+            -Message "Expected the conflict reply to carry the current version and content"
+
+        $configBefore = Get-ProductDocument -Name "config.json"
+        $invalidJsonSave = Save-ProductDocument -Name "config.json" -Content '{"key":' -Version $configBefore.version
+        Assert-True -Name "ProductAPI refuses to save invalid JSON" `
+            -Condition ($invalidJsonSave._statusCode -eq 400 -and (Get-ProductDocument -Name "config.json").content -match '"value"') `
+            -Message "Expected invalid JSON to be rejected without touching the file"
+
+        $crlfPath = Join-Path $productDir "crlf-notes.txt"
+        [System.IO.File]::WriteAllText($crlfPath, "one`r`ntwo`r`n")
+        $crlfBefore = Get-ProductDocument -Name "crlf-notes.txt"
+        $null = Save-ProductDocument -Name "crlf-notes.txt" -Content "one`ntwo`nthree`n" -Version $crlfBefore.version
+        Assert-Equal -Name "ProductAPI keeps CRLF line endings when saving" `
+            -Expected "one`r`ntwo`r`nthree`r`n" `
+            -Actual ([System.IO.File]::ReadAllText($crlfPath))
+
+        $binarySave = Save-ProductDocument -Name "logo.png" -Content "x" -Version (Get-ProductDocument -Name "logo.png").version
+        Assert-True -Name "ProductAPI refuses to edit non-text documents" `
+            -Condition ($binarySave._statusCode -eq 400) `
+            -Message "Expected a 400 for a .png save"
+
+        $traversalSave = Save-ProductDocument -Name "../secrets" -Content "x" -Version ""
+        Assert-True -Name "ProductAPI save blocks path traversal" `
+            -Condition ($traversalSave._statusCode -eq 404) `
+            -Message "Path traversal should return not found"
+
+        # ── Create / rename / upload tests ──
+
+        $newDoc = New-ProductDocument -Name "vision" -Folder "briefing"
+        Assert-True -Name "ProductAPI creates a markdown document in a folder" `
+            -Condition ($newDoc.success -eq $true -and $newDoc.path -eq "briefing/vision.md" -and $newDoc.name -eq "briefing/vision" -and (Test-Path (Join-Path $productDir "briefing\vision.md"))) `
+            -Message "Expected briefing/vision.md to be created"
+
+        $dupDoc = New-ProductDocument -Name "vision.md" -Folder "briefing"
+        Assert-True -Name "ProductAPI refuses to create a document that already exists" `
+            -Condition ($dupDoc._statusCode -eq 409) `
+            -Message "Expected a 409 for a duplicate document"
+
+        $badNameDoc = New-ProductDocument -Name "../escape"
+        Assert-True -Name "ProductAPI rejects document names containing slashes" `
+            -Condition ($badNameDoc._statusCode -eq 400 -and -not (Test-Path (Join-Path $productBotRoot "workspace\escape.md"))) `
+            -Message "Expected a 400 and no file outside the product dir"
+
+        $traversalFolderDoc = New-ProductDocument -Name "x" -Folder "../.."
+        Assert-True -Name "ProductAPI refuses to create documents outside the product dir" `
+            -Condition ($traversalFolderDoc._statusCode -eq 404) `
+            -Message "Expected a 404 for a parent folder outside the product dir"
+
+        $newFolder = New-ProductFolder -Name "drafts"
+        $listWithFolder = Get-ProductList
+        Assert-True -Name "ProductAPI lists empty folders it creates" `
+            -Condition ($newFolder.success -eq $true -and @($listWithFolder.folders) -contains "drafts") `
+            -Message "Expected the empty 'drafts' folder in Get-ProductList folders"
+
+        $renamedDoc = Rename-ProductItem -Path "briefing/vision.md" -NewName "north-star"
+        Assert-True -Name "ProductAPI renames a document and keeps its extension" `
+            -Condition ($renamedDoc.success -eq $true -and $renamedDoc.path -eq "briefing/north-star.md" -and -not (Test-Path (Join-Path $productDir "briefing\vision.md"))) `
+            -Message "Expected briefing/vision.md to become briefing/north-star.md"
+
+        $renameCollision = Rename-ProductItem -Path "briefing/north-star.md" -NewName "pr-context"
+        Assert-True -Name "ProductAPI refuses a rename onto an existing document" `
+            -Condition ($renameCollision._statusCode -eq 409) `
+            -Message "Expected a 409 when the target name is taken"
+
+        $caseRenamed = Rename-ProductItem -Path "briefing/north-star.md" -NewName "North-Star"
+        $caseRenamedFiles = @(Get-ChildItem -LiteralPath (Join-Path $productDir "briefing") -Filter "*.md" | ForEach-Object { $_.Name })
+        Assert-True -Name "ProductAPI allows a rename that only changes case" `
+            -Condition ($caseRenamed.success -eq $true -and $caseRenamed.path -ceq "briefing/North-Star.md" -and
+                $caseRenamedFiles -ccontains "North-Star.md" -and $caseRenamedFiles -cnotcontains "north-star.md") `
+            -Message "Expected briefing/north-star.md to become briefing/North-Star.md"
+
+        $renameSame = Rename-ProductItem -Path "briefing/North-Star.md" -NewName "North-Star"
+        Assert-True -Name "ProductAPI rejects a rename to the current name" `
+            -Condition ($renameSame._statusCode -eq 400) `
+            -Message "Expected a 400 when the name does not change"
+
+        $renamedFolder = Rename-ProductItem -Path "drafts" -NewName "archive"
+        Assert-True -Name "ProductAPI renames a folder" `
+            -Condition ($renamedFolder.success -eq $true -and $renamedFolder.kind -eq 'folder' -and (Test-Path (Join-Path $productDir "archive"))) `
+            -Message "Expected drafts/ to become archive/"
+
+        $renameTraversal = Rename-ProductItem -Path "../../settings" -NewName "x"
+        Assert-True -Name "ProductAPI rename blocks path traversal" `
+            -Condition ($renameTraversal._statusCode -eq 404) `
+            -Message "Path traversal should return not found"
+
+        $uploadBytes = [System.Text.Encoding]::UTF8.GetBytes("uploaded notes")
+        $upload = Save-ProductUpload -Folder "archive" -Files @(
+            @{ name = "notes.txt"; content = [System.Convert]::ToBase64String($uploadBytes) },
+            @{ name = "script.ps1"; content = [System.Convert]::ToBase64String($uploadBytes) }
+        )
+        Assert-True -Name "ProductAPI uploads allowed files and skips other extensions" `
+            -Condition ($upload.success -eq $true -and @($upload.saved).Count -eq 1 -and @($upload.skipped).Count -eq 1 -and
+                (Test-Path (Join-Path $productDir "archive\notes.txt")) -and -not (Test-Path (Join-Path $productDir "archive\script.ps1"))) `
+            -Message "Expected notes.txt saved and script.ps1 skipped"
+
+        $reupload = Save-ProductUpload -Folder "archive" -Files @(
+            @{ name = "notes.txt"; content = [System.Convert]::ToBase64String([System.Text.Encoding]::UTF8.GetBytes("replaced")) }
+        )
+        Assert-True -Name "ProductAPI upload does not replace existing files unless asked" `
+            -Condition (@($reupload.saved).Count -eq 0 -and $reupload.skipped[0].exists -eq $true -and
+                [System.IO.File]::ReadAllText((Join-Path $productDir "archive\notes.txt")) -eq "uploaded notes") `
+            -Message "Expected the existing file to be reported and left alone"
+
+        $overwriteUpload = Save-ProductUpload -Folder "archive" -Overwrite -Files @(
+            @{ name = "notes.txt"; content = [System.Convert]::ToBase64String([System.Text.Encoding]::UTF8.GetBytes("replaced")) }
+        )
+        Assert-Equal -Name "ProductAPI upload replaces existing files with -Overwrite" `
+            -Expected "replaced" `
+            -Actual ([System.IO.File]::ReadAllText((Join-Path $productDir "archive\notes.txt")))
+
+        $oversizeUpload = Save-ProductUpload -Files @(
+            @{ name = "huge.pdf"; content = [System.Convert]::ToBase64String([byte[]]::new(15MB + 1)) }
+        )
+        Assert-True -Name "ProductAPI upload enforces the 15 MB limit" `
+            -Condition (@($oversizeUpload.saved).Count -eq 0 -and -not (Test-Path (Join-Path $productDir "huge.pdf"))) `
+            -Message "Expected a file over 15 MB to be skipped"
+
         # ═════════════════════════════════════════════════════════════════
         # Get-WorkflowStatus — script-phase probe + process-type filter
         # Regression tests for #244: Overview stuck on Task Group Expansion
@@ -4392,6 +4567,16 @@ if (Test-Path $dotBotLogModule) {
             -Message "Expected corr-test1234, got $($corrEntry.correlation_id)"
         $env:DOTBOT_CORRELATION_ID = $null
 
+        # Test 11: Tool card details from the context are kept on the activity entry
+        Write-BotLog -Level Info -Message "Bash exit 2" -Context @{
+            activity_type = 'tool_result'
+            details = [ordered]@{ kind = 'bash'; id = 'toolu_01'; is_error = $true; exit_code = 2 }
+        }
+        $detailEntry = @(Get-Content $activityFile)[-1] | ConvertFrom-Json
+        Assert-True -Name "DotBotLog: activity entry carries tool details" `
+            -Condition ($detailEntry.type -eq 'tool_result' -and $detailEntry.details.id -eq 'toolu_01' -and $detailEntry.details.exit_code -eq 2) `
+            -Message "Bad activity entry: $(@(Get-Content $activityFile)[-1])"
+
     } finally {
         # Cleanup
         Remove-Module DotBotLog -ErrorAction SilentlyContinue
@@ -4403,6 +4588,98 @@ if (Test-Path $dotBotLogModule) {
     Write-TestResult -Name "DotBotLog module tests" -Status Skip -Message "Module not found at $dotBotLogModule"
 }
 
+# ═══════════════════════════════════════════════════════════════════
+# TOOL CALL DETAILS (process output tool cards)
+# ═══════════════════════════════════════════════════════════════════
+
+Write-Host "  TOOL CALL DETAILS" -ForegroundColor Cyan
+Write-Host "  ────────────────────────────────────────────" -ForegroundColor DarkGray
+
+$claudeCliModule = Join-Path $dotbotDir "core/runtime/ClaudeCLI/ClaudeCLI.psm1"
+if (Test-Path $claudeCliModule) {
+    try {
+        Import-Module $claudeCliModule -Force -DisableNameChecking
+
+        Assert-True -Name "Get-ToolCallKind maps Claude, Codex and Gemini tool names" `
+            -Condition ((Get-ToolCallKind 'Edit') -eq 'edit' -and (Get-ToolCallKind 'apply_patch') -eq 'edit' -and
+                (Get-ToolCallKind 'write_file') -eq 'write' -and (Get-ToolCallKind 'run_shell_command') -eq 'bash' -and
+                (Get-ToolCallKind 'Grep') -eq 'search' -and $null -eq (Get-ToolCallKind 'Read')) `
+            -Message "Unexpected tool kinds"
+
+        $editInput = [pscustomobject]@{ file_path = 'src/app.js'; old_string = 'let a = 1;'; new_string = 'let a = 2;' }
+        $editDetails = New-ToolCallDetails -Name 'Edit' -ToolInput $editInput -Id 'toolu_edit'
+        Assert-True -Name "New-ToolCallDetails records an edit's file and old/new strings" `
+            -Condition ($editDetails.kind -eq 'edit' -and $editDetails.id -eq 'toolu_edit' -and $editDetails.file -eq 'src/app.js' -and
+                $editDetails.edits[0].old -eq 'let a = 1;' -and $editDetails.edits[0].new -eq 'let a = 2;') `
+            -Message "Got: $($editDetails | ConvertTo-Json -Depth 5 -Compress)"
+
+        $writeDetails = New-ToolCallDetails -Name 'Write' -ToolInput ([pscustomobject]@{ file_path = 'notes.md'; content = "one`ntwo`nthree" }) -Id 'toolu_write'
+        Assert-True -Name "New-ToolCallDetails records a write's file, content and line count" `
+            -Condition ($writeDetails.kind -eq 'write' -and $writeDetails.file -eq 'notes.md' -and $writeDetails.lines -eq 3) `
+            -Message "Got: $($writeDetails | ConvertTo-Json -Compress)"
+
+        $bashDetails = New-ToolCallDetails -Name 'Bash' -ToolInput ([pscustomobject]@{ command = 'npm test'; description = 'Run tests' }) -Id 'toolu_bash'
+        Assert-True -Name "New-ToolCallDetails records a shell command" `
+            -Condition ($bashDetails.kind -eq 'bash' -and $bashDetails.command -eq 'npm test' -and $bashDetails.description -eq 'Run tests') `
+            -Message "Got: $($bashDetails | ConvertTo-Json -Compress)"
+
+        $codexDetails = New-ToolCallDetails -Name 'shell' -ToolInput ([pscustomobject]@{ command = @('bash', '-lc', 'ls') }) -Id 'call_1'
+        Assert-True -Name "New-ToolCallDetails joins an argv command" `
+            -Condition ($codexDetails.command -eq 'bash -lc ls') `
+            -Message "Got: $($codexDetails.command)"
+
+        $grepDetails = New-ToolCallDetails -Name 'Grep' -ToolInput ([pscustomobject]@{ pattern = 'TODO'; path = 'src'; glob = '*.ps1' }) -Id 'toolu_grep'
+        Assert-True -Name "New-ToolCallDetails records a search's pattern, path and filter" `
+            -Condition ($grepDetails.kind -eq 'search' -and $grepDetails.query -eq 'TODO' -and $grepDetails.path -eq 'src' -and $grepDetails.include -eq '*.ps1') `
+            -Message "Got: $($grepDetails | ConvertTo-Json -Compress)"
+
+        Assert-True -Name "New-ToolCallDetails returns null for tools without a card" `
+            -Condition ($null -eq (New-ToolCallDetails -Name 'Read' -ToolInput ([pscustomobject]@{ file_path = 'a' }) -Id 'x')) `
+            -Message "Expected null for Read"
+
+        $longDetails = New-ToolCallDetails -Name 'Write' -ToolInput ([pscustomobject]@{ file_path = 'big.txt'; content = ('x' * 5000) }) -Id 'toolu_big'
+        Assert-True -Name "New-ToolCallDetails truncates long fields" `
+            -Condition ($longDetails.content.Length -lt 4100 -and $longDetails.content -match '1000 more characters') `
+            -Message "Content length $($longDetails.content.Length)"
+
+        $failed = New-ToolResultDetails -Kind 'bash' -Id 'toolu_bash' -Content "Exit code 2`nnpm ERR! missing script" -IsError $true
+        Assert-True -Name "New-ToolResultDetails reads the exit code from a failed command" `
+            -Condition ($failed.exit_code -eq 2 -and $failed.is_error -and $failed.output -match 'missing script') `
+            -Message "Got: $($failed | ConvertTo-Json -Compress)"
+        Assert-True -Name "Get-ToolResultSummary reports the exit code" `
+            -Condition ((Get-ToolResultSummary -Details $failed -Name 'Bash') -eq 'Bash exit 2') `
+            -Message "Got: $(Get-ToolResultSummary -Details $failed -Name 'Bash')"
+
+        $passed = New-ToolResultDetails -Kind 'bash' -Id 'toolu_bash' -Result ([pscustomobject]@{ stdout = 'ok'; stderr = '' }) -Content 'ok' -IsError $false
+        Assert-True -Name "New-ToolResultDetails defaults a successful command to exit 0" `
+            -Condition ($passed.exit_code -eq 0 -and $passed.output -eq 'ok') `
+            -Message "Got: $($passed | ConvertTo-Json -Compress)"
+
+        $searchResult = New-ToolResultDetails -Kind 'search' -Id 'toolu_grep' -Result ([pscustomobject]@{ numFiles = 3 }) -Content "a.ps1`nb.ps1`nc.ps1" -IsError $false
+        Assert-True -Name "New-ToolResultDetails records search result counts" `
+            -Condition ($searchResult.num_files -eq 3 -and (Get-ToolResultSummary -Details $searchResult -Name 'Grep') -eq 'Grep 3 files') `
+            -Message "Got: $($searchResult | ConvertTo-Json -Compress)"
+
+        $countedResult = New-ToolResultDetails -Kind 'search' -Id 'call_2' -Content "a.ps1`n`nb.ps1`n" -IsError $false
+        Assert-True -Name "New-ToolResultDetails counts result lines without structured counts" `
+            -Condition ($countedResult.num_results -eq 2) `
+            -Message "Got: $($countedResult.num_results)"
+
+        $editResult = New-ToolResultDetails -Kind 'edit' -Id 'toolu_edit' -IsError $false -Result ([pscustomobject]@{
+            structuredPatch = @([pscustomobject]@{ oldStart = 4; oldLines = 1; newStart = 4; newLines = 1; lines = @('-let a = 1;', '+let a = 2;') })
+        })
+        Assert-True -Name "New-ToolResultDetails converts an applied patch to unified diff" `
+            -Condition ($editResult.patch -eq "@@ -4,1 +4,1 @@`n-let a = 1;`n+let a = 2;") `
+            -Message "Got: $($editResult.patch)"
+    } catch {
+        Write-TestResult -Name "Tool call details" -Status Fail -Message $_.Exception.Message
+    } finally {
+        Remove-Module ClaudeCLI -ErrorAction SilentlyContinue
+    }
+} else {
+    Write-TestResult -Name "Tool call details tests" -Status Skip -Message "Module not found at $claudeCliModule"
+}
+
 # ═══════════════════════════════════════════════════════════════════
 # FRAMEWORK INTEGRITY — BEHAVIORAL TESTS
 # ═══════════════════════════════════════════════════════════════════
@@ -4936,6 +5213,370 @@ if (Test-Path $inboxWatcherModule) {
     Write-TestResult -Name "InboxWatcher module exists" -Status Skip -Message "Module not found at $inboxWatcherModule"
 }
 
+# ═══════════════════════════════════════════════════════════════════
+# EVENT STREAM MODULE TESTS
+# ═══════════════════════════════════════════════════════════════════
+Write-Host ""
+Write-Host "--- EventStream Module ---" -ForegroundColor Cyan
+
+$eventStreamModule = Join-Path $botDir "core/ui/modules/EventStream.psm1"
+
+if (Test-Path $eventStreamModule) {
+    try {
+        Import-Module $eventStreamModule -Force
+
+        $payload = ConvertTo-EventStreamPayload -EventName 'state' -Data @{ note = "line one`nline two"; count = 2 }
+        $lines = $payload -split "`n"
+        Assert-Equal -Name "EventStream: payload starts with event line" -Expected 'event: state' -Actual $lines[0]
+        Assert-True -Name "EventStream: payload data is single-line JSON" `
+            -Condition ($lines[1] -like 'data: {*}' -and $lines.Count -eq 4) `
+            -Message "Expected event/data/blank framing, got: $payload"
+        Assert-True -Name "EventStream: payload ends with blank line" -Condition ($payload.EndsWith("`n`n"))
+        $roundTrip = $lines[1].Substring(6) | ConvertFrom-Json
+        Assert-Equal -Name "EventStream: embedded newline survives round trip" -Expected "line one`nline two" -Actual $roundTrip.note
+
+        $nullPayload = ConvertTo-EventStreamPayload -EventName 'git' -Data $null
+        Assert-Equal -Name "EventStream: null data serialises as JSON null" -Expected "event: git`ndata: null`n`n" -Actual $nullPayload
+
+        $esRoot = Join-Path ([IO.Path]::GetTempPath()) "event-stream-test-$([guid]::NewGuid().ToString('N').Substring(0,8))"
+        $esControl = Join-Path $esRoot ".control"
+        New-Item -ItemType Directory -Path (Join-Path $esControl "processes") -Force | Out-Null
+        Initialize-EventStream -BotRoot $esRoot -ControlDir $esControl -ProcessesDir (Join-Path $esControl "processes")
+        Assert-Equal -Name "EventStream: no clients after initialise" -Expected 0 -Actual (Get-EventStreamClientCount)
+
+        $threw = $false
+        try { Invoke-EventStreamTick; Close-EventStreamClients } catch { $threw = $true }
+        Assert-True -Name "EventStream: tick and close are no-ops without clients" -Condition (-not $threw)
+    } finally {
+        Remove-Module EventStream -ErrorAction SilentlyContinue
+        if ($esRoot -and (Test-Path $esRoot)) {
+            Remove-Item $esRoot -Recurse -Force -ErrorAction SilentlyContinue
+        }
+    }
+} else {
+    Write-TestResult -Name "EventStream module exists" -Status Skip -Message "Module not found at $eventStreamModule"
+}
+
+Write-Host ""
+Write-Host "--- SearchAPI Module ---" -ForegroundColor Cyan
+
+$searchApiModule = Join-Path $botDir "core/ui/modules/SearchAPI.psm1"
+
+if (Test-Path $searchApiModule) {
+    $searchRoot = Join-Path ([IO.Path]::GetTempPath()) "search-api-test-$([guid]::NewGuid().ToString('N').Substring(0,8))"
+    try {
+        Import-Module (Join-Path $botDir "core/ui/modules/ProductAPI.psm1") -Force
+        Import-Module $searchApiModule -Force
+
+        $searchTodo = Join-Path $searchRoot "workspace/tasks/todo"
+        $searchDone = Join-Path $searchRoot "workspace/tasks/done"
+        $searchAccepted = Join-Path $searchRoot "workspace/decisions/accepted"
+        $searchProduct = Join-Path $searchRoot "workspace/product/briefing"
+        foreach ($dir in @($searchTodo, $searchDone, $searchAccepted, $searchProduct)) {
+            New-Item -ItemType Directory -Path $dir -Force | Out-Null
+        }
+
+        @{ id = "t-login"; name = "Build login form"; description = "Email and password fields"; status = "todo"; category = "feature"; workflow = "start-from-prompt"; acceptance_criteria = @("Shows a lockout banner"); applicable_decisions = @("dec-0000abcd") } |
+            ConvertTo-Json -Depth 5 | Set-Content (Join-Path $searchTodo "t-login.json")
+        @{ id = "t-cache"; name = "Add cache layer"; description = "Speed up reads"; status = "done"; category = "infra"; workflow = "start-from-prompt"; analysis = @{ implementation = @{ approach = "Use a lockout-free LRU cache" }; analysis_activity_log = @("lockout noise") } } |
+            ConvertTo-Json -Depth 5 | Set-Content (Join-Path $searchDone "t-cache.json")
+        @{ id = "dec-0000abcd"; title = "Use JWT sessions"; status = "accepted"; type = "architecture"; impact = "high"; context = "Login needs stateless sessions"; related_task_ids = @("t-cache", "t-gone") } |
+            ConvertTo-Json -Depth 5 | Set-Content (Join-Path $searchAccepted "dec-0000abcd-use-jwt.json")
+        Set-Content -Path (Join-Path $searchProduct "pr-context.md") -Value "# Context`n`nThe login flow is being rewritten."
+
+        Initialize-SearchAPI -BotRoot $searchRoot
+
+        $loginSearch = Search-Workspace -Query "login"
+        $loginKinds = @($loginSearch.results | ForEach-Object { $_.kind } | Sort-Object)
+        Assert-Equal -Name "SearchAPI: query matches tasks, decisions and product docs" `
+            -Expected "decision,doc,task" -Actual ($loginKinds -join ',')
+        Assert-Equal -Name "SearchAPI: title matches rank first" -Expected "t-login" -Actual $loginSearch.results[0].id
+        Assert-Equal -Name "SearchAPI: product docs use Product tab names" `
+            -Expected "briefing/pr-context" -Actual (@($loginSearch.results | Where-Object { $_.kind -eq 'doc' })[0].id)
+        Assert-Equal -Name "SearchAPI: facet counts cover the text match" -Expected 1 -Actual $loginSearch.facets.kind.decision
+
+        $criteriaSearch = Search-Workspace -Query "lockout"
+        Assert-Equal -Name "SearchAPI: acceptance criteria and analysis are searched" `
+            -Expected "t-cache,t-login" -Actual ((@($criteriaSearch.results | ForEach-Object { $_.id } | Sort-Object)) -join ',')
+        Assert-Equal -Name "SearchAPI: snippet names the matching field" `
+            -Expected "analysis" -Actual (@($criteriaSearch.results | Where-Object { $_.id -eq 't-cache' })[0].field)
+
+        $noiseSearch = Search-Workspace -Query "noise"
+        Assert-Equal -Name "SearchAPI: analysis activity logs are not indexed" -Expected 0 -Actual $noiseSearch.total
+
+        $filtered = Search-Workspace -Query "login" -Filters @{ kind = 'decision'; impact = 'high' }
+        Assert-Equal -Name "SearchAPI: facet filters narrow results" -Expected "dec-0000abcd" -Actual ((@($filtered.results | ForEach-Object { $_.id })) -join ',')
+
+        $facetOnly = Search-Workspace -Query "" -Filters @{ status = 'done' }
+        Assert-Equal -Name "SearchAPI: filters alone list matching items" -Expected "t-cache" -Actual ((@($facetOnly.results | ForEach-Object { $_.id })) -join ',')
+        Assert-Equal -Name "SearchAPI: empty query without filters returns nothing" -Expected 0 -Actual (Search-Workspace -Query "  ").total
+
+        Move-Item (Join-Path $searchTodo "t-login.json") (Join-Path $searchDone "t-login.json")
+        $movedSearch = Search-Workspace -Query "login form" -Filters @{ status = 'todo' }
+        Assert-Equal -Name "SearchAPI: moved task files are re-indexed" -Expected 0 -Actual $movedSearch.total
+
+        $record = Get-SearchTaskRecord -TaskId "t-cache"
+        Assert-Equal -Name "SearchAPI: task record lookup returns the task file" -Expected "Add cache layer" -Actual $record.task.name
+        Assert-Equal -Name "SearchAPI: unknown task record is 404" -Expected 404 -Actual (Get-SearchTaskRecord -TaskId "t-missing")._statusCode
+
+        $decisionLinks = Get-DecisionTaskLinks -DecisionId "dec-0000abcd"
+        $linksById = @{}
+        foreach ($link in @($decisionLinks.tasks)) { $linksById[$link.id] = $link }
+        Assert-Equal -Name "SearchAPI: decision links cover citing, listed and missing tasks" `
+            -Expected "t-cache,t-gone,t-login" -Actual ((@($linksById.Keys) | Sort-Object) -join ',')
+        Assert-True -Name "SearchAPI: a task citing the decision in applicable_decisions is linked" `
+            -Condition ($linksById['t-login'].cites_decision -and -not $linksById['t-login'].listed_by_decision -and $linksById['t-login'].name -eq "Build login form") `
+            -Message "Got: $($linksById['t-login'] | ConvertTo-Json -Compress)"
+        Assert-True -Name "SearchAPI: a task in the decision's related_task_ids is linked" `
+            -Condition ($linksById['t-cache'].listed_by_decision -and -not $linksById['t-cache'].cites_decision -and $linksById['t-cache'].status -eq 'done') `
+            -Message "Got: $($linksById['t-cache'] | ConvertTo-Json -Compress)"
+        Assert-True -Name "SearchAPI: a related task ID with no task file is reported missing" `
+            -Condition ($linksById['t-gone'].status -eq 'missing' -and $null -eq $linksById['t-gone'].name) `
+            -Message "Got: $($linksById['t-gone'] | ConvertTo-Json -Compress)"
+        Assert-Equal -Name "SearchAPI: malformed decision ID is 400" -Expected 400 -Actual (Get-DecisionTaskLinks -DecisionId "dec-nothex")._statusCode
+        Assert-Equal -Name "SearchAPI: unknown decision is 404" -Expected 404 -Actual (Get-DecisionTaskLinks -DecisionId "dec-ffffffff")._statusCode
+        Assert-FileContains -Name "Server exposes the decision task links route with its status codes" `
+            -Path (Join-Path $botDir "core/ui/server.ps1") `
+            -Pattern '(?s)"/api/decisions/\*/tasks".{0,300}Get-DecisionTaskLinks -DecisionId \$decisionId.{0,200}\$statusCode = \$result\._statusCode'
+    } finally {
+        Remove-Module SearchAPI -ErrorAction SilentlyContinue
+        Remove-Module ProductAPI -ErrorAction SilentlyContinue
+        if (Test-Path $searchRoot) {
+            Remove-Item $searchRoot -Recurse -Force -ErrorAction SilentlyContinue
+        }
+    }
+} else {
+    Write-TestResult -Name "SearchAPI module exists" -Status Skip -Message "Module not found at $searchApiModule"
+}
+
+Write-Host "--- AnalyticsAPI Module ---" -ForegroundColor Cyan
+
+$analyticsApiModule = Join-Path $botDir "core/ui/modules/AnalyticsAPI.psm1"
+
+if (Test-Path $analyticsApiModule) {
+    $analyticsRoot = Join-Path ([IO.Path]::GetTempPath()) "analytics-api-test-$([guid]::NewGuid().ToString('N').Substring(0,8))"
+    try {
+        Import-Module $analyticsApiModule -Force
+
+        $analyticsDone = Join-Path $analyticsRoot "workspace/tasks/done"
+        $analyticsProcesses = Join-Path $analyticsRoot ".control/processes"
+        foreach ($dir in @($analyticsDone, $analyticsProcesses)) {
+            New-Item -ItemType Directory -Path $dir -Force | Out-Null
+        }
+
+        @{ id = "t-login"; name = "Build login form"; status = "done"; workflow = "start-from-prompt" } |
+            ConvertTo-Json | Set-Content (Join-Path $analyticsDone "t-login.json")
+        @{ id = "proc-a1"; type = "task-runner"; model = "sonnet"; workflow_name = "start-from-jira" } |
+            ConvertTo-Json | Set-Content (Join-Path $analyticsProcesses "proc-a1.json")
+        @(
+            '{"timestamp":"2026-03-01T10:00:00.0000000Z","type":"init","message":"claude-opus-4","task_id":"t-login","phase":"analysis"}'
+            '{"timestamp":"2026-03-01T10:05:00.0000000Z","type":"text","message":"cost=$9 in=999 is not a summary","task_id":"t-login","phase":"analysis"}'
+            '{"timestamp":"2026-03-01T10:10:00.0000000Z","type":"result","message":"turns=4 in=1000 out=200 cache=1.5k cost=$0.25 time=600s","task_id":"t-login","phase":"analysis"}'
+            '{"timestamp":"2026-03-03T09:00:00.0000000Z","type":"result","message":"turns=9 in=3000 out=800 cost=$0.75 time=1200s","task_id":"t-login","phase":"execution"}'
+            '{"timestamp":"2026-03-03T11:00:00.0000000Z","type":"result","message":"turns=1 in=50 out=10 cost=$0.01 time=5s","task_id":null,"phase":null}'
+        ) | Set-Content (Join-Path $analyticsProcesses "proc-a1.activity.jsonl")
+
+        Initialize-AnalyticsAPI -BotRoot $analyticsRoot -ProcessesDir $analyticsProcesses
+
+        $summary = Get-AnalyticsSummary
+        Assert-Equal -Name "AnalyticsAPI: only run summaries are counted" -Expected 3 -Actual $summary.totals.runs
+        Assert-Equal -Name "AnalyticsAPI: tokens are summed" -Expected 4050 -Actual ([int]$summary.totals.input_tokens)
+        Assert-Equal -Name "AnalyticsAPI: cost is summed" -Expected 1.01 -Actual ([Math]::Round([double]$summary.totals.cost_usd, 2))
+        Assert-Equal -Name "AnalyticsAPI: cache reads are expanded from k" -Expected 1500 -Actual ([int]$summary.totals.cache_read_tokens)
+        Assert-Equal -Name "AnalyticsAPI: distinct tasks are counted" -Expected 1 -Actual $summary.totals.tasks
+        Assert-Equal -Name "AnalyticsAPI: model comes from the init entry" -Expected "claude-opus-4" -Actual $summary.by_model[0].key
+        Assert-Equal -Name "AnalyticsAPI: workflow comes from the process" -Expected "start-from-jira" -Actual $summary.by_workflow[0].key
+        Assert-Equal -Name "AnalyticsAPI: task rows use the task name" -Expected "Build login form" -Actual $summary.by_task[0].label
+        Assert-Equal -Name "AnalyticsAPI: days are grouped" -Expected "2026-03-01,2026-03-03" -Actual ((@($summary.by_day | ForEach-Object { $_.key })) -join ',')
+
+        $ranged = Get-AnalyticsSummary -From "2026-03-02" -To "2026-03-31"
+        Assert-Equal -Name "AnalyticsAPI: date range filters runs" -Expected 2 -Actual $ranged.totals.runs
+        Assert-Equal -Name "AnalyticsAPI: available range ignores the filter" -Expected "2026-03-01" -Actual $ranged.available_from
+        Assert-Equal -Name "AnalyticsAPI: malformed dates are rejected" -Expected 400 -Actual (Get-AnalyticsSummary -From "03/02/2026")._statusCode
+
+        $csvLines = @((Export-AnalyticsCsv -From "2026-03-01" -To "2026-03-01").csv -split "`r`n" | Where-Object { $_ })
+        Assert-Equal -Name "AnalyticsAPI: CSV has a header and one row per run" -Expected 2 -Actual $csvLines.Count
+        Assert-True -Name "AnalyticsAPI: CSV header lists token and cost columns" `
+            -Condition ($csvLines[0] -like "*input_tokens,output_tokens,cache_read_tokens,cost_usd*") `
+            -Message "Unexpected CSV header: $($csvLines[0])"
+    } finally {
+        Remove-Module AnalyticsAPI -ErrorAction SilentlyContinue
+        if (Test-Path $analyticsRoot) {
+            Remove-Item $analyticsRoot -Recurse -Force -ErrorAction SilentlyContinue
+        }
+    }
+} else {
+    Write-TestResult -Name "AnalyticsAPI module exists" -Status Skip -Message "Module not found at $analyticsApiModule"
+}
+
+Write-Host "--- VerificationAPI Module ---" -ForegroundColor Cyan
+
+$verificationApiModule = Join-Path $botDir "core/ui/modules/VerificationAPI.psm1"
+$verificationRunner = Join-Path $botDir "core/runtime/run-verification.ps1"
+
+if ((Test-Path $verificationApiModule) -and (Test-Path $verificationRunner)) {
+    $verifyRoot = Join-Path ([IO.Path]::GetTempPath()) "verification-api-test-$([guid]::NewGuid().ToString('N').Substring(0,8))"
+    try {
+        foreach ($module in @("DotBotLog.psm1", "DotBotTheme.psm1")) {
+            $modulePath = Join-Path $botDir "core/runtime/modules/$module"
+            if (Test-Path $modulePath) { Import-Module $modulePath -Force -DisableNameChecking -Global }
+        }
+        Import-Module $verificationApiModule -Force
+
+        $verifyBot = Join-Path $verifyRoot ".bot"
+        $verifyHooks = Join-Path $verifyBot "hooks/verify"
+        $verifyRuntime = Join-Path $verifyBot "core/runtime"
+        $verifyControl = Join-Path $verifyBot ".control"
+        foreach ($dir in @($verifyHooks, $verifyRuntime, $verifyControl)) {
+            New-Item -ItemType Directory -Path $dir -Force | Out-Null
+        }
+        Copy-Item $verificationRunner (Join-Path $verifyRuntime "run-verification.ps1")
+
+        Set-Content (Join-Path $verifyHooks "00-pass.ps1") @'
+Write-Host "checking things"
+@{ success = $true; script = "00-pass.ps1"; message = "All good" } | ConvertTo-Json
+'@
+        Set-Content (Join-Path $verifyHooks "01-fail.ps1") @'
+@{ success = $false; script = "01-fail.ps1"; message = "Found a problem"; failures = @(@{ file = "a.txt"; issue = "Bad line"; severity = "error" }) } | ConvertTo-Json -Depth 5
+'@
+        Set-Content (Join-Path $verifyHooks "02-slow.ps1") @'
+Start-Sleep -Seconds 30
+'@
+        @{ scripts = @(
+            @{ name = "00-pass.ps1"; required = $true; timeout_seconds = 30 }
+            @{ name = "01-fail.ps1"; required = $true; timeout_seconds = 30 }
+            @{ name = "02-slow.ps1"; required = $false; timeout_seconds = 1 }
+            @{ name = "03-gone.ps1"; required = $false; timeout_seconds = 5 }
+        ) } | ConvertTo-Json -Depth 5 | Set-Content (Join-Path $verifyHooks "config.json")
+
+        Initialize-VerificationAPI -BotRoot $verifyBot -ControlDir $verifyControl -ProjectRoot $verifyRoot
+
+        Assert-Equal -Name "VerificationAPI: unknown script is rejected" -Expected 404 -Actual (Start-VerificationRun -Body @{ name = "99-nope.ps1" })._statusCode
+        Assert-Equal -Name "VerificationAPI: malformed run ID is rejected" -Expected 400 -Actual (Get-VerificationRun -RunId "../x")._statusCode
+
+        $started = Start-VerificationRun -Body @{}
+        Assert-True -Name "VerificationAPI: run all starts" -Condition ($started.success -and $started.run_id -match '^vrun-') -Message "Unexpected reply: $($started | ConvertTo-Json -Compress)"
+        Assert-Equal -Name "VerificationAPI: a second run waits for the first" -Expected 409 -Actual (Start-VerificationRun -Body @{ name = "00-pass.ps1" })._statusCode
+
+        $deadline = (Get-Date).AddSeconds(60)
+        do {
+            Start-Sleep -Milliseconds 500
+            $reply = Get-VerificationRun -RunId $started.run_id
+        } while ($reply.run.status -eq 'running' -and (Get-Date) -lt $deadline)
+
+        $byName = @{}
+        foreach ($entry in $reply.run.scripts) { $byName[$entry.name] = $entry }
+        Assert-Equal -Name "VerificationAPI: run fails when any script fails" -Expected "failed" -Actual $reply.run.status
+        Assert-Equal -Name "VerificationAPI: passing script is recorded" -Expected "passed" -Actual $byName["00-pass.ps1"].status
+        Assert-Equal -Name "VerificationAPI: failing required script does not stop the run" -Expected "failed" -Actual $byName["01-fail.ps1"].status
+        Assert-Equal -Name "VerificationAPI: script failures are kept" -Expected "a.txt" -Actual @($byName["01-fail.ps1"].failures)[0].file
+        Assert-Equal -Name "VerificationAPI: timeout is enforced" -Expected "timeout" -Actual $byName["02-slow.ps1"].status
+        Assert-Equal -Name "VerificationAPI: missing script file is reported" -Expected "missing" -Actual $byName["03-gone.ps1"].status
+        Assert-True -Name "VerificationAPI: script output is logged" `
+            -Condition (@($reply.lines | Where-Object { $_.script -eq "00-pass.ps1" -and $_.text -eq "checking things" }).Count -eq 1) `
+            -Message "Output lines: $(@($reply.lines | ForEach-Object { $_.text }) -join ' | ')"
+        Assert-Equal -Name "VerificationAPI: position skips lines already read" -Expected 0 -Actual @((Get-VerificationRun -RunId $started.run_id -Position $reply.position).lines).Count
+        Assert-Equal -Name "VerificationAPI: run appears in the history" -Expected $started.run_id -Actual @((Get-VerificationRunList).runs)[0].id
+    } finally {
+        Remove-Module VerificationAPI -ErrorAction SilentlyContinue
+        if (Test-Path $verifyRoot) {
+            Remove-Item $verifyRoot -Recurse -Force -ErrorAction SilentlyContinue
+        }
+    }
+} else {
+    Write-TestResult -Name "VerificationAPI module exists" -Status Skip -Message "Module not found at $verificationApiModule"
+}
+
+Write-Host "--- Whisper Log, Templates & Broadcast ---" -ForegroundColor Cyan
+
+if ((Test-Path $controlApiModule) -and (Test-Path $processApiModule) -and (Test-Path $steeringHeartbeatScript)) {
+    $whisperRoot = Join-Path ([IO.Path]::GetTempPath()) "whisper-test-$([guid]::NewGuid().ToString('N').Substring(0,8))"
+    $whisperControl = Join-Path $whisperRoot ".bot/.control"
+    $whisperProcesses = Join-Path $whisperControl "processes"
+    $savedProjectRoot = $global:DotbotProjectRoot
+    try {
+        foreach ($module in @("DotBotLog.psm1", "DotBotTheme.psm1")) {
+            $modulePath = Join-Path $botDir "core/runtime/modules/$module"
+            if (Test-Path $modulePath) { Import-Module $modulePath -Force -DisableNameChecking -Global }
+        }
+        Import-Module $controlApiModule -Force
+        Import-Module $processApiModule -Force
+        . $steeringHeartbeatScript
+        New-Item -ItemType Directory -Path $whisperProcesses -Force | Out-Null
+        Initialize-ControlAPI -ControlDir $whisperControl -ProcessesDir $whisperProcesses -BotRoot $botDir
+        Initialize-ProcessAPI -ProcessesDir $whisperProcesses -BotRoot $botDir -ControlDir $whisperControl
+        $global:DotbotProjectRoot = $whisperRoot
+
+        foreach ($proc in @(
+            @{ id = "proc-whisper1"; type = "execution"; status = "running" },
+            @{ id = "proc-whisper2"; type = "analysis"; status = "running" },
+            @{ id = "proc-whisper3"; type = "execution"; status = "stopped" }
+        )) {
+            ($proc + @{ pid = $PID; last_heartbeat = $null; last_whisper_index = 0; heartbeat_status = $null; heartbeat_next_action = $null }) |
+                ConvertTo-Json | Set-Content (Join-Path $whisperProcesses "$($proc.id).json") -Encoding utf8NoBOM
+        }
+
+        Send-WhisperToInstance -InstanceType "execution" -Message "Focus on tests" -Priority "normal" | Out-Null
+        $heartbeat = Invoke-SteeringHeartbeat -Arguments @{ session_id = "s1"; process_id = "proc-whisper1"; status = "Working" }
+        Assert-Equal -Name "Whisper: heartbeat delivers the whisper" -Expected 1 -Actual $heartbeat.whisper_count
+
+        $broadcast = Send-WhisperBroadcast -Message "Stop and summarise" -Priority "urgent"
+        Assert-True -Name "Whisper: broadcast reaches every running process" `
+            -Condition ($broadcast.success -and @($broadcast.sent_to).Count -eq 2 -and $broadcast.sent_to -notcontains "proc-whisper3") `
+            -Message "Sent to: $($broadcast.sent_to -join ', ')"
+        Assert-Equal -Name "Whisper: broadcast rejects unknown priority" -Expected 400 -Actual (Send-WhisperBroadcast -Message "x" -Priority "loud")._statusCode
+
+        $log = Get-ProcessWhisperLog -ProcessId "proc-whisper1"
+        Assert-Equal -Name "Whisper log: lists whispers newest first" -Expected "Stop and summarise" -Actual @($log.whispers)[0].instruction
+        Assert-True -Name "Whisper log: broadcast whisper is pending and flagged" `
+            -Condition (@($log.whispers)[0].broadcast -and -not @($log.whispers)[0].acknowledged) `
+            -Message "Entry: $(@($log.whispers)[0] | ConvertTo-Json -Compress)"
+        Assert-True -Name "Whisper log: delivered whisper has an acknowledgement time" `
+            -Condition (@($log.whispers)[1].acknowledged -and @($log.whispers)[1].acknowledged_at) `
+            -Message "Entry: $(@($log.whispers)[1] | ConvertTo-Json -Compress)"
+        Assert-Equal -Name "Whisper log: unknown process is 404" -Expected 404 -Actual (Get-ProcessWhisperLog -ProcessId "proc-nope")._statusCode
+
+        # The runner rewrites the process file from its launch-time copy
+        $processRegistryModule = Join-Path $botDir "core/runtime/modules/ProcessRegistry.psm1"
+        Import-Module $processRegistryModule -Force
+        Initialize-ProcessRegistry -ProcessesDir $whisperProcesses -ControlDir $whisperControl
+        Write-ProcessFile -Id "proc-whisper1" -Data @{ id = "proc-whisper1"; type = "execution"; status = "running"; pid = $PID; last_whisper_index = 0 }
+        $rewritten = Get-ProcessWhisperLog -ProcessId "proc-whisper1"
+        Assert-True -Name "Whisper log: acknowledgement survives the runner's process file rewrite" `
+            -Condition (@($rewritten.whispers)[1].acknowledged -and @($rewritten.whispers)[1].acknowledged_at -eq @($log.whispers)[1].acknowledged_at) `
+            -Message "Entry: $(@($rewritten.whispers)[1] | ConvertTo-Json -Compress)"
+
+        Send-ProcessWhisper -ProcessId "proc-whisper2" -Message "Check the logs" -Priority "urgent" | Out-Null
+        $rowLog = Get-ProcessWhisperLog -ProcessId "proc-whisper2"
+        Assert-True -Name "Whisper log: process row whisper is logged" `
+            -Condition (@($rowLog.whispers)[0].instruction -eq "Check the logs" -and @($rowLog.whispers)[0].priority -eq "urgent" -and -not @($rowLog.whispers)[0].broadcast) `
+            -Message "Entry: $(@($rowLog.whispers)[0] | ConvertTo-Json -Compress)"
+        Assert-Equal -Name "Whisper log: malformed process id is 400" -Expected 400 -Actual (Get-ProcessWhisperLog -ProcessId "../x")._statusCode
+
+        Assert-True -Name "Whisper templates: defaults offered before any are saved" `
+            -Condition (@((Get-WhisperTemplates).templates).Count -gt 0) `
+            -Message "No default templates"
+        $saved = Set-WhisperTemplates -Templates @(@{ name = " Tests first "; message = "Write tests first"; priority = "normal" })
+        Assert-True -Name "Whisper templates: save trims and persists" `
+            -Condition ($saved.success -and @((Get-WhisperTemplates).templates)[0].name -eq "Tests first") `
+            -Message "Got: $((Get-WhisperTemplates).templates | ConvertTo-Json -Compress)"
+        Assert-Equal -Name "Whisper templates: duplicate names rejected" -Expected 400 -Actual (Set-WhisperTemplates -Templates @(
+            @{ name = "A"; message = "one" }, @{ name = "a"; message = "two" }
+        ))._statusCode
+        Assert-Equal -Name "Whisper templates: empty message rejected" -Expected 400 -Actual (Set-WhisperTemplates -Templates @(@{ name = "A"; message = " " }))._statusCode
+    } finally {
+        Remove-Module ProcessRegistry -ErrorAction SilentlyContinue
+        $global:DotbotProjectRoot = $savedProjectRoot
+        Initialize-ControlAPI -ControlDir $testControlDir -ProcessesDir $testProcessesDir -BotRoot $botDir
+        Initialize-ProcessAPI -ProcessesDir $testProcessesDir -BotRoot $botDir -ControlDir $testControlDir
+        if (Test-Path $whisperRoot) {
+            Remove-Item $whisperRoot -Recurse -Force -ErrorAction SilentlyContinue
+        }
+    }
+} else {
+    Write-TestResult -Name "Whisper modules exist" -Status Skip -Message "ControlAPI/ProcessAPI or steering-heartbeat not found under $botDir"
+}
+
 # ═══════════════════════════════════════════════════════════════════
 # --- Test-TaskIsMandatory (#213 mandatory halt) ---
 # ═══════════════════════════════════════════════════════════════════
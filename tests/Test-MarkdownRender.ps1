@@ -0,0 +1,91 @@
+#!/usr/bin/env pwsh
+<#
+.SYNOPSIS
+    Layer 1: Dashboard markdown renderer golden-file tests.
+.DESCRIPTION
+    Renders every tests/fixtures/markdown/*.md through the dashboard's
+    markdownToHtml() (via render-markdown.js under Node) and compares the
+    result with the matching *.html golden. *.decision.json fixtures are
+    decision records rendered the way the decisions.html export renders them. After an intended rendering
+    change, regenerate the goldens with:
+
+        node tests/render-markdown.js --update
+#>
+
+[CmdletBinding()]
+param()
+
+$ErrorActionPreference = "Stop"
+
+Import-Module "$PSScriptRoot\Test-Helpers.psm1" -Force
+
+$repoRoot = Get-RepoRoot
+$harnessPath = Join-Path $PSScriptRoot "render-markdown.js"
+$fixturesDir = Join-Path $PSScriptRoot "fixtures/markdown"
+
+Write-Host ""
+Write-Host "═══════════════════════════════════════════════════════════" -ForegroundColor Blue
+Write-Host "  Layer 1: Markdown Renderer Golden Files" -ForegroundColor Blue
+Write-Host "═══════════════════════════════════════════════════════════" -ForegroundColor Blue
+Write-Host ""
+
+Reset-TestResults
+
+# ═══════════════════════════════════════════════════════════════════
+# CORPUS
+# ═══════════════════════════════════════════════════════════════════
+
+Write-Host "  CORPUS" -ForegroundColor Cyan
+Write-Host "  ────────────────────────────────────────────" -ForegroundColor DarkGray
+
+Assert-PathExists -Name "render-markdown.js exists" -Path $harnessPath
+Assert-PathExists -Name "markdown.js exists" -Path (Join-Path $repoRoot "core/ui/static/modules/markdown.js")
+
+$fixtures = @(Get-ChildItem -Path $fixturesDir -File |
+    Where-Object { $_.Name -like "*.md" -or $_.Name -like "*.decision.json" } | Sort-Object Name)
+Assert-True -Name "Fixture corpus is not empty" -Condition ($fixtures.Count -gt 0)
+
+foreach ($fixture in $fixtures) {
+    $name = $fixture.Name -replace '\.(md|decision\.json)$', ''
+    $golden = Join-Path $fixturesDir "$name.html"
+    Assert-True -Name "Golden exists: $name.html" -Condition (Test-Path $golden)
+}
+
+# ═══════════════════════════════════════════════════════════════════
+# RENDERING
+# ═══════════════════════════════════════════════════════════════════
+
+Write-Host ""
+Write-Host "  RENDERING" -ForegroundColor Cyan
+Write-Host "  ────────────────────────────────────────────" -ForegroundColor DarkGray
+
+if (-not (Get-Command node -ErrorAction SilentlyContinue)) {
+    Write-TestResult -Name "Render fixtures" -Status Skip -Message "node not found on PATH"
+} else {
+    $output = & node $harnessPath 2>&1
+    $harnessExit = $LASTEXITCODE
+
+    Assert-True -Name "Harness ran without errors" -Condition ($harnessExit -eq 0) `
+        -Message ($output -join "`n")
+
+    if ($harnessExit -eq 0) {
+        $results = @(($output -join "`n") | ConvertFrom-Json)
+        Assert-Equal -Name "Every fixture was rendered" -Expected $fixtures.Count -Actual $results.Count
+
+        foreach ($result in $results) {
+            if ($result.passed) {
+                Write-TestResult -Name "Matches golden: $($result.name)" -Status Pass
+            } else {
+                Write-TestResult -Name "Matches golden: $($result.name)" -Status Fail -Message $result.detail
+            }
+        }
+    }
+}
+
+# ═══════════════════════════════════════════════════════════════════
+# SUMMARY
+# ═══════════════════════════════════════════════════════════════════
+
+Write-Host ""
+$allPassed = Write-TestSummary -LayerName "Layer 1: Markdown Renderer Golden Files"
+if (-not $allPassed) { exit 1 }
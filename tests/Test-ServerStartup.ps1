@@ -579,6 +579,113 @@ Test project with a script tag </script> lower </SCRIPT> upper </Script> mixed e
 
 Write-Host ""
 
+# ═══════════════════════════════════════════════════════════════════
+# EVENT STREAM (/api/events)
+# ═══════════════════════════════════════════════════════════════════
+# The server loop must keep serving regular requests while an SSE response is
+# held open, and a new stream must receive the state/processes/git snapshot.
+
+Write-Host "  EVENT STREAM" -ForegroundColor Cyan
+Write-Host "  ────────────────────────────────────────────" -ForegroundColor DarkGray
+
+$projectStream = $null
+$serverStream = $null
+$streamClient = $null
+
+try {
+    $projectStream = Initialize-TestBotProject
+    $serverStream = Start-UiServer -BotDir $projectStream.BotDir
+    $portStream = Wait-ForUiPort -BotDir $projectStream.BotDir
+
+    Assert-True -Name "Event-stream server starts" `
+        -Condition ($portStream -gt 0) `
+        -Message "Failed to detect port from ui-port file"
+
+    if ($portStream -gt 0) {
+        [void](Wait-ForServerReady -Port $portStream)
+
+        $streamClient = [System.Net.Http.HttpClient]::new()
+        $streamClient.Timeout = [TimeSpan]::FromSeconds(30)
+        $streamRequest = [System.Net.Http.HttpRequestMessage]::new([System.Net.Http.HttpMethod]::Get, "http://localhost:$portStream/api/events")
+        $streamResponse = $streamClient.SendAsync($streamRequest, [System.Net.Http.HttpCompletionOption]::ResponseHeadersRead).GetAwaiter().GetResult()
+
+        Assert-Equal -Name "GET /api/events returns 200" -Expected 200 -Actual ([int]$streamResponse.StatusCode)
+        Assert-True -Name "GET /api/events is text/event-stream" `
+            -Condition ("$($streamResponse.Content.Headers.ContentType)" -like 'text/event-stream*') `
+            -Message "Content-Type was '$($streamResponse.Content.Headers.ContentType)'"
+
+        # Read the initial snapshot frames
+        $reader = [System.IO.StreamReader]::new($streamResponse.Content.ReadAsStreamAsync().GetAwaiter().GetResult())
+        $seenEvents = @{}
+        $stateData = $null
+        $deadline = [DateTime]::UtcNow.AddSeconds(20)
+        $currentEvent = $null
+        while ([DateTime]::UtcNow -lt $deadline -and $seenEvents.Count -lt 3) {
+            $lineTask = $reader.ReadLineAsync()
+            if (-not $lineTask.Wait(5000)) { break }
+            $line = $lineTask.Result
+            if ($null -eq $line) { break }
+            if ($line -like 'event: *') {
+                $currentEvent = $line.Substring(7)
+            } elseif ($line -like 'data: *' -and $currentEvent -in @('state', 'processes', 'git')) {
+                $seenEvents[$currentEvent] = $true
+                if ($currentEvent -eq 'state') { $stateData = $line.Substring(6) | ConvertFrom-Json }
+            }
+        }
+
+        foreach ($evt in @('state', 'processes', 'git')) {
+            Assert-True -Name "Event stream sends initial '$evt' snapshot" `
+                -Condition ($seenEvents.ContainsKey($evt)) `
+                -Message "No '$evt' event received within timeout"
+        }
+        Assert-True -Name "Event stream state snapshot has tasks" `
+            -Condition ($null -ne $stateData -and $stateData.full -and $null -ne $stateData.state.tasks) `
+            -Message "state event payload missing full snapshot"
+
+        # Regular requests must still be served while the stream is open
+        $infoWhileStreaming = $null
+        try {
+            $r = Invoke-WebRequest -Uri "http://localhost:$portStream/api/info" -TimeoutSec 5 -ErrorAction Stop
+            $infoWhileStreaming = $r.Content | ConvertFrom-Json
+        } catch { Write-Verbose "/api/info during stream failed: $_" }
+        Assert-True -Name "Server answers /api/info while an event stream is open" `
+            -Condition ($null -ne $infoWhileStreaming -and $infoWhileStreaming.project_root) `
+            -Message "/api/info did not respond while /api/events was connected"
+
+        # Delta state: revision 0 gets a full snapshot, a known revision gets only changes
+        $full = (Invoke-WebRequest -Uri "http://localhost:$portStream/api/state/poll?revision=0&timeout=0" -TimeoutSec 10).Content | ConvertFrom-Json
+        Assert-True -Name "State poll with revision=0 returns full snapshot" `
+            -Condition ($full.full -and $full.revision -gt 0 -and $full.epoch -and $null -ne $full.state.tasks) `
+            -Message "Expected { full, revision, epoch, state }"
+
+        $todoDir = Join-Path $projectStream.BotDir "workspace\tasks\todo"
+        New-Item -ItemType Directory -Path $todoDir -Force | Out-Null
+        @{ id = 'delta-task-1'; name = 'Delta task'; status = 'todo'; priority = 1; category = 'feature' } |
+            ConvertTo-Json | Set-Content -Path (Join-Path $todoDir "delta-task-1.json") -Encoding UTF8
+
+        $deltaUrl = "http://localhost:$portStream/api/state/poll?revision=$($full.revision)&epoch=$($full.epoch)&timeout=10000"
+        $delta = (Invoke-WebRequest -Uri $deltaUrl -TimeoutSec 20).Content | ConvertFrom-Json
+        Assert-True -Name "State poll with revision returns a delta" `
+            -Condition (-not $delta.full -and $delta.base_revision -eq $full.revision -and $delta.revision -gt $full.revision) `
+            -Message "Expected a delta past revision $($full.revision), got full=$($delta.full) revision=$($delta.revision)"
+        Assert-True -Name "State delta carries the new task entry" `
+            -Condition ($null -ne $delta.set.'task:delta-task-1' -and @($delta.set.'tasks.upcoming') -contains 'delta-task-1') `
+            -Message "task:delta-task-1 / tasks.upcoming missing from delta set"
+
+        $stale = (Invoke-WebRequest -Uri "http://localhost:$portStream/api/state/poll?revision=$($full.revision)&epoch=other&timeout=0" -TimeoutSec 10).Content | ConvertFrom-Json
+        Assert-True -Name "State poll with foreign epoch returns full snapshot" -Condition ($stale.full)
+    }
+
+} catch {
+    Write-TestResult -Name "Event stream tests" -Status Fail -Message "Exception: $($_.Exception.Message)"
+} finally {
+    if ($streamClient) { $streamClient.Dispose() }
+    Stop-UiServer -Process $serverStream
+    if ($projectStream) { Remove-TestProject -Path $projectStream.ProjectRoot }
+}
+
+Write-Host ""
+
 # ═══════════════════════════════════════════════════════════════════
 # SUMMARY
 # ═══════════════════════════════════════════════════════════════════
@@ -535,10 +535,84 @@ try {
         -Expected $expectedAuditUsername `
         -Actual $latestListEditArchive.captured_by_user
 
+    $reorderResult = Update-RoadmapTask -TaskId "task-list-edit" -Actor "ui:test-profile" -Reason "Reordered: priority 50 -> 10" -Updates @{
+        priority = 10
+    }
+    Assert-True -Name "Update-RoadmapTask accepts an edit reason" `
+        -Condition ($reorderResult.success -eq $true) `
+        -Message "Expected reason edit result success=true"
+    $reorderArchive = @((Get-RoadmapTaskHistory -TaskId "task-list-edit").edited_versions |
+        Where-Object { $_.version_id -eq $reorderResult.archived_version_id }) | Select-Object -First 1
+    Assert-Equal -Name "Archived edit stores the edit reason" `
+        -Expected "Reordered: priority 50 -> 10" `
+        -Actual $reorderArchive.reason
+    Assert-True -Name "Archived edit omits reason when none is given" `
+        -Condition ($null -eq $latestListEditArchive.PSObject.Properties['reason']) `
+        -Message "Expected no reason on archives written without one"
+
+    $timelineDoneDir = Join-Path $tasksBaseDir "done"
+    $timelineNeedsInputDir = Join-Path $tasksBaseDir "needs-input"
+    $timelineProcessesDir = Join-Path $botDir ".control\processes"
+    foreach ($dir in @($timelineDoneDir, $timelineNeedsInputDir, $timelineProcessesDir)) {
+        New-Item -ItemType Directory -Path $dir -Force | Out-Null
+    }
+    @{
+        id = "task-timeline-done"; name = "Timeline done"; workflow = "wf-timeline"; status = "done"
+        created_at = "2026-10-01T09:30:00Z"; analysis_started_at = "2026-10-01T10:00:00Z"
+        analysis_completed_at = "2026-10-01T10:10:00Z"; started_at = "2026-10-01T10:15:00Z"
+        completed_at = "2026-10-01T10:40:00Z"
+        questions_resolved = @(
+            @{ id = "q1"; asked_at = "2026-10-01T10:20:00Z"; answered_at = "2026-10-01T10:30:00Z" },
+            @{ id = "q2"; asked_at = "2026-10-01T10:20:00Z"; answered_at = "2026-10-01T10:25:00Z" }
+        )
+    } | ConvertTo-Json -Depth 5 | Set-Content -Path (Join-Path $timelineDoneDir "task-timeline-done.json")
+    @{
+        id = "task-timeline-waiting"; name = "Timeline waiting"; workflow = "wf-timeline"; status = "needs-input"
+        created_at = "2026-10-01T09:30:00Z"; analysis_started_at = "2026-10-01T10:05:00Z"
+        pending_questions = @(@{ id = "q1"; asked_at = "2026-10-01T10:12:00Z" })
+    } | ConvertTo-Json -Depth 5 | Set-Content -Path (Join-Path $timelineNeedsInputDir "task-timeline-waiting.json")
+    @{
+        id = "task-timeline-other"; name = "Other workflow"; workflow = "wf-other"; status = "done"
+        started_at = "2026-10-01T11:00:00Z"; completed_at = "2026-10-01T11:05:00Z"
+    } | ConvertTo-Json | Set-Content -Path (Join-Path $timelineDoneDir "task-timeline-other.json")
+    @{
+        id = "proc-timeline"; type = "task-runner"; status = "completed"; workflow_name = "wf-timeline"
+        description = "Timeline run (slot 0)"; started_at = "2026-10-01T09:59:00Z"; completed_at = "2026-10-01T10:45:00Z"
+    } | ConvertTo-Json | Set-Content -Path (Join-Path $timelineProcessesDir "proc-timeline.json")
+
+    $timeline = Get-TaskTimeline -Workflow "wf-timeline"
+    $timelineIds = @($timeline.tasks | ForEach-Object { $_.id })
+    Assert-Equal -Name "Task timeline returns only started tasks of the workflow" `
+        -Expected "task-timeline-done,task-timeline-waiting" `
+        -Actual ($timelineIds -join ',')
+    $timelineDone = @($timeline.tasks | Where-Object { $_.id -eq 'task-timeline-done' })[0]
+    Assert-Equal -Name "Task timeline keeps ISO UTC phase timestamps" `
+        -Expected "2026-10-01T10:15:00Z" `
+        -Actual $timelineDone.started_at
+    Assert-Equal -Name "Task timeline merges overlapping answered questions into one blocked span" `
+        -Expected "2026-10-01T10:20:00Z-2026-10-01T10:30:00Z" `
+        -Actual (@($timelineDone.blocked | ForEach-Object { "$($_.from)-$($_.to)" }) -join ',')
+    $timelineWaiting = @($timeline.tasks | Where-Object { $_.id -eq 'task-timeline-waiting' })[0]
+    Assert-Equal -Name "Task timeline uses the status folder for needs-input tasks" `
+        -Expected "needs-input" `
+        -Actual $timelineWaiting.status
+    Assert-True -Name "Task timeline leaves pending questions open-ended" `
+        -Condition (@($timelineWaiting.blocked).Count -eq 1 -and $timelineWaiting.blocked[0].from -eq "2026-10-01T10:12:00Z" -and $null -eq $timelineWaiting.blocked[0].to) `
+        -Message "Expected one open blocked span starting at the pending question"
+    Assert-Equal -Name "Task timeline includes the workflow's task-runner processes" `
+        -Expected "proc-timeline" `
+        -Actual (@($timeline.runs | ForEach-Object { $_.id }) -join ',')
+    Assert-True -Name "Task timeline lists every workflow for the filter" `
+        -Condition ('wf-other' -in @($timeline.workflows) -and 'wf-timeline' -in @($timeline.workflows)) `
+        -Message "Expected both fixture workflows in the workflow list"
+
     $serverScriptPath = Join-Path $botDir "core/ui/server.ps1"
     Assert-FileContains -Name "History route safely decodes encoded task IDs" `
         -Path $serverScriptPath `
         -Pattern 'UrlDecode\(\(\$url -replace "\^/api/task/history/", ""\)\)'
+    Assert-FileContains -Name "Server exposes the task timeline route" `
+        -Path $serverScriptPath `
+        -Pattern '"/api/tasks/timeline"'
     Assert-FileContains -Name "Server imports TaskAPI with name checking disabled" `
         -Path $serverScriptPath `
         -Pattern 'Import-Module \(Join-Path \$PSScriptRoot "modules\\TaskAPI\.psm1"\) -Force -DisableNameChecking'
@@ -554,12 +628,34 @@ try {
     Assert-FileContains -Name "Roadmap task actions render machine username metadata" `
         -Path $roadmapActionsScript `
         -Pattern 'captured_by_user'
+    Assert-FileContains -Name "Roadmap task history offers a version diff" `
+        -Path $roadmapActionsScript `
+        -Pattern 'data-task-action="compare-version"'
+
+    # The diff itself is plain JS: task-diff.js runs the word/list diffs under Node
+    if (-not (Get-Command node -ErrorAction SilentlyContinue)) {
+        Write-TestResult -Name "Task version diff behaviour" -Status Skip -Message "node not found on PATH"
+    } else {
+        $diffOutput = & node (Join-Path $PSScriptRoot "task-diff.js") 2>&1
+        $diffExit = $LASTEXITCODE
+        Assert-True -Name "Task version diff harness ran without errors" -Condition ($diffExit -eq 0) `
+            -Message ($diffOutput -join "`n")
+        if ($diffExit -eq 0) {
+            foreach ($diffCase in @(($diffOutput -join "`n") | ConvertFrom-Json)) {
+                Assert-True -Name "Task version diff: $($diffCase.name)" -Condition ($diffCase.passed -eq $true) `
+                    -Message $diffCase.detail
+            }
+        }
+    }
     Assert-FileContains -Name "Roadmap task actions listen for restore buttons by task-action attribute" `
         -Path $roadmapActionsScript `
         -Pattern 'closest\('\[data-task-action\]'\)'
     Assert-FileContains -Name "Roadmap task actions normalize ordinal dependency strings" `
         -Path $roadmapActionsScript `
         -Pattern 'function getRoadmapDependencyTokens'
+    Assert-FileContains -Name "Roadmap reorder rejects dependency violations" `
+        -Path $roadmapActionsScript `
+        -Pattern 'function getRoadmapReorderViolation'
     Assert-FileContains -Name "Roadmap task actions use roadmap-overview fallback dependencies" `
         -Path $roadmapActionsScript `
         -Pattern 'roadmap_dependencies'
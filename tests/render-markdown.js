@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Golden-file harness for the dashboard markdown renderer.
+ *
+ * Loads core/ui/static/modules/utils.js, syntax-highlight.js, markdown.js and
+ * decision-export.js the way the browser does (plain scripts sharing one global
+ * scope) and renders every tests/fixtures/markdown/*.md through
+ * markdownToHtml(). A *.decision.json fixture is a decision record: it goes
+ * through buildDecisionMadr() first, as in the decisions.html export.
+ *
+ *   node tests/render-markdown.js            compare against the *.html goldens, print JSON results
+ *   node tests/render-markdown.js --update   rewrite the goldens from the current renderer
+ *
+ * Driven by Test-MarkdownRender.ps1; run --update after an intended rendering
+ * change and review the golden diff like any other code change.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const repoRoot = path.resolve(__dirname, '..');
+const modulesDir = path.join(repoRoot, 'core', 'ui', 'static', 'modules');
+const fixturesDir = path.join(__dirname, 'fixtures', 'markdown');
+
+// escapeHtml() round-trips through a detached element; serialize text the way
+// innerHTML does (&, <, > and non-breaking spaces) so goldens match the browser
+function createDocumentShim() {
+    return {
+        createElement: () => {
+            let text = '';
+            return {
+                set textContent(value) { text = String(value); },
+                get innerHTML() {
+                    return text
+                        .replace(/&/g, '&amp;')
+                        .replace(/</g, '&lt;')
+                        .replace(/>/g, '&gt;')
+                        .replace(/\u00a0/g, '&nbsp;');
+                }
+            };
+        }
+    };
+}
+
+function loadRenderer() {
+    const context = vm.createContext({ document: createDocumentShim(), console });
+    const source = ['utils.js', 'syntax-highlight.js', 'markdown.js', 'decision-export.js']
+        .map(name => fs.readFileSync(path.join(modulesDir, name), 'utf8'))
+        .join('\n;\n');
+    vm.runInContext(source, context, { filename: 'markdown-bundle.js' });
+    return context;
+}
+
+// Decision IDs in a record link to their anchors, as in decisions.html
+function renderDecisionRecord(renderer, json) {
+    const dec = JSON.parse(json);
+    const known = new Set(dec.known_decision_ids || [dec.id]);
+    return renderer.markdownToHtml(renderer.buildDecisionMadr(dec, id => known.has(id) ? `#${id}` : null));
+}
+
+function describeDifference(expected, actual) {
+    let i = 0;
+    while (i < expected.length && i < actual.length && expected[i] === actual[i]) i++;
+    const line = expected.slice(0, i).split('\n').length;
+    return `first difference at line ${line}, offset ${i}: expected "${expected.slice(i, i + 60)}" got "${actual.slice(i, i + 60)}"`;
+}
+
+function main() {
+    const update = process.argv.includes('--update');
+    const renderer = loadRenderer();
+    const cases = fs.readdirSync(fixturesDir).filter(f => f.endsWith('.md') || f.endsWith('.decision.json')).sort();
+    const results = [];
+
+    for (const file of cases) {
+        const name = file.replace(/\.(md|decision\.json)$/, '');
+        const source = fs.readFileSync(path.join(fixturesDir, file), 'utf8');
+        const goldenPath = path.join(fixturesDir, `${name}.html`);
+        const actual = (file.endsWith('.md') ? renderer.markdownToHtml(source) : renderDecisionRecord(renderer, source)) + '\n';
+
+        if (update) {
+            fs.writeFileSync(goldenPath, actual);
+            results.push({ name, passed: true, detail: 'updated' });
+            continue;
+        }
+        if (!fs.existsSync(goldenPath)) {
+            results.push({ name, passed: false, detail: `missing golden ${name}.html (run with --update)` });
+            continue;
+        }
+
+        const expected = fs.readFileSync(goldenPath, 'utf8').replace(/\r\n/g, '\n');
+        results.push(expected === actual
+            ? { name, passed: true, detail: '' }
+            : { name, passed: false, detail: describeDifference(expected, actual) });
+    }
+
+    process.stdout.write(JSON.stringify(results));
+}
+
+main();
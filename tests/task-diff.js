@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Behaviour harness for the task version diff.
+ *
+ * Loads core/ui/static/modules/utils.js and task-diff.js the way the browser
+ * does (plain scripts sharing one global scope), runs the word and list diffs
+ * on fixed inputs and prints one JSON result per case:
+ *
+ *   node tests/task-diff.js      print [{ name, passed, detail }]
+ *
+ * Driven by Test-TaskActions.ps1.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const modulesDir = path.resolve(__dirname, '..', 'core', 'ui', 'static', 'modules');
+
+// escapeHtml() round-trips through a detached element; serialize text the way
+// innerHTML does
+function createDocumentShim() {
+    return {
+        createElement: () => {
+            let text = '';
+            return {
+                set textContent(value) { text = String(value); },
+                get innerHTML() {
+                    return text
+                        .replace(/&/g, '&amp;')
+                        .replace(/</g, '&lt;')
+                        .replace(/>/g, '&gt;')
+                        .replace(/\u00a0/g, '&nbsp;');
+                }
+            };
+        }
+    };
+}
+
+function loadTaskDiff() {
+    const context = vm.createContext({ document: createDocumentShim(), console });
+    const source = ['utils.js', 'task-diff.js']
+        .map(name => fs.readFileSync(path.join(modulesDir, name), 'utf8'))
+        .join('\n;\n');
+    vm.runInContext(source, context, { filename: 'task-diff-bundle.js' });
+    return context;
+}
+
+const opsText = (ops) => ops.map(op => `${op.type}:${JSON.stringify(op.value)}`).join(' ');
+
+const cases = [
+    {
+        name: 'Word diff marks only the changed word',
+        run: (d) => [
+            opsText(d.diffTaskWords('run the unit tests', 'run all unit tests')),
+            'equal:"run " delete:"the" insert:"all" equal:" unit tests"'
+        ]
+    },
+    {
+        name: 'Word diff keeps line breaks as their own tokens',
+        run: (d) => [
+            opsText(d.diffTaskWords('first\nsecond', 'first\n\nsecond')),
+            'equal:"first" delete:"\\n" insert:"\\n\\n" equal:"second"'
+        ]
+    },
+    {
+        name: 'Unchanged text is not reported as a change',
+        run: (d) => [d.renderTaskDiffText('Same text', 'Same text').changed, false]
+    },
+    {
+        name: 'Changed text highlights both sides and escapes HTML',
+        run: (d) => {
+            const { changed, html } = d.renderTaskDiffText('Render <b>old</b> label', 'Render <b>new</b> label');
+            return [
+                changed && html.includes('<del>&lt;b&gt;old&lt;/b&gt;</del>') && html.includes('<ins>&lt;b&gt;new&lt;/b&gt;</ins>') && !html.includes('<b>'),
+                true
+            ];
+        }
+    },
+    {
+        name: 'List diff shows removed and added items on their own side',
+        run: (d) => {
+            const { changed, html } = d.renderTaskDiffList(['Write tests', 'Ship it'], ['Write tests', 'Ship it', 'Announce']);
+            return [
+                changed && html.includes('<div class="task-diff-cell added"><ins>Announce</ins></div>') && !html.includes('removed'),
+                true
+            ];
+        }
+    },
+    {
+        name: 'List diff word-diffs an item edited in place',
+        run: (d) => {
+            const { html } = d.renderTaskDiffList(['Update the docs'], ['Update the README']);
+            return [html.includes('<del>docs</del>') && html.includes('<ins>README</ins>'), true];
+        }
+    },
+    {
+        name: 'Empty lists on both sides are unchanged',
+        run: (d) => [d.renderTaskDiffList(null, []).changed, false]
+    },
+    {
+        name: 'Oversized texts fall back to a whole-block replace',
+        run: (d) => {
+            const words = (prefix) => Array.from({ length: 600 }, (_, i) => `${prefix}${i}`);
+            const ops = d.diffTaskSequence(['same', ...words('a')], ['same', ...words('b')]);
+            return [
+                opsText(ops.slice(0, 2)) + ` ${ops.filter(op => op.type === 'delete').length}/${ops.filter(op => op.type === 'insert').length}`,
+                'equal:"same" delete:"a0" 600/600'
+            ];
+        }
+    }
+];
+
+function main() {
+    const diff = loadTaskDiff();
+    const results = cases.map(({ name, run }) => {
+        try {
+            const [actual, expected] = run(diff);
+            return actual === expected
+                ? { name, passed: true, detail: '' }
+                : { name, passed: false, detail: `expected ${JSON.stringify(expected)} got ${JSON.stringify(actual)}` };
+        } catch (error) {
+            return { name, passed: false, detail: error.message };
+        }
+    });
+    process.stdout.write(JSON.stringify(results));
+}
+
+main();